@@ -0,0 +1,111 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const applicativeAp = include("src/applicativeAp");
+const applicativeMap = include("src/applicativeMap");
+const applicativeOf = include("src/applicativeOf");
+
+/**
+ * The {@link Compose} applicative nests one applicative inside another and works with both layers at once. Given the
+ * type representatives of the outer and the inner applicatives, it returns a type whose instances wrap an outer
+ * applicative of an inner one. A single <code>traverse</code> with a {@link Compose} type can, for example, validate
+ * asynchronously by composing {@link Task} and {@link Validation}.
+ * @param {Object} Outer - Type representative of the outer applicative.
+ * @param {Object} Inner - Type representative of the inner applicative.
+ * @return {Object} {@link Compose} type for the <code>Outer</code> and <code>Inner</code> applicatives.
+ * @example
+ *
+ * const TaskValidation = Compose(Task, Validation);
+ * const checkUser = id => new TaskValidation(fetchUser(id).map(validateUser));
+ *
+ * Maybe.of(id).traverse(TaskValidation, checkUser).run();
+ * // => Task.of(Success(Just(user))) or Task.of(Failure(errors))
+ */
+const Compose = (Outer, Inner) => {
+  class Compose {
+    /**
+     * Creates a new {@link Compose} from a <code>value</code>. If the <code>value</code> is already an instance of the
+     * type, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is wrapped with
+     * {@link Compose.of}.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {Compose} {@link Compose} for the <code>value</code>.
+     */
+    static from(value) {
+      return value instanceof Compose ? value : Compose.of(value);
+    }
+
+    /**
+     * Wraps a value in the inner and then the outer applicative.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {Compose} {@link Compose} of the <code>value</code>.
+     */
+    static of(value) {
+      return new Compose(applicativeOf(Outer, applicativeOf(Inner, value)));
+    }
+
+    constructor(value) {
+      this.value = value;
+    }
+
+    /**
+     * Applies the function of this {@link Compose} to the value of the <code>other</code> in both layers.
+     * @param {Compose} other - {@link Compose} of the value.
+     * @return {Compose} {@link Compose} of the result.
+     */
+    ap(other) {
+      const apInner = inner => otherInner => applicativeAp(inner, otherInner);
+
+      return new Compose(applicativeAp(applicativeMap(apInner, this.value), other.value));
+    }
+
+    /**
+     * Maps the value of the inner applicative with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {Compose} {@link Compose} of the mapped value.
+     */
+    map(method) {
+      return new Compose(applicativeMap(applicativeMap(method), this.value));
+    }
+
+    /**
+     * Returns the wrapped outer applicative of the inner applicative.
+     * @return {Outer} Outer applicative of the inner applicative.
+     */
+    run() {
+      return this.value;
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Compose#ap} with the arguments flipped.
+     * @param {Compose} other - {@link Compose} of the function to apply.
+     * @return {Compose} {@link Compose} of the result.
+     * @see Compose#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Compose#map}.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {Compose} {@link Compose} of the mapped value.
+     * @see Compose#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  Compose["fantasy-land/of"] = Compose.of;
+
+  return Compose;
+};
+
+module.exports = Compose;
@@ -0,0 +1,104 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const monoidEmpty = include("src/monoidEmpty");
+const semigroupConcat = include("src/semigroupConcat");
+
+/**
+ * The {@link Const} functor holds a value of a monoid and ignores mapping. Applying one {@link Const} to another
+ * concatenates their values, so traversing with a {@link Const} collects or counts the values of a structure instead
+ * of rebuilding it. Given the type representative of a monoid, it returns a type whose values are values of that
+ * monoid, such as {@link Validation}, <code>Array</code> or <code>String</code>.
+ * @param {Object} Monoid - Type representative of the value.
+ * @return {Object} {@link Const} type for the <code>Monoid</code>.
+ * @example
+ *
+ * const Collect = Const(Array);
+ *
+ * Validation.of(value).traverse(Collect, value => new Collect([value])).run();
+ * // => [value]
+ */
+const Const = Monoid => {
+  class Const {
+    /**
+     * Creates a new {@link Const} from a <code>value</code>. If the <code>value</code> is already an instance of the
+     * type, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is ignored like
+     * {@link Const.of} does.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {Const} {@link Const} for the <code>value</code>.
+     */
+    static from(value) {
+      return value instanceof Const ? value : Const.of(value);
+    }
+
+    /**
+     * Ignores the <code>value</code> and holds the empty value of the monoid.
+     * @static
+     * @member
+     * @return {Const} Empty {@link Const}.
+     */
+    static of() {
+      return new Const(monoidEmpty(Monoid));
+    }
+
+    constructor(value) {
+      this.value = value;
+    }
+
+    /**
+     * Concatenates the value of the <code>other</code> to the value of this {@link Const}.
+     * @param {Const} other - Other {@link Const}.
+     * @return {Const} {@link Const} of the concatenated values.
+     */
+    ap(other) {
+      return new Const(semigroupConcat(this.value, other.value));
+    }
+
+    /**
+     * Ignores the <code>method</code> and keeps the value.
+     * @return {Const} {@link Const} of the same value.
+     */
+    map() {
+      return new Const(this.value);
+    }
+
+    /**
+     * Returns the value of the monoid.
+     * @return {Monoid} Value of the {@link Const}.
+     */
+    run() {
+      return this.value;
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Const#ap} with the arguments flipped.
+     * @param {Const} other - Other {@link Const}.
+     * @return {Const} {@link Const} of the concatenated values.
+     * @see Const#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Const#map}.
+     * @param {Function} method - The function to ignore.
+     * @return {Const} {@link Const} of the same value.
+     * @see Const#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  Const["fantasy-land/of"] = Const.of;
+
+  return Const;
+};
+
+module.exports = Const;
@@ -6,19 +6,29 @@ const stream = require("lodash/fp");
 
 // Third Party Aliases
 const concat = stream.concat;
+const constant = stream.constant;
 const curry = stream.curry;
 const each = stream.each;
 const filter = stream.filter;
 const find = stream.find;
 const flow = stream.flow;
 const get = stream.get;
+const identity = stream.identity;
 const isEqual = stream.isEqual;
+const isFunction = stream.isFunction;
 const map = stream.map;
 const negate = stream.negate;
 const reduce = stream.reduce;
+const toArray = stream.toArray;
 
 // Project
+const applicativeMap = include("src/applicativeMap");
+const applicativeOf = include("src/applicativeOf");
+const assertCases = include("src/assertCases");
 const invokeIn = include("src/invokeIn");
+const invokeWith = include("src/invokeWith");
+const mapCollection = include("src/mapCollection");
+const runGenerator = include("src/runGenerator");
 
 /**
  * The {@link Either} type is intended for handling disjointed, but related values such as the result or exceptional
@@ -139,6 +149,72 @@ class Either {
     return find(Either.isRight, either) || find(Either.isLeft, either);
   }
 
+  /**
+   * Runs a generator function as a sequence of {@link Either#chain} calls. Each yielded {@link Either} is unwrapped and
+   * its value is sent back into the generator. The run stops at the first {@link Left}, which is returned, and
+   * otherwise the returned value is wrapped in a {@link Right}. Yielded values that are not Either instances are
+   * converted with {@link Either.from}. The generator is run exactly once and is closed when the run stops early.
+   * @static
+   * @member
+   * @param {Function} generatorFunction - Generator function that yields Either instances.
+   * @return {Either} First {@link Left} or {@link Right} wrapped returned value.
+   * @example
+   *
+   * Either.do(function* () {
+   *   const a = yield Right.from(1);
+   *   const b = yield Right.from(a + 1);
+   *
+   *   return a + b;
+   * });
+   * // => Right(3)
+   *
+   * Either.do(function* () {
+   *   const a = yield Left.from(error);
+   *
+   *   return doSomething(a); // Not invoked
+   * });
+   * // => Left(error)
+   */
+  static do(generatorFunction) {
+    return runGenerator(Either, Either.isLeft, generatorFunction);
+  }
+
+  /**
+   * Runs an async generator function like {@link Either.do}. Each yielded <code>Promise</code> is awaited and each
+   * yielded {@link Either} is unwrapped before its value is sent back into the generator. The run stops at the first
+   * {@link Left}, which is returned, and otherwise the returned value is wrapped in a {@link Right}. Rejections,
+   * whether of a yielded <code>Promise</code> or thrown by the generator, become a {@link Left} just as with
+   * {@link Either.try}. The generator is closed when the run stops early.
+   * @static
+   * @member
+   * @param {Function} generatorFunction - Async generator function that yields promises or Either instances.
+   * @return {Promise} <code>Promise</code> of the first {@link Left} or {@link Right} wrapped returned value.
+   * @example
+   *
+   * Either.doAsync(async function* () {
+   *   const user = yield fetchUser(id); // Promise
+   *   const address = yield validateAddress(user.address); // Either
+   *
+   *   return {user, address};
+   * });
+   * // => Promise(Right({user, address})) or Promise(Left(error))
+   */
+  static doAsync(generatorFunction) {
+    return Promise.resolve().then(() => {
+      const iterator = generatorFunction();
+      const close = either => Promise.resolve(isFunction(iterator.return) ? iterator.return() : undefined)
+        .then(constant(either), constant(either));
+      const step = next => Promise.resolve(next).then(result => result.done ?
+        Either.of(result.value) :
+        Promise.resolve(result.value)
+          .then(value => Either.from(value), Left.from)
+          .then(either => either.isLeft() ? close(either) : step(iterator.next(either.value)))
+      );
+
+      return step(iterator.next());
+    }).catch(Left.from);
+  }
+
   /**
    * Creates a new {@link Either} from a <code>value</code>. If the <code>value</code> is already a {@link Either}
    * instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link Right} is made with the
@@ -165,6 +241,57 @@ class Either {
     return this.isEither(value) ? value : this.of(value);
   }
 
+  /**
+   * Converts a function that takes a Node.js style <code>(error, value)</code> callback as its last argument to a
+   * function that returns a <code>Promise</code> of a {@link Either}. When the callback receives an error or the
+   * function throws, the error is wrapped in a {@link Left}. Otherwise, the value is wrapped in a {@link Right}. The
+   * returned <code>Promise</code> never rejects.
+   * @static
+   * @member
+   * @param {Function} method - Function that takes a callback as its last argument.
+   * @return {Function} Function that takes the other arguments and returns a <code>Promise</code> of a {@link Either}.
+   * @example
+   *
+   * const readFile = Either.fromNodeback(fs.readFile);
+   *
+   * readFile(filePath, "utf8");
+   * // => Promise(Right(contents)) or Promise(Left(error))
+   */
+  static fromNodeback(method) {
+    return function () {
+      const args = toArray(arguments);
+
+      const invoke = (resolve, reject) => method.apply(this, concat(args, (error, value) => error ?
+        reject(error) :
+        resolve(value)
+      ));
+
+      return Either.tryAsync(() => new Promise(invoke));
+    };
+  }
+
+  /**
+   * Converts a <code>Promise</code> to a <code>Promise</code> of a {@link Either}. A resolved value is wrapped in a
+   * {@link Right} and a rejection error is wrapped in a {@link Left}, optionally mapped with <code>mapError</code>
+   * first. The returned <code>Promise</code> never rejects. This is the inverse of {@link Either#toPromise}.
+   * @static
+   * @member
+   * @param {Promise} promise - <code>Promise</code> to convert.
+   * @param {Function} [mapError=identity] - Function that maps the rejection error before it is wrapped in a
+   * {@link Left}.
+   * @return {Promise} <code>Promise</code> of the {@link Either}.
+   * @example
+   *
+   * Either.fromPromise(Promise.resolve(value));
+   * // => Promise(Right(value))
+   *
+   * Either.fromPromise(Promise.reject(error), get("message"));
+   * // => Promise(Left(error.message))
+   */
+  static fromPromise(promise, mapError) {
+    return Promise.resolve(promise).then(Right.from, error => Left.from((mapError || identity)(error)));
+  }
+
   /**
    * Determines whether or not the value is a {@link Either}.
    * @static
@@ -275,6 +402,26 @@ class Either {
     }
   }
 
+  /**
+   * Tries to invoke an asynchronous <code>supplier</code> such as an <code>async</code> function. The value that the
+   * <code>supplier</code> resolves with is wrapped in a {@link Right}. If the <code>supplier</code> throws or the
+   * <code>Promise</code> it returns rejects, the error is wrapped in a {@link Left}, optionally mapped with
+   * <code>mapError</code> first. Unlike {@link Either.try}, the pending <code>Promise</code> is never wrapped.
+   * @static
+   * @member
+   * @param {Supplier} supplier - Function to invoke.
+   * @param {Function} [mapError=identity] - Function that maps the rejection error before it is wrapped in a
+   * {@link Left}.
+   * @return {Promise} <code>Promise</code> of the {@link Either}.
+   * @example
+   *
+   * Either.tryAsync(() => fetchUser(id));
+   * // => Promise(Right(user)) or Promise(Left(error))
+   */
+  static tryAsync(method, mapError) {
+    return Either.fromPromise(new Promise(resolve => resolve(method())), mapError);
+  }
+
   constructor(value) {
     this.value = value;
   }
@@ -319,6 +466,13 @@ class Either {
    *   // ... other actions in workflow
    */
 
+  /**
+   * @see Either#match
+   */
+  cata(cases) {
+    return this.match(cases);
+  }
+
   /**
    * Applies the provided function to the value contained for a {@link Right}. The function should return the value
    * wrapped in a {@link Either}. If the instance is a {@link Left}, the function is ignored and then instance is
@@ -398,6 +552,30 @@ class Either {
    *   .extend(processResponse);
    */
 
+  /**
+   * Returns the result of applying the first function to the value of a {@link Left} or the second function to the
+   * value of a {@link Right}. Both functions are required even though only one is invoked.
+   * @param {Function} leftMap - The function to invoke with the value of a {@link Left}.
+   * @param {Function} rightMap - The function to invoke with the value of a {@link Right}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If either function is missing.
+   * @example <caption>Right#fold</caption>
+   *
+   * Right.from(value).fold(leftMap, rightMap);
+   * // => rightMap(value)
+   *
+   * @example <caption>Left#fold</caption>
+   *
+   * Left.from(error).fold(leftMap, rightMap);
+   * // => leftMap(error)
+   */
+  fold(leftMap, rightMap) {
+    return this.match({
+      Left: leftMap,
+      Right: rightMap
+    });
+  }
+
   /**
    * Returns the value if the instance is a {@link Right} otherwise the <code>null</code>.
    * @function get
@@ -508,6 +686,36 @@ class Either {
    * // => Left(error)
    */
 
+  /**
+   * Returns the result of applying the function of the matching case in <code>cases</code> to the value. Every case
+   * must be given a function; a missing case throws a <code>TypeError</code> when called, even if it is not the case
+   * that matches.
+   * @param {Object} cases - Functions keyed by case name.
+   * @param {Function} cases.Left - The function to invoke with the value of a {@link Left}.
+   * @param {Function} cases.Right - The function to invoke with the value of a {@link Right}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If a case is missing.
+   * @example
+   *
+   * const format = either => either.match({
+   *   Left: error => error.message,
+   *   Right: value => `${value}`
+   * });
+   *
+   * format(Right.from(value));
+   * // => `${value}`
+   *
+   * Left.from(error).match({
+   *   Right: value => `${value}`
+   * });
+   * // => TypeError("Missing a function for the \"Left\" case of Either")
+   */
+  match(cases) {
+    assertCases("Either", ["Left", "Right"], cases);
+
+    return this.isRight() ? cases.Right(this.value) : cases.Left(this.value);
+  }
+
   /**
    * @see Either.of
    */
@@ -574,6 +782,46 @@ class Either {
    * Left.from(error).orElseThrow(createException); // throw createException(error)
    */
 
+  /**
+   * Folds the {@link Either} into a single value. For a {@link Right}, the <code>method</code> is invoked with the
+   * <code>accumulator</code> and the value. For a {@link Left}, the <code>accumulator</code> is returned unchanged.
+   * @abstract
+   * @function reduce
+   * @memberof Either
+   * @instance
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @example <caption>Right#reduce</caption>
+   *
+   * Right.from(2).reduce((sum, value) => sum + value, 1);
+   * // => 3
+   *
+   * @example <caption>Left#reduce</caption>
+   *
+   * Left.from(error).reduce((sum, value) => sum + value, 1);
+   * // => 1
+   */
+
+  /**
+   * Swaps the {@link Either} with the applicative it contains. Equivalent to {@link Either#traverse} with
+   * <code>identity</code>.
+   * @param {Object} Type - Type representative of the contained applicative, such as <code>Promise</code>.
+   * @return {*} Applicative wrapped {@link Either}.
+   * @example <caption>Right#sequence</caption>
+   *
+   * Right.from(Promise.resolve(value)).sequence(Promise);
+   * // => Promise.resolve(Right(value))
+   *
+   * @example <caption>Left#sequence</caption>
+   *
+   * Left.from(error).sequence(Promise);
+   * // => Promise.resolve(Left(error))
+   */
+  sequence(Type) {
+    return this.traverse(Type, identity);
+  }
+
   /**
    * Converts the Either to a {@link Maybe}. {@link Right} becomes {@link Just} and {@link Left} becomes
    * {@link Nothing}.
@@ -594,6 +842,31 @@ class Either {
    * // => Maybe.Nothing();
    */
 
+  /**
+   * Passes the either to a Node.js style <code>(error, value)</code> callback. {@link Right} invokes the
+   * <code>callback</code> with <code>null</code> and its value and {@link Left} invokes the <code>callback</code> with
+   * its value as the error. A falsy value, which callbacks would take for success, is replaced by an
+   * <code>Error</code> describing the {@link Left}.
+   * @abstract
+   * @function toNodeback
+   * @memberof Either
+   * @instance
+   * @param {Function} callback - Node.js style callback.
+   * @return {*} Result of the <code>callback</code>.
+   * @example <caption>Right#toNodeback</caption>
+   *
+   * Right.from(value).toNodeback(callback);
+   * // => callback(null, value)
+   *
+   * @example <caption>Left#toNodeback</caption>
+   *
+   * Left.from(error).toNodeback(callback);
+   * // => callback(error)
+   *
+   * Left.from().toNodeback(callback);
+   * // => callback(Error("Left(undefined)"))
+   */
+
   /**
    * Converts the Either to a <code>Promise</code> using the provided <code>Promise</code> implementation.
    * @abstract
@@ -617,6 +890,26 @@ class Either {
    * // => Promise.reject(error);
    */
 
+  /**
+   * Converts the Either to a {@link Task} using the provided <code>Task</code> implementation. {@link Right} becomes a
+   * resolved {@link Task} and {@link Left} becomes a rejected {@link Task}.
+   * @abstract
+   * @function toTask
+   * @memberof Either
+   * @instance
+   * @param {Task} task - Task implementation.
+   * @return {Task} {@link Task} of the <code>value</code>.
+   * @example <caption>Right#toTask</caption>
+   *
+   * Right.from(value).toTask(Task);
+   * // => Task.of(value);
+   *
+   * @example <caption>Left#toTask</caption>
+   *
+   * Left.from(error).toTask(Task);
+   * // => Task.reject(error);
+   */
+
   /**
    * Returns a <code>String</code> representation of the {@link Either}.
    * @abstract
@@ -654,8 +947,133 @@ class Either {
    * Left.from(error).toValidation(Validation);
    * // => Validation.Failure();
    */
+
+  /**
+   * Applies the provided function to the value contained for a {@link Right}. The function should return the value
+   * wrapped in the applicative described by <code>Type</code>, the result of which is mapped back into a {@link Right}.
+   * If the instance is a {@link Left}, it is wrapped in <code>Type</code> unchanged.
+   * @abstract
+   * @function traverse
+   * @memberof Either
+   * @instance
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Either}.
+   * @example <caption>Right#traverse</caption>
+   *
+   * Right.from(filePath).traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Right(contents))
+   *
+   * @example <caption>Left#traverse</caption>
+   *
+   * Left.from(error).traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Left(error))
+   */
+
+  /**
+   * Fantasy Land compatible form of {@link Either#ap}. As the specification requires, the instance provides the value
+   * and the <code>other</code> {@link Either} provides the function, which is the reverse of {@link Either#ap}.
+   * @param {Either} other - {@link Either} wrapped function to apply to the value of the instance.
+   * @return {Either} {@link Right} wrapped applied function or {@link Left}.
+   * @example
+   *
+   * Right.from(value)["fantasy-land/ap"](Right.from(method));
+   * // => Right(method(value))
+   *
+   * Right.from(value)["fantasy-land/ap"](Left.from(error));
+   * // => Left(error)
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#bimap}.
+   * @param {Function} failureMap - Map to apply to the {@link Left}.
+   * @param {Function} successMap - Map to apply to the {@link Right}.
+   * @return {Either} {@link Either} wrapped value mapped with the corresponding mapping function.
+   * @see Either#bimap
+   */
+  ["fantasy-land/bimap"](failureMap, successMap) {
+    return this.bimap(failureMap, successMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#chain}.
+   * @param {Chain.<Either>} method - The function to invoke with the value.
+   * @return {Either} {@link Either} wrapped value returned by the provided <code>method</code>.
+   * @see Either#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two Eithers are equal; <code>false</code> if not equal.
+   * @see Either#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#extend}.
+   * @param {Extend.<Either>} method - The function to invoke with the instance.
+   * @return {Either}
+   * @see Either#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Either} {@link Either} wrapped value mapped with the provided <code>method</code>.
+   * @see Either#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#reduce}.
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @see Either#reduce
+   */
+  ["fantasy-land/reduce"](method, accumulator) {
+    return this.reduce(method, accumulator);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Either#traverse}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Either}.
+   * @see Either#traverse
+   */
+  ["fantasy-land/traverse"](Type, method) {
+    return this.traverse(Type, method);
+  }
 }
 
+/**
+ * Fantasy Land compatible alias of {@link Either.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to wrap.
+ * @return {Right} {@link Right} wrapped <code>value</code>.
+ * @example
+ *
+ * Either["fantasy-land/of"](value);
+ * // => Right(value)
+ */
+Either["fantasy-land/of"] = Either.of;
+
 /**
  * Iterates over a collection of eithers and invokes the <code>iteratee</code> for each {@link Either}. The
  * <code>iteratee</code> is invoked with one argument: <code>(value)</code>. Iteratee functions may exit iteration
@@ -729,6 +1147,26 @@ Either.equals = isEqual;
  */
 Either.filter = filter;
 
+/**
+ * Returns the result of applying <code>leftMap</code> to the value of a {@link Left} or <code>rightMap</code> to
+ * the value of a {@link Right}.
+ * @static
+ * @member
+ * @param {Function} leftMap - The function to invoke with the value of a {@link Left}.
+ * @param {Function} rightMap - The function to invoke with the value of a {@link Right}.
+ * @param {Either} value - Either to fold.
+ * @return {*} Result of the invoked function.
+ * @see Either#fold
+ * @example
+ *
+ * // Using lodash/fp/constant
+ * const countAll = Either.fold(constant(0), constant(1));
+ *
+ * countAll(Right.from(value));
+ * // => 1
+ */
+Either.fold = curry((leftMap, rightMap, value) => value.fold(leftMap, rightMap));
+
 /**
  * Creates an array of values by invoking {@link Either#map} with the <code>iteratee</code> for each {@link Either} in
  * the collection. The iteratee is invoked with one argument: <code>(value)</code>.
@@ -773,6 +1211,26 @@ Either.mapIn = curry((iteratee, values) => map(invokeIn("map", iteratee), values
  */
 Either.map = map;
 
+/**
+ * Returns the result of applying the function of the matching case in <code>cases</code> to the value.
+ * @static
+ * @member
+ * @param {Object} cases - Functions keyed by case name.
+ * @param {Either} value - Either to match.
+ * @return {*} Result of the invoked function.
+ * @see Either#match
+ * @example
+ *
+ * const toStatus = Either.match({
+ *   Left: () => 500,
+ *   Right: () => 200
+ * });
+ *
+ * toStatus(Right.from(value));
+ * // => 200
+ */
+Either.match = invokeIn("match");
+
 /**
  * Reduces collection to a value which is the accumulated result of running each value in the <code>values</code>
  * collection through the <code>iteratee</code>, where each successive invocation is supplied the return value of the
@@ -802,6 +1260,23 @@ Either.map = map;
  */
 Either.reduce = reduce;
 
+/**
+ * Collects a collection of {@link Either} values into a single {@link Either} of a collection with the same
+ * shape. Arrays produce arrays and plain objects produce objects with the same keys.
+ * @static
+ * @member
+ * @param {Either[]|Object.<String, Either>} collection - Collection of eithers.
+ * @return {Either} A {@link Right} of the collected values or the first {@link Left}.
+ * @example
+ *
+ * Either.sequence([Right(contents1), Right(contents2)]);
+ * // => Right([contents1, contents2])
+ *
+ * Either.sequence({config: Right(contents1), data: Left(error2)});
+ * // => Left(error2)
+ */
+Either.sequence = collection => Either.traverse(identity, collection);
+
 /**
  * Converts a {@link Either} to a {@link Maybe}. {@link Right} becomes a {@link Just} and {@link Left} becomes
  * {@link Nothing}.
@@ -822,6 +1297,24 @@ Either.reduce = reduce;
  */
 Either.toMaybe = invokeIn("toMaybe");
 
+/**
+ * Passes a {@link Either} to a Node.js style <code>(error, value)</code> callback.
+ * @static
+ * @member
+ * @param {Either} value - Either to pass.
+ * @param {Function} callback - Node.js style callback.
+ * @return {*} Result of the <code>callback</code>.
+ * @see Either#toNodeback
+ * @example
+ *
+ * Either.toNodeback(Right.from(value), callback);
+ * // => callback(null, value)
+ *
+ * Either.toNodeback(Left.from(error), callback);
+ * // => callback(error)
+ */
+Either.toNodeback = invokeWith("toNodeback");
+
 /**
  * Converts a validation to a <code>Promise</code> using the provided <code>Promise</code> implementation.
  * @static
@@ -841,6 +1334,23 @@ Either.toMaybe = invokeIn("toMaybe");
  */
 Either.toPromise = invokeIn("toPromise");
 
+/**
+ * Converts a {@link Either} to a {@link Task} using the provided <code>Task</code> implementation.
+ * @static
+ * @member
+ * @param {Task} task - Task implementation.
+ * @param {Either} value - Either to convert.
+ * @return {Task} {@link Task} of the <code>value</code>.
+ * @example
+ *
+ * Either.toTask(Task, Right.from(value));
+ * // => Task.of(value);
+ *
+ * Either.toTask(Task, Left.from(error));
+ * // => Task.reject(error);
+ */
+Either.toTask = invokeIn("toTask");
+
 /**
  * Converts a {@link Either} to a {@link Validation}. {@link Right} becomes a {@link Success} and {@link Left} becomes
  * {@link Failure}.
@@ -861,6 +1371,30 @@ Either.toPromise = invokeIn("toPromise");
  */
 Either.toValidation = invokeIn("toValidation");
 
+/**
+ * Maps each value in <code>collection</code> to a {@link Either} with <code>iteratee</code> and collects the results
+ * into a single {@link Either} of a collection with the same shape. Arrays produce arrays and plain objects produce
+ * objects with the same keys.
+ * @static
+ * @member
+ * @param {Function} iteratee - Function that maps each value to a {@link Either}.
+ * @param {Array|Object} collection - Collection of values over which to iterate.
+ * @return {Either} A {@link Right} of the collected values or the first {@link Left}.
+ * @example
+ *
+ * // readFileSafe :: String -> Either Error String
+ * Either.traverse(readFileSafe, [filePath1, filePath2]);
+ * // => Right([contents1, contents2])
+ *
+ * Either.traverse(readFileSafe, {config: filePath1, data: missingFilePath});
+ * // => Left(error)
+ */
+Either.traverse = curry((iteratee, collection) => {
+  const eithers = mapCollection(iteratee, collection);
+
+  return find(Either.isLeft, eithers) || Either.of(mapCollection(get("value"), eithers));
+});
+
 /**
  * @extends Either
  * @inheritdoc
@@ -950,14 +1484,26 @@ class Left extends Either {
     throw method(this.value);
   }
 
+  reduce(method, accumulator) {
+    return accumulator;
+  }
+
   toMaybe(maybe) {
     return new maybe.Nothing();
   }
 
+  toNodeback(callback) {
+    return callback(this.value || new Error(`Left(${this.value})`));
+  }
+
   toPromise(promise) {
     return promise.reject(this.value);
   }
 
+  toTask(task) {
+    return task.reject(this.value);
+  }
+
   toString() {
     return `Either.Left(${this.value})`;
   }
@@ -965,6 +1511,10 @@ class Left extends Either {
   toValidation(validation) {
     return new validation.Failure(this.value);
   }
+
+  traverse(Type) {
+    return applicativeOf(Type, this);
+  }
 }
 
 /**
@@ -1056,14 +1606,26 @@ class Right extends Either {
     return this.value;
   }
 
+  reduce(method, accumulator) {
+    return method(accumulator, this.value);
+  }
+
   toMaybe(maybe) {
     return new maybe.Just(this.value);
   }
 
+  toNodeback(callback) {
+    return callback(null, this.value);
+  }
+
   toPromise(promise) {
     return promise.resolve(this.value);
   }
 
+  toTask(task) {
+    return task.of(this.value);
+  }
+
   toString() {
     return `Either.Right(${this.value})`;
   }
@@ -1071,6 +1633,10 @@ class Right extends Either {
   toValidation(validation) {
     return new validation.Success(this.value);
   }
+
+  traverse(Type, method) {
+    return applicativeMap(Right.of, method(this.value));
+  }
 }
 
 module.exports = Either;
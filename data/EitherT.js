@@ -0,0 +1,165 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const Either = include("data/Either");
+const transformer = include("src/transformer");
+
+/**
+ * The {@link EitherT} transformer combines an {@link Either} with another monad, such as a {@link Task} or a
+ * <code>Promise</code>, so that <code>map</code>, <code>chain</code> and <code>ap</code> work across both layers at
+ * once. Given the type representative of the outer monad, it returns a type whose instances wrap an outer monad of an
+ * {@link Either}. The outer monad must provide <code>of</code> (or <code>resolve</code>) and its instances
+ * <code>map</code> and <code>chain</code> (or <code>then</code>).
+ * @param {Object} Monad - Type representative of the outer monad.
+ * @return {Object} {@link EitherT} type for the <code>Monad</code>.
+ * @example <caption>Over Task</caption>
+ *
+ * const TaskEither = EitherT(Task);
+ *
+ * TaskEither.lift(fetchUser(id))
+ *   .chain(user => TaskEither.fromEither(validateUser(user)))
+ *   .map(user => user.name)
+ *   .run();
+ * // => Task.of(Right(name)) or Task.of(Left(error))
+ *
+ * @example <caption>Over Promise</caption>
+ *
+ * const PromiseEither = EitherT(Promise);
+ *
+ * PromiseEither.lift(fetchUser(id)).map(user => user.name).run();
+ * // => Promise(Right(name))
+ */
+const EitherT = Monad => {
+  const operations = transformer(Monad, Either, either => either.isLeft());
+
+  class EitherT {
+    /**
+     * Creates a new {@link EitherT} from a <code>value</code>. If the <code>value</code> is already an instance of the
+     * type, the <code>value</code> is returned unchanged. An {@link Either} is wrapped with {@link EitherT.fromEither}
+     * and any other value with {@link EitherT.of}.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {EitherT} {@link EitherT} for the <code>value</code>.
+     */
+    static from(value) {
+      if (value instanceof EitherT) {
+        return value;
+      }
+
+      return Either.isEither(value) ? EitherT.fromEither(value) : EitherT.of(value);
+    }
+
+    /**
+     * Wraps an {@link Either} in the outer monad.
+     * @static
+     * @member
+     * @param {Either} either - Either to wrap.
+     * @return {EitherT} {@link EitherT} of the <code>either</code>.
+     */
+    static fromEither(either) {
+      return new EitherT(operations.of(either));
+    }
+
+    /**
+     * Lifts an instance of the outer monad by wrapping its value in {@link Right}.
+     * @static
+     * @member
+     * @param {Monad} monad - Instance of the outer monad.
+     * @return {EitherT} {@link EitherT} of the value of the <code>monad</code>.
+     */
+    static lift(monad) {
+      return new EitherT(operations.lift(monad));
+    }
+
+    /**
+     * Wraps a value in {@link Right} and the outer monad.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {EitherT} {@link EitherT} of the <code>value</code>.
+     */
+    static of(value) {
+      return EitherT.fromEither(Either.of(value));
+    }
+
+    constructor(value) {
+      this.value = value;
+    }
+
+    /**
+     * Applies the function of this {@link EitherT} to the value of the <code>other</code> with {@link Either#ap}.
+     * @param {EitherT} other - {@link EitherT} of the value to apply to the function.
+     * @return {EitherT} {@link EitherT} of the result.
+     */
+    ap(other) {
+      return new EitherT(operations.ap(this.value, other.value));
+    }
+
+    /**
+     * Applies the <code>method</code> to the value of {@link Right} and continues with the {@link EitherT} it returns.
+     * {@link Left} is returned without invoking the <code>method</code>.
+     * @param {Chain.<EitherT>} method - The function to invoke with the value.
+     * @return {EitherT} {@link EitherT} returned by the <code>method</code>.
+     */
+    chain(method) {
+      return new EitherT(operations.chain(value => EitherT.from(method(value)).run(), this.value));
+    }
+
+    /**
+     * Maps the value of {@link Right} with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {EitherT} {@link EitherT} of the mapped value.
+     */
+    map(method) {
+      return new EitherT(operations.map(method, this.value));
+    }
+
+    /**
+     * Returns the wrapped outer monad of an {@link Either}.
+     * @return {Monad} Outer monad of an {@link Either}.
+     */
+    run() {
+      return this.value;
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link EitherT#ap} with the arguments flipped.
+     * @param {EitherT} other - {@link EitherT} of the function to apply.
+     * @return {EitherT} {@link EitherT} of the result.
+     * @see EitherT#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link EitherT#chain}.
+     * @param {Chain.<EitherT>} method - The function to invoke with the value.
+     * @return {EitherT} {@link EitherT} returned by the <code>method</code>.
+     * @see EitherT#chain
+     */
+    ["fantasy-land/chain"](method) {
+      return this.chain(method);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link EitherT#map}.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {EitherT} {@link EitherT} of the mapped value.
+     * @see EitherT#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  EitherT["fantasy-land/of"] = EitherT.of;
+
+  return EitherT;
+};
+
+module.exports = EitherT;
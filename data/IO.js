@@ -0,0 +1,190 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const constant = stream.constant;
+
+// Project
+const Either = include("data/Either");
+const Task = include("data/Task");
+
+/**
+ * The {@link IO} type wraps a synchronous side effect, such as reading a file or the clock, without running it. An
+ * {@link IO} is a description of an effect that can be mapped, chained and tested purely, and it only runs when
+ * {@link IO#run} is called, which runs it again every time.
+ * @param {Supplier} effect - Function that performs the effect and returns its result.
+ * @return {IO} {@link IO} of the <code>effect</code>.
+ * @example
+ *
+ * const readConfig = path => new IO(() => fs.readFileSync(path, "utf8")).map(JSON.parse);
+ *
+ * readConfig("config.json").attempt().run();
+ * // => Right(config) or Left(error)
+ */
+class IO {
+  /**
+   * Creates a new {@link IO} from a <code>value</code>. If the <code>value</code> is already an {@link IO} instance,
+   * the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is wrapped with {@link IO.of}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {IO} {@link IO} for the <code>value</code>.
+   * @example
+   *
+   * IO.from(value).run();
+   * // => value
+   */
+  static from(value) {
+    return IO.isIO(value) ? value : IO.of(value);
+  }
+
+  /**
+   * Determines whether or not the value is an {@link IO}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link IO}; <code>false</code> for anything else.
+   * @example
+   *
+   * IO.isIO(IO.of(value));
+   * // => true
+   */
+  static isIO(value) {
+    return value instanceof IO;
+  }
+
+  /**
+   * Creates an {@link IO} without an effect that returns the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to return.
+   * @return {IO} {@link IO} of the <code>value</code>.
+   * @example
+   *
+   * IO.of(value).run();
+   * // => value
+   */
+  static of(value) {
+    return new IO(constant(value));
+  }
+
+  constructor(effect) {
+    this.effect = effect;
+  }
+
+  /**
+   * Applies the function returned by this {@link IO} to the value returned by the <code>other</code>. This effect
+   * runs first.
+   * @param {IO} other - {@link IO} of the value.
+   * @return {IO} {@link IO} of the result.
+   * @example
+   *
+   * IO.of(value => value + 1).ap(IO.of(1)).run();
+   * // => 2
+   */
+  ap(other) {
+    return new IO(() => this.run()(other.run()));
+  }
+
+  /**
+   * Catches exceptions thrown by the effect with {@link Either.try}. The result is returned in a {@link Right} and
+   * the exception in a {@link Left}.
+   * @return {IO} {@link IO} of an {@link Either}.
+   * @example
+   *
+   * new IO(() => JSON.parse("{")).attempt().run();
+   * // => Left(SyntaxError)
+   */
+  attempt() {
+    return new IO(() => Either.try(() => this.run()));
+  }
+
+  /**
+   * Applies the <code>method</code> to the result of the effect and runs the {@link IO} it returns.
+   * @param {Chain.<IO>} method - The function to invoke with the result.
+   * @return {IO} {@link IO} returned by the <code>method</code>.
+   * @example
+   *
+   * readConfig(path).chain(config => new IO(() => fs.writeFileSync(config.output, data))).run();
+   */
+  chain(method) {
+    return new IO(() => IO.from(method(this.run())).run());
+  }
+
+  /**
+   * Maps the result of the effect with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the result.
+   * @return {IO} {@link IO} of the mapped result.
+   * @example
+   *
+   * IO.of(1).map(value => value + 1).run();
+   * // => 2
+   */
+  map(method) {
+    return new IO(() => method(this.run()));
+  }
+
+  /**
+   * Runs the effect. Exceptions thrown by the effect are not caught; see {@link IO#attempt}.
+   * @return {*} Result of the effect.
+   * @example
+   *
+   * new IO(() => Date.now()).run();
+   * // => 1500000000000
+   */
+  run() {
+    return this.effect();
+  }
+
+  /**
+   * Converts the {@link IO} into a {@link Task} that runs the effect when forked. The result resolves the
+   * {@link Task} and an exception rejects it.
+   * @return {Task} {@link Task} of the result.
+   * @example
+   *
+   * readConfig(path).toTask().fork(console.error, console.log);
+   * // => Logs config or error
+   */
+  toTask() {
+    return new Task((reject, resolve) => {
+      this.attempt().run().fold(reject, resolve);
+    });
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link IO#ap} with the arguments flipped.
+   * @param {IO} other - {@link IO} of the function to apply.
+   * @return {IO} {@link IO} of the result.
+   * @see IO#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link IO#chain}.
+   * @param {Chain.<IO>} method - The function to invoke with the result.
+   * @return {IO} {@link IO} returned by the <code>method</code>.
+   * @see IO#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link IO#map}.
+   * @param {Function} method - The function to invoke with the result.
+   * @return {IO} {@link IO} of the mapped result.
+   * @see IO#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+IO["fantasy-land/of"] = IO.of;
+
+module.exports = IO;
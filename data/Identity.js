@@ -0,0 +1,301 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const identity = stream.identity;
+const isEqual = stream.isEqual;
+
+// Project
+const applicativeMap = include("src/applicativeMap");
+
+/**
+ * The {@link Identity} type wraps a value without adding any behaviour. It is the simplest lawful type in the
+ * library, which makes it a reference for the Fantasy Land specifications and the base monad of transformer stacks.
+ * @param {*} value - Value to wrap.
+ * @return {Identity} {@link Identity} of the <code>value</code>.
+ * @example
+ *
+ * Identity.of(1).map(value => value + 1).extract();
+ * // => 2
+ *
+ * const Id = EitherT(Identity);
+ *
+ * Id.of(1).chain(value => Id.fromEither(Left.from(value))).run();
+ * // => Identity(Left(1))
+ */
+class Identity {
+  /**
+   * Creates a new {@link Identity} from a <code>value</code>. If the <code>value</code> is already an
+   * {@link Identity} instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is
+   * wrapped.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {Identity} {@link Identity} for the <code>value</code>.
+   * @example
+   *
+   * Identity.from(value);
+   * // => Identity(value)
+   *
+   * Identity.from(Identity.of(value));
+   * // => Identity(value)
+   */
+  static from(value) {
+    return Identity.isIdentity(value) ? value : Identity.of(value);
+  }
+
+  /**
+   * Determines whether or not the value is an {@link Identity}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Identity}; <code>false</code> for anything else.
+   * @example
+   *
+   * Identity.isIdentity(Identity.of(value));
+   * // => true
+   */
+  static isIdentity(value) {
+    return value instanceof Identity;
+  }
+
+  /**
+   * Wraps the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {Identity} {@link Identity} of the <code>value</code>.
+   * @example
+   *
+   * Identity.of(value);
+   * // => Identity(value)
+   */
+  static of(value) {
+    return new Identity(value);
+  }
+
+  constructor(value) {
+    this.value = value;
+  }
+
+  /**
+   * Applies the function of this {@link Identity} to the value of the <code>other</code>.
+   * @param {Identity} other - {@link Identity} of the value.
+   * @return {Identity} {@link Identity} of the result.
+   * @example
+   *
+   * Identity.of(value => value + 1).ap(Identity.of(1));
+   * // => Identity(2)
+   */
+  ap(other) {
+    return other.map(this.value);
+  }
+
+  /**
+   * Applies the <code>method</code> to the value. A returned value that is not an {@link Identity} is wrapped.
+   * @param {Chain.<Identity>} method - The function to invoke with the value.
+   * @return {Identity} {@link Identity} returned by the <code>method</code>.
+   * @example
+   *
+   * Identity.of(1).chain(value => Identity.of(value + 1));
+   * // => Identity(2)
+   */
+  chain(method) {
+    return Identity.from(method(this.value));
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+   * <strong>not</strong> a reference check.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two values are equal; <code>false</code> if not equal.
+   * @example
+   *
+   * Identity.of(1).equals(Identity.of(1));
+   * // => true
+   */
+  equals(other) {
+    return isEqual(this, other);
+  }
+
+  /**
+   * Applies the <code>method</code> to the instance and wraps the result.
+   * @param {Extend.<Identity>} method - The function to invoke with the instance.
+   * @return {Identity} {@link Identity} of the result.
+   * @example
+   *
+   * Identity.of(1).extend(instance => instance.extract() + 1);
+   * // => Identity(2)
+   */
+  extend(method) {
+    return Identity.of(method(this));
+  }
+
+  /**
+   * Returns the value.
+   * @return {*} Value of the {@link Identity}.
+   * @example
+   *
+   * Identity.of(value).extract();
+   * // => value
+   */
+  extract() {
+    return this.value;
+  }
+
+  /**
+   * Maps the value with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Identity} {@link Identity} of the mapped value.
+   * @example
+   *
+   * Identity.of(1).map(value => value + 1);
+   * // => Identity(2)
+   */
+  map(method) {
+    return Identity.of(method(this.value));
+  }
+
+  /**
+   * Reduces the value with the <code>method</code> and the <code>accumulator</code>.
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @example
+   *
+   * Identity.of(1).reduce((sum, value) => sum + value, 1);
+   * // => 2
+   */
+  reduce(method, accumulator) {
+    return method(accumulator, this.value);
+  }
+
+  /**
+   * Swaps the {@link Identity} with the applicative it contains. Equivalent to {@link Identity#traverse} with
+   * <code>identity</code>.
+   * @param {Object} Type - Type representative of the contained applicative, such as <code>Promise</code>.
+   * @return {*} Applicative wrapped {@link Identity}.
+   * @example
+   *
+   * Identity.of(Promise.resolve(value)).sequence(Promise);
+   * // => Promise.resolve(Identity(value))
+   */
+  sequence(Type) {
+    return this.traverse(Type, identity);
+  }
+
+  /**
+   * Returns a string representation of the {@link Identity}.
+   * @return {String} String representation.
+   * @example
+   *
+   * Identity.of(1).toString();
+   * // => "Identity(1)"
+   */
+  toString() {
+    return `Identity(${this.value})`;
+  }
+
+  /**
+   * Maps the value to an applicative with the <code>method</code> and wraps the value of the applicative in an
+   * {@link Identity}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Identity}.
+   * @example
+   *
+   * Identity.of(id).traverse(Promise, fetchUser);
+   * // => Promise.resolve(Identity(user))
+   */
+  traverse(Type, method) {
+    return applicativeMap(Identity.of, method(this.value));
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#ap} with the arguments flipped.
+   * @param {Identity} other - {@link Identity} of the function to apply.
+   * @return {Identity} {@link Identity} of the result.
+   * @see Identity#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#chain}.
+   * @param {Chain.<Identity>} method - The function to invoke with the value.
+   * @return {Identity} {@link Identity} returned by the <code>method</code>.
+   * @see Identity#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two values are equal; <code>false</code> if not equal.
+   * @see Identity#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#extend}.
+   * @param {Extend.<Identity>} method - The function to invoke with the instance.
+   * @return {Identity} {@link Identity} of the result.
+   * @see Identity#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#extract}.
+   * @return {*} Value of the {@link Identity}.
+   * @see Identity#extract
+   */
+  ["fantasy-land/extract"]() {
+    return this.extract();
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Identity} {@link Identity} of the mapped value.
+   * @see Identity#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#reduce}.
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @see Identity#reduce
+   */
+  ["fantasy-land/reduce"](method, accumulator) {
+    return this.reduce(method, accumulator);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Identity#traverse}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Identity}.
+   * @see Identity#traverse
+   */
+  ["fantasy-land/traverse"](Type, method) {
+    return this.traverse(Type, method);
+  }
+}
+
+Identity["fantasy-land/of"] = Identity.of;
+
+module.exports = Identity;
@@ -12,6 +12,7 @@ const filter = stream.filter;
 const find = stream.find;
 const flow = stream.flow;
 const get = stream.get;
+const identity = stream.identity;
 const isEqual = stream.isEqual;
 const isNull = stream.isNull;
 const isUndefined = stream.isUndefined;
@@ -20,7 +21,12 @@ const negate = stream.negate;
 const reduce = stream.reduce;
 
 // Project
+const applicativeMap = include("src/applicativeMap");
+const applicativeOf = include("src/applicativeOf");
+const assertCases = include("src/assertCases");
 const invokeIn = include("src/invokeIn");
+const mapCollection = include("src/mapCollection");
+const runGenerator = include("src/runGenerator");
 
 /**
  * The {@link Maybe} type is intended for values that may or may not be null or undefined. It is a disjunction similar
@@ -132,6 +138,36 @@ class Maybe {
     return find(Maybe.isJust, maybes) || new Nothing();
   }
 
+  /**
+   * Runs a generator function as a sequence of {@link Maybe#chain} calls. Each yielded {@link Maybe} is unwrapped and
+   * its value is sent back into the generator. The run stops at the first {@link Nothing}, which is returned, and
+   * otherwise the returned value is wrapped in a {@link Just}. Yielded values that are not Maybe instances are
+   * converted with {@link Maybe.from}. The generator is run exactly once and is closed when the run stops early.
+   * @static
+   * @member
+   * @param {Function} generatorFunction - Generator function that yields Maybe instances.
+   * @return {Maybe} First {@link Nothing} or {@link Just} wrapped returned value.
+   * @example
+   *
+   * Maybe.do(function* () {
+   *   const a = yield Just.from(1);
+   *   const b = yield Just.from(a + 1);
+   *
+   *   return a + b;
+   * });
+   * // => Just(3)
+   *
+   * Maybe.do(function* () {
+   *   const a = yield Nothing.from();
+   *
+   *   return doSomething(a); // Not invoked
+   * });
+   * // => Nothing()
+   */
+  static do(generatorFunction) {
+    return runGenerator(Maybe, Maybe.isNothing, generatorFunction);
+  }
+
   /**
    * Creates a new {@link Maybe} from a <code>value</code>. If the <code>value</code> is already a {@link Maybe}
    * instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link Just} is made with the
@@ -158,6 +194,26 @@ class Maybe {
     return this.isMaybe(value) ? value : this.ofNullable(value);
   }
 
+  /**
+   * Converts a <code>Promise</code> to a <code>Promise</code> of a {@link Maybe}. A resolved value is wrapped in a
+   * {@link Just} and a rejection becomes a {@link Nothing}. The returned <code>Promise</code> never rejects. This is
+   * the inverse of {@link Maybe#toPromise}.
+   * @static
+   * @member
+   * @param {Promise} promise - <code>Promise</code> to convert.
+   * @return {Promise} <code>Promise</code> of the {@link Maybe}.
+   * @example
+   *
+   * Maybe.fromPromise(Promise.resolve(value));
+   * // => Promise(Just(value))
+   *
+   * Maybe.fromPromise(Promise.reject(error));
+   * // => Promise(Nothing())
+   */
+  static fromPromise(promise) {
+    return Promise.resolve(promise).then(Just.from, () => Nothing.from());
+  }
+
   /**
    * Determines whether or not the value is a {@link Just}.
    * @static
@@ -308,6 +364,24 @@ class Maybe {
     }
   }
 
+  /**
+   * Tries to invoke an asynchronous <code>supplier</code> such as an <code>async</code> function. The value that the
+   * <code>supplier</code> resolves with is wrapped in a {@link Just}. If the <code>supplier</code> throws or the
+   * <code>Promise</code> it returns rejects, the result is a {@link Nothing}. Unlike {@link Maybe.try}, the pending
+   * <code>Promise</code> is never wrapped.
+   * @static
+   * @member
+   * @param {Supplier} supplier - Function to invoke.
+   * @return {Promise} <code>Promise</code> of the {@link Maybe}.
+   * @example
+   *
+   * Maybe.tryAsync(() => fetchUser(id));
+   * // => Promise(Just(user)) or Promise(Nothing())
+   */
+  static tryAsync(method) {
+    return Maybe.fromPromise(new Promise(resolve => resolve(method())));
+  }
+
   constructor(value) {
     this.value = value;
   }
@@ -334,6 +408,13 @@ class Maybe {
    *   .ifJust(console.log); // => Log Person.find() response
    */
 
+  /**
+   * @see Maybe#match
+   */
+  cata(cases) {
+    return this.match(cases);
+  }
+
   /**
    * Applies the provided function to the value contained for a {@link Just}. The function should return the value
    * wrapped in a {@link Maybe}. If the instance is a {@link Nothing}, the function is ignored and then instance is
@@ -408,6 +489,30 @@ class Maybe {
    *   .extend(processResponse);
    */
 
+  /**
+   * Returns the result of invoking the first function for a {@link Nothing} or applying the second function to the
+   * value of a {@link Just}. Both functions are required even though only one is invoked.
+   * @param {Function} nothingMap - The function to invoke for a {@link Nothing}.
+   * @param {Function} justMap - The function to invoke with the value of a {@link Just}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If either function is missing.
+   * @example <caption>Just#fold</caption>
+   *
+   * Just.from(value).fold(nothingMap, justMap);
+   * // => justMap(value)
+   *
+   * @example <caption>Nothing#fold</caption>
+   *
+   * Nothing.from().fold(nothingMap, justMap);
+   * // => nothingMap()
+   */
+  fold(nothingMap, justMap) {
+    return this.match({
+      Nothing: nothingMap,
+      Just: justMap
+    });
+  }
+
   /**
    * Returns the value if the instance is a {@link Just} otherwise the <code>null</code>.
    * @function get
@@ -522,6 +627,36 @@ class Maybe {
    * // => Nothing()
    */
 
+  /**
+   * Returns the result of applying the function of the matching case in <code>cases</code> to the value. Every case
+   * must be given a function; a missing case throws a <code>TypeError</code> when called, even if it is not the case
+   * that matches.
+   * @param {Object} cases - Functions keyed by case name.
+   * @param {Function} cases.Nothing - The function to invoke for a {@link Nothing}.
+   * @param {Function} cases.Just - The function to invoke with the value of a {@link Just}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If a case is missing.
+   * @example
+   *
+   * const format = maybe => maybe.match({
+   *   Nothing: () => "none",
+   *   Just: value => `${value}`
+   * });
+   *
+   * format(Just.from(value));
+   * // => `${value}`
+   *
+   * Nothing.from().match({
+   *   Just: value => `${value}`
+   * });
+   * // => TypeError("Missing a function for the \"Nothing\" case of Maybe")
+   */
+  match(cases) {
+    assertCases("Maybe", ["Nothing", "Just"], cases);
+
+    return this.isJust() ? cases.Just(this.value) : cases.Nothing();
+  }
+
   /**
    * @see Maybe.ofNullable
    */
@@ -588,6 +723,46 @@ class Maybe {
    * Nothing.from().orElseThrow(createException); // throw createException()
    */
 
+  /**
+   * Folds the {@link Maybe} into a single value. For a {@link Just}, the <code>method</code> is invoked with the
+   * <code>accumulator</code> and the value. For a {@link Nothing}, the <code>accumulator</code> is returned unchanged.
+   * @abstract
+   * @function reduce
+   * @memberof Maybe
+   * @instance
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @example <caption>Just#reduce</caption>
+   *
+   * Just.from(2).reduce((sum, value) => sum + value, 1);
+   * // => 3
+   *
+   * @example <caption>Nothing#reduce</caption>
+   *
+   * Nothing.from().reduce((sum, value) => sum + value, 1);
+   * // => 1
+   */
+
+  /**
+   * Swaps the {@link Maybe} with the applicative it contains. Equivalent to {@link Maybe#traverse} with
+   * <code>identity</code>.
+   * @param {Object} Type - Type representative of the contained applicative, such as <code>Promise</code>.
+   * @return {*} Applicative wrapped {@link Maybe}.
+   * @example <caption>Just#sequence</caption>
+   *
+   * Just.from(Promise.resolve(value)).sequence(Promise);
+   * // => Promise.resolve(Just(value))
+   *
+   * @example <caption>Nothing#sequence</caption>
+   *
+   * Nothing.from().sequence(Promise);
+   * // => Promise.resolve(Nothing())
+   */
+  sequence(Type) {
+    return this.traverse(Type, identity);
+  }
+
   /**
    * Converts the {@link Maybe} to an {@link Either}. {@link Just} becomes a {@link Right} and {@link Nothing} becomes a
    * {@link Left}.
@@ -635,6 +810,26 @@ class Maybe {
    * // => Promise.reject(null);
    */
 
+  /**
+   * Converts the Maybe to a {@link Task} using the provided <code>Task</code> implementation. {@link Just} becomes a
+   * resolved {@link Task} and {@link Nothing} becomes a rejected {@link Task}.
+   * @abstract
+   * @function toTask
+   * @memberof Maybe
+   * @instance
+   * @param {Task} task - Task implementation.
+   * @return {Task} {@link Task} of the <code>value</code>.
+   * @example <caption>Just#toTask</caption>
+   *
+   * Just.from(value).toTask(Task);
+   * // => Task.of(value);
+   *
+   * @example <caption>Nothing#toTask</caption>
+   *
+   * Nothing.from().toTask(Task);
+   * // => Task.reject(null);
+   */
+
   /**
    * Returns a <code>String</code> representation of the {@link Maybe}.
    * @abstract
@@ -676,8 +871,122 @@ class Maybe {
    * Nothing.from().toValidation(Validation);
    * // => Validation.Failure([null]);
    */
+
+  /**
+   * Applies the provided function to the value contained for a {@link Just}. The function should return the value
+   * wrapped in the applicative described by <code>Type</code>, the result of which is mapped back into a
+   * {@link Just}. If the instance is a {@link Nothing}, it is wrapped in <code>Type</code> unchanged.
+   * @abstract
+   * @function traverse
+   * @memberof Maybe
+   * @instance
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Maybe}.
+   * @example <caption>Just#traverse</caption>
+   *
+   * Just.from(filePath).traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Just(contents))
+   *
+   * @example <caption>Nothing#traverse</caption>
+   *
+   * Nothing.from().traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Nothing())
+   */
+
+  /**
+   * Fantasy Land compatible form of {@link Maybe#ap}. As the specification requires, the instance provides the value
+   * and the <code>other</code> {@link Maybe} provides the function, which is the reverse of {@link Maybe#ap}.
+   * @param {Maybe} other - {@link Maybe} wrapped function to apply to the value of the instance.
+   * @return {Maybe} {@link Just} wrapped applied function or {@link Nothing}.
+   * @example
+   *
+   * Just.from(value)["fantasy-land/ap"](Just.from(method));
+   * // => Just(method(value))
+   *
+   * Just.from(value)["fantasy-land/ap"](Nothing.from());
+   * // => Nothing()
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#chain}.
+   * @param {Chain.<Maybe>} method - The function to invoke with the value.
+   * @return {Maybe} {@link Maybe} wrapped value returned by the provided <code>method</code>.
+   * @see Maybe#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two Maybes are equal; <code>false</code> if not equal.
+   * @see Maybe#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#extend}.
+   * @param {Extend.<Maybe>} method - The function to invoke with the instance.
+   * @return {Maybe}
+   * @see Maybe#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Maybe} {@link Maybe} wrapped value mapped with the provided <code>method</code>.
+   * @see Maybe#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#reduce}.
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @see Maybe#reduce
+   */
+  ["fantasy-land/reduce"](method, accumulator) {
+    return this.reduce(method, accumulator);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Maybe#traverse}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Maybe}.
+   * @see Maybe#traverse
+   */
+  ["fantasy-land/traverse"](Type, method) {
+    return this.traverse(Type, method);
+  }
 }
 
+/**
+ * Fantasy Land compatible alias of {@link Maybe.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to wrap.
+ * @return {Just} {@link Just} wrapped <code>value</code>.
+ * @example
+ *
+ * Maybe["fantasy-land/of"](value);
+ * // => Just(value)
+ */
+Maybe["fantasy-land/of"] = Maybe.of;
+
 /**
  * Iterates over a collection of maybes and invokes the <code>iteratee</code> for each {@link Maybe}. The
  * <code>iteratee</code> is invoked with one argument: <code>(value)</code>. Iteratee functions may exit iteration
@@ -751,6 +1060,26 @@ Maybe.equals = isEqual;
  */
 Maybe.filter = filter;
 
+/**
+ * Returns the result of invoking <code>nothingMap</code> for a {@link Nothing} or applying <code>justMap</code> to the
+ * value of a {@link Just}.
+ * @static
+ * @member
+ * @param {Function} nothingMap - The function to invoke for a {@link Nothing}.
+ * @param {Function} justMap - The function to invoke with the value of a {@link Just}.
+ * @param {Maybe} value - Maybe to fold.
+ * @return {*} Result of the invoked function.
+ * @see Maybe#fold
+ * @example
+ *
+ * // Using lodash/fp/constant
+ * const countAll = Maybe.fold(constant(0), constant(1));
+ *
+ * countAll(Just.from(value));
+ * // => 1
+ */
+Maybe.fold = curry((nothingMap, justMap, value) => value.fold(nothingMap, justMap));
+
 /**
  * Creates an array of values by invoking {@link Maybe#map} with the <code>iteratee</code> for each {@link Maybe} in the
  * collection. The iteratee is invoked with one argument: <code>(value)</code>.
@@ -795,6 +1124,26 @@ Maybe.mapIn = curry((iteratee, values) => map(invokeIn("map", iteratee), values)
  */
 Maybe.map = map;
 
+/**
+ * Returns the result of applying the function of the matching case in <code>cases</code> to the value.
+ * @static
+ * @member
+ * @param {Object} cases - Functions keyed by case name.
+ * @param {Maybe} value - Maybe to match.
+ * @return {*} Result of the invoked function.
+ * @see Maybe#match
+ * @example
+ *
+ * const toStatus = Maybe.match({
+ *   Nothing: () => 404,
+ *   Just: () => 200
+ * });
+ *
+ * toStatus(Just.from(value));
+ * // => 200
+ */
+Maybe.match = invokeIn("match");
+
 /**
  * Reduces collection to a value which is the accumulated result of running each value in the <code>values</code>
  * collection through the <code>iteratee</code>, where each successive invocation is supplied the return value of the
@@ -824,6 +1173,23 @@ Maybe.map = map;
  */
 Maybe.reduce = reduce;
 
+/**
+ * Collects a collection of {@link Maybe} values into a single {@link Maybe} of a collection with the same
+ * shape. Arrays produce arrays and plain objects produce objects with the same keys.
+ * @static
+ * @member
+ * @param {Maybe[]|Object.<String, Maybe>} collection - Collection of maybes.
+ * @return {Maybe} A {@link Just} of the collected values or {@link Nothing}.
+ * @example
+ *
+ * Maybe.sequence([Just(value1), Just(value2)]);
+ * // => Just([value1, value2])
+ *
+ * Maybe.sequence({a: Just(value1), b: Nothing()});
+ * // => Nothing()
+ */
+Maybe.sequence = collection => Maybe.traverse(identity, collection);
+
 /**
  * Converts a {@link Maybe} to a {@link Either}. {@link Just} becomes a {@link Right} and {@link Nothing} becomes a
  * {@link Left}.
@@ -863,6 +1229,23 @@ Maybe.toEither = invokeIn("toEither");
  */
 Maybe.toPromise = invokeIn("toPromise");
 
+/**
+ * Converts a {@link Maybe} to a {@link Task} using the provided <code>Task</code> implementation.
+ * @static
+ * @member
+ * @param {Task} task - Task implementation.
+ * @param {Maybe} value - Maybe to convert.
+ * @return {Task} {@link Task} of the <code>value</code>.
+ * @example
+ *
+ * Maybe.toTask(Task, Just.from(value));
+ * // => Task.of(value);
+ *
+ * Maybe.toTask(Task, Nothing.from());
+ * // => Task.reject(null);
+ */
+Maybe.toTask = invokeIn("toTask");
+
 /**
  * Converts a {@link Maybe} to a {@link Validation}. {@link Just} becomes a {@link Success} and {@link Nothing} becomes
  * a {@link Failure}.
@@ -883,6 +1266,30 @@ Maybe.toPromise = invokeIn("toPromise");
  */
 Maybe.toValidation = invokeIn("toValidation");
 
+/**
+ * Maps each value in <code>collection</code> to a {@link Maybe} with <code>iteratee</code> and collects the results
+ * into a single {@link Maybe} of a collection with the same shape. Arrays produce arrays and plain objects produce
+ * objects with the same keys.
+ * @static
+ * @member
+ * @param {Function} iteratee - Function that maps each value to a {@link Maybe}.
+ * @param {Array|Object} collection - Collection of values over which to iterate.
+ * @return {Maybe} A {@link Just} of the collected values or {@link Nothing}.
+ * @example
+ *
+ * // getArbitraryProperty :: Object -> Maybe *
+ * Maybe.traverse(getArbitraryProperty, [context1, context2]);
+ * // => Just([value1, value2])
+ *
+ * Maybe.traverse(getArbitraryProperty, {a: context1, b: emptyContext});
+ * // => Nothing()
+ */
+Maybe.traverse = curry((iteratee, collection) => {
+  const maybes = mapCollection(iteratee, collection);
+
+  return find(Maybe.isNothing, maybes) || Maybe.of(mapCollection(get("value"), maybes));
+});
+
 /**
  * @extends Maybe
  * @inheritdoc
@@ -964,6 +1371,10 @@ class Just extends Maybe {
     return this.value;
   }
 
+  reduce(method, accumulator) {
+    return method(accumulator, this.value);
+  }
+
   toEither(either) {
     return new either.Right(this.value);
   }
@@ -972,6 +1383,10 @@ class Just extends Maybe {
     return promise.resolve(this.value);
   }
 
+  toTask(task) {
+    return task.of(this.value);
+  }
+
   toString() {
     return `Maybe.Just(${this.value})`;
   }
@@ -979,6 +1394,10 @@ class Just extends Maybe {
   toValidation(validation) {
     return new validation.Success(this.value);
   }
+
+  traverse(Type, method) {
+    return applicativeMap(Just.of, method(this.value));
+  }
 }
 
 /**
@@ -1062,6 +1481,10 @@ class Nothing extends Maybe {
     throw method();
   }
 
+  reduce(method, accumulator) {
+    return accumulator;
+  }
+
   toEither(either) {
     return new either.Left(this.value);
   }
@@ -1070,6 +1493,10 @@ class Nothing extends Maybe {
     return promise.reject(this.value);
   }
 
+  toTask(task) {
+    return task.reject(this.value);
+  }
+
   toString() {
     return "Maybe.Nothing(null)";
   }
@@ -1077,6 +1504,10 @@ class Nothing extends Maybe {
   toValidation(validation) {
     return new validation.Failure(this.value);
   }
+
+  traverse(Type) {
+    return applicativeOf(Type, this);
+  }
 }
 
 module.exports = Maybe;
@@ -0,0 +1,176 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const Maybe = include("data/Maybe");
+const transformer = include("src/transformer");
+
+/**
+ * The {@link MaybeT} transformer combines a {@link Maybe} with another monad, such as a {@link Task} or a
+ * <code>Promise</code>, so that <code>map</code>, <code>chain</code> and <code>ap</code> work across both layers at
+ * once. Given the type representative of the outer monad, it returns a type whose instances wrap an outer monad of a
+ * {@link Maybe}. The outer monad must provide <code>of</code> (or <code>resolve</code>) and its instances
+ * <code>map</code> and <code>chain</code> (or <code>then</code>).
+ * @param {Object} Monad - Type representative of the outer monad.
+ * @return {Object} {@link MaybeT} type for the <code>Monad</code>.
+ * @example <caption>Over Task</caption>
+ *
+ * const TaskMaybe = MaybeT(Task);
+ *
+ * TaskMaybe.lift(fetchUser(id))
+ *   .chain(user => TaskMaybe.fromMaybe(validateUser(user)))
+ *   .map(user => user.name)
+ *   .run();
+ * // => Task.of(Just(name)) or Task.of(Nothing())
+ *
+ * @example <caption>Over Promise</caption>
+ *
+ * const PromiseMaybe = MaybeT(Promise);
+ *
+ * PromiseMaybe.lift(fetchUser(id)).map(user => user.name).run();
+ * // => Promise(Just(name))
+ */
+const MaybeT = Monad => {
+  const operations = transformer(Monad, Maybe, maybe => maybe.isNothing());
+
+  class MaybeT {
+    /**
+     * Creates a new {@link MaybeT} from a <code>value</code>. If the <code>value</code> is already an instance of the
+     * type, the <code>value</code> is returned unchanged. A {@link Maybe} is wrapped with {@link MaybeT.fromMaybe} and
+     * any other value with {@link MaybeT.of}.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {MaybeT} {@link MaybeT} for the <code>value</code>.
+     */
+    static from(value) {
+      if (value instanceof MaybeT) {
+        return value;
+      }
+
+      return Maybe.isMaybe(value) ? MaybeT.fromMaybe(value) : MaybeT.of(value);
+    }
+
+    /**
+     * Wraps an {@link Either} in the outer monad as a {@link Maybe}.
+     * @static
+     * @member
+     * @param {Either} either - Either to convert and wrap.
+     * @return {MaybeT} {@link MaybeT} of the converted <code>either</code>.
+     */
+    static fromEither(either) {
+      return MaybeT.fromMaybe(either.toMaybe(Maybe));
+    }
+
+    /**
+     * Wraps a {@link Maybe} in the outer monad.
+     * @static
+     * @member
+     * @param {Maybe} maybe - Maybe to wrap.
+     * @return {MaybeT} {@link MaybeT} of the <code>maybe</code>.
+     */
+    static fromMaybe(maybe) {
+      return new MaybeT(operations.of(maybe));
+    }
+
+    /**
+     * Lifts an instance of the outer monad by wrapping its value in {@link Just}.
+     * @static
+     * @member
+     * @param {Monad} monad - Instance of the outer monad.
+     * @return {MaybeT} {@link MaybeT} of the value of the <code>monad</code>.
+     */
+    static lift(monad) {
+      return new MaybeT(operations.lift(monad));
+    }
+
+    /**
+     * Wraps a value in {@link Just} and the outer monad.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {MaybeT} {@link MaybeT} of the <code>value</code>.
+     */
+    static of(value) {
+      return MaybeT.fromMaybe(Maybe.of(value));
+    }
+
+    constructor(value) {
+      this.value = value;
+    }
+
+    /**
+     * Applies the function of this {@link MaybeT} to the value of the <code>other</code> with {@link Maybe#ap}.
+     * @param {MaybeT} other - {@link MaybeT} of the value to apply to the function.
+     * @return {MaybeT} {@link MaybeT} of the result.
+     */
+    ap(other) {
+      return new MaybeT(operations.ap(this.value, other.value));
+    }
+
+    /**
+     * Applies the <code>method</code> to the value of {@link Just} and continues with the {@link MaybeT} it returns.
+     * {@link Nothing} is returned without invoking the <code>method</code>.
+     * @param {Chain.<MaybeT>} method - The function to invoke with the value.
+     * @return {MaybeT} {@link MaybeT} returned by the <code>method</code>.
+     */
+    chain(method) {
+      return new MaybeT(operations.chain(value => MaybeT.from(method(value)).run(), this.value));
+    }
+
+    /**
+     * Maps the value of {@link Just} with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {MaybeT} {@link MaybeT} of the mapped value.
+     */
+    map(method) {
+      return new MaybeT(operations.map(method, this.value));
+    }
+
+    /**
+     * Returns the wrapped outer monad of a {@link Maybe}.
+     * @return {Monad} Outer monad of a {@link Maybe}.
+     */
+    run() {
+      return this.value;
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link MaybeT#ap} with the arguments flipped.
+     * @param {MaybeT} other - {@link MaybeT} of the function to apply.
+     * @return {MaybeT} {@link MaybeT} of the result.
+     * @see MaybeT#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link MaybeT#chain}.
+     * @param {Chain.<MaybeT>} method - The function to invoke with the value.
+     * @return {MaybeT} {@link MaybeT} returned by the <code>method</code>.
+     * @see MaybeT#chain
+     */
+    ["fantasy-land/chain"](method) {
+      return this.chain(method);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link MaybeT#map}.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {MaybeT} {@link MaybeT} of the mapped value.
+     * @see MaybeT#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  MaybeT["fantasy-land/of"] = MaybeT.of;
+
+  return MaybeT;
+};
+
+module.exports = MaybeT;
@@ -0,0 +1,380 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const identity = stream.identity;
+const isEqual = stream.isEqual;
+
+// Project
+const applicativeAp = include("src/applicativeAp");
+const applicativeMap = include("src/applicativeMap");
+const Maybe = include("data/Maybe");
+
+/**
+ * The {@link NonEmptyList} type is a list with at least one element, a <code>head</code>, followed by any number of
+ * elements, the <code>tail</code>. An empty list cannot be constructed, so functions such as
+ * {@link NonEmptyList#extract} never have to handle a missing element. Arrays that may be empty are converted with
+ * {@link NonEmptyList.fromArray}, which returns a {@link Maybe}.
+ * @param {*} head - First element.
+ * @param {Array} [tail=[]] - Remaining elements.
+ * @return {NonEmptyList} {@link NonEmptyList} of the elements.
+ * @example
+ *
+ * const reasons = new NonEmptyList("name is required", ["age must be a number"]);
+ *
+ * reasons.extract();
+ * // => "name is required"
+ *
+ * NonEmptyList.fromArray([]);
+ * // => Nothing()
+ */
+class NonEmptyList {
+  /**
+   * Creates a new {@link NonEmptyList} from a <code>value</code>. If the <code>value</code> is already a
+   * {@link NonEmptyList} instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is
+   * wrapped with {@link NonEmptyList.of}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {NonEmptyList} {@link NonEmptyList} for the <code>value</code>.
+   * @example
+   *
+   * NonEmptyList.from(value);
+   * // => NonEmptyList(value)
+   */
+  static from(value) {
+    return NonEmptyList.isNonEmptyList(value) ? value : NonEmptyList.of(value);
+  }
+
+  /**
+   * Converts an <code>array</code> to a {@link NonEmptyList}. An empty <code>array</code> has no
+   * {@link NonEmptyList}, so the result is a {@link Maybe}.
+   * @static
+   * @member
+   * @param {Array} array - Array to convert.
+   * @return {Maybe} {@link Just} of the {@link NonEmptyList} or {@link Nothing} for an empty <code>array</code>.
+   * @example
+   *
+   * NonEmptyList.fromArray([1, 2]);
+   * // => Just(NonEmptyList(1, 2))
+   *
+   * NonEmptyList.fromArray([]);
+   * // => Nothing()
+   */
+  static fromArray(array) {
+    return array.length > 0 ?
+      Maybe.Just.from(new NonEmptyList(array[0], array.slice(1))) :
+      Maybe.Nothing.from();
+  }
+
+  /**
+   * Determines whether or not the value is a {@link NonEmptyList}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link NonEmptyList}; <code>false</code> for anything else.
+   * @example
+   *
+   * NonEmptyList.isNonEmptyList(NonEmptyList.of(value));
+   * // => true
+   */
+  static isNonEmptyList(value) {
+    return value instanceof NonEmptyList;
+  }
+
+  /**
+   * Creates a {@link NonEmptyList} of a single <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Only element.
+   * @return {NonEmptyList} {@link NonEmptyList} of the <code>value</code>.
+   * @example
+   *
+   * NonEmptyList.of(value);
+   * // => NonEmptyList(value)
+   */
+  static of(value) {
+    return new NonEmptyList(value, []);
+  }
+
+  constructor(head, tail) {
+    this.head = head;
+    this.tail = tail || [];
+  }
+
+  /**
+   * Applies every function of this {@link NonEmptyList} to every element of the <code>other</code>.
+   * @param {NonEmptyList} other - {@link NonEmptyList} of the elements.
+   * @return {NonEmptyList} {@link NonEmptyList} of the results.
+   * @example
+   *
+   * new NonEmptyList(value => value + 1, [value => value * 2]).ap(new NonEmptyList(1, [2]));
+   * // => NonEmptyList(2, 3, 2, 4)
+   */
+  ap(other) {
+    return this.chain(method => other.map(method));
+  }
+
+  /**
+   * Applies the <code>method</code> to every element and concatenates the lists it returns.
+   * @param {Chain.<NonEmptyList>} method - The function to invoke with each element.
+   * @return {NonEmptyList} {@link NonEmptyList} of the concatenated lists.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).chain(value => new NonEmptyList(value, [value * 10]));
+   * // => NonEmptyList(1, 10, 2, 20)
+   */
+  chain(method) {
+    const lists = this.toArray().map(value => NonEmptyList.from(method(value)));
+
+    return lists.slice(1).reduce((result, list) => result.concat(list), lists[0]);
+  }
+
+  /**
+   * Concatenates the elements of the <code>other</code> {@link NonEmptyList} to the elements of this one.
+   * @param {NonEmptyList} other - Other {@link NonEmptyList}.
+   * @return {NonEmptyList} {@link NonEmptyList} of every element.
+   * @example
+   *
+   * NonEmptyList.of(1).concat(new NonEmptyList(2, [3]));
+   * // => NonEmptyList(1, 2, 3)
+   */
+  concat(other) {
+    return new NonEmptyList(this.head, this.tail.concat(other.toArray()));
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+   * <strong>not</strong> a reference check.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two lists are equal; <code>false</code> if not equal.
+   * @example
+   *
+   * NonEmptyList.of(1).equals(NonEmptyList.of(1));
+   * // => true
+   */
+  equals(other) {
+    return isEqual(this, other);
+  }
+
+  /**
+   * Applies the <code>method</code> to the list and to every one of its suffixes.
+   * @param {Extend.<NonEmptyList>} method - The function to invoke with each suffix.
+   * @return {NonEmptyList} {@link NonEmptyList} of the results.
+   * @example
+   *
+   * new NonEmptyList(1, [2, 3]).extend(list => list.reduce((sum, value) => sum + value, 0));
+   * // => NonEmptyList(6, 5, 3)
+   */
+  extend(method) {
+    const suffixes = this.tail.map((value, index) => new NonEmptyList(value, this.tail.slice(index + 1)));
+
+    return new NonEmptyList(method(this), suffixes.map(suffix => method(suffix)));
+  }
+
+  /**
+   * Returns the first element.
+   * @return {*} First element.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).extract();
+   * // => 1
+   */
+  extract() {
+    return this.head;
+  }
+
+  /**
+   * Maps every element with the <code>method</code>.
+   * @param {Function} method - The function to invoke with each element.
+   * @return {NonEmptyList} {@link NonEmptyList} of the mapped elements.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).map(value => value + 1);
+   * // => NonEmptyList(2, 3)
+   */
+  map(method) {
+    return new NonEmptyList(method(this.head), this.tail.map(value => method(value)));
+  }
+
+  /**
+   * Reduces the elements from first to last with the <code>method</code> and the <code>accumulator</code>.
+   * @param {Reduction} method - The function to invoke with the accumulator and each element.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).reduce((sum, value) => sum + value, 0);
+   * // => 3
+   */
+  reduce(method, accumulator) {
+    return this.toArray().reduce((result, value) => method(result, value), accumulator);
+  }
+
+  /**
+   * Swaps the {@link NonEmptyList} with the applicative it contains. Equivalent to {@link NonEmptyList#traverse}
+   * with <code>identity</code>.
+   * @param {Object} Type - Type representative of the contained applicative, such as <code>Promise</code>.
+   * @return {*} Applicative wrapped {@link NonEmptyList}.
+   * @example
+   *
+   * new NonEmptyList(Promise.resolve(1), [Promise.resolve(2)]).sequence(Promise);
+   * // => Promise.resolve(NonEmptyList(1, 2))
+   */
+  sequence(Type) {
+    return this.traverse(Type, identity);
+  }
+
+  /**
+   * Returns the number of elements, which is at least one.
+   * @return {Number} Number of elements.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).size();
+   * // => 2
+   */
+  size() {
+    return this.tail.length + 1;
+  }
+
+  /**
+   * Converts the {@link NonEmptyList} to an array of its elements.
+   * @return {Array} Elements of the {@link NonEmptyList}.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).toArray();
+   * // => [1, 2]
+   */
+  toArray() {
+    return [this.head].concat(this.tail);
+  }
+
+  /**
+   * Returns a string representation of the {@link NonEmptyList}.
+   * @return {String} String representation.
+   * @example
+   *
+   * new NonEmptyList(1, [2]).toString();
+   * // => "NonEmptyList(1, 2)"
+   */
+  toString() {
+    return `NonEmptyList(${this.toArray().join(", ")})`;
+  }
+
+  /**
+   * Maps every element to an applicative with the <code>method</code> and combines the applicatives into one
+   * applicative of a {@link NonEmptyList}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with each element.
+   * @return {*} Applicative wrapped {@link NonEmptyList}.
+   * @example
+   *
+   * new NonEmptyList(id1, [id2]).traverse(Task, fetchUser);
+   * // => Task.of(NonEmptyList(user1, user2))
+   */
+  traverse(Type, method) {
+    const prepend = value => list => new NonEmptyList(value, list.toArray());
+    const last = applicativeMap(NonEmptyList.of, method(this.toArray()[this.tail.length]));
+    const init = this.toArray().slice(0, this.tail.length);
+
+    return init.reduceRight((result, value) => applicativeAp(applicativeMap(prepend, method(value)), result), last);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#ap} with the arguments flipped.
+   * @param {NonEmptyList} other - {@link NonEmptyList} of the functions to apply.
+   * @return {NonEmptyList} {@link NonEmptyList} of the results.
+   * @see NonEmptyList#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#chain}.
+   * @param {Chain.<NonEmptyList>} method - The function to invoke with each element.
+   * @return {NonEmptyList} {@link NonEmptyList} of the concatenated lists.
+   * @see NonEmptyList#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#concat}.
+   * @param {NonEmptyList} other - Other {@link NonEmptyList}.
+   * @return {NonEmptyList} {@link NonEmptyList} of every element.
+   * @see NonEmptyList#concat
+   */
+  ["fantasy-land/concat"](other) {
+    return this.concat(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two lists are equal; <code>false</code> if not equal.
+   * @see NonEmptyList#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#extend}.
+   * @param {Extend.<NonEmptyList>} method - The function to invoke with each suffix.
+   * @return {NonEmptyList} {@link NonEmptyList} of the results.
+   * @see NonEmptyList#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#extract}.
+   * @return {*} First element.
+   * @see NonEmptyList#extract
+   */
+  ["fantasy-land/extract"]() {
+    return this.extract();
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#map}.
+   * @param {Function} method - The function to invoke with each element.
+   * @return {NonEmptyList} {@link NonEmptyList} of the mapped elements.
+   * @see NonEmptyList#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#reduce}.
+   * @param {Reduction} method - The function to invoke with the accumulator and each element.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @see NonEmptyList#reduce
+   */
+  ["fantasy-land/reduce"](method, accumulator) {
+    return this.reduce(method, accumulator);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link NonEmptyList#traverse}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with each element.
+   * @return {*} Applicative wrapped {@link NonEmptyList}.
+   * @see NonEmptyList#traverse
+   */
+  ["fantasy-land/traverse"](Type, method) {
+    return this.traverse(Type, method);
+  }
+}
+
+NonEmptyList["fantasy-land/of"] = NonEmptyList.of;
+
+module.exports = NonEmptyList;
@@ -0,0 +1,224 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const constant = stream.constant;
+const identity = stream.identity;
+
+// Project
+const invokeIn = include("src/invokeIn");
+
+/**
+ * The {@link Reader} type describes a computation that depends on an environment, such as configuration or feature
+ * flags. The environment is given once when the computation is run instead of being passed through every call.
+ * @param {Function} computation - Function that takes the environment and returns the value.
+ * @return {Reader} {@link Reader} of the <code>computation</code>.
+ * @example
+ *
+ * const discount = Reader.asks(config => config.discount);
+ * const price = amount => discount.map(rate => amount * (1 - rate));
+ *
+ * price(100).run({discount: 0.25});
+ * // => 75
+ */
+class Reader {
+  /**
+   * Creates a {@link Reader} that returns the environment.
+   * @static
+   * @member
+   * @return {Reader} {@link Reader} of the environment.
+   * @example
+   *
+   * Reader.ask().run(env);
+   * // => env
+   */
+  static ask() {
+    return new Reader(identity);
+  }
+
+  /**
+   * Creates a {@link Reader} that returns the result of <code>method</code> applied to the environment.
+   * @static
+   * @member
+   * @param {Function} method - The function to invoke with the environment.
+   * @return {Reader} {@link Reader} of the result.
+   * @example
+   *
+   * Reader.asks(config => config.discount).run({discount: 0.25});
+   * // => 0.25
+   */
+  static asks(method) {
+    return new Reader(method);
+  }
+
+  /**
+   * Creates a new {@link Reader} from a <code>value</code>. If the <code>value</code> is already a {@link Reader}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is wrapped with
+   * {@link Reader.of}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {Reader} {@link Reader} for the <code>value</code>.
+   * @example
+   *
+   * Reader.from(value).run(env);
+   * // => value
+   */
+  static from(value) {
+    return Reader.isReader(value) ? value : Reader.of(value);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Reader}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Reader}; <code>false</code> for anything else.
+   * @example
+   *
+   * Reader.isReader(Reader.of(value));
+   * // => true
+   */
+  static isReader(value) {
+    return value instanceof Reader;
+  }
+
+  /**
+   * Creates a {@link Reader} that ignores the environment and returns the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to return.
+   * @return {Reader} {@link Reader} of the <code>value</code>.
+   * @example
+   *
+   * Reader.of(value).run(env);
+   * // => value
+   */
+  static of(value) {
+    return new Reader(constant(value));
+  }
+
+  constructor(computation) {
+    this.computation = computation;
+  }
+
+  /**
+   * Applies the function of this {@link Reader} to the value of the <code>other</code>. Both run with the same
+   * environment.
+   * @param {Reader} other - {@link Reader} of the value.
+   * @return {Reader} {@link Reader} of the result.
+   * @example
+   *
+   * Reader.asks(config => amount => amount * config.rate).ap(Reader.of(100)).run({rate: 0.5});
+   * // => 50
+   */
+  ap(other) {
+    return new Reader(env => this.run(env)(other.run(env)));
+  }
+
+  /**
+   * Applies the <code>method</code> to the value and runs the {@link Reader} it returns with the same environment.
+   * @param {Chain.<Reader>} method - The function to invoke with the value.
+   * @return {Reader} {@link Reader} returned by the <code>method</code>.
+   * @example
+   *
+   * Reader.asks(config => config.plan).chain(plan => Reader.asks(config => config.prices[plan])).run(config);
+   * // => config.prices[config.plan]
+   */
+  chain(method) {
+    return new Reader(env => Reader.from(method(this.run(env))).run(env));
+  }
+
+  /**
+   * Runs this {@link Reader} with the environment modified by <code>method</code>. Useful for running a computation
+   * that needs only part of the environment.
+   * @param {Function} method - The function to invoke with the environment.
+   * @return {Reader} {@link Reader} of the modified environment.
+   * @example
+   *
+   * Reader.asks(flags => flags.beta).local(config => config.flags).run({flags: {beta: true}});
+   * // => true
+   */
+  local(method) {
+    return new Reader(env => this.run(method(env)));
+  }
+
+  /**
+   * Maps the value with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Reader} {@link Reader} of the mapped value.
+   * @example
+   *
+   * Reader.of(1).map(value => value + 1).run(env);
+   * // => 2
+   */
+  map(method) {
+    return new Reader(env => method(this.run(env)));
+  }
+
+  /**
+   * Runs the computation with the <code>env</code>.
+   * @param {*} env - Environment.
+   * @return {*} Value of the computation.
+   * @example
+   *
+   * Reader.asks(config => config.discount).run({discount: 0.25});
+   * // => 0.25
+   */
+  run(env) {
+    return this.computation(env);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Reader#ap} with the arguments flipped.
+   * @param {Reader} other - {@link Reader} of the function to apply.
+   * @return {Reader} {@link Reader} of the result.
+   * @see Reader#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Reader#chain}.
+   * @param {Chain.<Reader>} method - The function to invoke with the value.
+   * @return {Reader} {@link Reader} returned by the <code>method</code>.
+   * @see Reader#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Reader#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Reader} {@link Reader} of the mapped value.
+   * @see Reader#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+Reader["fantasy-land/of"] = Reader.of;
+
+/**
+ * Runs the <code>reader</code> with the <code>env</code>.
+ * @static
+ * @member
+ * @param {*} env - Environment.
+ * @param {Reader} reader - Reader to run.
+ * @return {*} Value of the computation.
+ * @example
+ *
+ * const runWithConfig = Reader.run(config);
+ *
+ * runWithConfig(Reader.asks(config => config.discount));
+ * // => config.discount
+ */
+Reader.run = invokeIn("run");
+
+module.exports = Reader;
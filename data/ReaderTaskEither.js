@@ -0,0 +1,296 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const constant = stream.constant;
+
+// Project
+const Either = include("data/Either");
+const EitherT = include("data/EitherT");
+const invokeIn = include("src/invokeIn");
+const Task = include("data/Task");
+
+// Project Aliases
+const Left = Either.Left;
+const Right = Either.Right;
+const TaskEither = EitherT(Task);
+
+/**
+ * Runs the <code>reader</code> with the <code>env</code> and wraps the resulting {@link Task} of an {@link Either} so
+ * that both layers can be mapped and chained at once.
+ * @private
+ * @param {ReaderTaskEither} reader - Reader to run.
+ * @param {*} env - Environment.
+ * @return {EitherT} {@link EitherT} over {@link Task} of the outcome.
+ */
+const toTaskEither = (reader, env) => new TaskEither(reader.run(env));
+
+/**
+ * The {@link ReaderTaskEither} type describes an asynchronous computation that depends on an environment, such as
+ * configuration, a logger or database handles, and ends in an {@link Either}. Nothing happens until the computation
+ * is run with an environment, which returns a {@link Task} of an {@link Either}. Tests can run the same computation
+ * with a fake environment instead of stubbing modules.
+ * @param {Function} computation - Function that takes the environment and returns a {@link Task} of an
+ * {@link Either}.
+ * @return {ReaderTaskEither} {@link ReaderTaskEither} of the <code>computation</code>.
+ * @example
+ *
+ * const findUser = id => ReaderTaskEither.ask()
+ *   .chain(env => ReaderTaskEither.fromTask(Task.fromPromise(() => env.db.findUser(id))));
+ *
+ * const greetUser = id => findUser(id)
+ *   .chain(user => ReaderTaskEither.asks(env => `${env.config.greeting}, ${user.name}`));
+ *
+ * greetUser(1).run({config, db}).toPromise(Promise);
+ * // => Promise(Right("Hello, Jane")) or Promise(Left(error))
+ */
+class ReaderTaskEither {
+  /**
+   * Creates a {@link ReaderTaskEither} that returns the environment in a {@link Right}.
+   * @static
+   * @member
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the environment.
+   * @example
+   *
+   * ReaderTaskEither.ask().run(env);
+   * // => Task.of(Right(env))
+   */
+  static ask() {
+    return new ReaderTaskEither(env => Task.of(Right.from(env)));
+  }
+
+  /**
+   * Creates a {@link ReaderTaskEither} that returns the result of <code>method</code> applied to the environment in a
+   * {@link Right}.
+   * @static
+   * @member
+   * @param {Function} method - The function to invoke with the environment.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the result.
+   * @example
+   *
+   * ReaderTaskEither.asks(env => env.config).run({config});
+   * // => Task.of(Right(config))
+   */
+  static asks(method) {
+    return ReaderTaskEither.ask().map(method);
+  }
+
+  /**
+   * Creates a new {@link ReaderTaskEither} from a <code>value</code>. If the <code>value</code> is already a
+   * {@link ReaderTaskEither} instance, the <code>value</code> is returned unchanged. An {@link Either} is wrapped with
+   * {@link ReaderTaskEither.fromEither}, a {@link Task} with {@link ReaderTaskEither.fromTask} and any other value
+   * with {@link ReaderTaskEither.of}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} for the <code>value</code>.
+   * @example
+   *
+   * ReaderTaskEither.from(Left.from(error)).run(env);
+   * // => Task.of(Left(error))
+   */
+  static from(value) {
+    if (ReaderTaskEither.isReaderTaskEither(value)) {
+      return value;
+    }
+
+    if (Either.isEither(value)) {
+      return ReaderTaskEither.fromEither(value);
+    }
+
+    return Task.isTask(value) ? ReaderTaskEither.fromTask(value) : ReaderTaskEither.of(value);
+  }
+
+  /**
+   * Creates a {@link ReaderTaskEither} that ignores the environment and returns the <code>either</code>.
+   * @static
+   * @member
+   * @param {Either} either - Outcome of the computation.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the <code>either</code>.
+   * @example
+   *
+   * ReaderTaskEither.fromEither(Left.from(error)).run(env);
+   * // => Task.of(Left(error))
+   */
+  static fromEither(either) {
+    return new ReaderTaskEither(constant(Task.of(either)));
+  }
+
+  /**
+   * Creates a {@link ReaderTaskEither} that ignores the environment and runs the <code>task</code>. The resolution
+   * becomes a {@link Right} and the rejection becomes a {@link Left}.
+   * @static
+   * @member
+   * @param {Task} task - Task to run.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the outcome of the <code>task</code>.
+   * @example
+   *
+   * ReaderTaskEither.fromTask(Task.reject(error)).run(env);
+   * // => Task.of(Left(error))
+   */
+  static fromTask(task) {
+    return new ReaderTaskEither(constant(new Task((reject, resolve) => task.fork(
+      error => resolve(Left.from(error)),
+      value => resolve(Right.from(value))
+    ))));
+  }
+
+  /**
+   * Determines whether or not the value is a {@link ReaderTaskEither}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link ReaderTaskEither}; <code>false</code> for anything else.
+   * @example
+   *
+   * ReaderTaskEither.isReaderTaskEither(ReaderTaskEither.of(value));
+   * // => true
+   */
+  static isReaderTaskEither(value) {
+    return value instanceof ReaderTaskEither;
+  }
+
+  /**
+   * Creates a {@link ReaderTaskEither} that ignores the environment and returns the <code>value</code> in a
+   * {@link Right}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the <code>value</code>.
+   * @example
+   *
+   * ReaderTaskEither.of(value).run(env);
+   * // => Task.of(Right(value))
+   */
+  static of(value) {
+    return ReaderTaskEither.fromEither(Right.from(value));
+  }
+
+  constructor(computation) {
+    this.computation = computation;
+  }
+
+  /**
+   * Applies the function of this {@link ReaderTaskEither} to the value of the <code>other</code>. Both run with the
+   * same environment and the first {@link Left} is returned.
+   * @param {ReaderTaskEither} other - {@link ReaderTaskEither} of the value.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the result.
+   * @example
+   *
+   * ReaderTaskEither.of(value => value + 1).ap(ReaderTaskEither.of(1)).run(env);
+   * // => Task.of(Right(2))
+   */
+  ap(other) {
+    return new ReaderTaskEither(env => toTaskEither(this, env).ap(toTaskEither(other, env)).run());
+  }
+
+  /**
+   * Applies the <code>method</code> to the value of {@link Right} and continues with the {@link ReaderTaskEither} it
+   * returns, which runs with the same environment. {@link Left} is returned without invoking the <code>method</code>.
+   * @param {Chain.<ReaderTaskEither>} method - The function to invoke with the value.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} returned by the <code>method</code>.
+   * @example
+   *
+   * findUser(id).chain(user => findOrders(user.id)).run(env);
+   * // => Task.of(Right(orders)) or Task.of(Left(error))
+   */
+  chain(method) {
+    return new ReaderTaskEither(env => toTaskEither(this, env)
+      .chain(value => toTaskEither(ReaderTaskEither.from(method(value)), env))
+      .run()
+    );
+  }
+
+  /**
+   * Runs this {@link ReaderTaskEither} with the environment modified by <code>method</code>. Useful for running a
+   * computation that needs only part of the environment.
+   * @param {Function} method - The function to invoke with the environment.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the modified environment.
+   * @example
+   *
+   * findUser(id).local(env => env.users).run({users});
+   * // => findUser(id).run(users)
+   */
+  local(method) {
+    return new ReaderTaskEither(env => this.run(method(env)));
+  }
+
+  /**
+   * Maps the value of {@link Right} with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the mapped value.
+   * @example
+   *
+   * ReaderTaskEither.of(1).map(value => value + 1).run(env);
+   * // => Task.of(Right(2))
+   */
+  map(method) {
+    return new ReaderTaskEither(env => toTaskEither(this, env).map(method).run());
+  }
+
+  /**
+   * Runs the computation with the <code>env</code>.
+   * @param {*} env - Environment.
+   * @return {Task} {@link Task} of an {@link Either}.
+   * @example
+   *
+   * greetUser(id).run(env).toPromise(Promise);
+   * // => Promise(Right(greeting)) or Promise(Left(error))
+   */
+  run(env) {
+    return this.computation(env);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ReaderTaskEither#ap} with the arguments flipped.
+   * @param {ReaderTaskEither} other - {@link ReaderTaskEither} of the function to apply.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the result.
+   * @see ReaderTaskEither#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ReaderTaskEither#chain}.
+   * @param {Chain.<ReaderTaskEither>} method - The function to invoke with the value.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} returned by the <code>method</code>.
+   * @see ReaderTaskEither#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ReaderTaskEither#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {ReaderTaskEither} {@link ReaderTaskEither} of the mapped value.
+   * @see ReaderTaskEither#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+ReaderTaskEither["fantasy-land/of"] = ReaderTaskEither.of;
+
+/**
+ * Runs the <code>reader</code> with the <code>env</code>.
+ * @static
+ * @member
+ * @param {*} env - Environment.
+ * @param {ReaderTaskEither} reader - Reader to run.
+ * @return {Task} {@link Task} of an {@link Either}.
+ * @example
+ *
+ * const runWithEnv = ReaderTaskEither.run(env);
+ *
+ * runWithEnv(greetUser(id));
+ * // => Task.of(Right(greeting))
+ */
+ReaderTaskEither.run = invokeIn("run");
+
+module.exports = ReaderTaskEither;
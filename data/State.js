@@ -0,0 +1,315 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const invokeIn = include("src/invokeIn");
+
+/**
+ * Runs the <code>computation</code> with the <code>state</code>. Chained computations are unwound onto an explicit
+ * stack of methods and run in a loop.
+ * @private
+ * @param {State} computation - Computation to run.
+ * @param {*} state - Initial state.
+ * @return {Array} <code>[value, state]</code> pair of the value and the final state.
+ */
+const run = (computation, state) => {
+  const methods = [];
+  let current = computation;
+  let result = [undefined, state];
+
+  while (current) {
+    if (current.method) {
+      methods.push(current.method);
+      current = current.previous;
+    } else {
+      result = current.computation(result[1]);
+      current = methods.length > 0 ? State.from(methods.pop()(result[0])) : null;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * The {@link State} type describes a computation that reads and updates a state while producing a value. The state is
+ * given once when the computation is run and threaded through every step instead of being passed around by hand.
+ * Chained computations run in a loop rather than by recursion, so long chains do not overflow the stack.
+ * @param {Function} computation - Function that takes the state and returns a <code>[value, state]</code> pair.
+ * @return {State} {@link State} of the <code>computation</code>.
+ * @example
+ *
+ * const nextId = State.get().chain(id => State.put(id + 1).map(() => `id-${id}`));
+ *
+ * nextId.chain(first => nextId.map(second => [first, second])).runState(1);
+ * // => [["id-1", "id-2"], 3]
+ */
+class State {
+  /**
+   * Creates a new {@link State} from a <code>value</code>. If the <code>value</code> is already a {@link State}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is wrapped with
+   * {@link State.of}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {State} {@link State} for the <code>value</code>.
+   * @example
+   *
+   * State.from(value).evalState(state);
+   * // => value
+   */
+  static from(value) {
+    return State.isState(value) ? value : State.of(value);
+  }
+
+  /**
+   * Creates a {@link State} whose value is the state.
+   * @static
+   * @member
+   * @return {State} {@link State} of the state.
+   * @example
+   *
+   * State.get().runState(1);
+   * // => [1, 1]
+   */
+  static get() {
+    return new State(state => [state, state]);
+  }
+
+  /**
+   * Creates a {@link State} whose value is the result of <code>method</code> applied to the state.
+   * @static
+   * @member
+   * @param {Function} method - The function to invoke with the state.
+   * @return {State} {@link State} of the result.
+   * @example
+   *
+   * State.gets(stack => stack.length).runState([1, 2]);
+   * // => [2, [1, 2]]
+   */
+  static gets(method) {
+    return new State(state => [method(state), state]);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link State}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link State}; <code>false</code> for anything else.
+   * @example
+   *
+   * State.isState(State.of(value));
+   * // => true
+   */
+  static isState(value) {
+    return value instanceof State;
+  }
+
+  /**
+   * Creates a {@link State} that replaces the state with the result of <code>method</code> applied to the state.
+   * @static
+   * @member
+   * @param {Function} method - The function to invoke with the state.
+   * @return {State} {@link State} of the modified state.
+   * @example
+   *
+   * State.modify(count => count + 1).execState(1);
+   * // => 2
+   */
+  static modify(method) {
+    return new State(state => [undefined, method(state)]);
+  }
+
+  /**
+   * Creates a {@link State} that leaves the state unchanged and returns the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to return.
+   * @return {State} {@link State} of the <code>value</code>.
+   * @example
+   *
+   * State.of(value).runState(state);
+   * // => [value, state]
+   */
+  static of(value) {
+    return new State(state => [value, state]);
+  }
+
+  /**
+   * Creates a {@link State} that replaces the state with the <code>state</code>.
+   * @static
+   * @member
+   * @param {*} state - New state.
+   * @return {State} {@link State} of the new state.
+   * @example
+   *
+   * State.put(2).execState(1);
+   * // => 2
+   */
+  static put(state) {
+    return new State(() => [undefined, state]);
+  }
+
+  constructor(computation, previous, method) {
+    this.computation = computation;
+    this.method = method;
+    this.previous = previous;
+  }
+
+  /**
+   * Applies the function of this {@link State} to the value of the <code>other</code>, which runs with the state left
+   * by this {@link State}.
+   * @param {State} other - {@link State} of the value.
+   * @return {State} {@link State} of the result.
+   * @example
+   *
+   * State.of(value => value + 1).ap(State.get()).runState(1);
+   * // => [2, 1]
+   */
+  ap(other) {
+    return this.chain(method => State.from(other).map(method));
+  }
+
+  /**
+   * Applies the <code>method</code> to the value and runs the {@link State} it returns with the updated state.
+   * @param {Chain.<State>} method - The function to invoke with the value.
+   * @return {State} {@link State} returned by the <code>method</code>.
+   * @example
+   *
+   * State.get().chain(count => State.put(count + 1)).execState(1);
+   * // => 2
+   */
+  chain(method) {
+    return new State(null, this, method);
+  }
+
+  /**
+   * Runs the computation with the <code>state</code> and returns the value.
+   * @param {*} state - Initial state.
+   * @return {*} Value of the computation.
+   * @example
+   *
+   * State.gets(count => count * 2).evalState(2);
+   * // => 4
+   */
+  evalState(state) {
+    return this.runState(state)[0];
+  }
+
+  /**
+   * Runs the computation with the <code>state</code> and returns the final state.
+   * @param {*} state - Initial state.
+   * @return {*} Final state.
+   * @example
+   *
+   * State.modify(count => count * 2).execState(2);
+   * // => 4
+   */
+  execState(state) {
+    return this.runState(state)[1];
+  }
+
+  /**
+   * Maps the value with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {State} {@link State} of the mapped value.
+   * @example
+   *
+   * State.get().map(count => count + 1).runState(1);
+   * // => [2, 1]
+   */
+  map(method) {
+    return this.chain(value => State.of(method(value)));
+  }
+
+  /**
+   * Runs the computation with the <code>state</code>. The call stack does not grow with the length of the chain.
+   * @param {*} state - Initial state.
+   * @return {Array} <code>[value, state]</code> pair of the value and the final state.
+   * @example
+   *
+   * State.get().chain(count => State.put(count + 1)).runState(1);
+   * // => [undefined, 2]
+   */
+  runState(state) {
+    return run(this, state);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link State#ap} with the arguments flipped.
+   * @param {State} other - {@link State} of the function to apply.
+   * @return {State} {@link State} of the result.
+   * @see State#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link State#chain}.
+   * @param {Chain.<State>} method - The function to invoke with the value.
+   * @return {State} {@link State} returned by the <code>method</code>.
+   * @see State#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link State#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {State} {@link State} of the mapped value.
+   * @see State#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+State["fantasy-land/of"] = State.of;
+
+/**
+ * Runs the <code>computation</code> with the <code>state</code> and returns the value.
+ * @static
+ * @member
+ * @param {*} state - Initial state.
+ * @param {State} computation - Computation to run.
+ * @return {*} Value of the computation.
+ * @example
+ *
+ * State.evalState(1, State.gets(count => count + 1));
+ * // => 2
+ */
+State.evalState = invokeIn("evalState");
+
+/**
+ * Runs the <code>computation</code> with the <code>state</code> and returns the final state.
+ * @static
+ * @member
+ * @param {*} state - Initial state.
+ * @param {State} computation - Computation to run.
+ * @return {*} Final state.
+ * @example
+ *
+ * State.execState(1, State.modify(count => count + 1));
+ * // => 2
+ */
+State.execState = invokeIn("execState");
+
+/**
+ * Runs the <code>computation</code> with the <code>state</code>.
+ * @static
+ * @member
+ * @param {*} state - Initial state.
+ * @param {State} computation - Computation to run.
+ * @return {Array} <code>[value, state]</code> pair of the value and the final state.
+ * @example
+ *
+ * State.runState(1, State.get());
+ * // => [1, 1]
+ */
+State.runState = invokeIn("runState");
+
+module.exports = State;
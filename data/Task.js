@@ -0,0 +1,671 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const curry = stream.curry;
+const each = stream.each;
+const isFunction = stream.isFunction;
+const map = stream.map;
+const noop = stream.noop;
+const values = stream.values;
+
+// Project
+const Either = include("data/Either");
+const invokeIn = include("src/invokeIn");
+
+/**
+ * Invokes the <code>method</code> with the <code>value</code> and passes the result to <code>resolve</code>. An error
+ * thrown by the <code>method</code> is passed to <code>reject</code> instead of escaping into the computation, where
+ * it could be lost in a <code>Promise</code> callback.
+ * @private
+ * @param {Function} method - The function to invoke with the value.
+ * @param {*} value - Value to pass to the <code>method</code>.
+ * @param {Consumer} reject - The function to invoke with a thrown error.
+ * @param {Consumer} resolve - The function to invoke with the result.
+ */
+const settleWith = (method, value, reject, resolve) => {
+  let result;
+
+  try {
+    result = method(value);
+  } catch (error) {
+    reject(error);
+
+    return;
+  }
+
+  resolve(result);
+};
+
+/**
+ * The {@link Task} type is intended for lazy, cancellable asynchronous computations. Unlike a <code>Promise</code>,
+ * nothing happens when a {@link Task} is created. The computation only starts when the {@link Task} is forked and
+ * every fork starts it again. The computation is a function that takes <code>reject</code> and <code>resolve</code>
+ * callbacks and may return a function that cancels it.
+ * @param {Function} computation - Function of <code>(reject, resolve)</code> that may return a canceller.
+ * @return {Task} {@link Task} of the <code>computation</code>.
+ * @example <caption>Via <code>new</code></caption>
+ *
+ * const delay = (ms, value) => new Task((reject, resolve) => {
+ *   const timer = setTimeout(() => resolve(value), ms);
+ *
+ *   return () => clearTimeout(timer);
+ * });
+ *
+ * @example <caption>Via function</caption>
+ *
+ * const t1 = Task.of(value);
+ * const t2 = Task.reject(error);
+ * const t3 = Task.fromPromise(() => fetch(url));
+ *
+ * @example <caption>Forking</caption>
+ *
+ * const cancel = delay(1000, "done").map(toUpper).fork(console.error, console.log);
+ * // => Logs "DONE" after a second unless cancel() is called first
+ */
+class Task {
+  /**
+   * Returns a {@link Task} that runs all of the tasks in the collection in parallel and resolves with all of their
+   * values in the same order. The first rejection rejects the {@link Task} and cancels all of the other tasks.
+   * @static
+   * @member
+   * @param {Task[]} tasks - Collection of tasks.
+   * @return {Task} A {@link Task} of all of the values or the first rejection.
+   * @example
+   *
+   * Task.all([Task.of(value1), Task.of(value2)]);
+   * // => Task.of([value1, value2])
+   *
+   * Task.all([Task.of(value1), Task.reject(error1), Task.reject(error2)]);
+   * // => Task.reject(error1)
+   */
+  static all(tasks) {
+    return new Task((reject, resolve) => {
+      const cancellers = [];
+      const results = [];
+      let remaining = tasks.length;
+      let settled = false;
+      const cancel = () => each(canceller => canceller(), cancellers);
+
+      if (remaining === 0) {
+        resolve(results);
+      }
+
+      tasks.forEach((task, index) => {
+        if (!settled) {
+          cancellers.push(task.fork(error => {
+            settled = true;
+            cancel();
+            reject(error);
+          }, value => {
+            results[index] = value;
+            remaining -= 1;
+
+            if (remaining === 0) {
+              settled = true;
+              resolve(results);
+            }
+          }));
+        }
+      });
+
+      return cancel;
+    });
+  }
+
+  /**
+   * Runs a generator function for do-notation. Each yielded {@link Task} is run and its value is sent back into the
+   * generator. The first rejection, or an error thrown by the generator, rejects the {@link Task} and otherwise the
+   * {@link Task} resolves with the returned value. Yielded values that are not tasks are converted with
+   * {@link Task.from}. A new generator is made every time the {@link Task} is forked so that it is never replayed.
+   * Rejecting and cancelling close the generator so that its <code>finally</code> blocks run, and cancelling also
+   * cancels the running step. Steps that settle synchronously are run in a loop so that long runs do not grow the
+   * stack.
+   * @static
+   * @member
+   * @param {Function} generatorFunction - Generator function that yields tasks.
+   * @return {Task} {@link Task} of the returned value.
+   * @example
+   *
+   * Task.do(function* () {
+   *   const user = yield fetchUser(id);
+   *   const posts = yield fetchPosts(user);
+   *
+   *   return {user, posts};
+   * });
+   * // => Task.of({user, posts})
+   */
+  static do(generatorFunction) {
+    return new Task((reject, resolve) => {
+      const iterator = generatorFunction();
+      let cancelStep = noop;
+      let input;
+      let pending = true;
+      let running = false;
+      const close = () => {
+        if (isFunction(iterator.return)) {
+          iterator.return();
+        }
+      };
+
+      const fail = error => {
+        try {
+          close();
+        } catch (closeError) {
+          // The error of the step is reported rather than an error thrown while closing the generator.
+        }
+
+        reject(error);
+      };
+
+      const step = () => {
+        let result;
+
+        try {
+          result = iterator.next(input);
+        } catch (error) {
+          reject(error);
+
+          return;
+        }
+
+        if (result.done) {
+          resolve(result.value);
+        } else {
+          cancelStep = Task.from(result.value).fork(fail, value => {
+            input = value;
+            pending = true;
+            run();
+          });
+        }
+      };
+
+      const run = () => {
+        // Steps that settle synchronously re-enter here; the loop already in progress sends their value on.
+        if (running) {
+          return;
+        }
+
+        running = true;
+
+        while (pending) {
+          pending = false;
+          step();
+        }
+
+        running = false;
+      };
+
+      run();
+
+      return () => {
+        cancelStep();
+        close();
+      };
+    });
+  }
+
+  /**
+   * Creates a new {@link Task} from a <code>value</code>. If the <code>value</code> is already a {@link Task}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, a new resolved {@link Task} is made with the
+   * <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap in a {@link Task}.
+   * @return {Task} {@link Task} when is the <code>value</code> already wrapped or resolved {@link Task} of the
+   * <code>value</code>.
+   * @example
+   *
+   * Task.from(value);
+   * // => Task.of(value)
+   *
+   * Task.from(Task.reject(error));
+   * // => Task.reject(error)
+   */
+  static from(value) {
+    return Task.isTask(value) ? value : Task.of(value);
+  }
+
+  /**
+   * Creates a {@link Task} from a <code>Promise</code>. When given a function that returns a <code>Promise</code>,
+   * the function is not invoked until the {@link Task} is forked, which keeps the side effects lazy. Promises cannot
+   * be cancelled, so cancelling the {@link Task} only ignores the outcome.
+   * @static
+   * @member
+   * @param {Supplier|Promise} value - Function that returns a <code>Promise</code> or a <code>Promise</code>.
+   * @return {Task} {@link Task} of the outcome of the <code>Promise</code>.
+   * @example
+   *
+   * const fetchUser = id => Task.fromPromise(() => fetch(`/users/${id}`));
+   */
+  static fromPromise(value) {
+    return new Task((reject, resolve) => {
+      try {
+        (isFunction(value) ? value() : value).then(resolve, reject);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Task}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Task}; <code>false</code> for anything else.
+   * @example
+   *
+   * isTask();
+   * // => false
+   *
+   * isTask(Promise.resolve(value));
+   * // => false
+   *
+   * isTask(Task.of(value));
+   * // => true
+   */
+  static isTask(value) {
+    return value instanceof Task;
+  }
+
+  /**
+   * Creates a {@link Task} that resolves with the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to resolve.
+   * @return {Task} Resolved {@link Task}.
+   * @example
+   *
+   * Task.of(value).fork(console.error, console.log);
+   * // => Logs value
+   */
+  static of(value) {
+    return new Task((reject, resolve) => resolve(value));
+  }
+
+  /**
+   * Returns a {@link Task} that settles like the first task in the collection to settle. All of the other tasks are
+   * cancelled.
+   * @static
+   * @member
+   * @param {Task[]} tasks - Collection of tasks.
+   * @return {Task} A {@link Task} of the first outcome.
+   * @example
+   *
+   * Task.race([delay(100, value1), delay(10, value2)]);
+   * // => Task.of(value2)
+   */
+  static race(tasks) {
+    return new Task((reject, resolve) => {
+      const cancellers = [];
+      let settled = false;
+      const cancel = () => each(canceller => canceller(), cancellers);
+      const settle = method => value => {
+        settled = true;
+        cancel();
+        method(value);
+      };
+
+      tasks.forEach(task => {
+        if (!settled) {
+          cancellers.push(task.fork(settle(reject), settle(resolve)));
+        }
+      });
+
+      return cancel;
+    });
+  }
+
+  /**
+   * Creates a {@link Task} that rejects with the <code>error</code>.
+   * @static
+   * @member
+   * @param {*} error - Error to reject.
+   * @return {Task} Rejected {@link Task}.
+   * @example
+   *
+   * Task.reject(error).fork(console.error, console.log);
+   * // => Logs error
+   */
+  static reject(error) {
+    return new Task(reject => reject(error));
+  }
+
+  /**
+   * Returns a {@link Task} that runs all of the tasks in the collection in parallel and resolves with the outcome of
+   * every task as an {@link Either} in the same order. Rejections become a {@link Left} and resolutions become a
+   * {@link Right}, so the {@link Task} never rejects.
+   * @static
+   * @member
+   * @param {Task[]} tasks - Collection of tasks.
+   * @return {Task} A {@link Task} of every outcome.
+   * @example
+   *
+   * Task.settle([Task.of(value1), Task.reject(error1)]);
+   * // => Task.of([Right(value1), Left(error1)])
+   */
+  static settle(tasks) {
+    return Task.all(map(task => new Task((reject, resolve) => task.fork(
+      error => resolve(Either.Left.from(error)),
+      value => resolve(Either.Right.from(value))
+    )), tasks));
+  }
+
+  constructor(computation) {
+    this.computation = computation;
+  }
+
+  /**
+   * Applies the function resolved by the instance to the value resolved by the <code>other</code>
+   * {@link Task}. Both tasks run in parallel and the first rejection cancels the other.
+   * @param {Task} other - Task of the value.
+   * @return {Task} {@link Task} of the applied function.
+   * @example
+   *
+   * Task.of(value => value + 1).ap(Task.of(1));
+   * // => Task.of(2)
+   */
+  ap(other) {
+    return Task.all([this, other]).map(results => results[0](results[1]));
+  }
+
+  /**
+   * Maps the rejection with <code>rejectMap</code> or the resolution with <code>resolveMap</code>. An error thrown by
+   * either function rejects the {@link Task}.
+   * @param {Function} rejectMap - The function to invoke with the error.
+   * @param {Function} resolveMap - The function to invoke with the value.
+   * @return {Task} {@link Task} of the mapped outcome.
+   * @example
+   *
+   * Task.reject(error).bimap(toMessage, identity);
+   * // => Task.reject(toMessage(error))
+   */
+  bimap(rejectMap, resolveMap) {
+    return new Task((reject, resolve) => this.fork(
+      error => settleWith(rejectMap, error, reject, reject),
+      value => settleWith(resolveMap, value, reject, resolve)
+    ));
+  }
+
+  /**
+   * Chains the resolved value into the {@link Task} returned by <code>method</code>. Values that are not a
+   * {@link Task} are resolved as is and an error thrown by <code>method</code> rejects the {@link Task}. Cancelling the
+   * result cancels whichever of the tasks is running.
+   * @param {Chain.<Task>} method - The function to invoke with the value.
+   * @return {Task} {@link Task} returned by the provided <code>method</code>.
+   * @example
+   *
+   * Task.of(id).chain(fetchUser);
+   * // => Task of the user
+   */
+  chain(method) {
+    return new Task((reject, resolve) => {
+      let cancelNext = noop;
+      const cancel = this.fork(reject, value => settleWith(method, value, reject, result => {
+        cancelNext = Task.from(result).fork(reject, resolve);
+      }));
+
+      return () => {
+        cancel();
+        cancelNext();
+      };
+    });
+  }
+
+  /**
+   * Starts the computation. At most one of <code>reject</code> or <code>resolve</code> is invoked, at most once, and
+   * neither is invoked after the returned canceller has been called.
+   * @param {Consumer} reject - The function to invoke with the error.
+   * @param {Consumer} resolve - The function to invoke with the value.
+   * @return {Callable} Function that cancels the computation.
+   * @example
+   *
+   * const cancel = Task.fromPromise(() => fetch(url)).fork(console.error, console.log);
+   *
+   * cancel();
+   * // => Logs nothing
+   */
+  fork(reject, resolve) {
+    let open = true;
+    const settle = method => value => {
+      if (open) {
+        open = false;
+        method(value);
+      }
+    };
+
+    const cancel = this.computation(settle(reject), settle(resolve));
+
+    return () => {
+      if (open) {
+        open = false;
+
+        if (isFunction(cancel)) {
+          cancel();
+        }
+      }
+    };
+  }
+
+  /**
+   * Maps the resolved value with <code>method</code>. An error thrown by <code>method</code> rejects the {@link Task}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Task} {@link Task} of the mapped value.
+   * @example
+   *
+   * Task.of(1).map(value => value + 1);
+   * // => Task.of(2)
+   */
+  map(method) {
+    return new Task((reject, resolve) => this.fork(reject, value => settleWith(method, value, reject, resolve)));
+  }
+
+  /**
+   * Converts the {@link Task} to a <code>Promise</code> using the provided <code>Promise</code> implementation. The
+   * {@link Task} is forked immediately.
+   * @param {Promise} promise - Promise implementation.
+   * @return {Promise} <code>Promise</code> of the outcome.
+   * @example
+   *
+   * Task.of(value).toPromise(Promise);
+   * // => Promise.resolve(value)
+   */
+  toPromise(promise) {
+    const PromiseImplementation = promise;
+
+    return new PromiseImplementation((resolve, reject) => this.fork(reject, resolve));
+  }
+
+  /**
+   * Returns a <code>String</code> representation of the {@link Task}.
+   * @return {String} <code>String</code> representation.
+   * @example
+   *
+   * Task.of(value).toString();
+   * // => "Task"
+   */
+  toString() {
+    return "Task";
+  }
+
+  /**
+   * Fantasy Land compatible form of {@link Task#ap}. As the specification requires, the instance provides the value
+   * and <code>other</code> provides the function.
+   * @param {Task} other - Task of the function.
+   * @return {Task} {@link Task} of the applied function.
+   * @see Task#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Task#bimap}.
+   * @param {Function} rejectMap - The function to invoke with the error.
+   * @param {Function} resolveMap - The function to invoke with the value.
+   * @return {Task} {@link Task} of the mapped outcome.
+   * @see Task#bimap
+   */
+  ["fantasy-land/bimap"](rejectMap, resolveMap) {
+    return this.bimap(rejectMap, resolveMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Task#chain}.
+   * @param {Chain.<Task>} method - The function to invoke with the value.
+   * @return {Task} {@link Task} returned by the provided <code>method</code>.
+   * @see Task#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Task#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Task} {@link Task} of the mapped value.
+   * @see Task#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+/**
+ * Fantasy Land compatible alias of {@link Task.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to resolve.
+ * @return {Task} Resolved {@link Task}.
+ * @example
+ *
+ * Task["fantasy-land/of"](value);
+ * // => Task.of(value)
+ */
+Task["fantasy-land/of"] = Task.of;
+
+/**
+ * Returns a {@link Task} that runs the tasks in the collection with at most <code>limit</code> of them running at a
+ * time and resolves with all of their values in the same order. The first rejection rejects the {@link Task}, cancels
+ * the running tasks and keeps the remaining tasks from starting.
+ * @static
+ * @member
+ * @param {Number} limit - Maximum number of tasks running at a time, an integer of at least 1 or <code>Infinity</code>.
+ * @param {Task[]} tasks - Collection of tasks.
+ * @return {Task} A {@link Task} of all of the values or the first rejection.
+ * @throws {TypeError} If the <code>limit</code> is not an integer of at least 1 or <code>Infinity</code>.
+ * @example
+ *
+ * // Reads at most ten files at a time
+ * Task.parallel(10, map(readFile, filePaths));
+ * // => Task.of([contents1, contents2, ...])
+ */
+Task.parallel = curry((limit, tasks) => {
+  if (!(Number.isInteger(limit) && limit >= 1 || limit === Infinity)) {
+    throw new TypeError(`Expected a limit of at least 1 or Infinity but got ${limit}`);
+  }
+
+  return new Task((reject, resolve) => {
+    const results = [];
+    const running = {};
+    let active = 0;
+    let next = 0;
+    let remaining = tasks.length;
+    let settled = false;
+    let starting = false;
+    const cancel = () => each(canceller => canceller(), values(running));
+    const start = () => {
+      // Tasks that settle synchronously re-enter here; the loop already in progress picks up the freed slot.
+      if (starting) {
+        return;
+      }
+
+      starting = true;
+
+      while (!settled && next < tasks.length && active < limit) {
+        const index = next;
+        let done = false;
+        const finish = () => {
+          done = true;
+          active -= 1;
+          delete running[index];
+        };
+
+        next += 1;
+        active += 1;
+
+        const canceller = tasks[index].fork(error => {
+          finish();
+          settled = true;
+          cancel();
+          reject(error);
+        }, value => {
+          finish();
+          results[index] = value;
+          remaining -= 1;
+
+          if (remaining === 0) {
+            settled = true;
+            resolve(results);
+          } else {
+            start();
+          }
+        });
+
+        if (!done) {
+          running[index] = canceller;
+        }
+      }
+
+      starting = false;
+    };
+
+    if (remaining === 0) {
+      resolve(results);
+    }
+
+    start();
+
+    return cancel;
+  });
+});
+
+/**
+ * Converts a {@link Task} to a <code>Promise</code> using the provided <code>Promise</code> implementation.
+ * @static
+ * @member
+ * @param {Promise} promise - Promise implementation.
+ * @param {Task} value - Task to convert.
+ * @return {Promise} <code>Promise</code> of the outcome.
+ * @example <caption>Convert with bluebird's implementation of Promise</caption>
+ *
+ * const toBluebird = Task.toPromise(require("bluebird"));
+ *
+ * toBluebird(Task.of(value));
+ * // => Promise.resolve(value);
+ */
+Task.toPromise = invokeIn("toPromise");
+
+/**
+ * Maps each value in <code>items</code> to a {@link Task} with <code>iteratee</code> and runs the tasks with at most
+ * <code>limit</code> of them running at a time.
+ * @static
+ * @member
+ * @param {Number} limit - Maximum number of tasks running at a time, an integer of at least 1 or <code>Infinity</code>.
+ * @param {Function} iteratee - Function that maps each value to a {@link Task}.
+ * @param {Array} items - Collection of values over which to iterate.
+ * @return {Task} A {@link Task} of all of the values or the first rejection.
+ * @throws {TypeError} If the <code>limit</code> is not an integer of at least 1 or <code>Infinity</code>.
+ * @see Task.parallel
+ * @example
+ *
+ * Task.traverseParallel(10, readFile, filePaths);
+ * // => Task.of([contents1, contents2, ...])
+ */
+Task.traverseParallel = curry((limit, iteratee, items) => Task.parallel(limit, map(iteratee, items)));
+
+module.exports = Task;
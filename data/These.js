@@ -0,0 +1,552 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const identity = stream.identity;
+const isEqual = stream.isEqual;
+
+// Project
+const assertCases = include("src/assertCases");
+const Either = include("data/Either");
+const invokeIn = include("src/invokeIn");
+const semigroupConcat = include("src/semigroupConcat");
+const Validation = include("data/Validation");
+
+/**
+ * The {@link These} type is an inclusive-or of a left value and a right value. Unlike {@link Either} and
+ * {@link Validation}, a result can carry both: {@link This} holds only a left value, such as a fatal error,
+ * {@link That} holds only a right value and {@link Both} holds a right value along with a left value, such as
+ * non-fatal warnings. Chaining accumulates the left values, which must be semigroups such as arrays or
+ * {@link Validation}.
+ * @param {*} left - Left value.
+ * @param {*} value - Right value.
+ * @return {These} {@link These} of the values.
+ * @example
+ *
+ * const checkRow = row => row.price < row.cost ?
+ *   Both.from(["price is below cost"], row) :
+ *   That.from(row);
+ *
+ * parseRow(line).chain(checkRow).chain(checkStock);
+ * // => Both(["price is below cost", "stock is low"], row)
+ */
+class These {
+  /**
+   * @static
+   * @property {Both} Both - These both.
+   */
+  static get Both() {
+    return Both;
+  }
+
+  /**
+   * @static
+   * @property {That} That - These that.
+   */
+  static get That() {
+    return That;
+  }
+
+  /**
+   * @static
+   * @property {This} This - These this.
+   */
+  static get This() {
+    return This;
+  }
+
+  /**
+   * Creates a new {@link These} from a <code>value</code>. If the <code>value</code> is already a {@link These}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link That} is made with the
+   * <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {These} {@link These} for the <code>value</code>.
+   * @example
+   *
+   * These.from(value);
+   * // => That(value)
+   *
+   * These.from(This.from(error));
+   * // => This(error)
+   */
+  static from(value) {
+    return These.isThese(value) ? value : new That(value);
+  }
+
+  /**
+   * Converts an {@link Either} to a {@link These}. {@link Left} becomes {@link This} and {@link Right} becomes
+   * {@link That}.
+   * @static
+   * @member
+   * @param {Either} either - Either to convert.
+   * @return {These} {@link These} of the value of the <code>either</code>.
+   * @example
+   *
+   * These.fromEither(Left.from(error));
+   * // => This(error)
+   */
+  static fromEither(either) {
+    return either.isLeft() ? new This(either.value) : new That(either.value);
+  }
+
+  /**
+   * Converts a {@link Validation} to a {@link These}. {@link Failure} becomes {@link This} of its array of errors,
+   * which is concatenated with later left values, and {@link Success} becomes {@link That}.
+   * @static
+   * @member
+   * @param {Validation} validation - Validation to convert.
+   * @return {These} {@link These} of the value of the <code>validation</code>.
+   * @example
+   *
+   * These.fromValidation(Failure.from(error));
+   * // => This([error])
+   */
+  static fromValidation(validation) {
+    return validation.isFailure() ? new This(validation.value) : new That(validation.value);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Both}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Both}; <code>false</code> for anything else.
+   * @example
+   *
+   * These.isBoth(Both.from(warnings, value));
+   * // => true
+   */
+  static isBoth(value) {
+    return value instanceof Both;
+  }
+
+  /**
+   * Determines whether or not the value is a {@link That}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link That}; <code>false</code> for anything else.
+   * @example
+   *
+   * These.isThat(That.from(value));
+   * // => true
+   */
+  static isThat(value) {
+    return value instanceof That;
+  }
+
+  /**
+   * Determines whether or not the value is a {@link These}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link These}; <code>false</code> for anything else.
+   * @example
+   *
+   * These.isThese(This.from(error));
+   * // => true
+   */
+  static isThese(value) {
+    return value instanceof These;
+  }
+
+  /**
+   * Determines whether or not the value is a {@link This}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link This}; <code>false</code> for anything else.
+   * @example
+   *
+   * These.isThis(This.from(error));
+   * // => true
+   */
+  static isThis(value) {
+    return value instanceof This;
+  }
+
+  /**
+   * Wraps the <code>value</code> in a {@link That}.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {That} {@link That} of the <code>value</code>.
+   * @example
+   *
+   * These.of(value);
+   * // => That(value)
+   */
+  static of(value) {
+    return new That(value);
+  }
+
+  constructor(left, value) {
+    this.left = left;
+    this.value = value;
+  }
+
+  /**
+   * Applies the function of this {@link These} to the value of the <code>other</code>. Left values are accumulated
+   * like {@link These#chain} does.
+   * @param {These} other - {@link These} of the value.
+   * @return {These} {@link These} of the result.
+   * @example
+   *
+   * Both.from(["a"], value => value + 1).ap(Both.from(["b"], 1));
+   * // => Both(["a", "b"], 2)
+   */
+  ap(other) {
+    return this.chain(method => other.map(method));
+  }
+
+  /**
+   * Maps the left value with <code>leftMap</code> and the right value with <code>rightMap</code>.
+   * @param {Function} leftMap - The function to invoke with the left value.
+   * @param {Function} rightMap - The function to invoke with the right value.
+   * @return {These} {@link These} of the mapped values.
+   * @example
+   *
+   * Both.from(["a"], 1).bimap(warnings => warnings.length, value => value + 1);
+   * // => Both(1, 2)
+   */
+  bimap(leftMap, rightMap) {
+    return this.match({
+      Both: (left, value) => new Both(leftMap(left), rightMap(value)),
+      That: value => new That(rightMap(value)),
+      This: left => new This(leftMap(left))
+    });
+  }
+
+  /**
+   * Applies the <code>method</code> to the right value and concatenates the left values. {@link This} is returned
+   * without invoking the <code>method</code>. When this is a {@link Both}, its left value is concatenated with the left
+   * value returned by the <code>method</code>, if any.
+   * @param {Chain.<These>} method - The function to invoke with the right value.
+   * @return {These} {@link These} of the result and the accumulated left values.
+   * @example
+   *
+   * Both.from(["a"], 1).chain(value => Both.from(["b"], value + 1));
+   * // => Both(["a", "b"], 2)
+   *
+   * Both.from(["a"], 1).chain(() => This.from(["b"]));
+   * // => This(["a", "b"])
+   */
+  chain(method) {
+    const concatLeft = left => result => result.match({
+      Both: (otherLeft, value) => new Both(semigroupConcat(left, otherLeft), value),
+      That: value => new Both(left, value),
+      This: otherLeft => new This(semigroupConcat(left, otherLeft))
+    });
+
+    return this.match({
+      Both: (left, value) => concatLeft(left)(These.from(method(value))),
+      That: value => These.from(method(value)),
+      This: () => this
+    });
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+   * <strong>not</strong> a reference check.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two values are equal; <code>false</code> if not equal.
+   * @example
+   *
+   * That.from(value).equals(That.from(value));
+   * // => true
+   */
+  equals(other) {
+    return isEqual(this, other);
+  }
+
+  /**
+   * Determines whether or not the instance is a {@link Both}.
+   * @return {Boolean} <code>true</code> if the instance is a {@link Both}; <code>false</code> otherwise.
+   * @example
+   *
+   * Both.from(warnings, value).isBoth();
+   * // => true
+   */
+  isBoth() {
+    return this instanceof Both;
+  }
+
+  /**
+   * Determines whether or not the instance is a {@link That}.
+   * @return {Boolean} <code>true</code> if the instance is a {@link That}; <code>false</code> otherwise.
+   * @example
+   *
+   * That.from(value).isThat();
+   * // => true
+   */
+  isThat() {
+    return this instanceof That;
+  }
+
+  /**
+   * Determines whether or not the instance is a {@link This}.
+   * @return {Boolean} <code>true</code> if the instance is a {@link This}; <code>false</code> otherwise.
+   * @example
+   *
+   * This.from(error).isThis();
+   * // => true
+   */
+  isThis() {
+    return this instanceof This;
+  }
+
+  /**
+   * Maps the right value with the <code>method</code>. {@link This} is returned unchanged.
+   * @param {Function} method - The function to invoke with the right value.
+   * @return {These} {@link These} of the mapped value.
+   * @example
+   *
+   * Both.from(["a"], 1).map(value => value + 1);
+   * // => Both(["a"], 2)
+   */
+  map(method) {
+    return this.isThis() ? this : this.bimap(identity, method);
+  }
+
+  /**
+   * Returns the result of applying the function of the matching case in <code>cases</code> to the values. Every case
+   * must be given a function; a missing case throws a <code>TypeError</code> when called, even if it is not the case
+   * that matches.
+   * @param {Object} cases - Functions keyed by case name.
+   * @param {Function} cases.Both - The function to invoke with the left and the right values of a {@link Both}.
+   * @param {Function} cases.That - The function to invoke with the right value of a {@link That}.
+   * @param {Function} cases.This - The function to invoke with the left value of a {@link This}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If a case is missing.
+   * @example
+   *
+   * importRow(line).match({
+   *   Both: (warnings, row) => save(row).then(() => report(warnings)),
+   *   That: row => save(row),
+   *   This: errors => report(errors)
+   * });
+   */
+  match(cases) {
+    assertCases("These", ["This", "That", "Both"], cases);
+
+    if (this.isBoth()) {
+      return cases.Both(this.left, this.value);
+    }
+
+    return this.isThat() ? cases.That(this.value) : cases.This(this.left);
+  }
+
+  /**
+   * Converts the {@link These} to an {@link Either}. {@link This} becomes a {@link Left}, while {@link That} and
+   * {@link Both} become a {@link Right} of the right value.
+   * @return {Either} {@link Either} of the value.
+   * @example
+   *
+   * Both.from(warnings, value).toEither();
+   * // => Right(value)
+   */
+  toEither() {
+    return this.isThis() ? Either.Left.from(this.left) : Either.Right.from(this.value);
+  }
+
+  /**
+   * Returns a string representation of the {@link These}.
+   * @return {String} String representation.
+   * @example
+   *
+   * Both.from("a", 1).toString();
+   * // => "These.Both(a, 1)"
+   */
+  toString() {
+    return this.match({
+      Both: (left, value) => `These.Both(${left}, ${value})`,
+      That: value => `These.That(${value})`,
+      This: left => `These.This(${left})`
+    });
+  }
+
+  /**
+   * Converts the {@link These} to a {@link Validation}. {@link This} becomes a {@link Failure}, while {@link That}
+   * and {@link Both} become a {@link Success} of the right value. A left value that is already a {@link Validation}
+   * is returned as is.
+   * @return {Validation} {@link Validation} of the value.
+   * @example
+   *
+   * This.from(error).toValidation();
+   * // => Failure([error])
+   */
+  toValidation() {
+    return this.isThis() ? Validation.Failure.from(this.left) : Validation.Success.from(this.value);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link These#ap} with the arguments flipped.
+   * @param {These} other - {@link These} of the function to apply.
+   * @return {These} {@link These} of the result.
+   * @see These#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link These#bimap}.
+   * @param {Function} leftMap - The function to invoke with the left value.
+   * @param {Function} rightMap - The function to invoke with the right value.
+   * @return {These} {@link These} of the mapped values.
+   * @see These#bimap
+   */
+  ["fantasy-land/bimap"](leftMap, rightMap) {
+    return this.bimap(leftMap, rightMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link These#chain}.
+   * @param {Chain.<These>} method - The function to invoke with the right value.
+   * @return {These} {@link These} of the result and the accumulated left values.
+   * @see These#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link These#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two values are equal; <code>false</code> if not equal.
+   * @see These#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link These#map}.
+   * @param {Function} method - The function to invoke with the right value.
+   * @return {These} {@link These} of the mapped value.
+   * @see These#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+/**
+ * Fantasy Land compatible alias of {@link These.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to wrap.
+ * @return {That} {@link That} of the <code>value</code>.
+ * @example
+ *
+ * These["fantasy-land/of"](value);
+ * // => That(value)
+ */
+These["fantasy-land/of"] = These.of;
+
+/**
+ * Returns the result of applying the function of the matching case in <code>cases</code> to the values of the
+ * <code>these</code>.
+ * @static
+ * @member
+ * @param {Object} cases - Functions keyed by case name.
+ * @param {These} these - These to match.
+ * @return {*} Result of the invoked function.
+ * @example
+ *
+ * const report = These.match({
+ *   Both: (warnings, row) => warnings,
+ *   That: () => [],
+ *   This: errors => errors
+ * });
+ *
+ * report(Both.from(["price is below cost"], row));
+ * // => ["price is below cost"]
+ */
+These.match = invokeIn("match");
+
+/**
+ * @extends These
+ * @inheritdoc
+ */
+class Both extends These {
+  /**
+   * Creates a new {@link Both} from the <code>left</code> and the right <code>value</code>.
+   * @static
+   * @param {*} left - Left value, such as warnings.
+   * @param {*} value - Right value.
+   * @return {Both} {@link Both} of the values.
+   * @example
+   *
+   * Both.from(["price is below cost"], row);
+   * // => Both(["price is below cost"], row)
+   */
+  static from(left, value) {
+    return new Both(left, value);
+  }
+
+  constructor(left, value) {
+    super(left, value);
+  }
+}
+
+/**
+ * @extends These
+ * @inheritdoc
+ */
+class That extends These {
+  /**
+   * Creates a new {@link That} from a <code>value</code>. If the <code>value</code> is already a {@link These}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link That} is made with the
+   * <code>value</code>.
+   * @static
+   * @param {*} value - Right value.
+   * @return {These} {@link These} when is the <code>value</code> already wrapped or {@link That} of the
+   * <code>value</code>.
+   * @example
+   *
+   * That.from(value);
+   * // => That(value)
+   */
+  static from(value) {
+    return These.isThese(value) ? value : new That(value);
+  }
+
+  constructor(value) {
+    super(undefined, value);
+  }
+}
+
+/**
+ * @extends These
+ * @inheritdoc
+ */
+class This extends These {
+  /**
+   * Creates a new {@link This} from a <code>left</code> value. If the <code>left</code> value is already a
+   * {@link These} instance, it is returned unchanged. Otherwise, a new {@link This} is made with the
+   * <code>left</code> value.
+   * @static
+   * @param {*} left - Left value.
+   * @return {These} {@link These} when is the <code>left</code> value already wrapped or {@link This} of the
+   * <code>left</code> value.
+   * @example
+   *
+   * This.from(error);
+   * // => This(error)
+   */
+  static from(left) {
+    return These.isThese(left) ? left : new This(left);
+  }
+
+  constructor(left) {
+    super(left);
+  }
+}
+
+module.exports = These;
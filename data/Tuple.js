@@ -0,0 +1,295 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isEqual = stream.isEqual;
+
+// Project
+const semigroupConcat = include("src/semigroupConcat");
+
+/**
+ * The {@link Tuple} type is a pair of two values, such as a result and its metadata. Mapping and extending work on the
+ * second value while the first value is carried along, and both values can be mapped at once with
+ * {@link Tuple#bimap}.
+ * @param {*} first - First value.
+ * @param {*} second - Second value.
+ * @return {Tuple} {@link Tuple} of the values.
+ * @example
+ *
+ * const timed = (label, value) => new Tuple({label, time: Date.now()}, value);
+ *
+ * timed("parse", input).map(JSON.parse).snd();
+ * // => parsed input
+ */
+class Tuple {
+  /**
+   * Creates a new {@link Tuple} from the values. If the <code>first</code> value is already a {@link Tuple}
+   * instance, it is returned unchanged.
+   * @static
+   * @member
+   * @param {*} first - First value.
+   * @param {*} second - Second value.
+   * @return {Tuple} {@link Tuple} of the values.
+   * @example
+   *
+   * Tuple.from(metadata, value);
+   * // => Tuple(metadata, value)
+   */
+  static from(first, second) {
+    return Tuple.isTuple(first) ? first : new Tuple(first, second);
+  }
+
+  /**
+   * Creates a new {@link Tuple} from the first two elements of the <code>pair</code>.
+   * @static
+   * @member
+   * @param {Array} pair - Array of the values.
+   * @return {Tuple} {@link Tuple} of the values.
+   * @example
+   *
+   * Tuple.fromArray([metadata, value]);
+   * // => Tuple(metadata, value)
+   */
+  static fromArray(pair) {
+    return new Tuple(pair[0], pair[1]);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Tuple}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Tuple}; <code>false</code> for anything else.
+   * @example
+   *
+   * Tuple.isTuple(new Tuple(metadata, value));
+   * // => true
+   */
+  static isTuple(value) {
+    return value instanceof Tuple;
+  }
+
+  constructor(first, second) {
+    this.first = first;
+    this.second = second;
+  }
+
+  /**
+   * Maps the first value with <code>firstMap</code> and the second value with <code>secondMap</code>.
+   * @param {Function} firstMap - The function to invoke with the first value.
+   * @param {Function} secondMap - The function to invoke with the second value.
+   * @return {Tuple} {@link Tuple} of the mapped values.
+   * @example
+   *
+   * new Tuple(1, "a").bimap(value => value + 1, toUpper);
+   * // => Tuple(2, "A")
+   */
+  bimap(firstMap, secondMap) {
+    return new Tuple(firstMap(this.first), secondMap(this.second));
+  }
+
+  /**
+   * Concatenates the values of the <code>other</code> {@link Tuple} to the values of this {@link Tuple}. Both values
+   * must be semigroups, such as {@link Validation} or arrays.
+   * @param {Tuple} other - Other {@link Tuple}.
+   * @return {Tuple} {@link Tuple} of the concatenated values.
+   * @example
+   *
+   * new Tuple(["a"], Success.from(value)).concat(new Tuple(["b"], Failure.from(error)));
+   * // => Tuple(["a", "b"], Failure([error]))
+   */
+  concat(other) {
+    return new Tuple(semigroupConcat(this.first, other.first), semigroupConcat(this.second, other.second));
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+   * <strong>not</strong> a reference check.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two tuples are equal; <code>false</code> if not equal.
+   * @example
+   *
+   * new Tuple(1, "a").equals(new Tuple(1, "a"));
+   * // => true
+   */
+  equals(other) {
+    return isEqual(this, other);
+  }
+
+  /**
+   * Applies the <code>method</code> to the instance and pairs the result with the first value.
+   * @param {Extend.<Tuple>} method - The function to invoke with the instance.
+   * @return {Tuple} {@link Tuple} of the first value and the result.
+   * @example
+   *
+   * new Tuple(metadata, value).extend(tuple => describe(tuple.fst(), tuple.snd()));
+   * // => Tuple(metadata, description)
+   */
+  extend(method) {
+    return new Tuple(this.first, method(this));
+  }
+
+  /**
+   * Returns the second value.
+   * @return {*} Second value.
+   * @example
+   *
+   * new Tuple(metadata, value).extract();
+   * // => value
+   */
+  extract() {
+    return this.second;
+  }
+
+  /**
+   * Returns the first value.
+   * @return {*} First value.
+   * @example
+   *
+   * new Tuple(metadata, value).fst();
+   * // => metadata
+   */
+  fst() {
+    return this.first;
+  }
+
+  /**
+   * Maps the second value with the <code>method</code>.
+   * @param {Function} method - The function to invoke with the second value.
+   * @return {Tuple} {@link Tuple} of the first value and the mapped second value.
+   * @example
+   *
+   * new Tuple(metadata, 1).map(value => value + 1);
+   * // => Tuple(metadata, 2)
+   */
+  map(method) {
+    return new Tuple(this.first, method(this.second));
+  }
+
+  /**
+   * Returns the second value.
+   * @return {*} Second value.
+   * @example
+   *
+   * new Tuple(metadata, value).snd();
+   * // => value
+   */
+  snd() {
+    return this.second;
+  }
+
+  /**
+   * Swaps the first and the second values.
+   * @return {Tuple} {@link Tuple} of the swapped values.
+   * @example
+   *
+   * new Tuple(1, "a").swap();
+   * // => Tuple("a", 1)
+   */
+  swap() {
+    return new Tuple(this.second, this.first);
+  }
+
+  /**
+   * Converts the {@link Tuple} to an array of the values.
+   * @return {Array} <code>[first, second]</code> pair.
+   * @example
+   *
+   * new Tuple(1, "a").toArray();
+   * // => [1, "a"]
+   */
+  toArray() {
+    return [this.first, this.second];
+  }
+
+  /**
+   * Returns a string representation of the {@link Tuple}.
+   * @return {String} String representation.
+   * @example
+   *
+   * new Tuple(1, "a").toString();
+   * // => "Tuple(1, a)"
+   */
+  toString() {
+    return `Tuple(${this.first}, ${this.second})`;
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#bimap}.
+   * @param {Function} firstMap - The function to invoke with the first value.
+   * @param {Function} secondMap - The function to invoke with the second value.
+   * @return {Tuple} {@link Tuple} of the mapped values.
+   * @see Tuple#bimap
+   */
+  ["fantasy-land/bimap"](firstMap, secondMap) {
+    return this.bimap(firstMap, secondMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#concat}.
+   * @param {Tuple} other - Other {@link Tuple}.
+   * @return {Tuple} {@link Tuple} of the concatenated values.
+   * @see Tuple#concat
+   */
+  ["fantasy-land/concat"](other) {
+    return this.concat(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two tuples are equal; <code>false</code> if not equal.
+   * @see Tuple#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#extend}.
+   * @param {Extend.<Tuple>} method - The function to invoke with the instance.
+   * @return {Tuple} {@link Tuple} of the first value and the result.
+   * @see Tuple#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#extract}.
+   * @return {*} Second value.
+   * @see Tuple#extract
+   */
+  ["fantasy-land/extract"]() {
+    return this.extract();
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Tuple#map}.
+   * @param {Function} method - The function to invoke with the second value.
+   * @return {Tuple} {@link Tuple} of the first value and the mapped second value.
+   * @see Tuple#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+/**
+ * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+ * <strong>not</strong> a reference check.
+ * @static
+ * @member
+ * @param {*} other - Other value to check.
+ * @return {Boolean} <code>true</code> if the two tuples are equal; <code>false</code> if not equal.
+ * @example
+ *
+ * Tuple.equals(new Tuple(1, "a"), new Tuple(1, "a"));
+ * // => true
+ */
+Tuple.equals = isEqual;
+
+module.exports = Tuple;
@@ -12,15 +12,26 @@ const filter = stream.filter;
 const find = stream.find;
 const flow = stream.flow;
 const get = stream.get;
+const identity = stream.identity;
 const isEqual = stream.isEqual;
 const isUndefined = stream.isUndefined;
 const map = stream.map;
 const negate = stream.negate;
 const reduce = stream.reduce;
+const set = stream.set;
+const toArray = stream.toArray;
+const values = stream.values;
 
 // Project
+const aggregateError = include("src/aggregateError");
+const applicativeMap = include("src/applicativeMap");
+const applicativeOf = include("src/applicativeOf");
+const assertCases = include("src/assertCases");
 const invokeIn = include("src/invokeIn");
 const invokeWith = include("src/invokeWith");
+const mapCollection = include("src/mapCollection");
+const runGenerator = include("src/runGenerator");
+const Violation = include("data/Violation");
 
 /**
  * The {@link Validation} type is intended for validating values and aggregating failures. It is a disjunction
@@ -78,6 +89,14 @@ class Validation {
     return Success;
   }
 
+  /**
+   * @static
+   * @property {Violation} Violation - Structured, path-aware validation failure.
+   */
+  static get Violation() {
+    return Violation;
+  }
+
   /**
    * Returns a {@link Validation} that resolves all of the validations in the collection into a single validation.
    * Unlike <code>Promise</code>, {@link Validation.all} aggregates all of the failures into a single instance of
@@ -151,6 +170,38 @@ class Validation {
       reduce(Validation.concat, Success.empty(), validations);
   }
 
+  /**
+   * Runs a generator function as a sequence of {@link Validation#chain} calls. Each yielded {@link Validation} is
+   * unwrapped and its value is sent back into the generator. The run stops at the first {@link Failure}, which is
+   * returned, and otherwise the returned value is wrapped in a {@link Success}. Yielded values that are not Validation
+   * instances are converted with {@link Validation.from}. The generator is run exactly once and is closed when the run
+   * stops early. Unlike {@link Validation#ap}, failures are not accumulated because later steps depend on the values of
+   * earlier steps.
+   * @static
+   * @member
+   * @param {Function} generatorFunction - Generator function that yields Validation instances.
+   * @return {Validation} First {@link Failure} or {@link Success} wrapped returned value.
+   * @example
+   *
+   * Validation.do(function* () {
+   *   const a = yield Success.from(1);
+   *   const b = yield Success.from(a + 1);
+   *
+   *   return a + b;
+   * });
+   * // => Success(3)
+   *
+   * Validation.do(function* () {
+   *   const a = yield Failure.from(error);
+   *
+   *   return doSomething(a); // Not invoked
+   * });
+   * // => Failure(error)
+   */
+  static do(generatorFunction) {
+    return runGenerator(Validation, Validation.isFailure, generatorFunction);
+  }
+
   /**
    * Creates an empty {@link Success}.
    * @static
@@ -191,6 +242,58 @@ class Validation {
     return this.isValidation(value) ? value : this.of(value);
   }
 
+  /**
+   * Converts a function that takes a Node.js style <code>(error, value)</code> callback as its last argument to a
+   * function that returns a <code>Promise</code> of a {@link Validation}. When the callback receives an error or the
+   * function throws, the error is wrapped in a {@link Failure}. Otherwise, the value is wrapped in a {@link Success}.
+   * The returned <code>Promise</code> never rejects.
+   * @static
+   * @member
+   * @param {Function} method - Function that takes a callback as its last argument.
+   * @return {Function} Function that takes the other arguments and returns a <code>Promise</code> of a
+   * {@link Validation}.
+   * @example
+   *
+   * const readFile = Validation.fromNodeback(fs.readFile);
+   *
+   * readFile(filePath, "utf8");
+   * // => Promise(Success(contents)) or Promise(Failure([error]))
+   */
+  static fromNodeback(method) {
+    return function () {
+      const args = toArray(arguments);
+
+      const invoke = (resolve, reject) => method.apply(this, concat(args, (error, value) => error ?
+        reject(error) :
+        resolve(value)
+      ));
+
+      return Validation.tryAsync(() => new Promise(invoke));
+    };
+  }
+
+  /**
+   * Converts a <code>Promise</code> to a <code>Promise</code> of a {@link Validation}. A resolved value is wrapped in a
+   * {@link Success} and a rejection error is wrapped in a {@link Failure}, optionally mapped with <code>mapError</code>
+   * first. The returned <code>Promise</code> never rejects. This is the inverse of {@link Validation#toPromise}.
+   * @static
+   * @member
+   * @param {Promise} promise - <code>Promise</code> to convert.
+   * @param {Function} [mapError=identity] - Function that maps the rejection error before it is wrapped in a
+   * {@link Failure}.
+   * @return {Promise} <code>Promise</code> of the {@link Validation}.
+   * @example
+   *
+   * Validation.fromPromise(Promise.resolve(value));
+   * // => Promise(Success(value))
+   *
+   * Validation.fromPromise(Promise.reject(error), get("message"));
+   * // => Promise(Failure([error.message]))
+   */
+  static fromPromise(promise, mapError) {
+    return Promise.resolve(promise).then(Success.from, error => Failure.from((mapError || identity)(error)));
+  }
+
   /**
    * Determines whether or not the value is a {@link Failure}.
    * @static
@@ -311,6 +414,26 @@ class Validation {
     }
   }
 
+  /**
+   * Tries to invoke an asynchronous <code>supplier</code> such as an <code>async</code> function. The value that the
+   * <code>supplier</code> resolves with is wrapped in a {@link Success}. If the <code>supplier</code> throws or the
+   * <code>Promise</code> it returns rejects, the error is wrapped in a {@link Failure}, optionally mapped with
+   * <code>mapError</code> first. Unlike {@link Validation.try}, the pending <code>Promise</code> is never wrapped.
+   * @static
+   * @member
+   * @param {Supplier} supplier - Function to invoke.
+   * @param {Function} [mapError=identity] - Function that maps the rejection error before it is wrapped in a
+   * {@link Failure}.
+   * @return {Promise} <code>Promise</code> of the {@link Validation}.
+   * @example
+   *
+   * Validation.tryAsync(() => fetchUser(id));
+   * // => Promise(Success(user)) or Promise(Failure([error]))
+   */
+  static tryAsync(method, mapError) {
+    return Validation.fromPromise(new Promise(resolve => resolve(method())), mapError);
+  }
+
   constructor(value) {
     this.value = value;
   }
@@ -356,6 +479,13 @@ class Validation {
    *   // ... other actions in workflow
    */
 
+  /**
+   * @see Validation#match
+   */
+  cata(cases) {
+    return this.match(cases);
+  }
+
   /**
    * Applies the provided function to the value contained for a {@link Success}. The function should return the value
    * wrapped in a {@link Validation}. If the instance is a {@link Failure}, the function is ignored and then instance is
@@ -504,6 +634,30 @@ class Validation {
    *   .extend(processResponse);
    */
 
+  /**
+   * Returns the result of applying the first function to the value of a {@link Failure} or the second function to the
+   * value of a {@link Success}. Both functions are required even though only one is invoked.
+   * @param {Function} failureMap - The function to invoke with the value of a {@link Failure}.
+   * @param {Function} successMap - The function to invoke with the value of a {@link Success}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If either function is missing.
+   * @example <caption>Success#fold</caption>
+   *
+   * Success.from(value).fold(failureMap, successMap);
+   * // => successMap(value)
+   *
+   * @example <caption>Failure#fold</caption>
+   *
+   * Failure.from(errors).fold(failureMap, successMap);
+   * // => failureMap(errors)
+   */
+  fold(failureMap, successMap) {
+    return this.match({
+      Failure: failureMap,
+      Success: successMap
+    });
+  }
+
   /**
    * Applies the provided function to the value contain for a {@link Failure}. Any return value from the function is
    * ignored. If the instance is a {@link Success}, the function is ignored and the instance is returned.
@@ -598,6 +752,36 @@ class Validation {
    * // => Failure([error])
    */
 
+  /**
+   * Returns the result of applying the function of the matching case in <code>cases</code> to the value. Every case
+   * must be given a function; a missing case throws a <code>TypeError</code> when called, even if it is not the case
+   * that matches.
+   * @param {Object} cases - Functions keyed by case name.
+   * @param {Function} cases.Failure - The function to invoke with the value of a {@link Failure}.
+   * @param {Function} cases.Success - The function to invoke with the value of a {@link Success}.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If a case is missing.
+   * @example
+   *
+   * const format = validation => validation.match({
+   *   Failure: errors => `${errors.length} errors`,
+   *   Success: value => `${value}`
+   * });
+   *
+   * format(Success.from(value));
+   * // => `${value}`
+   *
+   * Failure.from(errors).match({
+   *   Success: value => `${value}`
+   * });
+   * // => TypeError("Missing a function for the \"Failure\" case of Validation")
+   */
+  match(cases) {
+    assertCases("Validation", ["Failure", "Success"], cases);
+
+    return this.isSuccess() ? cases.Success(this.value) : cases.Failure(this.value);
+  }
+
   /**
    * @see Validation.of
    */
@@ -663,6 +847,68 @@ class Validation {
    * Failure.from(error).orElseThrow(createException); // throw createException([error])
    */
 
+  /**
+   * Prepends the <code>path</code> to the path of every failure. Failures that are not yet a {@link Violation} are
+   * converted to one at the root path before the <code>path</code> is prepended. Used when composing a validator of
+   * a nested value into a validator of its parent.
+   * @abstract
+   * @function prefix
+   * @memberof Validation
+   * @instance
+   * @param {String|String[]} path - Path to prepend.
+   * @return {Validation} {@link Validation} with prefixed failures.
+   * @example <caption>Success#prefix</caption>
+   *
+   * Success.from(value).prefix("address");
+   * // => Success(value)
+   *
+   * @example <caption>Failure#prefix</caption>
+   *
+   * Failure.from(new Violation("zip", "required", "Zip code is required.")).prefix("address");
+   * // => Failure([Violation(["address", "zip"], "required", "Zip code is required.")])
+   */
+
+  /**
+   * Folds the {@link Validation} into a single value. For a {@link Success}, the <code>method</code> is invoked with
+   * the <code>accumulator</code> and the value. For a {@link Failure}, the <code>accumulator</code> is returned
+   * unchanged.
+   * @abstract
+   * @function reduce
+   * @memberof Validation
+   * @instance
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @example <caption>Success#reduce</caption>
+   *
+   * Success.from(2).reduce((sum, value) => sum + value, 1);
+   * // => 3
+   *
+   * @example <caption>Failure#reduce</caption>
+   *
+   * Failure.from(error).reduce((sum, value) => sum + value, 1);
+   * // => 1
+   */
+
+  /**
+   * Swaps the {@link Validation} with the applicative it contains. Equivalent to {@link Validation#traverse} with
+   * <code>identity</code>.
+   * @param {Object} Type - Type representative of the contained applicative, such as <code>Promise</code>.
+   * @return {*} Applicative wrapped {@link Validation}.
+   * @example <caption>Success#sequence</caption>
+   *
+   * Success.from(Promise.resolve(value)).sequence(Promise);
+   * // => Promise.resolve(Success(value))
+   *
+   * @example <caption>Failure#sequence</caption>
+   *
+   * Failure.from(error).sequence(Promise);
+   * // => Promise.resolve(Failure([error]))
+   */
+  sequence(Type) {
+    return this.traverse(Type, identity);
+  }
+
   /**
    * Converts the validation to an {@link Either} using the provided <code>Either</code> implementation. {@link Success}
    * becomes a {@link Right} and {@link Failure} becomes a {@link Left}.
@@ -683,6 +929,29 @@ class Validation {
    * // => Either.Left([error]);
    */
 
+  /**
+   * Converts the validation to a map of failure messages keyed by the dotted path of the field in violation.
+   * Failures at the root path are keyed by the empty string.
+   * @abstract
+   * @function toErrorMap
+   * @memberof Validation
+   * @instance
+   * @return {Object.<String, String[]>} Failure messages by path.
+   * @example <caption>Success#toErrorMap</caption>
+   *
+   * Success.from(value).toErrorMap();
+   * // => {}
+   *
+   * @example <caption>Failure#toErrorMap</caption>
+   *
+   * Failure.from([
+   *   new Violation(["address", "zip"], "required", "Zip code is required."),
+   *   new Violation(["address", "zip"], "format", "Zip code must be five digits."),
+   *   new Violation("name", "required", "Name is required.")
+   * ]).toErrorMap();
+   * // => {"address.zip": ["Zip code is required.", "Zip code must be five digits."], name: ["Name is required."]}
+   */
+
   /**
    * Converts the validation to an {@link Maybe} using the provided <code>Maybe</code> implementation. {@link Success}
    * becomes a {@link Just} and {@link Failure} becomes a {@link Nothing}.
@@ -703,6 +972,27 @@ class Validation {
    * // => Maybe.Nothing();
    */
 
+  /**
+   * Passes the validation to a Node.js style <code>(error, value)</code> callback. {@link Success} invokes the
+   * <code>callback</code> with <code>null</code> and its value and {@link Failure} invokes the <code>callback</code>
+   * with an <code>Error</code> named <code>AggregateError</code> whose <code>errors</code> property holds its value.
+   * @abstract
+   * @function toNodeback
+   * @memberof Validation
+   * @instance
+   * @param {Function} callback - Node.js style callback.
+   * @return {*} Result of the <code>callback</code>.
+   * @example <caption>Success#toNodeback</caption>
+   *
+   * Success.from(value).toNodeback(callback);
+   * // => callback(null, value)
+   *
+   * @example <caption>Failure#toNodeback</caption>
+   *
+   * Failure.from([error1, error2]).toNodeback(callback);
+   * // => callback(AggregateError("error1; error2"))
+   */
+
   /**
    * Converts the validation to a <code>Promise</code> using the provided <code>Promise</code> implementation.
    * @abstract
@@ -726,6 +1016,26 @@ class Validation {
    * // => Promise.reject([error]);
    */
 
+  /**
+   * Converts the validation to a {@link Task} using the provided <code>Task</code> implementation. {@link Success}
+   * becomes a resolved {@link Task} and {@link Failure} becomes a rejected {@link Task}.
+   * @abstract
+   * @function toTask
+   * @memberof Validation
+   * @instance
+   * @param {Task} task - Task implementation.
+   * @return {Task} {@link Task} of the <code>value</code>.
+   * @example <caption>Success#toTask</caption>
+   *
+   * Success.from(value).toTask(Task);
+   * // => Task.of(value);
+   *
+   * @example <caption>Failure#toTask</caption>
+   *
+   * Failure.from(error).toTask(Task);
+   * // => Task.reject([error]);
+   */
+
   /**
    * Returns a <code>String</code> representation of the {@link Validation}.
    * @abstract
@@ -743,8 +1053,156 @@ class Validation {
    * Failure.from("Error message").toString();
    * // => "Validation.Failure('Error message')"
    */
+
+  /**
+   * Applies the provided function to the value contained for a {@link Success}. The function should return the value
+   * wrapped in the applicative described by <code>Type</code>, the result of which is mapped back into a
+   * {@link Success}. If the instance is a {@link Failure}, it is wrapped in <code>Type</code> unchanged.
+   * @abstract
+   * @function traverse
+   * @memberof Validation
+   * @instance
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Validation}.
+   * @example <caption>Success#traverse</caption>
+   *
+   * Success.from(filePath).traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Success(contents))
+   *
+   * @example <caption>Failure#traverse</caption>
+   *
+   * Failure.from(error).traverse(Promise, readFileAsync);
+   * // => Promise.resolve(Failure([error]))
+   */
+
+  /**
+   * Fantasy Land compatible form of {@link Validation#ap}. As the specification requires, the instance provides the
+   * value and the <code>other</code> {@link Validation} provides the function, which is the reverse of
+   * {@link Validation#ap}.
+   * @param {Validation} other - {@link Validation} wrapped function to apply to the value of the instance.
+   * @return {Validation} {@link Success} wrapped applied function or {@link Failure}.
+   * @example
+   *
+   * Success.from(value)["fantasy-land/ap"](Success.from(method));
+   * // => Success(method(value))
+   *
+   * Success.from(value)["fantasy-land/ap"](Failure.from(error));
+   * // => Failure([error])
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#bimap}.
+   * @param {Function} failureMap - Map to apply to the {@link Failure}.
+   * @param {Function} successMap - Map to apply to the {@link Success}.
+   * @return {Validation} {@link Validation} wrapped value mapped with the corresponding mapping function.
+   * @see Validation#bimap
+   */
+  ["fantasy-land/bimap"](failureMap, successMap) {
+    return this.bimap(failureMap, successMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#chain}.
+   * @param {Chain.<Validation>} method - The function to invoke with the value.
+   * @return {Validation} {@link Validation} wrapped value returned by the provided <code>method</code>.
+   * @see Validation#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#concat}.
+   * @param {Validation} other - Other {@link Validation} to concatenation.
+   * @return {Validation} Concatenated validations.
+   * @see Validation#concat
+   */
+  ["fantasy-land/concat"](other) {
+    return this.concat(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two validations are equal; <code>false</code> if not equal.
+   * @see Validation#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#extend}.
+   * @param {Extend.<Validation>} method - The function to invoke with the instance.
+   * @return {Validation}
+   * @see Validation#extend
+   */
+  ["fantasy-land/extend"](method) {
+    return this.extend(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {Validation} {@link Validation} wrapped value mapped with the provided <code>method</code>.
+   * @see Validation#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#reduce}.
+   * @param {Reduction} method - The function to invoke with the accumulator and the value.
+   * @param {*} accumulator - The initial value.
+   * @return {*} Accumulator.
+   * @see Validation#reduce
+   */
+  ["fantasy-land/reduce"](method, accumulator) {
+    return this.reduce(method, accumulator);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link Validation#traverse}.
+   * @param {Object} Type - Type representative of the applicative returned by <code>method</code>.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {*} Applicative wrapped {@link Validation}.
+   * @see Validation#traverse
+   */
+  ["fantasy-land/traverse"](Type, method) {
+    return this.traverse(Type, method);
+  }
 }
 
+/**
+ * Fantasy Land compatible alias of {@link Validation.empty}.
+ * @static
+ * @member
+ * @return {Success} Empty {@link Success} instance.
+ * @example
+ *
+ * Validation["fantasy-land/empty"]();
+ * // => Success()
+ */
+Validation["fantasy-land/empty"] = Validation.empty;
+
+/**
+ * Fantasy Land compatible alias of {@link Validation.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to wrap.
+ * @return {Success} {@link Success} wrapped <code>value</code>.
+ * @example
+ *
+ * Validation["fantasy-land/of"](value);
+ * // => Success(value)
+ */
+Validation["fantasy-land/of"] = Validation.of;
+
 /**
  * Concatenates two {@link Validation} instances together.
  * @static
@@ -818,6 +1276,29 @@ Validation.each = curry((iteratee, validations) => each(
  */
 Validation.equals = isEqual;
 
+/**
+ * Validates the value at <code>path</code> of an object with the <code>validator</code> and prefixes any failures
+ * with the <code>path</code>. Field validators compose, so nested paths accumulate as validators are nested.
+ * @static
+ * @member
+ * @param {String|String[]} path - Path of the field to validate.
+ * @param {Function} validator - Function that validates the field value and returns a {@link Validation}.
+ * @param {Object} value - Object containing the field.
+ * @return {Validation} {@link Validation} of the field value with prefixed failures.
+ * @example
+ *
+ * // validateZip :: String -> Validation Violation String
+ * const validateAddress = Validation.field("zip", validateZip);
+ * const validateUser = user => Validation.all([
+ *   Validation.field("name", validateName, user),
+ *   Validation.field("address", validateAddress, user)
+ * ]);
+ *
+ * validateUser({name: "Jane", address: {zip: ""}});
+ * // => Failure([Violation(["address", "zip"], "required", "Zip code is required.")])
+ */
+Validation.field = curry((path, validator, value) => validator(get(path, value)).prefix(path));
+
 /**
  * Iterates over a collection of validations, returning an array of all validations the <code>predicate</code> for which
  * returns truthy. The <code>predicate</code> is invoked with one argument: <code>(validation)</code>.
@@ -843,6 +1324,26 @@ Validation.equals = isEqual;
  */
 Validation.filter = filter;
 
+/**
+ * Returns the result of applying <code>failureMap</code> to the value of a {@link Failure} or <code>successMap</code>
+ * to the value of a {@link Success}.
+ * @static
+ * @member
+ * @param {Function} failureMap - The function to invoke with the value of a {@link Failure}.
+ * @param {Function} successMap - The function to invoke with the value of a {@link Success}.
+ * @param {Validation} value - Validation to fold.
+ * @return {*} Result of the invoked function.
+ * @see Validation#fold
+ * @example
+ *
+ * // Using lodash/fp/constant
+ * const countAll = Validation.fold(constant(0), constant(1));
+ *
+ * countAll(Success.from(value));
+ * // => 1
+ */
+Validation.fold = curry((failureMap, successMap, value) => value.fold(failureMap, successMap));
+
 /**
  * Creates an array of values by invoking {@link Validation#map} with the <code>iteratee</code> for each
  * {@link Validation} in the collection. The iteratee is invoked with one argument: <code>(value)</code>.
@@ -887,6 +1388,42 @@ Validation.mapIn = curry((iteratee, validations) => map(invokeIn("map", iteratee
  */
 Validation.map = map;
 
+/**
+ * Returns the result of applying the function of the matching case in <code>cases</code> to the value.
+ * @static
+ * @member
+ * @param {Object} cases - Functions keyed by case name.
+ * @param {Validation} value - Validation to match.
+ * @return {*} Result of the invoked function.
+ * @see Validation#match
+ * @example
+ *
+ * const toStatus = Validation.match({
+ *   Failure: () => 500,
+ *   Success: () => 200
+ * });
+ *
+ * toStatus(Success.from(value));
+ * // => 200
+ */
+Validation.match = invokeIn("match");
+
+/**
+ * Prepends the <code>path</code> to the path of every failure in the <code>validation</code>.
+ * @static
+ * @member
+ * @param {String|String[]} path - Path to prepend.
+ * @param {Validation} validation - Validation to prefix.
+ * @return {Validation} {@link Validation} with prefixed failures.
+ * @example
+ *
+ * const prefixAddress = Validation.prefix("address");
+ *
+ * prefixAddress(validateZip(address.zip));
+ * // => Failure([Violation(["address", "zip"], "required", "Zip code is required.")])
+ */
+Validation.prefix = invokeIn("prefix");
+
 /**
  * Reduces collection to a value which is the accumulated result of running each validation in the
  * <code>validations</code> collection through the <code>iteratee</code>, where each successive invocation is supplied
@@ -911,6 +1448,24 @@ Validation.map = map;
  */
 Validation.reduce = reduce;
 
+/**
+ * Collects a collection of {@link Validation} values into a single {@link Validation} of a collection with the same
+ * shape. Arrays produce arrays and plain objects produce objects with the same keys. All failures are concatenated
+ * into a single {@link Failure}.
+ * @static
+ * @member
+ * @param {Validation[]|Object.<String, Validation>} collection - Collection of validations.
+ * @return {Validation} A {@link Success} of the collected values or a {@link Failure} of all failures.
+ * @example
+ *
+ * Validation.sequence({name: Success(name), age: Success(age)});
+ * // => Success({name, age})
+ *
+ * Validation.sequence({name: Failure("Name is required."), age: Failure("Age must be a number.")});
+ * // => Failure(["Name is required.", "Age must be a number."])
+ */
+Validation.sequence = collection => Validation.traverse(identity, collection);
+
 /**
  * Converts a {@link Validation} to an {@link Either}. {@link Success} becomes a {@link Right} and {@link Failure}
  * becomes {@link Left}.
@@ -951,6 +1506,24 @@ Validation.toEither = invokeIn("toEither");
  */
 Validation.toMaybe = invokeIn("toMaybe");
 
+/**
+ * Passes a {@link Validation} to a Node.js style <code>(error, value)</code> callback.
+ * @static
+ * @member
+ * @param {Validation} value - Validation to pass.
+ * @param {Function} callback - Node.js style callback.
+ * @return {*} Result of the <code>callback</code>.
+ * @see Validation#toNodeback
+ * @example
+ *
+ * Validation.toNodeback(Success.from(value), callback);
+ * // => callback(null, value)
+ *
+ * Validation.toNodeback(Failure.from([error1, error2]), callback);
+ * // => callback(AggregateError("error1; error2"))
+ */
+Validation.toNodeback = invokeWith("toNodeback");
+
 /**
  * Converts a validation to a <code>Promise</code> using the provided <code>Promise</code> implementation.
  * @static
@@ -970,6 +1543,49 @@ Validation.toMaybe = invokeIn("toMaybe");
  */
 Validation.toPromise = invokeIn("toPromise");
 
+/**
+ * Converts a {@link Validation} to a {@link Task} using the provided <code>Task</code> implementation.
+ * @static
+ * @member
+ * @param {Task} task - Task implementation.
+ * @param {Validation} value - Validation to convert.
+ * @return {Task} {@link Task} of the <code>value</code>.
+ * @example
+ *
+ * Validation.toTask(Task, Success.from(value));
+ * // => Task.of(value);
+ *
+ * Validation.toTask(Task, Failure.from(error));
+ * // => Task.reject([error]);
+ */
+Validation.toTask = invokeIn("toTask");
+
+/**
+ * Maps each value in <code>collection</code> to a {@link Validation} with <code>iteratee</code> and collects the
+ * results into a single {@link Validation} of a collection with the same shape. Arrays produce arrays and plain objects
+ * produce objects with the same keys. All failures are concatenated into a single {@link Failure}.
+ * @static
+ * @member
+ * @param {Function} iteratee - Function that maps each value to a {@link Validation}.
+ * @param {Array|Object} collection - Collection of values over which to iterate.
+ * @return {Validation} A {@link Success} of the collected values or a {@link Failure} of all failures.
+ * @example
+ *
+ * // validateEmail :: String -> Validation String String
+ * Validation.traverse(validateEmail, [email1, email2]);
+ * // => Success([email1, email2])
+ *
+ * Validation.traverse(validateEmail, {primary: invalidEmail1, secondary: invalidEmail2});
+ * // => Failure(["Invalid email 1.", "Invalid email 2."])
+ */
+Validation.traverse = curry((iteratee, collection) => {
+  const validations = mapCollection(iteratee, collection);
+
+  return find(Validation.isFailure, validations) ?
+    reduce(Validation.concat, Success.empty(), values(validations)) :
+    Success.of(mapCollection(get("value"), validations));
+});
+
 /**
  * @extends Validation
  * @inheritdoc
@@ -1061,21 +1677,50 @@ class Failure extends Validation {
     throw method(this.value);
   }
 
+  prefix(path) {
+    return new Failure(map(value => Violation.from(value).prefix(path), this.value));
+  }
+
+  reduce(method, accumulator) {
+    return accumulator;
+  }
+
   toEither(either) {
     return new either.Left(this.value);
   }
 
+  toErrorMap() {
+    return reduce((errorMap, value) => {
+      const violation = Violation.from(value);
+      const key = violation.path.join(".");
+
+      return set([key], concat(errorMap[key] || [], violation.message), errorMap);
+    }, {}, this.value);
+  }
+
   toMaybe(maybe) {
     return new maybe.Nothing();
   }
 
+  toNodeback(callback) {
+    return callback(aggregateError(this.value));
+  }
+
   toPromise(promise) {
     return promise.reject(this.value);
   }
 
+  toTask(task) {
+    return task.reject(this.value);
+  }
+
   toString() {
     return `Validation.Failure(${this.value.join("; ")})`;
   }
+
+  traverse(Type) {
+    return applicativeOf(Type, this);
+  }
 }
 
 /**
@@ -1167,21 +1812,45 @@ class Success extends Validation {
     return this.value;
   }
 
+  prefix() {
+    return this;
+  }
+
+  reduce(method, accumulator) {
+    return method(accumulator, this.value);
+  }
+
   toEither(either) {
     return new either.Right(this.value);
   }
 
+  toErrorMap() {
+    return {};
+  }
+
   toMaybe(maybe) {
     return new maybe.Just(this.value);
   }
 
+  toNodeback(callback) {
+    return callback(null, this.value);
+  }
+
   toPromise(promise) {
     return promise.resolve(this.value);
   }
 
+  toTask(task) {
+    return task.of(this.value);
+  }
+
   toString() {
     return `Validation.Success(${this.value})`;
   }
+
+  traverse(Type, method) {
+    return applicativeMap(Success.of, method(this.value));
+  }
 }
 
 module.exports = Validation;
@@ -0,0 +1,511 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isEqual = stream.isEqual;
+const isUndefined = stream.isUndefined;
+
+// Project
+const assertCases = include("src/assertCases");
+const Either = include("data/Either");
+const invokeIn = include("src/invokeIn");
+const Maybe = include("data/Maybe");
+const NonEmptyList = include("data/NonEmptyList");
+const Validation = include("data/Validation");
+
+/**
+ * Converts the <code>errors</code> of a {@link Failure} to a {@link NonEmptyList}. Like {@link Validation.Failure},
+ * an array is taken as the errors and any other value as a single error.
+ * @private
+ * @param {*} errors - {@link NonEmptyList} or array of errors, or a single error.
+ * @return {NonEmptyList} {@link NonEmptyList} of the errors.
+ * @throws {TypeError} If there are no errors.
+ */
+const toErrors = errors => NonEmptyList.isNonEmptyList(errors) ?
+  errors :
+  NonEmptyList.fromArray(isUndefined(errors) ? [] : [].concat(errors))
+    .orElseThrow(() => new TypeError("A Failure requires at least one error"));
+
+/**
+ * The {@link ValidationNel} type is a variant of {@link Validation} whose failures are a {@link NonEmptyList}. A
+ * {@link Validation} {@link Failure} may hold an empty array of errors, whereas a {@link ValidationNel} failure
+ * always holds at least one error, so it cannot be mistaken for a success. Unlike {@link Validation}, whose
+ * {@link Failure#ap} keeps only its own errors, applying one failure to another accumulates the errors of both.
+ * @param {*} value - Value to wrap.
+ * @return {ValidationNel} {@link ValidationNel} wrapped <code>value</code>.
+ * @example
+ *
+ * const Failure = ValidationNel.Failure;
+ * const Success = ValidationNel.Success;
+ *
+ * const isRequired = field => value => value ? Success.from(value) : Failure.from(`${field} is required`);
+ *
+ * Success.from(name => age => ({name, age}))
+ *   .ap(isRequired("name")(""))
+ *   .ap(isRequired("age")(0));
+ * // => Failure(NonEmptyList("name is required", "age is required"))
+ */
+class ValidationNel {
+  /**
+   * @static
+   * @property {Failure} Failure - ValidationNel failure.
+   */
+  static get Failure() {
+    return Failure;
+  }
+
+  /**
+   * @static
+   * @property {Success} Success - ValidationNel success.
+   */
+  static get Success() {
+    return Success;
+  }
+
+  /**
+   * Creates a new {@link ValidationNel} from a <code>value</code>. If the <code>value</code> is already a
+   * {@link ValidationNel} instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link Success} is
+   * made with the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {ValidationNel} {@link ValidationNel} for the <code>value</code>.
+   * @example
+   *
+   * ValidationNel.from(value);
+   * // => Success(value)
+   */
+  static from(value) {
+    return ValidationNel.isValidationNel(value) ? value : new Success(value);
+  }
+
+  /**
+   * Converts a {@link Validation} to a {@link ValidationNel}. A {@link Validation} {@link Failure} without any errors
+   * has no {@link ValidationNel}, so the result is a {@link Maybe}.
+   * @static
+   * @member
+   * @param {Validation} validation - Validation to convert.
+   * @return {Maybe} {@link Just} of the {@link ValidationNel} or {@link Nothing} for a failure without errors.
+   * @example
+   *
+   * ValidationNel.fromValidation(Validation.Failure.from([error]));
+   * // => Just(Failure(NonEmptyList(error)))
+   *
+   * ValidationNel.fromValidation(Validation.Failure.from([]));
+   * // => Nothing()
+   */
+  static fromValidation(validation) {
+    return validation.isFailure() ?
+      NonEmptyList.fromArray(validation.value).map(errors => new Failure(errors)) :
+      Maybe.Just.from(new Success(validation.value));
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Failure}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Failure}; <code>false</code> for anything else.
+   * @example
+   *
+   * ValidationNel.isFailure(Failure.from(error));
+   * // => true
+   */
+  static isFailure(value) {
+    return value instanceof Failure;
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Success}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Success}; <code>false</code> for anything else.
+   * @example
+   *
+   * ValidationNel.isSuccess(Success.from(value));
+   * // => true
+   */
+  static isSuccess(value) {
+    return value instanceof Success;
+  }
+
+  /**
+   * Determines whether or not the value is a {@link ValidationNel}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link ValidationNel}; <code>false</code> for anything else.
+   * @example
+   *
+   * ValidationNel.isValidationNel(Success.from(value));
+   * // => true
+   */
+  static isValidationNel(value) {
+    return value instanceof ValidationNel;
+  }
+
+  /**
+   * Wraps the <code>value</code> in a {@link Success}. No parts of <code>value</code> are checked.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap.
+   * @return {Success} {@link Success} wrapped <code>value</code>.
+   * @example
+   *
+   * ValidationNel.of(value);
+   * // => Success(value)
+   */
+  static of(value) {
+    return new Success(value);
+  }
+
+  constructor(value) {
+    this.value = value;
+  }
+
+  /**
+   * Applies the function of this {@link Success} to the value of the <code>other</code>. When both are a
+   * {@link Failure}, their errors are concatenated.
+   * @param {ValidationNel} other - {@link ValidationNel} of the value.
+   * @return {ValidationNel} {@link ValidationNel} of the result.
+   * @example
+   *
+   * Success.from(value => value + 1).ap(Success.from(1));
+   * // => Success(2)
+   *
+   * Failure.from("a").ap(Failure.from("b"));
+   * // => Failure(NonEmptyList("a", "b"))
+   */
+  ap(other) {
+    return this.match({
+      Failure: errors => other.isFailure() ? new Failure(errors.concat(other.value)) : this,
+      Success: method => other.map(method)
+    });
+  }
+
+  /**
+   * Maps the errors of a {@link Failure} with <code>failureMap</code> and the value of a {@link Success} with
+   * <code>successMap</code>. The <code>failureMap</code> is given a {@link NonEmptyList} and may return a
+   * {@link NonEmptyList}, a non-empty array or a single error.
+   * @param {Function} failureMap - The function to invoke with the errors.
+   * @param {Function} successMap - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} of the mapped errors or value.
+   * @example
+   *
+   * Failure.from("a").bimap(errors => errors.map(toUpper), identity);
+   * // => Failure(NonEmptyList("A"))
+   */
+  bimap(failureMap, successMap) {
+    return this.match({
+      Failure: errors => new Failure(failureMap(errors)),
+      Success: value => new Success(successMap(value))
+    });
+  }
+
+  /**
+   * Applies the <code>method</code> to the value of a {@link Success}. {@link Failure} is returned without invoking
+   * the <code>method</code>.
+   * @param {Chain.<ValidationNel>} method - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} returned by the <code>method</code>.
+   * @example
+   *
+   * Success.from(1).chain(value => Success.from(value + 1));
+   * // => Success(2)
+   */
+  chain(method) {
+    return this.isFailure() ? this : ValidationNel.from(method(this.value));
+  }
+
+  /**
+   * Concatenates the <code>other</code> {@link ValidationNel} to this one. The errors of two {@link Failure}
+   * instances are concatenated, a {@link Failure} is kept over a {@link Success} and the first of two
+   * {@link Success} instances is kept.
+   * @param {ValidationNel} other - Other {@link ValidationNel}.
+   * @return {ValidationNel} Concatenated {@link ValidationNel}.
+   * @example
+   *
+   * Failure.from("a").concat(Success.from(value)).concat(Failure.from("b"));
+   * // => Failure(NonEmptyList("a", "b"))
+   */
+  concat(other) {
+    return this.match({
+      Failure: errors => other.isFailure() ? new Failure(errors.concat(other.value)) : this,
+      Success: () => other.isFailure() ? other : this
+    });
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in value to the current (<code>this</code>). This is
+   * <strong>not</strong> a reference check.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two validations are equal; <code>false</code> if not equal.
+   * @example
+   *
+   * Success.from(value).equals(Success.from(value));
+   * // => true
+   */
+  equals(other) {
+    return isEqual(this, other);
+  }
+
+  /**
+   * Determines whether or not the instance is a {@link Failure}.
+   * @return {Boolean} <code>true</code> if the instance is a {@link Failure}; <code>false</code> otherwise.
+   * @example
+   *
+   * Failure.from(error).isFailure();
+   * // => true
+   */
+  isFailure() {
+    return this instanceof Failure;
+  }
+
+  /**
+   * Determines whether or not the instance is a {@link Success}.
+   * @return {Boolean} <code>true</code> if the instance is a {@link Success}; <code>false</code> otherwise.
+   * @example
+   *
+   * Success.from(value).isSuccess();
+   * // => true
+   */
+  isSuccess() {
+    return this instanceof Success;
+  }
+
+  /**
+   * Maps the value of a {@link Success} with the <code>method</code>. {@link Failure} is returned unchanged.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} of the mapped value.
+   * @example
+   *
+   * Success.from(1).map(value => value + 1);
+   * // => Success(2)
+   */
+  map(method) {
+    return this.isFailure() ? this : new Success(method(this.value));
+  }
+
+  /**
+   * Returns the result of applying the function of the matching case in <code>cases</code> to the errors or the
+   * value. Every case must be given a function; a missing case throws a <code>TypeError</code> when called, even if it
+   * is not the case that matches.
+   * @param {Object} cases - Functions keyed by case name.
+   * @param {Function} cases.Failure - The function to invoke with the {@link NonEmptyList} of errors.
+   * @param {Function} cases.Success - The function to invoke with the value.
+   * @return {*} Result of the invoked function.
+   * @throws {TypeError} If a case is missing.
+   * @example
+   *
+   * validateUser(user).match({
+   *   Failure: errors => report(errors.extract()),
+   *   Success: user => save(user)
+   * });
+   */
+  match(cases) {
+    assertCases("ValidationNel", ["Failure", "Success"], cases);
+
+    return this.isFailure() ? cases.Failure(this.value) : cases.Success(this.value);
+  }
+
+  /**
+   * Converts the {@link ValidationNel} to an {@link Either}. {@link Failure} becomes a {@link Left} of the
+   * {@link NonEmptyList} of errors and {@link Success} becomes a {@link Right}.
+   * @return {Either} {@link Either} of the errors or the value.
+   * @example
+   *
+   * Failure.from(error).toEither();
+   * // => Left(NonEmptyList(error))
+   */
+  toEither() {
+    return this.isFailure() ? Either.Left.from(this.value) : Either.Right.from(this.value);
+  }
+
+  /**
+   * Returns a string representation of the {@link ValidationNel}.
+   * @return {String} String representation.
+   * @example
+   *
+   * Failure.from("a").toString();
+   * // => "ValidationNel.Failure(NonEmptyList(a))"
+   */
+  toString() {
+    return this.match({
+      Failure: errors => `ValidationNel.Failure(${errors})`,
+      Success: value => `ValidationNel.Success(${value})`
+    });
+  }
+
+  /**
+   * Converts the {@link ValidationNel} to a {@link Validation}. The errors of a {@link Failure} become an array.
+   * @return {Validation} {@link Validation} of the errors or the value.
+   * @example
+   *
+   * Failure.from("a").toValidation();
+   * // => Failure(["a"])
+   */
+  toValidation() {
+    return this.isFailure() ?
+      Validation.Failure.from(this.value.toArray()) :
+      Validation.Success.from(this.value);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#ap} with the arguments flipped.
+   * @param {ValidationNel} other - {@link ValidationNel} of the function to apply.
+   * @return {ValidationNel} {@link ValidationNel} of the result.
+   * @see ValidationNel#ap
+   */
+  ["fantasy-land/ap"](other) {
+    return other.ap(this);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#bimap}.
+   * @param {Function} failureMap - The function to invoke with the errors.
+   * @param {Function} successMap - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} of the mapped errors or value.
+   * @see ValidationNel#bimap
+   */
+  ["fantasy-land/bimap"](failureMap, successMap) {
+    return this.bimap(failureMap, successMap);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#chain}.
+   * @param {Chain.<ValidationNel>} method - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} returned by the <code>method</code>.
+   * @see ValidationNel#chain
+   */
+  ["fantasy-land/chain"](method) {
+    return this.chain(method);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#concat}.
+   * @param {ValidationNel} other - Other {@link ValidationNel}.
+   * @return {ValidationNel} Concatenated {@link ValidationNel}.
+   * @see ValidationNel#concat
+   */
+  ["fantasy-land/concat"](other) {
+    return this.concat(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#equals}.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> if the two validations are equal; <code>false</code> if not equal.
+   * @see ValidationNel#equals
+   */
+  ["fantasy-land/equals"](other) {
+    return this.equals(other);
+  }
+
+  /**
+   * Fantasy Land compatible alias of {@link ValidationNel#map}.
+   * @param {Function} method - The function to invoke with the value.
+   * @return {ValidationNel} {@link ValidationNel} of the mapped value.
+   * @see ValidationNel#map
+   */
+  ["fantasy-land/map"](method) {
+    return this.map(method);
+  }
+}
+
+/**
+ * Fantasy Land compatible alias of {@link ValidationNel.of}.
+ * @static
+ * @member
+ * @param {*} value - Value to wrap.
+ * @return {Success} {@link Success} wrapped <code>value</code>.
+ * @example
+ *
+ * ValidationNel["fantasy-land/of"](value);
+ * // => Success(value)
+ */
+ValidationNel["fantasy-land/of"] = ValidationNel.of;
+
+/**
+ * Returns the result of applying the function of the matching case in <code>cases</code> to the errors or the value
+ * of the <code>validation</code>.
+ * @static
+ * @member
+ * @param {Object} cases - Functions keyed by case name.
+ * @param {ValidationNel} validation - Validation to match.
+ * @return {*} Result of the invoked function.
+ * @example
+ *
+ * const report = ValidationNel.match({
+ *   Failure: errors => errors.toArray(),
+ *   Success: () => []
+ * });
+ *
+ * report(Failure.from("name is required"));
+ * // => ["name is required"]
+ */
+ValidationNel.match = invokeIn("match");
+
+/**
+ * @extends ValidationNel
+ * @inheritdoc
+ */
+class Failure extends ValidationNel {
+  /**
+   * Creates a new {@link Failure} from the <code>errors</code>. If the <code>errors</code> are already a
+   * {@link ValidationNel} instance, they are returned unchanged. Like {@link Validation.Failure}, an array is taken
+   * as the errors and any other value as a single error. There must be at least one error.
+   * @static
+   * @param {*} errors - {@link NonEmptyList} or array of errors, or a single error.
+   * @return {ValidationNel} {@link ValidationNel} when the <code>errors</code> are already wrapped or {@link Failure}
+   * of the <code>errors</code>.
+   * @throws {TypeError} If there are no errors.
+   * @example
+   *
+   * Failure.from(error);
+   * // => Failure(NonEmptyList(error))
+   *
+   * Failure.from([error1, error2]);
+   * // => Failure(NonEmptyList(error1, error2))
+   *
+   * Failure.from([]);
+   * // => throws TypeError
+   */
+  static from(errors) {
+    return ValidationNel.isValidationNel(errors) ? errors : new Failure(errors);
+  }
+
+  constructor(errors) {
+    super(toErrors(errors));
+  }
+}
+
+/**
+ * @extends ValidationNel
+ * @inheritdoc
+ */
+class Success extends ValidationNel {
+  /**
+   * Creates a new {@link Success} from a <code>value</code>. If the <code>value</code> is already a
+   * {@link ValidationNel} instance, the <code>value</code> is returned unchanged.
+   * @static
+   * @param {*} value - Value to wrap.
+   * @return {ValidationNel} {@link ValidationNel} when the <code>value</code> is already wrapped or {@link Success} of
+   * the <code>value</code>.
+   * @example
+   *
+   * Success.from(value);
+   * // => Success(value)
+   */
+  static from(value) {
+    return ValidationNel.isValidationNel(value) ? value : new Success(value);
+  }
+
+  constructor(value) {
+    super(value);
+  }
+}
+
+module.exports = ValidationNel;
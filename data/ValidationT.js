@@ -0,0 +1,178 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const transformer = include("src/transformer");
+const Validation = include("data/Validation");
+
+/**
+ * The {@link ValidationT} transformer combines a {@link Validation} with another monad, such as a {@link Task} or a
+ * <code>Promise</code>, so that <code>map</code>, <code>chain</code> and <code>ap</code> work across both layers at
+ * once. Given the type representative of the outer monad, it returns a type whose instances wrap an outer monad of a
+ * {@link Validation}. The outer monad must provide <code>of</code> (or <code>resolve</code>) and its instances
+ * <code>map</code> and <code>chain</code> (or <code>then</code>). As with {@link Validation#chain}, <code>chain</code>
+ * stops at the first {@link Failure}.
+ * @param {Object} Monad - Type representative of the outer monad.
+ * @return {Object} {@link ValidationT} type for the <code>Monad</code>.
+ * @example <caption>Over Task</caption>
+ *
+ * const TaskValidation = ValidationT(Task);
+ *
+ * TaskValidation.lift(fetchUser(id))
+ *   .chain(user => TaskValidation.fromValidation(validateUser(user)))
+ *   .map(user => user.name)
+ *   .run();
+ * // => Task.of(Success(name)) or Task.of(Failure(errors))
+ *
+ * @example <caption>Over Promise</caption>
+ *
+ * const PromiseValidation = ValidationT(Promise);
+ *
+ * PromiseValidation.lift(fetchUser(id)).map(user => user.name).run();
+ * // => Promise(Success(name))
+ */
+const ValidationT = Monad => {
+  const operations = transformer(Monad, Validation, validation => validation.isFailure());
+
+  class ValidationT {
+    /**
+     * Creates a new {@link ValidationT} from a <code>value</code>. If the <code>value</code> is already an instance of
+     * the type, the <code>value</code> is returned unchanged. A {@link Validation} is wrapped with
+     * {@link ValidationT.fromValidation} and any other value with {@link ValidationT.of}.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {ValidationT} {@link ValidationT} for the <code>value</code>.
+     */
+    static from(value) {
+      if (value instanceof ValidationT) {
+        return value;
+      }
+
+      return Validation.isValidation(value) ? ValidationT.fromValidation(value) : ValidationT.of(value);
+    }
+
+    /**
+     * Wraps an {@link Either} in the outer monad as a {@link Validation}.
+     * @static
+     * @member
+     * @param {Either} either - Either to convert and wrap.
+     * @return {ValidationT} {@link ValidationT} of the converted <code>either</code>.
+     */
+    static fromEither(either) {
+      return ValidationT.fromValidation(either.toValidation(Validation));
+    }
+
+    /**
+     * Wraps a {@link Validation} in the outer monad.
+     * @static
+     * @member
+     * @param {Validation} validation - Validation to wrap.
+     * @return {ValidationT} {@link ValidationT} of the <code>validation</code>.
+     */
+    static fromValidation(validation) {
+      return new ValidationT(operations.of(validation));
+    }
+
+    /**
+     * Lifts an instance of the outer monad by wrapping its value in {@link Success}.
+     * @static
+     * @member
+     * @param {Monad} monad - Instance of the outer monad.
+     * @return {ValidationT} {@link ValidationT} of the value of the <code>monad</code>.
+     */
+    static lift(monad) {
+      return new ValidationT(operations.lift(monad));
+    }
+
+    /**
+     * Wraps a value in {@link Success} and the outer monad.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {ValidationT} {@link ValidationT} of the <code>value</code>.
+     */
+    static of(value) {
+      return ValidationT.fromValidation(Validation.of(value));
+    }
+
+    constructor(value) {
+      this.value = value;
+    }
+
+    /**
+     * Applies the function of this {@link ValidationT} to the value of the <code>other</code> with
+     * {@link Validation#ap}.
+     * @param {ValidationT} other - {@link ValidationT} of the value to apply to the function.
+     * @return {ValidationT} {@link ValidationT} of the result.
+     */
+    ap(other) {
+      return new ValidationT(operations.ap(this.value, other.value));
+    }
+
+    /**
+     * Applies the <code>method</code> to the value of {@link Success} and continues with the {@link ValidationT} it
+     * returns. {@link Failure} is returned without invoking the <code>method</code>.
+     * @param {Chain.<ValidationT>} method - The function to invoke with the value.
+     * @return {ValidationT} {@link ValidationT} returned by the <code>method</code>.
+     */
+    chain(method) {
+      return new ValidationT(operations.chain(value => ValidationT.from(method(value)).run(), this.value));
+    }
+
+    /**
+     * Maps the value of {@link Success} with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {ValidationT} {@link ValidationT} of the mapped value.
+     */
+    map(method) {
+      return new ValidationT(operations.map(method, this.value));
+    }
+
+    /**
+     * Returns the wrapped outer monad of a {@link Validation}.
+     * @return {Monad} Outer monad of a {@link Validation}.
+     */
+    run() {
+      return this.value;
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link ValidationT#ap} with the arguments flipped.
+     * @param {ValidationT} other - {@link ValidationT} of the function to apply.
+     * @return {ValidationT} {@link ValidationT} of the result.
+     * @see ValidationT#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link ValidationT#chain}.
+     * @param {Chain.<ValidationT>} method - The function to invoke with the value.
+     * @return {ValidationT} {@link ValidationT} returned by the <code>method</code>.
+     * @see ValidationT#chain
+     */
+    ["fantasy-land/chain"](method) {
+      return this.chain(method);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link ValidationT#map}.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {ValidationT} {@link ValidationT} of the mapped value.
+     * @see ValidationT#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  ValidationT["fantasy-land/of"] = ValidationT.of;
+
+  return ValidationT;
+};
+
+module.exports = ValidationT;
@@ -0,0 +1,129 @@
+"use strict";
+
+// Third Party
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const concat = stream.concat;
+const isEmpty = stream.isEmpty;
+const isEqual = stream.isEqual;
+const isNil = stream.isNil;
+const toPath = stream.toPath;
+
+/**
+ * The {@link Violation} type is a structured failure for use within a {@link Failure}. It records the
+ * <code>path</code> to the offending field, a machine readable <code>code</code> and a human readable
+ * <code>message</code> so that failures of nested values can be traced back to the field that caused them.
+ * @param {String|String[]} path - Path to the field in violation.
+ * @param {String} code - Machine readable failure code.
+ * @param {String} message - Human readable failure message.
+ * @return {Violation} {@link Violation} for the field at <code>path</code>.
+ * @example <caption>Via <code>new</code></caption>
+ *
+ * const v1 = new Violation(["address", "zip"], "required", "Zip code is required.");
+ * const v2 = new Violation("address.zip", "required", "Zip code is required.");
+ *
+ * @example <caption>Via failure</caption>
+ *
+ * const Validation = require("lodash-fantasy/data/Validation");
+ *
+ * // The path is left empty and is prefixed by the parent with Validation.field or Validation.prefix.
+ * function validateZip(value) {
+ *   return isEmpty(value) ?
+ *     Validation.Failure.from(new Validation.Violation([], "required", "Zip code is required.")) :
+ *     Validation.Success.from(value);
+ * }
+ */
+class Violation {
+  /**
+   * Creates a new {@link Violation} from a <code>value</code>. If the <code>value</code> is already a
+   * {@link Violation} instance, the <code>value</code> is returned unchanged. Otherwise, a new {@link Violation} is
+   * made at the root path with the <code>value</code> as its <code>message</code>.
+   * @static
+   * @member
+   * @param {*} value - Value to wrap in a {@link Violation}.
+   * @return {Violation} {@link Violation} for the <code>value</code>.
+   * @example
+   *
+   * Violation.from("Error message");
+   * // => Violation([], undefined, "Error message")
+   *
+   * Violation.from(new Violation("zip", "required", "Zip code is required."));
+   * // => Violation(["zip"], "required", "Zip code is required.")
+   */
+  static from(value) {
+    return Violation.isViolation(value) ? value : new Violation([], undefined, value);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Violation}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Violation}; <code>false</code> for anything else.
+   * @example
+   *
+   * isViolation("Error message");
+   * // => false
+   *
+   * isViolation(new Violation("zip", "required", "Zip code is required."));
+   * // => true
+   */
+  static isViolation(value) {
+    return value instanceof Violation;
+  }
+
+  constructor(path, code, message) {
+    this.path = isNil(path) ? [] : toPath(path);
+    this.code = code;
+    this.message = message;
+  }
+
+  /**
+   * Determines whether or not the <code>other</code> is equal in path, code and message to the current instance.
+   * @param {*} other - Other value to check.
+   * @return {Boolean} <code>true</code> for equal violations; <code>false</code> for anything else.
+   * @example
+   *
+   * new Violation("zip", "required", message).equals(new Violation(["zip"], "required", message));
+   * // => true
+   *
+   * new Violation("zip", "required", message).equals(new Violation("city", "required", message));
+   * // => false
+   */
+  equals(other) {
+    return Violation.isViolation(other) && isEqual(this, other);
+  }
+
+  /**
+   * Prepends the <code>path</code> to the path of the instance. Used when a validator of a nested value is composed
+   * into a validator of its parent.
+   * @param {String|String[]} path - Path to prepend.
+   * @return {Violation} {@link Violation} with the prefixed path.
+   * @example
+   *
+   * new Violation("zip", "required", "Zip code is required.").prefix("address");
+   * // => Violation(["address", "zip"], "required", "Zip code is required.")
+   */
+  prefix(path) {
+    return new Violation(concat(toPath(path), this.path), this.code, this.message);
+  }
+
+  /**
+   * Returns a <code>String</code> representation of the {@link Violation}. The message is preceded by the dotted path
+   * when the path is not empty.
+   * @return {String} <code>String</code> representation.
+   * @example
+   *
+   * new Violation(["address", "zip"], "required", "Zip code is required.").toString();
+   * // => "address.zip: Zip code is required."
+   *
+   * new Violation([], undefined, "Error message").toString();
+   * // => "Error message"
+   */
+  toString() {
+    return isEmpty(this.path) ? `${this.message}` : `${this.path.join(".")}: ${this.message}`;
+  }
+}
+
+module.exports = Violation;
@@ -0,0 +1,163 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const monoidEmpty = include("src/monoidEmpty");
+const semigroupConcat = include("src/semigroupConcat");
+
+/**
+ * The {@link Writer} type pairs a value with a log that is accumulated as computations are chained. Given the type
+ * representative of a monoid, it returns a type whose logs are values of that monoid. Any Fantasy Land monoid can be
+ * used, such as {@link Validation}, as well as <code>Array</code> and <code>String</code>.
+ * @param {Object} Monoid - Type representative of the log.
+ * @return {Object} {@link Writer} type for the <code>Monoid</code>.
+ * @example <caption>Audit trail</caption>
+ *
+ * const Audit = Writer(Array);
+ * const applyRule = rule => price => Audit.tell([rule.name]).map(() => rule.apply(price));
+ *
+ * Audit.of(100).chain(applyRule(memberDiscount)).chain(applyRule(salesTax)).run();
+ * // => [97.2, ["memberDiscount", "salesTax"]]
+ *
+ * @example <caption>Warnings</caption>
+ *
+ * const Warnings = Writer(Validation);
+ *
+ * Warnings.of(price).chain(price => Warnings.tell(Failure.from("Price is below cost")).map(() => price)).run();
+ * // => [price, Failure(["Price is below cost"])]
+ */
+const Writer = Monoid => {
+  class Writer {
+    /**
+     * Creates a new {@link Writer} from a <code>value</code>. If the <code>value</code> is already an instance of
+     * the type, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is wrapped with
+     * {@link Writer.of}.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {Writer} {@link Writer} for the <code>value</code>.
+     */
+    static from(value) {
+      return value instanceof Writer ? value : Writer.of(value);
+    }
+
+    /**
+     * Wraps a value with an empty log.
+     * @static
+     * @member
+     * @param {*} value - Value to wrap.
+     * @return {Writer} {@link Writer} of the <code>value</code>.
+     */
+    static of(value) {
+      return new Writer(value, monoidEmpty(Monoid));
+    }
+
+    /**
+     * Creates a {@link Writer} that writes the <code>log</code> without a value.
+     * @static
+     * @member
+     * @param {Monoid} log - Log to write.
+     * @return {Writer} {@link Writer} of the <code>log</code>.
+     */
+    static tell(log) {
+      return new Writer(undefined, log);
+    }
+
+    constructor(value, log) {
+      this.log = log;
+      this.value = value;
+    }
+
+    /**
+     * Applies the function of this {@link Writer} to the value of the <code>other</code> and concatenates their logs.
+     * @param {Writer} other - {@link Writer} of the value.
+     * @return {Writer} {@link Writer} of the result.
+     */
+    ap(other) {
+      return new Writer(this.value(other.value), semigroupConcat(this.log, other.log));
+    }
+
+    /**
+     * Modifies the log with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the log.
+     * @return {Writer} {@link Writer} of the modified log.
+     */
+    censor(method) {
+      return new Writer(this.value, method(this.log));
+    }
+
+    /**
+     * Applies the <code>method</code> to the value and appends the log of the {@link Writer} it returns.
+     * @param {Chain.<Writer>} method - The function to invoke with the value.
+     * @return {Writer} {@link Writer} of the returned value and both logs.
+     */
+    chain(method) {
+      const next = Writer.from(method(this.value));
+
+      return new Writer(next.value, semigroupConcat(this.log, next.log));
+    }
+
+    /**
+     * Pairs the value with the log so far, which is useful for inspecting the log in a later computation.
+     * @return {Writer} {@link Writer} of the <code>[value, log]</code> pair.
+     */
+    listen() {
+      return new Writer([this.value, this.log], this.log);
+    }
+
+    /**
+     * Maps the value with the <code>method</code>.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {Writer} {@link Writer} of the mapped value.
+     */
+    map(method) {
+      return new Writer(method(this.value), this.log);
+    }
+
+    /**
+     * Returns the value and the log.
+     * @return {Array} <code>[value, log]</code> pair.
+     */
+    run() {
+      return Array.of(this.value, this.log);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Writer#ap} with the arguments flipped.
+     * @param {Writer} other - {@link Writer} of the function to apply.
+     * @return {Writer} {@link Writer} of the result.
+     * @see Writer#ap
+     */
+    ["fantasy-land/ap"](other) {
+      return other.ap(this);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Writer#chain}.
+     * @param {Chain.<Writer>} method - The function to invoke with the value.
+     * @return {Writer} {@link Writer} of the returned value and both logs.
+     * @see Writer#chain
+     */
+    ["fantasy-land/chain"](method) {
+      return this.chain(method);
+    }
+
+    /**
+     * Fantasy Land compatible alias of {@link Writer#map}.
+     * @param {Function} method - The function to invoke with the value.
+     * @return {Writer} {@link Writer} of the mapped value.
+     * @see Writer#map
+     */
+    ["fantasy-land/map"](method) {
+      return this.map(method);
+    }
+  }
+
+  Writer["fantasy-land/of"] = Writer.of;
+
+  return Writer;
+};
+
+module.exports = Writer;
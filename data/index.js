@@ -1,7 +1,24 @@
 "use strict";
 
 module.exports = {
+  Compose: require("./Compose"),
+  Const: require("./Const"),
   Either: require("./Either"),
+  EitherT: require("./EitherT"),
+  Identity: require("./Identity"),
+  IO: require("./IO"),
   Maybe: require("./Maybe"),
-  Validation: require("./Validation")
+  MaybeT: require("./MaybeT"),
+  NonEmptyList: require("./NonEmptyList"),
+  Reader: require("./Reader"),
+  ReaderTaskEither: require("./ReaderTaskEither"),
+  State: require("./State"),
+  Task: require("./Task"),
+  These: require("./These"),
+  Tuple: require("./Tuple"),
+  Validation: require("./Validation"),
+  ValidationNel: require("./ValidationNel"),
+  ValidationT: require("./ValidationT"),
+  Violation: require("./Violation"),
+  Writer: require("./Writer")
 };
@@ -0,0 +1,186 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const head = stream.head;
+const identity = stream.identity;
+
+// Project
+const Either = include("data/Either");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Left = Either.Left;
+const Right = Either.Right;
+const Success = Validation.Success;
+const Violation = Validation.Violation;
+
+/**
+ * The {@link Decoder} type turns untrusted values, such as parsed JSON, into trusted ones. A decoder either stops at
+ * the first error with {@link Decoder#decode}, which returns an {@link Either}, or collects every error with
+ * {@link Decoder#validate}, which returns a {@link Validation}. Errors are {@link Violation} instances with the path to
+ * the offending value. Decoders are built with the combinators in <code>lodash-fantasy/decode</code>.
+ * @param {Function} decoder - Function that decodes a value and returns a {@link Validation}.
+ * @return {Decoder} {@link Decoder} for the <code>decoder</code> function.
+ * @example
+ *
+ * const decode = require("lodash-fantasy/decode");
+ *
+ * const userDecoder = decode.map2(
+ *   (name, zip) => ({name, zip}),
+ *   decode.field("name", decode.string),
+ *   decode.at(["address", "zip"], decode.string)
+ * );
+ *
+ * userDecoder.decodeJson('{"name": "Jane", "address": {"zip": 12345}}');
+ * // => Left(Violation(["address", "zip"], "type", "Expected a string but got 12345"))
+ */
+class Decoder {
+  /**
+   * Creates a {@link Decoder} that always fails with the <code>message</code>.
+   * @static
+   * @member
+   * @param {String} message - Failure message.
+   * @return {Decoder} Failing {@link Decoder}.
+   * @example
+   *
+   * Decoder.fail("Unsupported version").decode(value);
+   * // => Left(Violation([], "fail", "Unsupported version"))
+   */
+  static fail(message) {
+    return new Decoder(() => Failure.from(new Violation([], "fail", message)));
+  }
+
+  /**
+   * Creates a new {@link Decoder} from a <code>value</code>. If the <code>value</code> is already a {@link Decoder}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is treated as a function
+   * that decodes a value and returns a {@link Validation}.
+   * @static
+   * @member
+   * @param {Decoder|Function} value - Decoder or decoding function.
+   * @return {Decoder} {@link Decoder} for the <code>value</code>.
+   * @example
+   *
+   * const positive = Decoder.from(value => value > 0 ? Success.from(value) : Failure.from("Expected a positive"));
+   */
+  static from(value) {
+    return Decoder.isDecoder(value) ? value : new Decoder(value);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Decoder}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Decoder}; <code>false</code> for anything else.
+   * @example
+   *
+   * Decoder.isDecoder(decode.string);
+   * // => true
+   */
+  static isDecoder(value) {
+    return value instanceof Decoder;
+  }
+
+  /**
+   * Creates a {@link Decoder} that ignores the input and always succeeds with the <code>value</code>.
+   * @static
+   * @member
+   * @param {*} value - Decoded value.
+   * @return {Decoder} Succeeding {@link Decoder}.
+   * @example
+   *
+   * Decoder.succeed(1).decode(value);
+   * // => Right(1)
+   */
+  static succeed(value) {
+    return new Decoder(() => Success.of(value));
+  }
+
+  constructor(decoder) {
+    this.decoder = decoder;
+  }
+
+  /**
+   * Decodes the input and passes the result to <code>method</code> to choose the next decoder, which decodes the same
+   * input. Useful for decoders that depend on a value of the input, such as a version or a type tag.
+   * @param {Function} method - Function that takes the decoded value and returns a {@link Decoder}.
+   * @return {Decoder} New {@link Decoder}.
+   * @example
+   *
+   * decode.field("version", decode.number).andThen(version => version === 2 ?
+   *   decode.field("data", dataDecoder) :
+   *   Decoder.fail(`Unsupported version ${version}`));
+   */
+  andThen(method) {
+    return new Decoder(value => this.validate(value).chain(result => method(result).validate(value)));
+  }
+
+  /**
+   * Decodes the <code>value</code> and stops at the first error.
+   * @param {*} value - Value to decode.
+   * @return {Either} {@link Right} of the decoded value or {@link Left} of the first {@link Violation}.
+   * @example
+   *
+   * decode.string.decode("a");
+   * // => Right("a")
+   *
+   * decode.string.decode(1);
+   * // => Left(Violation([], "type", "Expected a string but got 1"))
+   */
+  decode(value) {
+    const validation = this.validate(value);
+
+    return validation.isSuccess() ? Right.from(validation.value) : Left.from(head(validation.value));
+  }
+
+  /**
+   * Parses the <code>json</code> and decodes the result. Parse errors become a {@link Left} as well.
+   * @param {String} json - JSON to parse and decode.
+   * @return {Either} {@link Right} of the decoded value or {@link Left} of the first {@link Violation}.
+   * @example
+   *
+   * decode.string.decodeJson("{");
+   * // => Left(Violation([], "json", "Unexpected end of JSON input"))
+   */
+  decodeJson(json) {
+    return Either.try(() => JSON.parse(json))
+      .bimap(error => new Violation([], "json", error.message), identity)
+      .chain(value => this.decode(value));
+  }
+
+  /**
+   * Maps the decoded value with <code>method</code>.
+   * @param {Function} method - The function to invoke with the decoded value.
+   * @return {Decoder} New {@link Decoder}.
+   * @example
+   *
+   * decode.string.map(toUpper).decode("a");
+   * // => Right("A")
+   */
+  map(method) {
+    return new Decoder(value => this.validate(value).map(method));
+  }
+
+  /**
+   * Decodes the <code>value</code> and collects every error.
+   * @param {*} value - Value to decode.
+   * @return {Validation} {@link Success} of the decoded value or {@link Failure} of every {@link Violation}.
+   * @example
+   *
+   * decode.map2(pair, decode.index(0, decode.string), decode.index(1, decode.string)).validate([1, 2]);
+   * // => Failure([
+   * //   Violation(["0"], "type", "Expected a string but got 1"),
+   * //   Violation(["1"], "type", "Expected a string but got 2")
+   * // ])
+   */
+  validate(value) {
+    return this.decoder(value);
+  }
+}
+
+module.exports = Decoder;
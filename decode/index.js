@@ -0,0 +1,306 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const curry = stream.curry;
+const curryN = stream.curryN;
+const has = stream.has;
+const isArray = stream.isArray;
+const isBoolean = stream.isBoolean;
+const isNaN = stream.isNaN;
+const isNull = stream.isNull;
+const isNumber = stream.isNumber;
+const isObjectLike = stream.isObjectLike;
+const isString = stream.isString;
+const map = stream.map;
+const range = stream.range;
+const reduceRight = stream.reduceRight;
+const rest = stream.rest;
+const spread = stream.spread;
+const toPath = stream.toPath;
+const zipWith = stream.zipWith;
+
+// Project
+const Decoder = include("decode/Decoder");
+const Maybe = include("data/Maybe");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Success = Validation.Success;
+const Violation = Validation.Violation;
+
+/**
+ * Describes a value for use in error messages. Values that cannot be serialized as JSON, such as a
+ * <code>BigInt</code> or a circular structure, are described with <code>String</code> instead so that decoding never
+ * throws.
+ * @private
+ * @param {*} value - Value to describe.
+ * @return {String} Description of the <code>value</code>.
+ */
+const show = value => {
+  try {
+    return `${JSON.stringify(value)}`;
+  } catch (error) {
+    return String(value);
+  }
+};
+
+/**
+ * Creates a {@link Decoder} of values that satisfy the <code>predicate</code>.
+ * @private
+ * @param {Predicate} predicate - Type check.
+ * @param {String} description - Description of the expected type.
+ * @return {Decoder} {@link Decoder} of the type.
+ */
+const primitive = (predicate, description) => {
+  const expected = `Expected ${description} but got`;
+
+  return new Decoder(value => predicate(value) ?
+    Success.of(value) :
+    Failure.from(new Violation([], "type", `${expected} ${show(value)}`))
+  );
+};
+
+/**
+ * Decodes the input with the <code>decoder</code> and passes the result to <code>method</code> to choose the next
+ * decoder.
+ * @static
+ * @member
+ * @param {Function} method - Function that takes the decoded value and returns a {@link Decoder}.
+ * @param {Decoder} decoder - Decoder of the input.
+ * @return {Decoder} New {@link Decoder}.
+ * @example
+ *
+ * const shape = decode.andThen(
+ *   tag => tag === "circle" ? circleDecoder : squareDecoder,
+ *   decode.field("tag", decode.string)
+ * );
+ */
+const andThen = curry((method, decoder) => decoder.andThen(method));
+
+/**
+ * Creates a {@link Decoder} of arrays whose elements are decoded with the <code>decoder</code>. Errors are prefixed
+ * with the index of the element.
+ * @static
+ * @member
+ * @param {Decoder} decoder - Decoder of the elements.
+ * @return {Decoder} {@link Decoder} of arrays.
+ * @example
+ *
+ * decode.array(decode.number).decode([1, 2]);
+ * // => Right([1, 2])
+ */
+const array = decoder => {
+  const decodeElement = (element, i) => decoder.validate(element).prefix([i]);
+
+  return new Decoder(value => isArray(value) ?
+    Validation.sequence(zipWith(decodeElement, value, range(0, value.length))) :
+    Failure.from(new Violation([], "type", `Expected an array but got ${show(value)}`))
+  );
+};
+
+/**
+ * Decodes a value of a field of an object.
+ * @static
+ * @member
+ * @param {String} name - Field name.
+ * @param {Decoder} decoder - Decoder of the field value.
+ * @return {Decoder} {@link Decoder} of the field.
+ * @example
+ *
+ * decode.field("name", decode.string).decode({name: "Jane"});
+ * // => Right("Jane")
+ *
+ * decode.field("name", decode.string).decode({});
+ * // => Left(Violation([], "field", "Expected an object with a field \"name\" but got {}"))
+ */
+const field = curry((name, decoder) => {
+  const expected = `Expected an object with a field "${name}" but got`;
+
+  return new Decoder(value => isObjectLike(value) && has([name], value) ?
+    decoder.validate(value[name]).prefix([name]) :
+    Failure.from(new Violation([], "field", `${expected} ${show(value)}`))
+  );
+});
+
+/**
+ * Decodes a value nested within objects.
+ * @static
+ * @member
+ * @param {String|String[]} path - Field names from the outermost to the innermost.
+ * @param {Decoder} decoder - Decoder of the nested value.
+ * @return {Decoder} {@link Decoder} of the nested value.
+ * @example
+ *
+ * decode.at(["address", "zip"], decode.string).decode({address: {zip: "12345"}});
+ * // => Right("12345")
+ */
+const at = curry((path, decoder) => reduceRight(field, decoder, toPath(path)));
+
+/**
+ * {@link Decoder} of booleans.
+ * @static
+ * @member
+ * @type {Decoder}
+ * @example
+ *
+ * decode.boolean.decode(true);
+ * // => Right(true)
+ */
+const boolean = primitive(isBoolean, "a boolean");
+
+/**
+ * Decodes the element at an index of an array.
+ * @static
+ * @member
+ * @param {Number} i - Index of the element.
+ * @param {Decoder} decoder - Decoder of the element.
+ * @return {Decoder} {@link Decoder} of the element.
+ * @example
+ *
+ * decode.index(1, decode.string).decode(["a", "b"]);
+ * // => Right("b")
+ */
+const index = curry((i, decoder) => {
+  const expected = `Expected an array with an element at index ${i} but got`;
+
+  return new Decoder(value => isArray(value) && i >= 0 && i < value.length ?
+    decoder.validate(value[i]).prefix([i]) :
+    Failure.from(new Violation([], "index", `${expected} ${show(value)}`))
+  );
+});
+
+/**
+ * Maps the value decoded with the <code>decoder</code>.
+ * @static
+ * @member
+ * @param {Function} method - The function to invoke with the decoded value.
+ * @param {Decoder} decoder - Decoder of the value.
+ * @return {Decoder} New {@link Decoder}.
+ * @example
+ *
+ * decode.map(toUpper, decode.string).decode("a");
+ * // => Right("A")
+ */
+const map1 = curry((method, decoder) => decoder.map(method));
+
+/**
+ * Decodes the input with every decoder and passes the decoded values to <code>method</code> in the same order. Errors
+ * of every decoder are collected by {@link Decoder#validate}.
+ * @static
+ * @member
+ * @param {Function} method - The function to invoke with the decoded values.
+ * @param {Decoder[]} decoders - Decoders of the values.
+ * @return {Decoder} New {@link Decoder}.
+ * @example
+ *
+ * decode.mapN((name, age) => ({name, age}), [decode.field("name", decode.string), decode.field("age", decode.number)]);
+ */
+const mapN = curry((method, decoders) => {
+  const decodeEach = value => Validation.traverse(decoder => decoder.validate(value), decoders);
+
+  return new Decoder(value => decodeEach(value).map(spread(method)));
+});
+
+/**
+ * Creates a fixed arity form of {@link mapN} taking the decoders as separate arguments.
+ * @private
+ * @param {Number} arity - Number of decoders.
+ * @return {Function} Curried function of the <code>method</code> and the decoders.
+ */
+const mapArity = arity => curryN(
+  arity + 1,
+  rest((method, decoders) => mapN(method, decoders))
+);
+
+/**
+ * Creates a {@link Decoder} that decodes <code>null</code> as {@link Nothing} and any other value with the
+ * <code>decoder</code> as a {@link Just}.
+ * @static
+ * @member
+ * @param {Decoder} decoder - Decoder of values that are not <code>null</code>.
+ * @return {Decoder} {@link Decoder} of a {@link Maybe}.
+ * @example
+ *
+ * decode.nullable(decode.string).decode(null);
+ * // => Right(Nothing())
+ *
+ * decode.nullable(decode.string).decode("a");
+ * // => Right(Just("a"))
+ */
+const nullable = decoder => {
+  const decodeJust = value => decoder.validate(value).map(Maybe.of);
+
+  return new Decoder(value => isNull(value) ? Success.of(new Maybe.Nothing()) : decodeJust(value));
+};
+
+/**
+ * {@link Decoder} of numbers. <code>NaN</code> is not considered a number.
+ * @static
+ * @member
+ * @type {Decoder}
+ * @example
+ *
+ * decode.number.decode(1);
+ * // => Right(1)
+ */
+const number = primitive(value => isNumber(value) && !isNaN(value), "a number");
+
+/**
+ * Tries each of the <code>decoders</code> in order and decodes with the first that succeeds. When none succeed, the
+ * errors of every decoder are collected.
+ * @static
+ * @member
+ * @param {Decoder[]} decoders - Decoders to try.
+ * @return {Decoder} New {@link Decoder}.
+ * @example
+ *
+ * decode.oneOf([decode.number, decode.string.map(parseFloat)]).decode("1.5");
+ * // => Right(1.5)
+ */
+const oneOf = decoders => {
+  const decodeEach = value => map(decoder => decoder.validate(value), decoders);
+
+  return new Decoder(value => Validation.any(decodeEach(value)));
+};
+
+/**
+ * {@link Decoder} of strings.
+ * @static
+ * @member
+ * @type {Decoder}
+ * @example
+ *
+ * decode.string.decode("a");
+ * // => Right("a")
+ */
+const string = primitive(isString, "a string");
+
+module.exports = {
+  andThen,
+  array,
+  at,
+  boolean,
+  Decoder,
+  fail: Decoder.fail,
+  field,
+  index,
+  map: map1,
+  map2: mapArity(2),
+  map3: mapArity(3),
+  map4: mapArity(4),
+  map5: mapArity(5),
+  map6: mapArity(6),
+  map7: mapArity(7),
+  map8: mapArity(8),
+  mapN,
+  nullable,
+  number,
+  oneOf,
+  string,
+  succeed: Decoder.succeed
+};
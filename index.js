@@ -57,5 +57,8 @@
  */
 
 module.exports = {
-  data: require("./data")
+  data: require("./data"),
+  decode: require("./decode"),
+  resilience: require("./resilience"),
+  schema: require("./schema")
 };
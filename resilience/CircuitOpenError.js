@@ -0,0 +1,20 @@
+"use strict";
+
+/**
+ * The {@link CircuitOpenError} type is the failure reported by a {@link circuitBreaker} that rejects calls without
+ * running them because too many calls failed in a row.
+ * @return {CircuitOpenError} {@link CircuitOpenError}.
+ * @example
+ *
+ * new CircuitOpenError();
+ * // => CircuitOpenError("Circuit is open")
+ */
+class CircuitOpenError extends Error {
+  constructor() {
+    super("Circuit is open");
+
+    this.name = "CircuitOpenError";
+  }
+}
+
+module.exports = CircuitOpenError;
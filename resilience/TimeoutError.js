@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * The {@link TimeoutError} type is the failure reported by {@link timeout} when a computation does not settle in time.
+ * @param {Number} ms - Milliseconds the computation was allowed to run.
+ * @return {TimeoutError} {@link TimeoutError} for the time limit.
+ * @example
+ *
+ * new TimeoutError(1000);
+ * // => TimeoutError("Timed out after 1000ms")
+ */
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+
+    this.ms = ms;
+    this.name = "TimeoutError";
+  }
+}
+
+module.exports = TimeoutError;
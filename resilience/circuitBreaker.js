@@ -0,0 +1,79 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const assign = stream.assign;
+const isNull = stream.isNull;
+
+// Project
+const CircuitOpenError = include("resilience/CircuitOpenError");
+const clock = include("resilience/clock");
+const resilient = include("src/resilient");
+const Task = include("data/Task");
+
+/**
+ * Creates a circuit breaker that stops running computations after too many of them fail in a row. While the circuit
+ * is open, calls fail with a {@link CircuitOpenError} without running. Once <code>resetTimeout</code> has passed, a
+ * single trial call is let through: success closes the circuit and failure opens it again. The returned function wraps
+ * a computation and reports the outcome as an {@link Either}. A {@link Task} becomes a {@link Task} that never rejects
+ * and a function returning a <code>Promise</code> becomes a function returning a <code>Promise</code> that never
+ * rejects. Every computation wrapped by the same breaker shares its state.
+ * @static
+ * @member
+ * @param {Object} [options] - Circuit breaker options.
+ * @param {Number} [options.threshold=5] - Number of failures in a row that open the circuit.
+ * @param {Number} [options.resetTimeout=60000] - Milliseconds the circuit stays open before a trial call.
+ * @param {Clock} [options.clock] - Clock used to time the open circuit.
+ * @return {Function} Function that takes a {@link Task} or a function returning a <code>Promise</code> and returns the
+ * same kind of computation of the outcome as an {@link Either}.
+ * @example
+ *
+ * const breaker = circuitBreaker({threshold: 3, resetTimeout: 10000});
+ * const fetchUser = breaker(id => fetch(`/users/${id}`));
+ *
+ * fetchUser(1);
+ * // => Promise(Right(response)), Promise(Left(error)) or Promise(Left(CircuitOpenError("Circuit is open")))
+ */
+const circuitBreaker = options => {
+  const settings = assign({
+    clock,
+    resetTimeout: 60000,
+    threshold: 5
+  }, options);
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+  const guard = task => new Task((reject, resolve) => {
+    const isTrial = !isNull(openedAt);
+
+    if (isTrial && (trialRunning || settings.clock.now() - openedAt < settings.resetTimeout)) {
+      return reject(new CircuitOpenError());
+    }
+
+    trialRunning = trialRunning || isTrial;
+
+    const cancel = task.fork(error => {
+      trialRunning = isTrial ? false : trialRunning;
+      failures += 1;
+      openedAt = failures >= settings.threshold ? settings.clock.now() : openedAt;
+      reject(error);
+    }, value => {
+      trialRunning = isTrial ? false : trialRunning;
+      failures = 0;
+      openedAt = null;
+      resolve(value);
+    });
+
+    return () => {
+      trialRunning = isTrial ? false : trialRunning;
+      cancel();
+    };
+  });
+
+  return resilient(guard);
+};
+
+module.exports = circuitBreaker;
@@ -0,0 +1,26 @@
+"use strict";
+
+/**
+ * @typedef Clock
+ * @type Object
+ * @description Source of time for the resilience combinators. Tests can supply a clock that is advanced manually
+ * instead of waiting for real timers.
+ * @property {Function} now - Returns the current time in milliseconds.
+ * @property {Function} setTimeout - Schedules a <code>function</code> after a number of milliseconds and returns a
+ * timer.
+ * @property {Function} clearTimeout - Cancels a timer returned by <code>setTimeout</code>.
+ */
+
+/**
+ * {@link Clock} backed by <code>Date.now</code> and the global timers. Used when no clock is given.
+ * @static
+ * @member
+ * @type {Clock}
+ */
+const clock = {
+  clearTimeout: timer => clearTimeout(timer),
+  now: () => Date.now(),
+  setTimeout: (method, ms) => setTimeout(method, ms)
+};
+
+module.exports = clock;
@@ -0,0 +1,10 @@
+"use strict";
+
+module.exports = {
+  circuitBreaker: require("./circuitBreaker"),
+  CircuitOpenError: require("./CircuitOpenError"),
+  clock: require("./clock"),
+  retry: require("./retry"),
+  timeout: require("./timeout"),
+  TimeoutError: require("./TimeoutError")
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const assign = stream.assign;
+const constant = stream.constant;
+const curry = stream.curry;
+const noop = stream.noop;
+
+// Project
+const clock = include("resilience/clock");
+const resilient = include("src/resilient");
+const sleep = include("src/sleep");
+const Task = include("data/Task");
+
+/**
+ * Runs a computation and runs it again when it fails, waiting longer between each attempt. The outcome is reported as
+ * an {@link Either}: a {@link Right} of the first success or a {@link Left} of the last error. A {@link Task} becomes a
+ * {@link Task} that never rejects and a function returning a <code>Promise</code> becomes a function returning a
+ * <code>Promise</code> that never rejects. Computations that resolve with a {@link Left}, such as those wrapped with
+ * {@link timeout}, are treated as failures.
+ * @static
+ * @member
+ * @param {Object} options - Retry options.
+ * @param {Number} [options.times=3] - Maximum number of attempts after the first.
+ * @param {Number} [options.delay=0] - Milliseconds to wait before the first retry.
+ * @param {Number} [options.factor=1] - Multiplier of the delay after each retry.
+ * @param {Number} [options.jitter=0] - Fraction of each delay, from 0 to 1, that is randomly removed.
+ * @param {Predicate} [options.shouldRetry] - Determines whether or not to retry after an error. Retries every error
+ * by default.
+ * @param {Clock} [options.clock] - Clock used to wait between attempts.
+ * @param {Function} [options.random=Math.random] - Source of random numbers from 0 to 1 for the jitter.
+ * @param {Task|Function} computation - Task or function returning a <code>Promise</code>.
+ * @return {Task|Function} {@link Task} or function of the outcome as an {@link Either}.
+ * @example
+ *
+ * const fetchUser = retry({times: 5, delay: 100, factor: 2}, id => fetch(`/users/${id}`));
+ *
+ * fetchUser(1);
+ * // => Promise(Right(response)) or, after 6 failed attempts, Promise(Left(error))
+ */
+const retry = curry((options, computation) => {
+  const settings = assign({
+    clock,
+    delay: 0,
+    factor: 1,
+    jitter: 0,
+    random: Math.random,
+    shouldRetry: constant(true),
+    times: 3
+  }, options);
+  const backoff = attempt => settings.delay *
+    Math.pow(settings.factor, attempt) *
+    (1 - settings.jitter * settings.random());
+  const attemptFrom = curry((attempt, task) => new Task((reject, resolve) => {
+    let cancelRetry = noop;
+    const cancelTask = task.fork(error => {
+      if (attempt < settings.times && settings.shouldRetry(error)) {
+        cancelRetry = sleep(settings.clock, backoff(attempt))
+          .chain(() => attemptFrom(attempt + 1, task))
+          .fork(reject, resolve);
+      } else {
+        reject(error);
+      }
+    }, resolve);
+
+    return () => {
+      cancelTask();
+      cancelRetry();
+    };
+  }));
+
+  return resilient(attemptFrom(0), computation);
+});
+
+module.exports = retry;
@@ -0,0 +1,47 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const assign = stream.assign;
+const curry = stream.curry;
+const isNumber = stream.isNumber;
+
+// Project
+const clock = include("resilience/clock");
+const resilient = include("src/resilient");
+const sleep = include("src/sleep");
+const Task = include("data/Task");
+const TimeoutError = include("resilience/TimeoutError");
+
+/**
+ * Runs a computation and gives up when it does not settle in time. The computation is cancelled and the outcome is a
+ * {@link Left} of a {@link TimeoutError}. Otherwise, the outcome is reported as an {@link Either} of the computation. A
+ * {@link Task} becomes a {@link Task} that never rejects and a function returning a <code>Promise</code> becomes a
+ * function returning a <code>Promise</code> that never rejects.
+ * @static
+ * @member
+ * @param {Number|Object} options - Milliseconds the computation may run or timeout options.
+ * @param {Number} options.ms - Milliseconds the computation may run.
+ * @param {Clock} [options.clock] - Clock used to time the computation.
+ * @param {Task|Function} computation - Task or function returning a <code>Promise</code>.
+ * @return {Task|Function} {@link Task} or function of the outcome as an {@link Either}.
+ * @example
+ *
+ * timeout(1000, Task.fromPromise(() => fetch(url)));
+ * // => Task.of(Right(response)) or Task.of(Left(TimeoutError("Timed out after 1000ms")))
+ */
+const timeout = curry((options, computation) => {
+  const settings = assign({
+    clock
+  }, isNumber(options) ? {
+    ms: options
+  } : options);
+  const expire = sleep(settings.clock, settings.ms).chain(() => Task.reject(new TimeoutError(settings.ms)));
+
+  return resilient(task => Task.race([task, expire]), computation);
+});
+
+module.exports = timeout;
@@ -0,0 +1,154 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isUndefined = stream.isUndefined;
+
+// Project
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Success = Validation.Success;
+const Violation = Validation.Violation;
+
+/**
+ * The {@link Schema} type describes how to validate a value. Every schema wraps a validator, a unary
+ * <code>function</code> that returns a {@link Validation}, and can be compiled back into one. Schemas are built with
+ * the builders in <code>lodash-fantasy/schema</code> and refined with constraints, each of which returns a new schema.
+ * @param {Function} validator - Function that validates a value and returns a {@link Validation}.
+ * @return {Schema} {@link Schema} for the <code>validator</code>.
+ * @example <caption>Via builders</caption>
+ *
+ * const schema = require("lodash-fantasy/schema");
+ *
+ * const validateUser = schema.object({
+ *   age: schema.number().min(18),
+ *   name: schema.string()
+ * }).compile();
+ *
+ * validateUser({age: 16, name: "Jane"});
+ * // => Failure([Violation(["age"], "min", "must be at least 18")])
+ *
+ * @example <caption>Via existing validation function</caption>
+ *
+ * const validateZip = Schema.from(value => /^\d{5}$/.test(value) ?
+ *   Validation.Success.from(value) :
+ *   Validation.Failure.from("Zip code must be five digits."));
+ */
+class Schema {
+  /**
+   * Creates a new {@link Schema} from a <code>value</code>. If the <code>value</code> is already a {@link Schema}
+   * instance, the <code>value</code> is returned unchanged. Otherwise, the <code>value</code> is treated as a
+   * validator.
+   * @static
+   * @member
+   * @param {Schema|Function} value - Schema or validator.
+   * @return {Schema} {@link Schema} for the <code>value</code>.
+   * @example
+   *
+   * Schema.from(validateZip);
+   * // => Schema(validateZip)
+   *
+   * Schema.from(schema.string());
+   * // => StringSchema
+   */
+  static from(value) {
+    return Schema.isSchema(value) ? value : new Schema(value);
+  }
+
+  /**
+   * Determines whether or not the value is a {@link Schema}.
+   * @static
+   * @member
+   * @param {*} value - Value to check.
+   * @return {Boolean} <code>true</code> for {@link Schema}; <code>false</code> for anything else.
+   * @example
+   *
+   * Schema.isSchema(validateZip);
+   * // => false
+   *
+   * Schema.isSchema(schema.string());
+   * // => true
+   */
+  static isSchema(value) {
+    return value instanceof Schema;
+  }
+
+  /**
+   * Creates a {@link Schema} that checks the type of a value with the <code>predicate</code>. Undefined values fail
+   * with the <code>"required"</code> code and values of other types fail with the <code>"type"</code> code.
+   * @static
+   * @member
+   * @param {Predicate} predicate - Type check.
+   * @param {String} typeName - Name of the type used in the failure message.
+   * @return {Schema} {@link Schema} for the type.
+   * @example
+   *
+   * const date = () => Schema.type(isDate, "a date");
+   */
+  static type(predicate, typeName) {
+    return new this(value => {
+      if (isUndefined(value)) {
+        return Failure.from(new Violation([], "required", "is required"));
+      }
+
+      return predicate(value) ?
+        Success.of(value) :
+        Failure.from(new Violation([], "type", `must be ${typeName}`));
+    });
+  }
+
+  constructor(validator) {
+    this.validator = validator;
+  }
+
+  /**
+   * Refines the schema with a constraint. The constraint is only checked when the value passes the current schema.
+   * @param {Predicate} predicate - Constraint check.
+   * @param {String} code - Machine readable failure code.
+   * @param {String} message - Human readable failure message.
+   * @return {Schema} New {@link Schema} of the same type with the constraint.
+   * @example
+   *
+   * schema.string().check(isEmail, "email", "must be an email address");
+   */
+  check(predicate, code, message) {
+    return new this.constructor(value => this.validate(value).chain(result => predicate(result) ?
+      Success.of(result) :
+      Failure.from(new Violation([], code, message))
+    ));
+  }
+
+  /**
+   * Compiles the schema into a validator.
+   * @return {Function} Function that validates a value and returns a {@link Validation}.
+   * @example
+   *
+   * const validateName = schema.string().compile();
+   *
+   * validateName("Jane");
+   * // => Success("Jane")
+   */
+  compile() {
+    return value => this.validate(value);
+  }
+
+  /**
+   * Validates the <code>value</code> against the schema.
+   * @param {*} value - Value to validate.
+   * @return {Validation} {@link Success} of the value or {@link Failure} of every {@link Violation}.
+   * @example
+   *
+   * schema.number().min(18).validate(16);
+   * // => Failure([Violation([], "min", "must be at least 18")])
+   */
+  validate(value) {
+    return this.validator(value);
+  }
+}
+
+module.exports = Schema;
@@ -0,0 +1,40 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isArray = stream.isArray;
+const isUndefined = stream.isUndefined;
+const range = stream.range;
+const zipWith = stream.zipWith;
+
+// Project
+const Schema = include("schema/Schema");
+const Validation = include("data/Validation");
+
+/**
+ * Creates a {@link Schema} for arrays. When the schema of the items is provided, each item is validated and the
+ * failures of every item are gathered with their index prepended to the path.
+ * @param {Schema|Function} [of] - Schema or validator of the items.
+ * @return {Schema} {@link Schema} for arrays.
+ * @example
+ *
+ * array(number()).validate([1, 2]);
+ * // => Success([1, 2])
+ *
+ * array(number()).validate([1, "2", "3"]);
+ * // => Failure([Violation(["1"], "type", "must be a number"), Violation(["2"], "type", "must be a number")])
+ */
+const array = of => {
+  const type = Schema.type(isArray, "an array");
+
+  return isUndefined(of) ? type : new Schema(value => type.validate(value).chain(items => Validation.sequence(zipWith(
+    (item, index) => Schema.from(of).validate(item).prefix([index]),
+    items,
+    range(0, items.length)
+  ))));
+};
+
+module.exports = array;
@@ -0,0 +1,11 @@
+"use strict";
+
+module.exports = {
+  array: require("./array"),
+  number: require("./number"),
+  object: require("./object"),
+  oneOf: require("./oneOf"),
+  optional: require("./optional"),
+  Schema: require("./Schema"),
+  string: require("./string")
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isInteger = stream.isInteger;
+const isNaN = stream.isNaN;
+const isNumber = stream.isNumber;
+
+// Project
+const Schema = include("schema/Schema");
+
+/**
+ * @extends Schema
+ * @inheritdoc
+ */
+class NumberSchema extends Schema {
+  /**
+   * Requires the number to be an integer.
+   * @param {String} [message] - Failure message.
+   * @return {NumberSchema} New {@link NumberSchema} with the constraint.
+   * @example
+   *
+   * number().integer().validate(1.5);
+   * // => Failure([Violation([], "integer", "must be an integer")])
+   */
+  integer(message) {
+    return this.check(isInteger, "integer", message || "must be an integer");
+  }
+
+  /**
+   * Requires the number to be no greater than <code>limit</code>.
+   * @param {Number} limit - Maximum value.
+   * @param {String} [message] - Failure message.
+   * @return {NumberSchema} New {@link NumberSchema} with the constraint.
+   * @example
+   *
+   * number().max(10).validate(11);
+   * // => Failure([Violation([], "max", "must be at most 10")])
+   */
+  max(limit, message) {
+    return this.check(value => value <= limit, "max", message || `must be at most ${limit}`);
+  }
+
+  /**
+   * Requires the number to be no less than <code>limit</code>.
+   * @param {Number} limit - Minimum value.
+   * @param {String} [message] - Failure message.
+   * @return {NumberSchema} New {@link NumberSchema} with the constraint.
+   * @example
+   *
+   * number().min(18).validate(16);
+   * // => Failure([Violation([], "min", "must be at least 18")])
+   */
+  min(limit, message) {
+    return this.check(value => value >= limit, "min", message || `must be at least ${limit}`);
+  }
+}
+
+/**
+ * Creates a {@link Schema} for numbers. <code>NaN</code> is not considered a number.
+ * @return {NumberSchema} {@link Schema} for numbers.
+ * @example
+ *
+ * number().validate(1);
+ * // => Success(1)
+ *
+ * number().validate("1");
+ * // => Failure([Violation([], "type", "must be a number")])
+ */
+const number = () => NumberSchema.type(value => isNumber(value) && !isNaN(value), "a number");
+
+module.exports = number;
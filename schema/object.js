@@ -0,0 +1,48 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isPlainObject = stream.isPlainObject;
+const keys = stream.keys;
+const map = stream.map;
+const zipObject = stream.zipObject;
+
+// Project
+const Schema = include("schema/Schema");
+const Validation = include("data/Validation");
+
+/**
+ * Creates a {@link Schema} for plain objects of the <code>shape</code>. Each field is validated and the failures of
+ * every field are gathered with the field name prepended to the path. Only the fields of the <code>shape</code> are
+ * kept in the validated value.
+ * @param {Object.<String, Schema|Function>} shape - Schema or validator by field name.
+ * @return {Schema} {@link Schema} for objects.
+ * @example
+ *
+ * const user = object({
+ *   address: object({
+ *     zip: string().pattern(/^\d{5}$/)
+ *   }),
+ *   name: string()
+ * });
+ *
+ * user.validate({address: {zip: "abc"}});
+ * // => Failure([
+ * //   Violation(["address", "zip"], "pattern", "must match /^\d{5}$/"),
+ * //   Violation(["name"], "required", "is required")
+ * // ])
+ */
+const object = shape => {
+  const type = Schema.type(isPlainObject, "an object");
+  const fields = keys(shape);
+
+  return new Schema(value => type.validate(value).chain(fieldValues => Validation.sequence(zipObject(
+    fields,
+    map(field => Validation.field([field], Schema.from(shape[field]).compile(), fieldValues), fields)
+  ))));
+};
+
+module.exports = object;
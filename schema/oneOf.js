@@ -0,0 +1,49 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isEqual = stream.isEqual;
+const isFunction = stream.isFunction;
+const map = stream.map;
+
+// Project
+const Schema = include("schema/Schema");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Violation = Validation.Violation;
+
+/**
+ * Creates a {@link Schema} that passes when the value passes any of the <code>options</code>. Schemas and validators
+ * are used as is and any other option is compared for equality with the value.
+ * @param {Array.<Schema|Function|*>} options - Allowed schemas, validators or values.
+ * @return {Schema} {@link Schema} for any of the <code>options</code>.
+ * @example
+ *
+ * oneOf(["admin", "user"]).validate("admin");
+ * // => Success("admin")
+ *
+ * oneOf([number(), string()]).validate(true);
+ * // => Failure([Violation([], "oneOf", "must match one of the allowed values")])
+ */
+const oneOf = options => {
+  const schemas = map(option => Schema.isSchema(option) || isFunction(option) ?
+    Schema.from(option) :
+    new Schema(value => isEqual(option, value) ? Validation.of(value) : Failure.from()),
+    options
+  );
+
+  return new Schema(value => {
+    const validation = Validation.any(map(schema => schema.validate(value), schemas));
+
+    return validation.isSuccess() ?
+      validation :
+      Failure.from(new Violation([], "oneOf", "must match one of the allowed values"));
+  });
+};
+
+module.exports = oneOf;
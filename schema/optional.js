@@ -0,0 +1,33 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isUndefined = stream.isUndefined;
+
+// Project
+const Schema = include("schema/Schema");
+const Validation = include("data/Validation");
+
+/**
+ * Creates a {@link Schema} that allows the value to be <code>undefined</code>. Any other value is validated with the
+ * <code>schema</code>.
+ * @param {Schema|Function} schema - Schema or validator of defined values.
+ * @return {Schema} {@link Schema} for optional values.
+ * @example
+ *
+ * optional(string()).validate();
+ * // => Success()
+ *
+ * optional(string()).validate(1);
+ * // => Failure([Violation([], "type", "must be a string")])
+ */
+const optional = schema => {
+  const defined = Schema.from(schema);
+
+  return new Schema(value => isUndefined(value) ? Validation.of(value) : defined.validate(value));
+};
+
+module.exports = optional;
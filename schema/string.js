@@ -0,0 +1,74 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+const stream = require("lodash/fp");
+
+// Third Party Aliases
+const isString = stream.isString;
+
+// Project
+const Schema = include("schema/Schema");
+
+/**
+ * @extends Schema
+ * @inheritdoc
+ */
+class StringSchema extends Schema {
+  /**
+   * Requires the length of the string to be no greater than <code>length</code>.
+   * @param {Number} length - Maximum length.
+   * @param {String} [message] - Failure message.
+   * @return {StringSchema} New {@link StringSchema} with the constraint.
+   * @example
+   *
+   * string().max(3).validate("abcd");
+   * // => Failure([Violation([], "max", "must be at most 3 characters")])
+   */
+  max(length, message) {
+    return this.check(value => value.length <= length, "max", message || `must be at most ${length} characters`);
+  }
+
+  /**
+   * Requires the length of the string to be no less than <code>length</code>.
+   * @param {Number} length - Minimum length.
+   * @param {String} [message] - Failure message.
+   * @return {StringSchema} New {@link StringSchema} with the constraint.
+   * @example
+   *
+   * string().min(1).validate("");
+   * // => Failure([Violation([], "min", "must be at least 1 characters")])
+   */
+  min(length, message) {
+    return this.check(value => value.length >= length, "min", message || `must be at least ${length} characters`);
+  }
+
+  /**
+   * Requires the string to match the <code>pattern</code>.
+   * @param {RegExp} pattern - Pattern to match.
+   * @param {String} [message] - Failure message.
+   * @return {StringSchema} New {@link StringSchema} with the constraint.
+   * @example
+   *
+   * string().pattern(/^\d{5}$/).validate("abc");
+   * // => Failure([Violation([], "pattern", "must match /^\d{5}$/")])
+   */
+  pattern(pattern, message) {
+    return this.check(value => pattern.test(value), "pattern", message || `must match ${pattern}`);
+  }
+}
+
+/**
+ * Creates a {@link Schema} for strings.
+ * @return {StringSchema} {@link Schema} for strings.
+ * @example
+ *
+ * string().validate("Jane");
+ * // => Success("Jane")
+ *
+ * string().validate(1);
+ * // => Failure([Violation([], "type", "must be a string")])
+ */
+const string = () => StringSchema.type(isString, "a string");
+
+module.exports = string;
@@ -0,0 +1,23 @@
+"use strict";
+
+// Third Party
+const map = require("lodash/fp/map");
+
+/**
+ * Creates an <code>Error</code> shaped like the ES2021 <code>AggregateError</code> so that many errors can be passed
+ * where a single error is expected. The <code>message</code> joins the string forms of the <code>errors</code> and the
+ * <code>errors</code> property keeps the originals.
+ * @private
+ * @param {Array} errors - Errors to aggregate.
+ * @return {Error} <code>Error</code> named <code>AggregateError</code> with an <code>errors</code> property.
+ */
+const aggregateError = errors => {
+  const error = new Error(map(String, errors).join("; "));
+
+  error.errors = errors;
+  error.name = "AggregateError";
+
+  return error;
+};
+
+module.exports = aggregateError;
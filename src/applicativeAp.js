@@ -0,0 +1,31 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const include = require("include")(__dirname);
+const isFunction = require("lodash/fp/isFunction");
+
+// Project
+const applicativeMap = include("src/applicativeMap");
+const monadChain = include("src/monadChain");
+
+/**
+ * Applies the function of <code>applicative</code> to the value of <code>other</code>. Fantasy Land applicatives are
+ * preferred, then plain <code>ap</code>. Otherwise, the function is chained so that <code>Promise</code> instances can
+ * be used as well.
+ * @private
+ * @param {Type<Function>} applicative - Applicative of the function.
+ * @param {Type<T>} other - Applicative of the value.
+ * @return {Type<U>} Applicative of the result.
+ */
+const applicativeAp = curryN(2, (applicative, other) => {
+  if (isFunction(other["fantasy-land/ap"])) {
+    return other["fantasy-land/ap"](applicative);
+  }
+
+  return isFunction(applicative.ap) ?
+    applicative.ap(other) :
+    monadChain(method => applicativeMap(method, other), applicative);
+});
+
+module.exports = applicativeAp;
@@ -0,0 +1,23 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Maps <code>method</code> over the value of <code>applicative</code>. Fantasy Land functors are preferred, then plain
+ * <code>map</code>, then <code>then</code> so that <code>Promise</code> instances can be used as well.
+ * @private
+ * @param {Function} method - The function to invoke with the value.
+ * @param {Type<T>} applicative - Applicative to map.
+ * @return {Type<U>} Mapped applicative.
+ */
+const applicativeMap = curryN(2, (method, applicative) => {
+  if (isFunction(applicative["fantasy-land/map"])) {
+    return applicative["fantasy-land/map"](method);
+  }
+
+  return isFunction(applicative.map) ? applicative.map(method) : applicative.then(method);
+});
+
+module.exports = applicativeMap;
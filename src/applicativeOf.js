@@ -0,0 +1,24 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Wraps <code>value</code> in the applicative described by <code>Type</code>. Fantasy Land type representatives are
+ * preferred, then plain <code>of</code>, then <code>resolve</code> so that <code>Promise</code> implementations can
+ * be used as well.
+ * @private
+ * @param {Object} Type - Type representative of the applicative.
+ * @param {T} value - Value to wrap.
+ * @return {Type<T>} Wrapped <code>value</code>.
+ */
+const applicativeOf = curryN(2, (Type, value) => {
+  if (isFunction(Type["fantasy-land/of"])) {
+    return Type["fantasy-land/of"](value);
+  }
+
+  return isFunction(Type.of) ? Type.of(value) : Type.resolve(value);
+});
+
+module.exports = applicativeOf;
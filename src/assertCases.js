@@ -0,0 +1,32 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const filter = require("lodash/fp/filter");
+const get = require("lodash/fp/get");
+const isEmpty = require("lodash/fp/isEmpty");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Ensures that <code>cases</code> has a function for every case of a type so that a missing case is reported when
+ * matching rather than only when the missing case is reached.
+ * @private
+ * @param {String} typeName - Name of the type being matched.
+ * @param {String[]} names - Names of every case of the type.
+ * @param {Object} cases - Functions keyed by case name.
+ * @return {Object} The <code>cases</code>.
+ * @throws {TypeError} If a case is not a function.
+ */
+const assertCases = curryN(3, (typeName, names, cases) => {
+  const missing = filter(name => !isFunction(get(name, cases)), names);
+
+  if (!isEmpty(missing)) {
+    const list = missing.map(name => `"${name}"`).join(" and ");
+
+    throw new TypeError(`Missing a function for the ${list} case${missing.length > 1 ? "s" : ""} of ${typeName}`);
+  }
+
+  return cases;
+});
+
+module.exports = assertCases;
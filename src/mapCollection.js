@@ -0,0 +1,22 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isArray = require("lodash/fp/isArray");
+const map = require("lodash/fp/map");
+const mapValues = require("lodash/fp/mapValues");
+
+/**
+ * Maps <code>method</code> over <code>collection</code> while preserving its shape. Arrays map to arrays and plain
+ * objects map to objects with the same keys.
+ * @private
+ * @param {Function} method - The function to invoke per value.
+ * @param {Array|Object} collection - Collection over which to iterate.
+ * @return {Array|Object} Collection of the same shape containing the mapped values.
+ */
+const mapCollection = curryN(2, (method, collection) => isArray(collection) ?
+  map(method, collection) :
+  mapValues(method, collection)
+);
+
+module.exports = mapCollection;
@@ -0,0 +1,23 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Chains <code>method</code> over the value of <code>monad</code>. Fantasy Land chains are preferred, then plain
+ * <code>chain</code>, then <code>then</code> so that <code>Promise</code> instances can be used as well.
+ * @private
+ * @param {Function} method - The function to invoke with the value that returns the same type of monad.
+ * @param {Type<T>} monad - Monad to chain.
+ * @return {Type<U>} Monad returned by the <code>method</code>.
+ */
+const monadChain = curryN(2, (method, monad) => {
+  if (isFunction(monad["fantasy-land/chain"])) {
+    return monad["fantasy-land/chain"](method);
+  }
+
+  return isFunction(monad.chain) ? monad.chain(method) : monad.then(method);
+});
+
+module.exports = monadChain;
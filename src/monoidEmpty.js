@@ -0,0 +1,22 @@
+"use strict";
+
+// Third Party
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Returns the empty value of the monoid described by <code>Monoid</code>. Fantasy Land type representatives are
+ * preferred, then plain <code>empty</code>. Otherwise, <code>Monoid</code> is invoked without arguments so that
+ * <code>Array</code> and <code>String</code> can be used as well.
+ * @private
+ * @param {Object} Monoid - Type representative of the monoid.
+ * @return {Monoid} Empty value.
+ */
+const monoidEmpty = Monoid => {
+  if (isFunction(Monoid["fantasy-land/empty"])) {
+    return Monoid["fantasy-land/empty"]();
+  }
+
+  return isFunction(Monoid.empty) ? Monoid.empty() : Monoid();
+};
+
+module.exports = monoidEmpty;
@@ -0,0 +1,43 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const head = require("lodash/fp/head");
+const include = require("include")(__dirname);
+
+// Project
+const Either = include("data/Either");
+const Task = include("data/Task");
+
+/**
+ * Converts a computation to a {@link Task} that rejects on failure. Resolved {@link Either} values are unwrapped so
+ * that a {@link Left} reported by another combinator is treated as a failure.
+ * @private
+ * @param {Task|Supplier} computation - Task or function returning a <code>Promise</code>.
+ * @return {Task} {@link Task} of the computation.
+ */
+const toTask = computation => (Task.isTask(computation) ? computation : Task.fromPromise(computation))
+  .chain(value => Either.isEither(value) ? value.toTask(Task) : Task.of(value));
+
+/**
+ * Applies the <code>combinator</code> to a computation and reports the outcome as an {@link Either}. A {@link Task}
+ * becomes a {@link Task} that never rejects. A function returning a <code>Promise</code> becomes a function taking the
+ * same arguments and returning a <code>Promise</code> that never rejects.
+ * @private
+ * @param {Function} combinator - Function that takes a {@link Task} and returns a {@link Task}.
+ * @param {Task|Function} computation - Task or function returning a <code>Promise</code>.
+ * @return {Task|Function} {@link Task} or function of the outcome as an {@link Either}.
+ */
+const resilient = curryN(2, (combinator, computation) => {
+  const attempt = task => Task.settle([combinator(toTask(task))]).map(head);
+
+  return Task.isTask(computation) ?
+    attempt(computation) :
+    function () {
+      const args = arguments;
+
+      return attempt(() => computation.apply(this, args)).toPromise(Promise);
+    };
+});
+
+module.exports = resilient;
@@ -0,0 +1,40 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Runs the generator made by <code>generatorFunction</code> once for do-notation. Each yielded value is converted with
+ * <code>Type.from</code> and its value is sent back into the generator unless <code>isHalted</code> is affirmed, in
+ * which case the generator is closed and the yielded instance is returned. The returned value of the generator is
+ * wrapped with <code>Type.of</code>. The generator is stepped in a loop rather than through <code>chain</code> so that
+ * it is never replayed and long runs do not grow the stack.
+ * @private
+ * @param {Function} Type - Type whose <code>from</code> and <code>of</code> are used.
+ * @param {Predicate} isHalted - Determines whether or not a yielded instance ends the run.
+ * @param {Function} generatorFunction - Generator function to run.
+ * @return {Type} First halted instance or the returned value wrapped in the <code>Type</code>.
+ */
+const runGenerator = curryN(3, (Type, isHalted, generatorFunction) => {
+  const iterator = generatorFunction();
+  let result = iterator.next();
+
+  while (!result.done) {
+    const instance = Type.from(result.value);
+
+    if (isHalted(instance)) {
+      if (isFunction(iterator.return)) {
+        iterator.return();
+      }
+
+      return instance;
+    }
+
+    result = iterator.next(instance.value);
+  }
+
+  return Type.of(result.value);
+});
+
+module.exports = runGenerator;
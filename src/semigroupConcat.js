@@ -0,0 +1,20 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const isFunction = require("lodash/fp/isFunction");
+
+/**
+ * Concatenates <code>right</code> to <code>left</code>. Fantasy Land semigroups are preferred, then plain
+ * <code>concat</code> so that arrays and strings can be used as well.
+ * @private
+ * @param {Semigroup} left - Semigroup to concatenate to.
+ * @param {Semigroup} right - Semigroup to concatenate.
+ * @return {Semigroup} Concatenated semigroup.
+ */
+const semigroupConcat = curryN(2, (left, right) => isFunction(left["fantasy-land/concat"]) ?
+  left["fantasy-land/concat"](right) :
+  left.concat(right)
+);
+
+module.exports = semigroupConcat;
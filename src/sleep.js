@@ -0,0 +1,26 @@
+"use strict";
+
+// Third Party
+const curryN = require("lodash/fp/curryN");
+const include = require("include")(__dirname);
+
+// Project
+const Task = include("data/Task");
+
+/**
+ * Creates a {@link Task} that resolves after <code>ms</code> milliseconds on the <code>clock</code>. Cancelling the
+ * {@link Task} clears the pending timer.
+ * @private
+ * @param {Clock} clock - Clock that schedules the timer.
+ * @param {Number} ms - Milliseconds to wait.
+ * @return {Task} {@link Task} that resolves with <code>undefined</code>.
+ */
+const sleep = curryN(2, (clock, ms) => {
+  return new Task((reject, resolve) => {
+    const timer = clock.setTimeout(resolve, ms);
+
+    return () => clock.clearTimeout(timer);
+  });
+});
+
+module.exports = sleep;
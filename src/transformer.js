@@ -0,0 +1,33 @@
+"use strict";
+
+// Third Party
+const include = require("include")(__dirname);
+
+// Project
+const applicativeMap = include("src/applicativeMap");
+const applicativeOf = include("src/applicativeOf");
+const monadChain = include("src/monadChain");
+
+/**
+ * Creates the operations shared by the monad transformers, such as {@link EitherT}, for an outer <code>Monad</code> of
+ * an inner <code>Type</code>. Each operation returns a new outer monad: <code>of</code> wraps an inner value,
+ * <code>lift</code> wraps the value of an outer monad in the inner type, <code>map</code> and <code>ap</code> defer to
+ * the inner type and <code>chain</code> skips the <code>method</code> for an inner value that is <code>halted</code>.
+ * @private
+ * @param {Object} Monad - Type representative of the outer monad.
+ * @param {Object} Type - Type representative of the inner monad.
+ * @param {Function} halted - Predicate for an inner value that <code>chain</code> returns as is.
+ * @return {Object} Operations of the transformer.
+ */
+const transformer = (Monad, Type, halted) => ({
+  ap: (value, other) => monadChain(inner => applicativeMap(otherInner => inner.ap(otherInner), other), value),
+  chain: (method, value) => monadChain(
+    inner => halted(inner) ? applicativeOf(Monad, inner) : method(inner.value),
+    value
+  ),
+  lift: monad => applicativeMap(Type.of, monad),
+  map: (method, value) => applicativeMap(inner => inner.map(method), value),
+  of: inner => applicativeOf(Monad, inner)
+});
+
+module.exports = transformer;
@@ -0,0 +1,108 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+
+// Third Party Setup
+chai.use(promiseChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Compose = include("data/Compose");
+const Functor = require("./laws/Functor")(expect);
+const Identity = include("data/Identity");
+const Maybe = include("data/Maybe");
+const Task = include("data/Task");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Just = Maybe.Just;
+const Success = Validation.Success;
+
+describe("Compose", () => {
+  const IdentityMaybe = Compose(Identity, Maybe);
+  const TaskValidation = Compose(Task, Validation);
+  const testValue = 1;
+  const runTask = composed => composed.run().toPromise(Promise);
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testCompose = IdentityMaybe.of(testValue);
+
+      expect(IdentityMaybe.from(testCompose)).to.equal(testCompose);
+    });
+
+    it("should wrap other values", () =>
+      expect(IdentityMaybe.from(testValue).run()).to.eql(Identity.of(Just.from(testValue)))
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in both applicatives", () =>
+      expect(runTask(TaskValidation.of(testValue))).to.eventually.eql(Success.from(testValue))
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function in both layers", () =>
+      expect(runTask(TaskValidation.of(value => value + 1).ap(TaskValidation.of(testValue))))
+        .to.eventually.eql(Success.from(2))
+    );
+
+    it("should keep the failure of the inner applicative", () =>
+      expect(runTask(TaskValidation.of(value => value + 1).ap(new TaskValidation(Task.of(Failure.from("a"))))))
+        .to.eventually.eql(Failure.from(["a"]))
+    );
+
+    it("should apply over Promise", () => {
+      const PromiseMaybe = Compose(Promise, Maybe);
+
+      return expect(PromiseMaybe.of(value => value + 1).ap(PromiseMaybe.of(testValue)).run())
+        .to.eventually.eql(Just.from(2));
+    });
+  });
+
+  describe("#map", () => {
+    it("should map the value of the inner applicative", () =>
+      expect(IdentityMaybe.of(testValue).map(value => value + 1).run()).to.eql(Identity.of(Just.from(2)))
+    );
+  });
+
+  describe("traversal", () => {
+    const checkValue = value => new TaskValidation(Task.of(value > 0 ? Success.from(value) : Failure.from("bad")));
+
+    it("should validate asynchronously", () =>
+      expect(runTask(Maybe.of(testValue).traverse(TaskValidation, checkValue)))
+        .to.eventually.eql(Success.from(Just.from(testValue)))
+    );
+
+    it("should return the failure", () =>
+      expect(runTask(Maybe.of(-testValue).traverse(TaskValidation, checkValue)))
+        .to.eventually.eql(Failure.from(["bad"]))
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    describe("over Identity and Maybe", () => {
+      const equivalence = (left, right) => expect(left.run()).to.eql(right.run());
+
+      Applicative(IdentityMaybe, equivalence);
+      Apply(IdentityMaybe, equivalence);
+      Functor(IdentityMaybe, equivalence);
+    });
+
+    describe("over Task and Validation", () => {
+      const equivalence = (left, right) => Promise.all([runTask(left), runTask(right)])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(TaskValidation, equivalence);
+      Apply(TaskValidation, equivalence);
+      Functor(TaskValidation, equivalence);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const compose = require("lodash/fp/flowRight");
+const identity = require("lodash/fp/identity");
+const include = require("include")(__dirname);
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Const = include("data/Const");
+const Functor = require("./laws/Functor")(expect);
+const Identity = include("data/Identity");
+const Maybe = include("data/Maybe");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+
+describe("Const", () => {
+  const Collect = Const(Array);
+  const Errors = Const(Validation);
+  const testValue = 1;
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testConst = new Collect([testValue]);
+
+      expect(Collect.from(testConst)).to.equal(testConst);
+    });
+
+    it("should ignore other values", () => expect(Collect.from(testValue).run()).to.eql([]));
+  });
+
+  describe(".of", () => {
+    it("should hold the empty array", () => expect(Collect.of(testValue).run()).to.eql([]));
+    it("should hold the empty Validation", () => expect(Errors.of(testValue).run()).to.eql(Validation.empty()));
+  });
+
+  describe("#ap", () => {
+    it("should concatenate arrays", () =>
+      expect(new Collect([1]).ap(new Collect([2])).run()).to.eql([1, 2])
+    );
+
+    it("should concatenate failures", () =>
+      expect(new Errors(Failure.from("a")).ap(new Errors(Failure.from("b"))).run()).to.eql(Failure.from(["a", "b"]))
+    );
+  });
+
+  describe("#map", () => {
+    it("should ignore the method", () => {
+      const testMethod = sinon.spy();
+
+      expect(new Collect([testValue]).map(testMethod).run()).to.eql([testValue]);
+      expect(testMethod).to.not.be.called;
+    });
+  });
+
+  describe("traversal", () => {
+    it("should collect the value of a Just", () =>
+      expect(Maybe.of(testValue).traverse(Collect, value => new Collect([value])).run()).to.eql([testValue])
+    );
+
+    it("should collect the value of an Identity", () =>
+      expect(Identity.of(testValue).traverse(Collect, value => new Collect([value, value])).run())
+        .to.eql([testValue, testValue])
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    Applicative(Collect);
+    Apply(Collect);
+    Functor(Collect);
+
+    // The shared laws build every operand with from, which holds the empty value, so the laws are also checked with
+    // operands that hold other values.
+    [
+      {
+        name: "Array",
+        Type: Collect,
+        values: [[1], [2, 3], [4]]
+      },
+      {
+        name: "Validation",
+        Type: Errors,
+        values: [Failure.from("a"), Validation.Success.from(testValue), Failure.from(["b", "c"])]
+      }
+    ].forEach(testCase => describe(`with values of ${testCase.name}`, () => {
+      const Type = testCase.Type;
+      const testLeft = new Type(testCase.values[0]);
+      const testMiddle = new Type(testCase.values[1]);
+      const testRight = new Type(testCase.values[2]);
+
+      it("should express Functor identity", () => expect(testLeft.map(identity)).to.eql(testLeft));
+
+      it("should express Functor composition", () =>
+        expect(testLeft.map(compose(identity, identity))).to.eql(testLeft.map(identity).map(identity))
+      );
+
+      it("should express Apply composition", () =>
+        expect(testLeft.map(compose).ap(testMiddle).ap(testRight)).to.eql(testLeft.ap(testMiddle.ap(testRight)))
+      );
+
+      it("should express Applicative identity", () => expect(Type.of(identity).ap(testLeft)).to.eql(testLeft));
+
+      it("should express Applicative interchange", () =>
+        expect(testLeft.ap(Type.of(testValue))).to.eql(Type.of(method => method(testValue)).ap(testLeft))
+      );
+    }));
+  });
+});
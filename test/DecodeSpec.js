@@ -0,0 +1,268 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const map = require("lodash/fp/map");
+const range = require("lodash/fp/range");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const decode = include("decode");
+const Either = include("data/Either");
+const Maybe = include("data/Maybe");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Decoder = decode.Decoder;
+const Failure = Validation.Failure;
+const Left = Either.Left;
+const Right = Either.Right;
+const Success = Validation.Success;
+const Violation = Validation.Violation;
+
+describe("decode", () => {
+  const testMessage = "Test message";
+
+  describe("Decoder", () => {
+    describe(".fail", () => {
+      it("should fail with the message", () =>
+        expect(Decoder.fail(testMessage).decode(true)).to.eql(Left.from(new Violation([], "fail", testMessage)))
+      );
+    });
+
+    describe(".from", () => {
+      it("should return the same decoder", () => expect(Decoder.from(decode.string)).to.equal(decode.string));
+      it("should wrap a decoding function", () => {
+        const testDecoder = Decoder.from(Success.from);
+
+        expect(testDecoder).to.be.instanceof(Decoder);
+        expect(testDecoder.decode(true)).to.eql(Right.from(true));
+      });
+    });
+
+    describe(".isDecoder", () => {
+      it("should return false for other values", () => expect(Decoder.isDecoder(Success.from)).to.be.false);
+      it("should return true for decoders", () => expect(Decoder.isDecoder(decode.string)).to.be.true);
+    });
+
+    describe(".succeed", () => {
+      it("should succeed with the value", () => expect(Decoder.succeed(1).decode(true)).to.eql(Right.from(1)));
+    });
+
+    describe("#andThen", () => {
+      const testDecoder = decode.field("version", decode.number).andThen(version => version === 2 ?
+        decode.field("data", decode.string) :
+        Decoder.fail(testMessage)
+      );
+
+      it("should decode the input with the chosen decoder", () => {
+        const testValue = {
+          data: "a",
+          version: 2
+        };
+
+        expect(testDecoder.decode(testValue)).to.eql(Right.from("a"));
+      });
+      it("should fail with the chosen decoder", () => {
+        const testValue = {
+          version: 1
+        };
+
+        expect(testDecoder.decode(testValue)).to.eql(Left.from(new Violation([], "fail", testMessage)));
+      });
+      it("should not choose a decoder when the input fails", () => {
+        const testMethod = sinon.spy();
+
+        decode.number.andThen(testMethod).decode("a");
+
+        expect(testMethod).to.not.be.called;
+      });
+    });
+
+    describe("#decode", () => {
+      it("should return the first error", () =>
+        expect(decode.map2(Array, decode.index(0, decode.string), decode.index(1, decode.string)).decode([1, 2]))
+          .to.eql(Left.from(new Violation(["0"], "type", "Expected a string but got 1")))
+      );
+    });
+
+    describe("#decodeJson", () => {
+      it("should decode the parsed value", () => expect(decode.number.decodeJson("1")).to.eql(Right.from(1)));
+      it("should return parse errors", () => {
+        const actualResult = decode.number.decodeJson("{");
+
+        expect(actualResult).to.be.instanceof(Left);
+        expect(actualResult.value.code).to.equal("json");
+      });
+    });
+
+    describe("#map", () => {
+      it("should map the decoded value", () =>
+        expect(decode.number.map(value => value + 1).decode(1)).to.eql(Right.from(2))
+      );
+    });
+
+    describe("#validate", () => {
+      it("should collect every error", () =>
+        expect(decode.map2(Array, decode.index(0, decode.string), decode.index(1, decode.string)).validate([1, 2]))
+          .to.eql(Failure.from([
+            new Violation(["0"], "type", "Expected a string but got 1"),
+            new Violation(["1"], "type", "Expected a string but got 2")
+          ]))
+      );
+    });
+  });
+
+  describe(".andThen", () => {
+    it("should decode with the chosen decoder", () =>
+      expect(decode.andThen(() => decode.succeed(1), decode.string).decode("a")).to.eql(Right.from(1))
+    );
+  });
+
+  describe(".array", () => {
+    it("should decode every element", () =>
+      expect(decode.array(decode.number).decode([1, 2])).to.eql(Right.from([1, 2]))
+    );
+    it("should prefix errors with the index", () =>
+      expect(decode.array(decode.number).decode([1, "2"]))
+        .to.eql(Left.from(new Violation(["1"], "type", "Expected a number but got \"2\"")))
+    );
+    it("should fail other types", () =>
+      expect(decode.array(decode.number).decode({}))
+        .to.eql(Left.from(new Violation([], "type", "Expected an array but got {}")))
+    );
+  });
+
+  describe(".at", () => {
+    const testValue = {
+      address: {
+        zip: 12345
+      }
+    };
+
+    it("should decode the nested value", () =>
+      expect(decode.at(["address", "zip"], decode.number).decode(testValue)).to.eql(Right.from(12345))
+    );
+    it("should prefix errors with the path", () =>
+      expect(decode.at("address.zip", decode.string).decode(testValue))
+        .to.eql(Left.from(new Violation(["address", "zip"], "type", "Expected a string but got 12345")))
+    );
+  });
+
+  describe(".boolean", () => {
+    it("should decode booleans", () => expect(decode.boolean.decode(false)).to.eql(Right.from(false)));
+    it("should fail other types", () => expect(decode.boolean.decode(0)).to.be.instanceof(Left));
+  });
+
+  describe(".field", () => {
+    it("should decode the field", () => {
+      const testValue = {
+        name: "Jane"
+      };
+
+      expect(decode.field("name", decode.string).decode(testValue)).to.eql(Right.from("Jane"));
+    });
+    it("should fail missing fields", () =>
+      expect(decode.field("name", decode.string).decode({}))
+        .to.eql(Left.from(new Violation([], "field", "Expected an object with a field \"name\" but got {}")))
+    );
+    it("should fail other types", () =>
+      expect(decode.field("name", decode.string).decode(null)).to.be.instanceof(Left)
+    );
+  });
+
+  describe(".index", () => {
+    it("should decode the element", () =>
+      expect(decode.index(1, decode.string).decode(["a", "b"])).to.eql(Right.from("b"))
+    );
+    it("should fail missing elements", () =>
+      expect(decode.index(1, decode.string).decode(["a"]))
+        .to.eql(Left.from(new Violation([], "index", "Expected an array with an element at index 1 but got [\"a\"]")))
+    );
+  });
+
+  describe(".map", () => {
+    it("should map the decoded value", () =>
+      expect(decode.map(value => value + 1, decode.number).decode(1)).to.eql(Right.from(2))
+    );
+  });
+
+  describe(".map2 - .map8", () => {
+    const testDecoders = map(() => decode.number, range(0, 8));
+    const sum = function () {
+      return Array.prototype.reduce.call(arguments, (total, value) => total + value, 0);
+    };
+
+    [2, 3, 4, 5, 6, 7, 8].forEach(arity => {
+      it(`should decode ${arity} values`, () =>
+        expect(decode[`map${arity}`].apply(null, [sum].concat(testDecoders.slice(0, arity))).decode(1))
+          .to.eql(Right.from(arity))
+      );
+    });
+
+    it("should be curried", () =>
+      expect(decode.map2(sum)(decode.number)(decode.number).decode(1)).to.eql(Right.from(2))
+    );
+  });
+
+  describe(".mapN", () => {
+    it("should decode every value", () =>
+      expect(decode.mapN(Array.of, [decode.index(0, decode.string), decode.index(1, decode.number)]).decode(["a", 1]))
+        .to.eql(Right.from(["a", 1]))
+    );
+  });
+
+  describe(".nullable", () => {
+    it("should decode null as Nothing", () =>
+      expect(decode.nullable(decode.string).decode(null).value).to.be.instanceof(Maybe.Nothing)
+    );
+    it("should decode other values as Just", () =>
+      expect(decode.nullable(decode.string).decode("a")).to.eql(Right.from(Maybe.of("a")))
+    );
+    it("should fail invalid values", () => expect(decode.nullable(decode.string).decode(1)).to.be.instanceof(Left));
+  });
+
+  describe(".number", () => {
+    it("should decode numbers", () => expect(decode.number.decode(1)).to.eql(Right.from(1)));
+    it("should fail NaN", () => expect(decode.number.decode(NaN)).to.be.instanceof(Left));
+  });
+
+  describe(".oneOf", () => {
+    const testDecoder = decode.oneOf([decode.number, decode.string.map(parseFloat)]);
+
+    it("should decode with the first decoder that succeeds", () => {
+      expect(testDecoder.decode(1)).to.eql(Right.from(1));
+      expect(testDecoder.decode("1.5")).to.eql(Right.from(1.5));
+    });
+    it("should collect the errors of every decoder", () =>
+      expect(testDecoder.validate(true)).to.eql(Failure.from([
+        new Violation([], "type", "Expected a number but got true"),
+        new Violation([], "type", "Expected a string but got true")
+      ]))
+    );
+  });
+
+  describe(".string", () => {
+    it("should decode strings", () => expect(decode.string.decode("a")).to.eql(Right.from("a")));
+    it("should fail other types", () =>
+      expect(decode.string.decode(1)).to.eql(Left.from(new Violation([], "type", "Expected a string but got 1")))
+    );
+
+    it("should fail values that cannot be serialized as JSON", () => {
+      const testCircular = {};
+
+      testCircular.self = testCircular;
+
+      expect(decode.string.decode(global.BigInt(10)))
+        .to.eql(Left.from(new Violation([], "type", "Expected a string but got 10")));
+      expect(decode.string.decode(testCircular))
+        .to.eql(Left.from(new Violation([], "type", "Expected a string but got [object Object]")));
+    });
+  });
+});
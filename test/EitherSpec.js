@@ -2,7 +2,9 @@
 
 // Third Party
 const chai = require("chai");
+const constant = require("lodash/fp/constant");
 const first = require("lodash/fp/first");
+const get = require("lodash/fp/get");
 const map = require("lodash/fp/map");
 const nth = require("lodash/fp/nth");
 const promiseChai = require("chai-as-promised");
@@ -22,10 +24,13 @@ const Apply = require("./laws/Apply")(expect);
 const Chain = require("./laws/Chain")(expect);
 const Maybe = include("data/Maybe");
 const Extend = require("./laws/Extend")(expect);
+const Foldable = require("./laws/Foldable")(expect);
 const Functor = require("./laws/Functor")(expect);
 const Either = include("data/Either");
 const Monad = require("./laws/Monad")(expect);
 const Setoid = require("./laws/Setoid")(expect);
+const Task = include("data/Task");
+const Traversable = require("./laws/Traversable")(expect);
 const Validation = include("data/Validation");
 
 // Project Aliases
@@ -35,6 +40,10 @@ const Right = Either.Right;
 describe("Either", () => {
   const testMessage = "Test error";
   const testValue = true;
+  const testCases = {
+    Left: value => ["Left", value],
+    Right: value => ["Right", value]
+  };
 
   describe(".all", () => {
     describe("with a Left", () => {
@@ -84,6 +93,146 @@ describe("Either", () => {
     });
   });
 
+  describe(".do", () => {
+    it("should return the returned value wrapped in a Right", () => {
+      const actualResult = Either.do(function* () {
+        const a = yield Right.from(1);
+        const b = yield Right.from(a + 1);
+
+        return a + b;
+      });
+
+      expect(actualResult).to.eql(Right.from(3));
+    });
+
+    it("should convert yielded values that are not Either instances", () =>
+      expect(Either.do(function* () {
+        return yield 1;
+      })).to.eql(Right.from(1))
+    );
+
+    describe("early terminate", () => {
+      const testFinally = sinon.spy();
+      const testStep = sinon.spy();
+      let actualResult = null;
+
+      before(() => actualResult = Either.do(function* () {
+        try {
+          yield Left.from(testMessage);
+          testStep();
+        } finally {
+          testFinally();
+        }
+      }));
+
+      it("should return the first Left", () => expect(actualResult).to.eql(Left.from(testMessage)));
+      it("should not resume the generator", () => expect(testStep).to.not.be.called);
+      it("should close the generator", () => expect(testFinally).to.be.calledOnce);
+    });
+
+    it("should run the generator once", () => {
+      const testGenerator = sinon.spy(function* () {
+        yield Right.from(1);
+        yield Right.from(2);
+
+        return yield Right.from(3);
+      });
+
+      expect(Either.do(testGenerator)).to.eql(Right.from(3));
+      expect(testGenerator).to.be.calledOnce;
+    });
+
+    it("should not overflow the stack", () => {
+      const actualResult = Either.do(function* () {
+        let total = 0;
+
+        for (let i = 0; i < 10000; i++) {
+          total += yield Right.from(1);
+        }
+
+        return total;
+      });
+
+      expect(actualResult).to.eql(Right.from(10000));
+    });
+  });
+
+  describe(".doAsync", () => {
+    // Async generator protocol over a generator, as the linters in use do not parse async generator functions.
+    const toAsyncGenerator = generatorFunction => () => {
+      const iterator = generatorFunction();
+
+      return {
+        next: value => new Promise(resolve => resolve(iterator.next(value))),
+        return: value => Promise.resolve(iterator.return(value))
+      };
+    };
+
+    it("should resolve with the returned value wrapped in a Right", () =>
+      expect(Either.doAsync(toAsyncGenerator(function* () {
+        const a = yield Promise.resolve(1);
+        const b = yield Right.from(a + 1);
+
+        return a + b + (yield 3);
+      }))).to.eventually.eql(Right.from(6))
+    );
+
+    it("should unwrap Eithers resolved by yielded promises", () =>
+      expect(Either.doAsync(toAsyncGenerator(function* () {
+        return yield Promise.resolve(Right.from(testValue));
+      }))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should accept generators", () =>
+      expect(Either.doAsync(function* () {
+        return yield Promise.resolve(testValue);
+      })).to.eventually.eql(Right.from(testValue))
+    );
+
+    describe("early terminate", () => {
+      const testFinally = sinon.spy();
+      const testStep = sinon.spy();
+      let actualResult = null;
+
+      before(() => Either.doAsync(toAsyncGenerator(function* () {
+        try {
+          yield Promise.resolve(Left.from(testMessage));
+          testStep();
+        } finally {
+          testFinally();
+        }
+      })).then(result => actualResult = result));
+
+      it("should resolve with the first Left", () => expect(actualResult).to.eql(Left.from(testMessage)));
+      it("should not resume the generator", () => expect(testStep).to.not.be.called);
+      it("should close the generator", () => expect(testFinally).to.be.calledOnce);
+    });
+
+    it("should resolve rejections of yielded promises as a Left", () =>
+      expect(Either.doAsync(toAsyncGenerator(function* () {
+        yield Promise.reject(testMessage);
+      }))).to.eventually.eql(Left.from(testMessage))
+    );
+
+    it("should resolve errors thrown by the generator as a Left", () => {
+      const testError = new Error(testMessage);
+
+      return expect(Either.doAsync(toAsyncGenerator(function* () {
+        yield Promise.resolve(testValue);
+
+        throw testError;
+      }))).to.eventually.eql(Left.from(testError));
+    });
+
+    it("should resolve errors thrown by the generator function as a Left", () => {
+      const testError = new Error(testMessage);
+
+      return expect(Either.doAsync(() => {
+        throw testError;
+      })).to.eventually.eql(Left.from(testError));
+    });
+  });
+
   describe(".each", () => {
     const testCollection = [
       Left.from(testMessage),
@@ -127,6 +276,79 @@ describe("Either", () => {
     );
   });
 
+  describe(".fantasy-land/of", () => {
+    it("should return an instance of Right", () =>
+      expect(Either["fantasy-land/of"](testValue)).to.be.instanceof(Right)
+    );
+
+    it("should be available on the Left type", () =>
+      expect(Left["fantasy-land/of"](testValue)).to.be.instanceof(Right)
+    );
+  });
+
+  describe(".fold", () => {
+    it("should apply the matching function", () =>
+      expect(Either.fold(constant("Left"), constant("Right"), new Right(testValue))).to.equal("Right")
+    );
+    it("should be curried", () =>
+      expect(Either.fold(constant("Left"))(constant("Right"))(new Left(testMessage))).to.equal("Left")
+    );
+  });
+
+  describe(".fromNodeback", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the value passed to the callback in a Right", () => {
+      const testMethod = sinon.spy((a, b, callback) => callback(null, a + b));
+
+      return Either.fromNodeback(testMethod)(1, 2).then(result => {
+        expect(result).to.eql(Right.from(3));
+        expect(testMethod).to.be.calledWith(1, 2);
+      });
+    });
+
+    it("should wrap the error passed to the callback in a Left", () =>
+      expect(Either.fromNodeback(callback => callback(testError))()).to.eventually.eql(Left.from(testError))
+    );
+
+    it("should wrap thrown errors in a Left", () =>
+      expect(Either.fromNodeback(() => {
+        throw testError;
+      })()).to.eventually.eql(Left.from(testError))
+    );
+
+    it("should keep the receiver", () => {
+      const testObject = {
+        method: Either.fromNodeback(function (callback) {
+          callback(null, this);
+        })
+      };
+
+      return expect(testObject.method()).to.eventually.eql(Right.from(testObject));
+    });
+  });
+
+  describe(".fromPromise", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Right", () =>
+      expect(Either.fromPromise(Promise.resolve(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should resolve rejections as a Left", () =>
+      expect(Either.fromPromise(Promise.reject(testError))).to.eventually.eql(Left.from(testError))
+    );
+
+    it("should map the rejection error", () =>
+      expect(Either.fromPromise(Promise.reject(testError), get("message")))
+        .to.eventually.eql(Left.from(testError.message))
+    );
+
+    it("should accept values that are not promises", () =>
+      expect(Either.fromPromise(testValue)).to.eventually.eql(Right.from(testValue))
+    );
+  });
+
   describe(".isLeft", () => {
     it("should return true for a Left", () => expect(Either.isLeft(Left.from(testMessage))).to.be.true);
     it("should return false for a Right", () => expect(Either.isLeft(Right.from(testValue))).to.be.false);
@@ -155,10 +377,62 @@ describe("Either", () => {
     });
   });
 
+  describe(".match", () => {
+    it("should apply the matching function", () =>
+      expect(Either.match({
+        Left: constant("Left"),
+        Right: constant("Right")
+      }, new Left(testMessage))).to.equal("Left")
+    );
+  });
+
   describe(".of", () => {
     it("should return an instance of Right", () => expect(Either.of()).to.be.instanceof(Right));
   });
 
+  describe(".sequence", () => {
+    describe("with a Left", () => {
+      const testLeft = Left.from(testMessage);
+      const testEithers = {
+        a: Right.from(testValue),
+        b: testLeft
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Either.sequence(testEithers));
+
+      it("should return the Left", () => expect(actualResult).to.equal(testLeft));
+    });
+
+    describe("rights in an array", () => {
+      const testEithers = [Right.from(testValue), Right.from(testValue)];
+      let actualResult = null;
+
+      before(() => actualResult = Either.sequence(testEithers));
+
+      it("should return an instance of Right", () => expect(actualResult).to.be.instanceof(Right));
+      it("should return an array of all values", () => expect(actualResult.value).to.eql([testValue, testValue]));
+    });
+
+    describe("rights in an object", () => {
+      const testEithers = {
+        a: Right.from(testValue),
+        b: Right.from(!testValue)
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Either.sequence(testEithers));
+
+      it("should return an instance of Right", () => expect(actualResult).to.be.instanceof(Right));
+      it("should return an object of all values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: testValue,
+          b: !testValue
+        })
+      );
+    });
+  });
+
   describe(".toMaybe", () => {
     const testLeft = Left.from(testMessage);
     const testRight = Right.from(testValue);
@@ -179,6 +453,43 @@ describe("Either", () => {
     });
   });
 
+  describe(".toNodeback", () => {
+    describe("Left", () => {
+      const testCallback = sinon.spy(() => testValue);
+      let actualResult = null;
+
+      before(() => actualResult = Either.toNodeback(Left.from(testMessage), testCallback));
+
+      it("should return the result of the callback", () => expect(actualResult).to.equal(testValue));
+      it("should pass the value as the error", () => expect(testCallback).to.be.calledWithExactly(testMessage));
+    });
+
+    describe("Left of a falsy value", () => {
+      const testCallback = sinon.spy();
+
+      before(() => {
+        Left.from().toNodeback(testCallback);
+        Left.from(null).toNodeback(testCallback);
+      });
+
+      it("should pass an Error for undefined", () =>
+        expect(testCallback.firstCall.args[0]).to.be.an.instanceof(Error).with.property("message", "Left(undefined)")
+      );
+
+      it("should pass an Error for null", () =>
+        expect(testCallback.secondCall.args[0]).to.be.an.instanceof(Error).with.property("message", "Left(null)")
+      );
+    });
+
+    describe("Right", () => {
+      const testCallback = sinon.spy();
+
+      before(() => Either.toNodeback(Right.from(testValue), testCallback));
+
+      it("should pass null and the value", () => expect(testCallback).to.be.calledWithExactly(null, testValue));
+    });
+  });
+
   describe(".toPromise", () => {
     const testLeft = Left.from(testMessage);
     const testRight = Right.from(testValue);
@@ -193,6 +504,19 @@ describe("Either", () => {
     );
   });
 
+  describe(".toTask", () => {
+    const testLeft = Left.from(testMessage);
+    const testRight = Right.from(testValue);
+
+    it("should reject with the value of a Left", () =>
+      expect(Either.toTask(Task, testLeft).toPromise(Promise)).to.be.rejectedWith(testLeft.value)
+    );
+
+    it("should resolve with the value of a Right", () =>
+      expect(Either.toTask(Task, testRight).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
   describe(".toValidation", () => {
     const testLeft = Left.from(testMessage);
     const testRight = Right.from(testValue);
@@ -213,6 +537,41 @@ describe("Either", () => {
     });
   });
 
+  describe(".traverse", () => {
+    describe("with a Left", () => {
+      const testLeft = Left.from(testMessage);
+      const testIteratee = sinon.spy(value => value ? Right.from(value) : testLeft);
+      let actualResult = null;
+
+      before(() => actualResult = Either.traverse(testIteratee, [testValue, false]));
+
+      it("should return the Left", () => expect(actualResult).to.equal(testLeft));
+      it("should call the iteratee for each value", () => expect(testIteratee).to.be.calledTwice);
+    });
+
+    describe("rights", () => {
+      const testIteratee = sinon.spy(value => Right.from(!value));
+      let actualResult = null;
+
+      before(() => actualResult = Either.traverse(testIteratee, {
+        a: testValue,
+        b: !testValue
+      }));
+
+      it("should return an instance of Right", () => expect(actualResult).to.be.instanceof(Right));
+      it("should return an object of all mapped values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: !testValue,
+          b: testValue
+        })
+      );
+      it("should call the iteratee with each value", () => {
+        expect(testIteratee).to.be.calledWith(testValue);
+        expect(testIteratee).to.be.calledWith(!testValue);
+      });
+    });
+  });
+
   describe(".try", () => {
     it("should return a Left for a caught exception", () => {
       const testFn = () => {
@@ -228,6 +587,28 @@ describe("Either", () => {
       expect(Either.try(testFn)).to.be.instanceof(Right);
     });
   });
+  describe(".tryAsync", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Right", () =>
+      expect(Either.tryAsync(() => Promise.resolve(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should resolve rejections as a Left", () =>
+      expect(Either.tryAsync(() => Promise.reject(testError))).to.eventually.eql(Left.from(testError))
+    );
+
+    it("should resolve thrown errors as a Left", () =>
+      expect(Either.tryAsync(() => {
+        throw testError;
+      })).to.eventually.eql(Left.from(testError))
+    );
+
+    it("should map the rejection error", () =>
+      expect(Either.tryAsync(() => Promise.reject(testError), get("message")))
+        .to.eventually.eql(Left.from(testError.message))
+    );
+  });
 
   describe("Left", () => {
     describe(".from", () => {
@@ -283,6 +664,12 @@ describe("Either", () => {
       it("should contain the mapped value", () => expect(actualResult.value).to.eql(`${testMessage} bimapped`));
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(new Left(testMessage).cata(testCases)).to.eql(["Left", testMessage])
+      );
+    });
+
     describe("#chain", () => {
       const testLeft = new Left(testMessage);
       const testChain = sinon.spy(() => true);
@@ -301,6 +688,26 @@ describe("Either", () => {
       it("should return true for instances with the same value", () => expect(testLeft1.equals(testLeft2)).to.be.true);
     });
 
+    describe("#fantasy-land/bimap", () => {
+      const testLeft = new Left(testMessage);
+
+      it("should map the value with the failure map", () =>
+        expect(testLeft["fantasy-land/bimap"](value => `${value} bimapped`, value => !value))
+          .to.eql(new Left(`${testMessage} bimapped`))
+      );
+    });
+
+    describe("#fold", () => {
+      const testLeft = new Left(testMessage);
+
+      it("should apply the matching function", () =>
+        expect(testLeft.fold(testCases.Left, testCases.Right)).to.eql(["Left", testMessage])
+      );
+      it("should throw if a function is missing", () => expect(() => testLeft.fold(testCases.Left))
+        .to.throw(TypeError, "Missing a function for the \"Right\" case of Either")
+      );
+    });
+
     describe("#get", () => {
       it("should return null", () => expect(Left.from(testMessage).get()).to.be.null);
     });
@@ -346,6 +753,20 @@ describe("Either", () => {
       it("should not call the provided map method", () => expect(testMap).to.not.be.called);
     });
 
+    describe("#match", () => {
+      const testLeft = new Left(testMessage);
+
+      it("should apply the matching function", () =>
+        expect(testLeft.match(testCases)).to.eql(["Left", testMessage])
+      );
+      it("should throw if the other case is missing", () => expect(() => testLeft.match({
+        Left: testCases.Left
+      })).to.throw(TypeError, "Missing a function for the \"Right\" case of Either"));
+      it("should list every missing case", () => expect(() => testLeft.match())
+        .to.throw(TypeError, "Missing a function for the \"Left\" and \"Right\" cases of Either")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Right", () => expect(new Left().of()).to.be.instanceof(Right));
     });
@@ -381,6 +802,24 @@ describe("Either", () => {
 
       it("should throw the supplied error", () => expect(testFn).to.throw(expectedResult));
     });
+    describe("#reduce", () => {
+      const testLeft = new Left(testMessage);
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testLeft.reduce(testReduction, []));
+
+      it("should return the accumulator", () => expect(actualResult).to.eql([]));
+      it("should not call the provided reduction", () => expect(testReduction).to.not.be.called);
+    });
+
+    describe("#sequence", () => {
+      const testLeft = new Left(testMessage);
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(testLeft.sequence(Promise)).to.eventually.equal(testLeft)
+      );
+    });
 
     describe("#toMaybe", () => {
       const testLeft = new Left(testMessage);
@@ -406,6 +845,15 @@ describe("Either", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testLeft = new Left(testMessage);
+
+      it("should return a Task instance", () => expect(testLeft.toTask(Task)).to.be.instanceof(Task));
+      it("should have rejected the value", () =>
+        expect(testLeft.toTask(Task).toPromise(Promise)).to.be.rejectedWith(testLeft.value)
+      );
+    });
+
     describe("#toString", () => {
       const testLeft = new Left(testMessage);
 
@@ -422,15 +870,29 @@ describe("Either", () => {
         expect(testLeft.toValidation(testValidationImplementation)).to.be.instanceof(Validation.Failure)
       );
     });
+    describe("#traverse", () => {
+      const testLeft = new Left(testMessage);
+      const testTraversal = sinon.spy(value => Promise.resolve(value));
+      let actualResult = null;
+
+      before(() => actualResult = testLeft.traverse(Promise, testTraversal));
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(actualResult).to.eventually.equal(testLeft)
+      );
+      it("should not call the provided traversal", () => expect(testTraversal).to.not.be.called);
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Left);
       Apply(Left);
       Chain(Left);
       Extend(Left);
+      Foldable(Left);
       Functor(Left);
       Monad(Left);
       Setoid(Left);
+      Traversable(Left);
     });
   });
 
@@ -492,6 +954,12 @@ describe("Either", () => {
       it("should contain the mapped value", () => expect(actualResult.value).to.equal(!testValue));
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(new Right(testValue).cata(testCases)).to.eql(["Right", testValue])
+      );
+    });
+
     describe("#chain", () => {
       const testRight = new Right(testValue);
 
@@ -549,6 +1017,26 @@ describe("Either", () => {
       );
     });
 
+    describe("#fantasy-land/bimap", () => {
+      const testRight = new Right(testValue);
+
+      it("should map the value with the success map", () =>
+        expect(testRight["fantasy-land/bimap"](value => `${value} bimapped`, value => !value))
+          .to.eql(new Right(!testValue))
+      );
+    });
+
+    describe("#fold", () => {
+      const testRight = new Right(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testRight.fold(testCases.Left, testCases.Right)).to.eql(["Right", testValue])
+      );
+      it("should throw if a function is missing", () => expect(() => testRight.fold(testCases.Left))
+        .to.throw(TypeError, "Missing a function for the \"Right\" case of Either")
+      );
+    });
+
     describe("#get", () => {
       it("should return null", () => expect(Right.from(testValue).get()).to.equal(testValue));
     });
@@ -596,6 +1084,20 @@ describe("Either", () => {
       it("should call the provided map method", () => expect(testMap).to.be.calledWith(testRight.value));
     });
 
+    describe("#match", () => {
+      const testRight = new Right(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testRight.match(testCases)).to.eql(["Right", testValue])
+      );
+      it("should throw if the other case is missing", () => expect(() => testRight.match({
+        Right: testCases.Right
+      })).to.throw(TypeError, "Missing a function for the \"Left\" case of Either"));
+      it("should list every missing case", () => expect(() => testRight.match())
+        .to.throw(TypeError, "Missing a function for the \"Left\" and \"Right\" cases of Either")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Right", () => expect(new Right().of()).to.be.instanceof(Right));
     });
@@ -634,6 +1136,24 @@ describe("Either", () => {
       it("should not call the provided method", () => expect(testOrElseThrow).to.not.be.called);
       it("should return the value", () => expect(testRight.orElseThrow()).to.eql(testValue));
     });
+    describe("#reduce", () => {
+      const testRight = new Right(testValue);
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testRight.reduce(testReduction, []));
+
+      it("should return the reduced value", () => expect(actualResult).to.eql([testValue]));
+      it("should call the provided reduction", () => expect(testReduction).to.be.calledWith([], testValue));
+    });
+
+    describe("#sequence", () => {
+      const testRight = new Right(Promise.resolve(testValue));
+
+      it("should swap the instance with the contained applicative", () =>
+        expect(testRight.sequence(Promise)).to.eventually.eql(new Right(testValue))
+      );
+    });
 
     describe("#toMaybe", () => {
       const testRight = new Right(testValue);
@@ -667,6 +1187,15 @@ describe("Either", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testRight = new Right(testValue);
+
+      it("should return a Task instance", () => expect(testRight.toTask(Task)).to.be.instanceof(Task));
+      it("should have resolved the value", () =>
+        expect(testRight.toTask(Task).toPromise(Promise)).to.eventually.equal(testRight.value)
+      );
+    });
+
     describe("#toString", () => {
       const testValues = [true, false];
       const testRight = new Right(testValues);
@@ -692,15 +1221,29 @@ describe("Either", () => {
         });
       });
     });
+    describe("#traverse", () => {
+      const testRight = new Right(testValue);
+      const testTraversal = sinon.spy(value => Promise.resolve(!value));
+      let actualResult = null;
+
+      before(() => actualResult = testRight.traverse(Promise, testTraversal));
+
+      it("should map the result of the traversal into the type", () =>
+        expect(actualResult).to.eventually.eql(new Right(!testValue))
+      );
+      it("should call the provided traversal", () => expect(testTraversal).to.be.calledWith(testValue));
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Right);
       Apply(Right);
       Chain(Right);
       Extend(Right);
+      Foldable(Right);
       Functor(Right);
       Monad(Right);
       Setoid(Right);
+      Traversable(Right);
     });
   });
 });
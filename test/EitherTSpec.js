@@ -0,0 +1,148 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const EitherT = include("data/EitherT");
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Task = include("data/Task");
+
+// Project Aliases
+const Left = Either.Left;
+const Right = Either.Right;
+
+describe("EitherT", () => {
+  const testError = new Error("Test error");
+  const testFailure = Left.from(testError);
+  const testValue = true;
+  const TaskEither = EitherT(Task);
+  const PromiseEither = EitherT(Promise);
+  const runTask = transformer => transformer.run().toPromise(Promise);
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testTransformer = TaskEither.of(testValue);
+
+      expect(TaskEither.from(testTransformer)).to.equal(testTransformer);
+    });
+
+    it("should wrap an Either", () =>
+      expect(runTask(TaskEither.from(testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should wrap other values in a Right", () =>
+      expect(runTask(TaskEither.from(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+  });
+  describe(".fromEither", () => {
+    it("should wrap the either in the outer monad", () =>
+      expect(runTask(TaskEither.fromEither(testFailure))).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe(".lift", () => {
+    it("should wrap the value of the outer monad in a Right", () =>
+      expect(runTask(TaskEither.lift(Task.of(testValue)))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should keep rejections of the outer monad", () =>
+      expect(runTask(TaskEither.lift(Task.reject(testError)))).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a Right", () =>
+      expect(runTask(TaskEither.of(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(runTask(TaskEither.of(value => !value).ap(TaskEither.of(testValue))))
+        .to.eventually.eql(Right.from(!testValue))
+    );
+
+    it("should return a Left", () =>
+      expect(runTask(TaskEither.of(value => !value).ap(TaskEither.fromEither(testFailure))))
+        .to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should chain across both layers", () =>
+      expect(runTask(TaskEither.of(testValue).chain(value => TaskEither.lift(Task.of(!value)))))
+        .to.eventually.eql(Right.from(!testValue))
+    );
+
+    it("should accept an Either", () =>
+      expect(runTask(TaskEither.of(testValue).chain(() => testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should not invoke the method for a Left", () => {
+      const testMethod = sinon.spy();
+
+      return runTask(TaskEither.fromEither(testFailure).chain(testMethod))
+        .then(() => expect(testMethod).to.not.be.called);
+    });
+  });
+
+  describe("#map", () => {
+    it("should map the value", () =>
+      expect(runTask(TaskEither.of(testValue).map(value => !value))).to.eventually.eql(Right.from(!testValue))
+    );
+  });
+
+  describe("#run", () => {
+    it("should return the outer monad", () => expect(TaskEither.of(testValue).run()).to.be.instanceof(Task));
+  });
+
+  describe("over Promise", () => {
+    it("should chain across both layers", () =>
+      expect(PromiseEither.lift(Promise.resolve(testValue)).chain(value => PromiseEither.of(!value)).run())
+        .to.eventually.eql(Right.from(!testValue))
+    );
+
+    it("should stop at a Left", () =>
+      expect(PromiseEither.fromEither(testFailure).map(value => !value).run()).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    describe("over Task", () => {
+      const equivalence = (left, right) => Promise.all([runTask(left), runTask(right)])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(TaskEither, equivalence);
+      Apply(TaskEither, equivalence);
+      Chain(TaskEither, equivalence);
+      Functor(TaskEither, equivalence);
+      Monad(TaskEither, equivalence);
+    });
+
+    describe("over Promise", () => {
+      const equivalence = (left, right) => Promise.all([left.run(), right.run()])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(PromiseEither, equivalence);
+      Apply(PromiseEither, equivalence);
+      Chain(PromiseEither, equivalence);
+      Functor(PromiseEither, equivalence);
+      Monad(PromiseEither, equivalence);
+    });
+  });
+});
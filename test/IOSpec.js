@@ -0,0 +1,142 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const IO = include("data/IO");
+const Monad = require("./laws/Monad")(expect);
+
+// Project Aliases
+const Left = Either.Left;
+const Right = Either.Right;
+
+describe("IO", () => {
+  const testError = new Error("Test error");
+  const testValue = 1;
+  const throwError = () => {
+    throw testError;
+  };
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testIO = IO.of(testValue);
+
+      expect(IO.from(testIO)).to.equal(testIO);
+    });
+
+    it("should wrap other values", () => expect(IO.from(testValue).run()).to.equal(testValue));
+  });
+
+  describe(".isIO", () => {
+    it("should return false for other values", () => expect(IO.isIO(testValue)).to.be.false);
+    it("should return true for instances", () => expect(IO.isIO(IO.of(testValue))).to.be.true);
+  });
+
+  describe(".of", () => {
+    it("should return the value", () => expect(IO.of(testValue).run()).to.equal(testValue));
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(IO.of(value => value + 1).ap(IO.of(testValue)).run()).to.equal(2)
+    );
+  });
+
+  describe("#attempt", () => {
+    it("should return the result in a Right", () =>
+      expect(IO.of(testValue).attempt().run()).to.eql(Right.from(testValue))
+    );
+
+    it("should return the exception in a Left", () =>
+      expect(new IO(throwError).attempt().run()).to.eql(Left.from(testError))
+    );
+
+    it("should not run the effect until run", () => {
+      const testEffect = sinon.spy();
+
+      new IO(testEffect).attempt();
+
+      expect(testEffect).to.not.be.called;
+    });
+  });
+
+  describe("#chain", () => {
+    it("should run the returned IO", () =>
+      expect(IO.of(testValue).chain(value => new IO(() => value + 1)).run()).to.equal(2)
+    );
+
+    it("should wrap other returned values", () =>
+      expect(IO.of(testValue).chain(value => value + 1).run()).to.equal(2)
+    );
+  });
+
+  describe("#map", () => {
+    it("should map the result", () => expect(IO.of(testValue).map(value => value + 1).run()).to.equal(2));
+  });
+
+  describe("#run", () => {
+    it("should not run the effect until run", () => {
+      const testEffect = sinon.spy(() => testValue);
+      const testIO = new IO(testEffect).map(value => value + 1);
+
+      expect(testEffect).to.not.be.called;
+      expect(testIO.run()).to.equal(2);
+      expect(testEffect).to.be.calledOnce;
+    });
+
+    it("should run the effect every time", () => {
+      const testEffect = sinon.spy();
+      const testIO = new IO(testEffect);
+
+      testIO.run();
+      testIO.run();
+
+      expect(testEffect).to.be.calledTwice;
+    });
+
+    it("should not catch exceptions", () => expect(() => new IO(throwError).run()).to.throw(testError));
+  });
+
+  describe("#toTask", () => {
+    it("should resolve with the result", () =>
+      expect(IO.of(testValue).toTask().toPromise(Promise)).to.eventually.equal(testValue)
+    );
+
+    it("should reject with the exception", () =>
+      expect(new IO(throwError).toTask().toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should not run the effect until forked", () => {
+      const testEffect = sinon.spy();
+
+      new IO(testEffect).toTask();
+
+      expect(testEffect).to.not.be.called;
+    });
+  });
+
+  describe("Algebraic Laws", () => {
+    const equivalence = (left, right) => expect(left.run()).to.eql(right.run());
+
+    Applicative(IO, equivalence);
+    Apply(IO, equivalence);
+    Chain(IO, equivalence);
+    Functor(IO, equivalence);
+    Monad(IO, equivalence);
+  });
+});
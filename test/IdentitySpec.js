@@ -0,0 +1,140 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+
+// Third Party Setup
+chai.use(promiseChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Comonad = require("./laws/Comonad")(expect);
+const Either = include("data/Either");
+const EitherT = include("data/EitherT");
+const Extend = require("./laws/Extend")(expect);
+const Foldable = require("./laws/Foldable")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Identity = include("data/Identity");
+const Monad = require("./laws/Monad")(expect);
+const Setoid = require("./laws/Setoid")(expect);
+const Traversable = require("./laws/Traversable")(expect);
+
+// Project Aliases
+const Left = Either.Left;
+
+describe("Identity", () => {
+  const testValue = 1;
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testIdentity = Identity.of(testValue);
+
+      expect(Identity.from(testIdentity)).to.equal(testIdentity);
+    });
+
+    it("should wrap other values", () => expect(Identity.from(testValue)).to.eql(new Identity(testValue)));
+  });
+
+  describe(".isIdentity", () => {
+    it("should return false for other values", () => expect(Identity.isIdentity(testValue)).to.be.false);
+    it("should return true for instances", () => expect(Identity.isIdentity(Identity.of(testValue))).to.be.true);
+  });
+
+  describe(".of", () => {
+    it("should wrap the value", () => expect(Identity.of(testValue).value).to.equal(testValue));
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(Identity.of(value => value + 1).ap(Identity.of(testValue))).to.eql(Identity.of(2))
+    );
+  });
+
+  describe("#chain", () => {
+    it("should return the returned Identity", () =>
+      expect(Identity.of(testValue).chain(value => Identity.of(value + 1))).to.eql(Identity.of(2))
+    );
+
+    it("should wrap other returned values", () =>
+      expect(Identity.of(testValue).chain(value => value + 1)).to.eql(Identity.of(2))
+    );
+  });
+
+  describe("#equals", () => {
+    it("should return true for equal values", () =>
+      expect(Identity.of(testValue).equals(Identity.of(testValue))).to.be.true
+    );
+
+    it("should return false for different values", () =>
+      expect(Identity.of(testValue).equals(Identity.of(2))).to.be.false
+    );
+  });
+
+  describe("#extend", () => {
+    it("should wrap the result of the method", () =>
+      expect(Identity.of(testValue).extend(instance => instance.extract() + 1)).to.eql(Identity.of(2))
+    );
+  });
+
+  describe("#extract", () => {
+    it("should return the value", () => expect(Identity.of(testValue).extract()).to.equal(testValue));
+  });
+
+  describe("#map", () => {
+    it("should map the value", () => expect(Identity.of(testValue).map(value => value + 1)).to.eql(Identity.of(2)));
+  });
+
+  describe("#reduce", () => {
+    it("should reduce the value", () =>
+      expect(Identity.of(testValue).reduce((sum, value) => sum + value, 1)).to.equal(2)
+    );
+  });
+
+  describe("#sequence", () => {
+    it("should swap the Identity with the applicative", () =>
+      expect(Identity.of(Promise.resolve(testValue)).sequence(Promise)).to.eventually.eql(Identity.of(testValue))
+    );
+  });
+
+  describe("#toString", () => {
+    it("should describe the value", () => expect(Identity.of(testValue).toString()).to.equal("Identity(1)"));
+  });
+
+  describe("#traverse", () => {
+    it("should wrap the value of the applicative", () =>
+      expect(Identity.of(testValue).traverse(Array, value => [value, value + 1]))
+        .to.eql([Identity.of(testValue), Identity.of(2)])
+    );
+  });
+
+  describe("as the base of a transformer", () => {
+    const IdentityEither = EitherT(Identity);
+
+    it("should run the transformer to an Identity", () =>
+      expect(IdentityEither.of(testValue).map(value => value + 1).run()).to.eql(Identity.of(Either.of(2)))
+    );
+
+    it("should stop at a Left", () =>
+      expect(IdentityEither.fromEither(Left.from(testValue)).map(value => value + 1).run())
+        .to.eql(Identity.of(Left.from(testValue)))
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    Applicative(Identity);
+    Apply(Identity);
+    Chain(Identity);
+    Comonad(Identity);
+    Extend(Identity);
+    Foldable(Identity);
+    Functor(Identity);
+    Monad(Identity);
+    Setoid(Identity);
+    Traversable(Identity);
+  });
+});
@@ -2,6 +2,7 @@
 
 // Third Party
 const chai = require("chai");
+const constant = require("lodash/fp/constant");
 const each = require("lodash/fp/each");
 const map = require("lodash/fp/map");
 const promiseChai = require("chai-as-promised");
@@ -20,10 +21,13 @@ const Apply = require("./laws/Apply")(expect);
 const Chain = require("./laws/Chain")(expect);
 const Either = include("data/Either");
 const Extend = require("./laws/Extend")(expect);
+const Foldable = require("./laws/Foldable")(expect);
 const Functor = require("./laws/Functor")(expect);
 const Maybe = include("data/Maybe");
 const Monad = require("./laws/Monad")(expect);
 const Setoid = require("./laws/Setoid")(expect);
+const Task = include("data/Task");
+const Traversable = require("./laws/Traversable")(expect);
 const Validation = include("data/Validation");
 
 // Project Aliases
@@ -32,6 +36,10 @@ const Just = Maybe.Just;
 
 describe("Maybe", () => {
   const testValue = true;
+  const testCases = {
+    Nothing: () => ["Nothing"],
+    Just: value => ["Just", value]
+  };
 
   describe(".all", () => {
     describe("justs", () => {
@@ -82,6 +90,76 @@ describe("Maybe", () => {
     });
   });
 
+  describe(".do", () => {
+    it("should return the returned value wrapped in a Just", () => {
+      const actualResult = Maybe.do(function* () {
+        const a = yield Just.from(1);
+        const b = yield Just.from(a + 1);
+
+        return a + b;
+      });
+
+      expect(actualResult).to.eql(Just.from(3));
+    });
+
+    it("should convert yielded values that are not Maybe instances", () =>
+      expect(Maybe.do(function* () {
+        return yield 1;
+      })).to.eql(Just.from(1))
+    );
+
+    it("should end the run at a yielded null", () =>
+      expect(Maybe.do(function* () {
+        return yield null;
+      })).to.eql(Nothing.from())
+    );
+
+    describe("early terminate", () => {
+      const testFinally = sinon.spy();
+      const testStep = sinon.spy();
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.do(function* () {
+        try {
+          yield Nothing.from();
+          testStep();
+        } finally {
+          testFinally();
+        }
+      }));
+
+      it("should return the first Nothing", () => expect(actualResult).to.eql(Nothing.from()));
+      it("should not resume the generator", () => expect(testStep).to.not.be.called);
+      it("should close the generator", () => expect(testFinally).to.be.calledOnce);
+    });
+
+    it("should run the generator once", () => {
+      const testGenerator = sinon.spy(function* () {
+        yield Just.from(1);
+        yield Just.from(2);
+
+        return yield Just.from(3);
+      });
+
+      expect(Maybe.do(testGenerator)).to.eql(Just.from(3));
+      expect(testGenerator).to.be.calledOnce;
+    });
+
+    it("should not overflow the stack", () => {
+      const actualResult = Maybe.do(function* () {
+        let total = 0;
+
+        for (let i = 0; i < 10000; i++) {
+          total += yield Just.from(1);
+        }
+
+        return total;
+      });
+
+      expect(actualResult).to.eql(Just.from(10000));
+    });
+  });
+
   describe(".each", () => {
     const testCollection = [
       Nothing.from(),
@@ -125,6 +203,39 @@ describe("Maybe", () => {
     );
   });
 
+  describe(".fantasy-land/of", () => {
+    it("should return an instance of Just", () => expect(Maybe["fantasy-land/of"](testValue)).to.be.instanceof(Just));
+
+    it("should be available on the Nothing type", () =>
+      expect(Nothing["fantasy-land/of"](testValue)).to.be.instanceof(Just)
+    );
+  });
+
+  describe(".fold", () => {
+    it("should apply the matching function", () =>
+      expect(Maybe.fold(constant("Nothing"), constant("Just"), new Just(testValue))).to.equal("Just")
+    );
+    it("should be curried", () =>
+      expect(Maybe.fold(constant("Nothing"))(constant("Just"))(new Nothing())).to.equal("Nothing")
+    );
+  });
+
+  describe(".fromPromise", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Just", () =>
+      expect(Maybe.fromPromise(Promise.resolve(testValue))).to.eventually.eql(Just.from(testValue))
+    );
+
+    it("should resolve rejections as a Nothing", () =>
+      expect(Maybe.fromPromise(Promise.reject(testError))).to.eventually.eql(Nothing.from())
+    );
+
+    it("should accept values that are not promises", () =>
+      expect(Maybe.fromPromise(testValue)).to.eventually.eql(Just.from(testValue))
+    );
+  });
+
   describe(".isNothing", () => {
     it("should return true for a Nothing", () => expect(Maybe.isNothing(Nothing.from())).to.be.true);
     it("should return false for a Just", () => expect(Maybe.isNothing(Just.from(testValue))).to.be.false);
@@ -153,6 +264,15 @@ describe("Maybe", () => {
     });
   });
 
+  describe(".match", () => {
+    it("should apply the matching function", () =>
+      expect(Maybe.match({
+        Nothing: constant("Nothing"),
+        Just: constant("Just")
+      }, new Nothing())).to.equal("Nothing")
+    );
+  });
+
   describe(".of", () => {
     it("should return an instance of Just", () => expect(Maybe.of()).to.be.instanceof(Just));
   });
@@ -178,6 +298,49 @@ describe("Maybe", () => {
     );
   });
 
+  describe(".sequence", () => {
+    describe("with a Nothing", () => {
+      const testNothing = Nothing.from();
+      const testMaybes = {
+        a: Just.from(testValue),
+        b: testNothing
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.sequence(testMaybes));
+
+      it("should return the Nothing", () => expect(actualResult).to.equal(testNothing));
+    });
+
+    describe("justs in an array", () => {
+      const testMaybes = [Just.from(testValue), Just.from(testValue)];
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.sequence(testMaybes));
+
+      it("should return an instance of Just", () => expect(actualResult).to.be.instanceof(Just));
+      it("should return an array of all values", () => expect(actualResult.value).to.eql([testValue, testValue]));
+    });
+
+    describe("justs in an object", () => {
+      const testMaybes = {
+        a: Just.from(testValue),
+        b: Just.from(!testValue)
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.sequence(testMaybes));
+
+      it("should return an instance of Just", () => expect(actualResult).to.be.instanceof(Just));
+      it("should return an object of all values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: testValue,
+          b: !testValue
+        })
+      );
+    });
+  });
+
   describe(".toEither", () => {
     const testNothing = Nothing.from();
     const testJust = Just.from(testValue);
@@ -212,6 +375,19 @@ describe("Maybe", () => {
     );
   });
 
+  describe(".toTask", () => {
+    const testNothing = Nothing.from();
+    const testJust = Just.from(testValue);
+
+    it("should reject with the value of a Nothing", () =>
+      expect(Maybe.toTask(Task, testNothing).toPromise(Promise)).to.be.rejectedWith(testNothing.value)
+    );
+
+    it("should resolve with the value of a Just", () =>
+      expect(Maybe.toTask(Task, testJust).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
   describe(".toValidation", () => {
     const testNothing = Nothing.from();
     const testJust = Just.from(testValue);
@@ -232,6 +408,41 @@ describe("Maybe", () => {
     });
   });
 
+  describe(".traverse", () => {
+    describe("with a Nothing", () => {
+      const testNothing = Nothing.from();
+      const testIteratee = sinon.spy(value => value ? Just.from(value) : testNothing);
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.traverse(testIteratee, [testValue, false]));
+
+      it("should return the Nothing", () => expect(actualResult).to.equal(testNothing));
+      it("should call the iteratee for each value", () => expect(testIteratee).to.be.calledTwice);
+    });
+
+    describe("justs", () => {
+      const testIteratee = sinon.spy(value => Just.from(!value));
+      let actualResult = null;
+
+      before(() => actualResult = Maybe.traverse(testIteratee, {
+        a: testValue,
+        b: !testValue
+      }));
+
+      it("should return an instance of Just", () => expect(actualResult).to.be.instanceof(Just));
+      it("should return an object of all mapped values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: !testValue,
+          b: testValue
+        })
+      );
+      it("should call the iteratee with each value", () => {
+        expect(testIteratee).to.be.calledWith(testValue);
+        expect(testIteratee).to.be.calledWith(!testValue);
+      });
+    });
+  });
+
   describe(".try", () => {
     it("should return a Nothing for a caught exception", () => {
       const testFn = () => {
@@ -247,6 +458,23 @@ describe("Maybe", () => {
       expect(Maybe.try(testFn)).to.be.instanceof(Just);
     });
   });
+  describe(".tryAsync", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Just", () =>
+      expect(Maybe.tryAsync(() => Promise.resolve(testValue))).to.eventually.eql(Just.from(testValue))
+    );
+
+    it("should resolve rejections as a Nothing", () =>
+      expect(Maybe.tryAsync(() => Promise.reject(testError))).to.eventually.eql(Nothing.from())
+    );
+
+    it("should resolve thrown errors as a Nothing", () =>
+      expect(Maybe.tryAsync(() => {
+        throw testError;
+      })).to.eventually.eql(Nothing.from())
+    );
+  });
 
   describe("Nothing", () => {
     describe(".from", () => {
@@ -284,6 +512,12 @@ describe("Maybe", () => {
       it("should not call #map on the provided apply value", () => expect(actualResult.value).to.be.null);
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(new Nothing().cata(testCases)).to.eql(["Nothing"])
+      );
+    });
+
     describe("#chain", () => {
       const testNothing = new Nothing();
       const testChain = sinon.spy(() => true);
@@ -304,6 +538,17 @@ describe("Maybe", () => {
       );
     });
 
+    describe("#fold", () => {
+      const testNothing = new Nothing();
+
+      it("should apply the matching function", () =>
+        expect(testNothing.fold(testCases.Nothing, testCases.Just)).to.eql(["Nothing"])
+      );
+      it("should throw if a function is missing", () => expect(() => testNothing.fold(testCases.Nothing))
+        .to.throw(TypeError, "Missing a function for the \"Just\" case of Maybe")
+      );
+    });
+
     describe("#get", () => {
       it("should return null", () => expect(Nothing.from().get()).to.be.null);
     });
@@ -349,6 +594,20 @@ describe("Maybe", () => {
       it("should not call the provided map method", () => expect(testMap).to.not.be.called);
     });
 
+    describe("#match", () => {
+      const testNothing = new Nothing();
+
+      it("should apply the matching function", () =>
+        expect(testNothing.match(testCases)).to.eql(["Nothing"])
+      );
+      it("should throw if the other case is missing", () => expect(() => testNothing.match({
+        Nothing: testCases.Nothing
+      })).to.throw(TypeError, "Missing a function for the \"Just\" case of Maybe"));
+      it("should list every missing case", () => expect(() => testNothing.match())
+        .to.throw(TypeError, "Missing a function for the \"Nothing\" and \"Just\" cases of Maybe")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Just", () => expect(new Nothing().of()).to.be.instanceof(Just));
     });
@@ -387,6 +646,24 @@ describe("Maybe", () => {
         expect(testFn).to.throw();
       });
     });
+    describe("#reduce", () => {
+      const testNothing = new Nothing();
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testNothing.reduce(testReduction, []));
+
+      it("should return the accumulator", () => expect(actualResult).to.eql([]));
+      it("should not call the provided reduction", () => expect(testReduction).to.not.be.called);
+    });
+
+    describe("#sequence", () => {
+      const testNothing = new Nothing();
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(testNothing.sequence(Promise)).to.eventually.equal(testNothing)
+      );
+    });
 
     describe("#toEither", () => {
       const testNothing = new Nothing();
@@ -412,6 +689,15 @@ describe("Maybe", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testNothing = new Nothing();
+
+      it("should return a Task instance", () => expect(testNothing.toTask(Task)).to.be.instanceof(Task));
+      it("should have rejected the value", () =>
+        expect(testNothing.toTask(Task).toPromise(Promise)).to.be.rejectedWith(testNothing.value)
+      );
+    });
+
     describe("#toString", () => {
       const testNothing = new Nothing();
 
@@ -428,15 +714,29 @@ describe("Maybe", () => {
         expect(testNothing.toValidation(testValidationImplementation)).to.be.instanceof(Validation.Failure)
       );
     });
+    describe("#traverse", () => {
+      const testNothing = new Nothing();
+      const testTraversal = sinon.spy(value => Promise.resolve(value));
+      let actualResult = null;
+
+      before(() => actualResult = testNothing.traverse(Promise, testTraversal));
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(actualResult).to.eventually.equal(testNothing)
+      );
+      it("should not call the provided traversal", () => expect(testTraversal).to.not.be.called);
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Nothing);
       Apply(Nothing);
       Chain(Nothing);
       Extend(Nothing);
+      Foldable(Nothing);
       Functor(Nothing);
       Monad(Nothing);
       Setoid(Nothing);
+      Traversable(Nothing);
     });
   });
 
@@ -480,6 +780,12 @@ describe("Maybe", () => {
       it("should call #map on the provided apply value", () => expect(actualResult.value).to.be.false);
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(new Just(testValue).cata(testCases)).to.eql(["Just", testValue])
+      );
+    });
+
     describe("#chain", () => {
       const testJust = new Just(testValue);
 
@@ -537,6 +843,17 @@ describe("Maybe", () => {
       );
     });
 
+    describe("#fold", () => {
+      const testJust = new Just(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testJust.fold(testCases.Nothing, testCases.Just)).to.eql(["Just", testValue])
+      );
+      it("should throw if a function is missing", () => expect(() => testJust.fold(testCases.Nothing))
+        .to.throw(TypeError, "Missing a function for the \"Just\" case of Maybe")
+      );
+    });
+
     describe("#get", () => {
       it("should return null", () => expect(Just.from(testValue).get()).to.equal(testValue));
     });
@@ -584,6 +901,20 @@ describe("Maybe", () => {
       it("should call the provided map method", () => expect(testMap).to.be.calledWith(testJust.value));
     });
 
+    describe("#match", () => {
+      const testJust = new Just(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testJust.match(testCases)).to.eql(["Just", testValue])
+      );
+      it("should throw if the other case is missing", () => expect(() => testJust.match({
+        Just: testCases.Just
+      })).to.throw(TypeError, "Missing a function for the \"Nothing\" case of Maybe"));
+      it("should list every missing case", () => expect(() => testJust.match())
+        .to.throw(TypeError, "Missing a function for the \"Nothing\" and \"Just\" cases of Maybe")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Just", () => expect(new Just().of()).to.be.instanceof(Just));
     });
@@ -624,6 +955,24 @@ describe("Maybe", () => {
       it("should not call the provided method", () => expect(testOrElseThrow).to.not.be.called);
       it("should return the value of the instance", () => expect(testJust.orElseThrow()).to.eql(expectedResult));
     });
+    describe("#reduce", () => {
+      const testJust = new Just(testValue);
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testJust.reduce(testReduction, []));
+
+      it("should return the reduced value", () => expect(actualResult).to.eql([testValue]));
+      it("should call the provided reduction", () => expect(testReduction).to.be.calledWith([], testValue));
+    });
+
+    describe("#sequence", () => {
+      const testJust = new Just(Promise.resolve(testValue));
+
+      it("should swap the instance with the contained applicative", () =>
+        expect(testJust.sequence(Promise)).to.eventually.eql(new Just(testValue))
+      );
+    });
 
     describe("#toEither", () => {
       const testJust = new Just(testValue);
@@ -657,6 +1006,15 @@ describe("Maybe", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testJust = new Just(testValue);
+
+      it("should return a Task instance", () => expect(testJust.toTask(Task)).to.be.instanceof(Task));
+      it("should have resolved the value", () =>
+        expect(testJust.toTask(Task).toPromise(Promise)).to.eventually.equal(testJust.value)
+      );
+    });
+
     describe("#toString", () => {
       const testValues = [true, false];
       const testJust = new Just(testValues);
@@ -682,15 +1040,29 @@ describe("Maybe", () => {
         });
       });
     });
+    describe("#traverse", () => {
+      const testJust = new Just(testValue);
+      const testTraversal = sinon.spy(value => Promise.resolve(!value));
+      let actualResult = null;
+
+      before(() => actualResult = testJust.traverse(Promise, testTraversal));
+
+      it("should map the result of the traversal into the type", () =>
+        expect(actualResult).to.eventually.eql(new Just(!testValue))
+      );
+      it("should call the provided traversal", () => expect(testTraversal).to.be.calledWith(testValue));
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Just);
       Apply(Just);
       Chain(Just);
       Extend(Just);
+      Foldable(Just);
       Functor(Just);
       Monad(Just);
       Setoid(Just);
+      Traversable(Just);
     });
   });
 });
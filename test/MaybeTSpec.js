@@ -0,0 +1,155 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const Maybe = include("data/Maybe");
+const MaybeT = include("data/MaybeT");
+const Monad = require("./laws/Monad")(expect);
+const Task = include("data/Task");
+
+// Project Aliases
+const Just = Maybe.Just;
+const Nothing = Maybe.Nothing;
+
+describe("MaybeT", () => {
+  const testError = new Error("Test error");
+  const testFailure = Nothing.from();
+  const testValue = true;
+  const TaskMaybe = MaybeT(Task);
+  const PromiseMaybe = MaybeT(Promise);
+  const runTask = transformer => transformer.run().toPromise(Promise);
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testTransformer = TaskMaybe.of(testValue);
+
+      expect(TaskMaybe.from(testTransformer)).to.equal(testTransformer);
+    });
+
+    it("should wrap a Maybe", () =>
+      expect(runTask(TaskMaybe.from(testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should wrap other values in a Just", () =>
+      expect(runTask(TaskMaybe.from(testValue))).to.eventually.eql(Just.from(testValue))
+    );
+  });
+
+  describe(".fromEither", () => {
+    it("should convert the either", () =>
+      expect(runTask(TaskMaybe.fromEither(Either.Left.from(testError)))).to.eventually.eql(testFailure)
+    );
+  });
+  describe(".fromMaybe", () => {
+    it("should wrap the maybe in the outer monad", () =>
+      expect(runTask(TaskMaybe.fromMaybe(testFailure))).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe(".lift", () => {
+    it("should wrap the value of the outer monad in a Just", () =>
+      expect(runTask(TaskMaybe.lift(Task.of(testValue)))).to.eventually.eql(Just.from(testValue))
+    );
+
+    it("should keep rejections of the outer monad", () =>
+      expect(runTask(TaskMaybe.lift(Task.reject(testError)))).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a Just", () =>
+      expect(runTask(TaskMaybe.of(testValue))).to.eventually.eql(Just.from(testValue))
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(runTask(TaskMaybe.of(value => !value).ap(TaskMaybe.of(testValue))))
+        .to.eventually.eql(Just.from(!testValue))
+    );
+
+    it("should return a Nothing", () =>
+      expect(runTask(TaskMaybe.of(value => !value).ap(TaskMaybe.fromMaybe(testFailure))))
+        .to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should chain across both layers", () =>
+      expect(runTask(TaskMaybe.of(testValue).chain(value => TaskMaybe.lift(Task.of(!value)))))
+        .to.eventually.eql(Just.from(!testValue))
+    );
+
+    it("should accept a Maybe", () =>
+      expect(runTask(TaskMaybe.of(testValue).chain(() => testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should not invoke the method for a Nothing", () => {
+      const testMethod = sinon.spy();
+
+      return runTask(TaskMaybe.fromMaybe(testFailure).chain(testMethod))
+        .then(() => expect(testMethod).to.not.be.called);
+    });
+  });
+
+  describe("#map", () => {
+    it("should map the value", () =>
+      expect(runTask(TaskMaybe.of(testValue).map(value => !value))).to.eventually.eql(Just.from(!testValue))
+    );
+  });
+
+  describe("#run", () => {
+    it("should return the outer monad", () => expect(TaskMaybe.of(testValue).run()).to.be.instanceof(Task));
+  });
+
+  describe("over Promise", () => {
+    it("should chain across both layers", () =>
+      expect(PromiseMaybe.lift(Promise.resolve(testValue)).chain(value => PromiseMaybe.of(!value)).run())
+        .to.eventually.eql(Just.from(!testValue))
+    );
+
+    it("should stop at a Nothing", () =>
+      expect(PromiseMaybe.fromMaybe(testFailure).map(value => !value).run()).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    describe("over Task", () => {
+      const equivalence = (left, right) => Promise.all([runTask(left), runTask(right)])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(TaskMaybe, equivalence);
+      Apply(TaskMaybe, equivalence);
+      Chain(TaskMaybe, equivalence);
+      Functor(TaskMaybe, equivalence);
+      Monad(TaskMaybe, equivalence);
+    });
+
+    describe("over Promise", () => {
+      const equivalence = (left, right) => Promise.all([left.run(), right.run()])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(PromiseMaybe, equivalence);
+      Apply(PromiseMaybe, equivalence);
+      Chain(PromiseMaybe, equivalence);
+      Functor(PromiseMaybe, equivalence);
+      Monad(PromiseMaybe, equivalence);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+
+// Third Party Setup
+chai.use(promiseChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Comonad = require("./laws/Comonad")(expect);
+const Extend = require("./laws/Extend")(expect);
+const Foldable = require("./laws/Foldable")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Maybe = include("data/Maybe");
+const Monad = require("./laws/Monad")(expect);
+const NonEmptyList = include("data/NonEmptyList");
+const Semigroup = require("./laws/Semigroup")(expect);
+const Setoid = require("./laws/Setoid")(expect);
+const Traversable = require("./laws/Traversable")(expect);
+const ValidationNel = include("data/ValidationNel");
+
+// Project Aliases
+const Failure = ValidationNel.Failure;
+const Just = Maybe.Just;
+const Nothing = Maybe.Nothing;
+const Success = ValidationNel.Success;
+
+describe("NonEmptyList", () => {
+  const testList = new NonEmptyList(1, [2, 3]);
+
+  describe(".from", () => {
+    it("should return the same instance", () => expect(NonEmptyList.from(testList)).to.equal(testList));
+    it("should wrap other values", () => expect(NonEmptyList.from(1)).to.eql(new NonEmptyList(1, [])));
+  });
+
+  describe(".fromArray", () => {
+    it("should return a Nothing for an empty array", () => expect(NonEmptyList.fromArray([])).to.eql(Nothing.from()));
+    it("should return a Just of the elements", () =>
+      expect(NonEmptyList.fromArray([1, 2, 3])).to.eql(Just.from(testList))
+    );
+  });
+
+  describe(".isNonEmptyList", () => {
+    it("should return false for other values", () => expect(NonEmptyList.isNonEmptyList([1])).to.be.false);
+    it("should return true for instances", () => expect(NonEmptyList.isNonEmptyList(testList)).to.be.true);
+  });
+
+  describe(".of", () => {
+    it("should wrap the value", () => expect(NonEmptyList.of(1).toArray()).to.eql([1]));
+  });
+
+  describe("#constructor", () => {
+    it("should default the tail to an empty array", () => expect(new NonEmptyList(1).tail).to.eql([]));
+  });
+
+  describe("#ap", () => {
+    it("should apply every function to every element", () =>
+      expect(new NonEmptyList(value => value + 1, [value => value * 2]).ap(new NonEmptyList(1, [2])).toArray())
+        .to.eql([2, 3, 2, 4])
+    );
+  });
+
+  describe("#chain", () => {
+    it("should concatenate the returned lists", () =>
+      expect(testList.chain(value => new NonEmptyList(value, [value * 10])).toArray()).to.eql([1, 10, 2, 20, 3, 30])
+    );
+
+    it("should wrap other returned values", () =>
+      expect(testList.chain(value => value + 1).toArray()).to.eql([2, 3, 4])
+    );
+  });
+
+  describe("#concat", () => {
+    it("should append the elements of the other list", () =>
+      expect(testList.concat(new NonEmptyList(4, [5])).toArray()).to.eql([1, 2, 3, 4, 5])
+    );
+
+    it("should not change either list", () => {
+      const testOther = NonEmptyList.of(4);
+
+      testList.concat(testOther);
+
+      expect(testList.toArray()).to.eql([1, 2, 3]);
+      expect(testOther.toArray()).to.eql([4]);
+    });
+  });
+
+  describe("#equals", () => {
+    it("should return true for equal lists", () => expect(testList.equals(new NonEmptyList(1, [2, 3]))).to.be.true);
+    it("should return false for different lists", () => expect(testList.equals(NonEmptyList.of(1))).to.be.false);
+  });
+
+  describe("#extend", () => {
+    it("should apply the method to every suffix", () =>
+      expect(testList.extend(list => list.reduce((sum, value) => sum + value, 0)).toArray()).to.eql([6, 5, 3])
+    );
+  });
+
+  describe("#extract", () => {
+    it("should return the first element", () => expect(testList.extract()).to.equal(1));
+  });
+
+  describe("#map", () => {
+    it("should map every element", () => expect(testList.map(value => value + 1).toArray()).to.eql([2, 3, 4]));
+  });
+
+  describe("#reduce", () => {
+    it("should reduce the elements in order", () =>
+      expect(testList.reduce((result, value) => result.concat(value), [])).to.eql([1, 2, 3])
+    );
+  });
+
+  describe("#sequence", () => {
+    it("should resolve to a list of the resolved values", () =>
+      expect(new NonEmptyList(Promise.resolve(1), [Promise.resolve(2)]).sequence(Promise))
+        .to.eventually.eql(new NonEmptyList(1, [2]))
+    );
+  });
+
+  describe("#size", () => {
+    it("should count every element", () => expect(testList.size()).to.equal(3));
+  });
+
+  describe("#toString", () => {
+    it("should list the elements", () => expect(testList.toString()).to.equal("NonEmptyList(1, 2, 3)"));
+  });
+
+  describe("#traverse", () => {
+    it("should return a Just of the mapped list", () =>
+      expect(testList.traverse(Maybe, value => Just.from(value + 1))).to.eql(Just.from(new NonEmptyList(2, [3, 4])))
+    );
+
+    it("should return a Nothing if any element maps to a Nothing", () =>
+      expect(testList.traverse(Maybe, value => value === 2 ? Nothing.from() : Just.from(value)))
+        .to.eql(Nothing.from())
+    );
+
+    it("should accumulate the failures of a ValidationNel", () =>
+      expect(testList.traverse(ValidationNel, value => value > 1 ? Failure.from(value) : Success.from(value)))
+        .to.eql(Failure.from(new NonEmptyList(2, [3])))
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    Applicative(NonEmptyList);
+    Apply(NonEmptyList);
+    Chain(NonEmptyList);
+    Comonad(NonEmptyList);
+    Extend(NonEmptyList);
+    Foldable(NonEmptyList);
+    Functor(NonEmptyList);
+    Monad(NonEmptyList);
+    Semigroup(NonEmptyList);
+    Setoid(NonEmptyList);
+    Traversable(NonEmptyList);
+  });
+});
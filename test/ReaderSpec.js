@@ -0,0 +1,112 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Reader = include("data/Reader");
+
+describe("Reader", () => {
+  const testEnv = {
+    discount: 0.25,
+    flags: {
+      beta: true
+    }
+  };
+  const testValue = 100;
+
+  describe(".ask", () => {
+    it("should return the environment", () => expect(Reader.ask().run(testEnv)).to.equal(testEnv));
+  });
+
+  describe(".asks", () => {
+    it("should return the mapped environment", () =>
+      expect(Reader.asks(env => env.discount).run(testEnv)).to.equal(0.25)
+    );
+  });
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testReader = Reader.of(testValue);
+
+      expect(Reader.from(testReader)).to.equal(testReader);
+    });
+
+    it("should wrap other values", () => expect(Reader.from(testValue).run(testEnv)).to.equal(testValue));
+  });
+
+  describe(".isReader", () => {
+    it("should return false for other values", () => expect(Reader.isReader(testValue)).to.be.false);
+    it("should return true for instances", () => expect(Reader.isReader(Reader.of(testValue))).to.be.true);
+  });
+
+  describe(".of", () => {
+    it("should ignore the environment", () => expect(Reader.of(testValue).run(testEnv)).to.equal(testValue));
+  });
+
+  describe(".run", () => {
+    it("should run the reader with the environment", () =>
+      expect(Reader.run(testEnv)(Reader.asks(env => env.discount))).to.equal(0.25)
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value with the same environment", () =>
+      expect(Reader.asks(env => value => value * env.discount).ap(Reader.of(testValue)).run(testEnv)).to.equal(25)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should run the returned reader with the same environment", () =>
+      expect(Reader.of(testValue).chain(value => Reader.asks(env => value * env.discount)).run(testEnv))
+        .to.equal(25)
+    );
+
+    it("should wrap other returned values", () =>
+      expect(Reader.of(testValue).chain(value => value + 1).run(testEnv)).to.equal(testValue + 1)
+    );
+  });
+
+  describe("#local", () => {
+    it("should run the reader with the modified environment", () =>
+      expect(Reader.asks(flags => flags.beta).local(env => env.flags).run(testEnv)).to.be.true
+    );
+  });
+
+  describe("#map", () => {
+    it("should map the value", () => expect(Reader.of(testValue).map(value => value + 1).run(testEnv)).to.equal(101));
+  });
+
+  describe("#run", () => {
+    it("should not run the computation until run", () => {
+      const testComputation = sinon.spy(env => env.discount);
+      const testReader = new Reader(testComputation).map(value => value * 2);
+
+      expect(testComputation).to.not.be.called;
+      expect(testReader.run(testEnv)).to.equal(0.5);
+      expect(testComputation).to.be.calledWith(testEnv);
+    });
+  });
+
+  describe("Algebraic Laws", () => {
+    const equivalence = (left, right) => expect(left.run(testEnv)).to.eql(right.run(testEnv));
+
+    Applicative(Reader, equivalence);
+    Apply(Reader, equivalence);
+    Chain(Reader, equivalence);
+    Functor(Reader, equivalence);
+    Monad(Reader, equivalence);
+  });
+});
@@ -0,0 +1,185 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const ReaderTaskEither = include("data/ReaderTaskEither");
+const Task = include("data/Task");
+
+// Project Aliases
+const Left = Either.Left;
+const Right = Either.Right;
+
+describe("ReaderTaskEither", () => {
+  const testEnv = {
+    greeting: "Hello"
+  };
+  const testError = new Error("Test error");
+  const testFailure = Left.from(testError);
+  const testValue = true;
+  const runReader = (reader, env) => reader.run(env).toPromise(Promise);
+
+  describe(".ask", () => {
+    it("should return the environment in a Right", () =>
+      expect(runReader(ReaderTaskEither.ask(), testEnv)).to.eventually.eql(Right.from(testEnv))
+    );
+  });
+
+  describe(".asks", () => {
+    it("should return the mapped environment in a Right", () =>
+      expect(runReader(ReaderTaskEither.asks(env => env.greeting), testEnv)).to.eventually.eql(Right.from("Hello"))
+    );
+  });
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testReader = ReaderTaskEither.of(testValue);
+
+      expect(ReaderTaskEither.from(testReader)).to.equal(testReader);
+    });
+
+    it("should wrap an Either", () =>
+      expect(runReader(ReaderTaskEither.from(testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should wrap a Task", () =>
+      expect(runReader(ReaderTaskEither.from(Task.of(testValue)))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should wrap other values in a Right", () =>
+      expect(runReader(ReaderTaskEither.from(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+  });
+
+  describe(".fromEither", () => {
+    it("should ignore the environment", () =>
+      expect(runReader(ReaderTaskEither.fromEither(testFailure), testEnv)).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe(".fromTask", () => {
+    it("should resolve a resolution as a Right", () =>
+      expect(runReader(ReaderTaskEither.fromTask(Task.of(testValue)))).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should resolve a rejection as a Left", () =>
+      expect(runReader(ReaderTaskEither.fromTask(Task.reject(testError)))).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe(".isReaderTaskEither", () => {
+    it("should return false for other values", () =>
+      expect(ReaderTaskEither.isReaderTaskEither(Task.of(testValue))).to.be.false
+    );
+
+    it("should return true for instances", () =>
+      expect(ReaderTaskEither.isReaderTaskEither(ReaderTaskEither.of(testValue))).to.be.true
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a Right", () =>
+      expect(runReader(ReaderTaskEither.of(testValue))).to.eventually.eql(Right.from(testValue))
+    );
+  });
+
+  describe(".run", () => {
+    it("should run the reader with the environment", () =>
+      expect(ReaderTaskEither.run(testEnv)(ReaderTaskEither.ask()).toPromise(Promise))
+        .to.eventually.eql(Right.from(testEnv))
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(runReader(ReaderTaskEither.asks(env => value => `${env.greeting}, ${value}`)
+        .ap(ReaderTaskEither.of("Jane")), testEnv)).to.eventually.eql(Right.from("Hello, Jane"))
+    );
+
+    it("should return the Left", () =>
+      expect(runReader(ReaderTaskEither.of(value => !value).ap(ReaderTaskEither.fromEither(testFailure))))
+        .to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should run the returned reader with the same environment", () =>
+      expect(runReader(ReaderTaskEither.of("Jane")
+        .chain(name => ReaderTaskEither.asks(env => `${env.greeting}, ${name}`)), testEnv))
+        .to.eventually.eql(Right.from("Hello, Jane"))
+    );
+
+    it("should wrap other returned values", () =>
+      expect(runReader(ReaderTaskEither.of(testValue).chain(value => Task.of(!value))))
+        .to.eventually.eql(Right.from(!testValue))
+    );
+
+    it("should not invoke the method for a Left", () => {
+      const testMethod = sinon.spy();
+
+      return runReader(ReaderTaskEither.fromEither(testFailure).chain(testMethod)).then(result => {
+        expect(result).to.eql(testFailure);
+        expect(testMethod).to.not.be.called;
+      });
+    });
+  });
+
+  describe("#local", () => {
+    it("should run the reader with the modified environment", () =>
+      expect(runReader(ReaderTaskEither.asks(env => env.greeting).local(env => env.config), {
+        config: testEnv
+      })).to.eventually.eql(Right.from("Hello"))
+    );
+  });
+
+  describe("#map", () => {
+    it("should map the value of a Right", () =>
+      expect(runReader(ReaderTaskEither.of(testValue).map(value => !value))).to.eventually.eql(Right.from(!testValue))
+    );
+
+    it("should return the Left", () =>
+      expect(runReader(ReaderTaskEither.fromEither(testFailure).map(value => !value))).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("#run", () => {
+    it("should not run the computation until run", () => {
+      const testComputation = sinon.spy(() => Task.of(Right.from(testValue)));
+      const testReader = new ReaderTaskEither(testComputation).map(value => !value);
+
+      expect(testComputation).to.not.be.called;
+
+      return runReader(testReader, testEnv).then(result => {
+        expect(result).to.eql(Right.from(!testValue));
+        expect(testComputation).to.be.calledWith(testEnv);
+      });
+    });
+  });
+
+  describe("Algebraic Laws", () => {
+    const equivalence = (left, right) => Promise.all([runReader(left, testEnv), runReader(right, testEnv)])
+      .then(results => expect(results[0]).to.eql(results[1]));
+
+    Applicative(ReaderTaskEither, equivalence);
+    Apply(ReaderTaskEither, equivalence);
+    Chain(ReaderTaskEither, equivalence);
+    Functor(ReaderTaskEither, equivalence);
+    Monad(ReaderTaskEither, equivalence);
+  });
+});
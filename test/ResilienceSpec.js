@@ -0,0 +1,344 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Either = include("data/Either");
+const resilience = include("resilience");
+const Task = include("data/Task");
+
+// Project Aliases
+const CircuitOpenError = resilience.CircuitOpenError;
+const Left = Either.Left;
+const Right = Either.Right;
+const TimeoutError = resilience.TimeoutError;
+
+describe("resilience", () => {
+  const testError = new Error("Test error");
+  const testValue = true;
+
+  // Clock whose time only moves when the test calls tick.
+  const createManualClock = () => {
+    const timers = [];
+    const clock = {
+      delays: [],
+      time: 0
+    };
+
+    clock.now = () => clock.time;
+    clock.setTimeout = (method, ms) => {
+      const timer = {
+        at: clock.time + ms,
+        method
+      };
+
+      clock.delays.push(ms);
+      timers.push(timer);
+
+      return timer;
+    };
+
+    clock.clearTimeout = timer => timers.splice(timers.indexOf(timer) >>> 0, 1);
+    clock.pending = () => timers.length;
+    clock.tick = ms => {
+      clock.time += ms;
+      timers.filter(timer => timer.at <= clock.time).forEach(timer => {
+        clock.clearTimeout(timer);
+        timer.method();
+      });
+    };
+
+    return clock;
+  };
+
+  // Task that fails the first failures times it is forked and resolves afterward.
+  const createFlakyTask = failures => {
+    const control = {
+      forks: 0
+    };
+
+    control.task = new Task((reject, resolve) => {
+      control.forks += 1;
+
+      return control.forks > failures ? resolve(control.forks) : reject(new Error(`Failure ${control.forks}`));
+    });
+
+    return control;
+  };
+
+  describe(".circuitBreaker", () => {
+    const testOptions = clock => ({
+      clock,
+      resetTimeout: 1000,
+      threshold: 2
+    });
+
+    it("should resolve with a Right of the value", () =>
+      expect(resilience.circuitBreaker()(Task.of(testValue)).toPromise(Promise))
+        .to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should resolve with a Left of the error", () =>
+      expect(resilience.circuitBreaker()(Task.reject(testError)).toPromise(Promise))
+        .to.eventually.eql(Left.from(testError))
+    );
+
+    describe("open", () => {
+      const testClock = createManualClock();
+      const testBreaker = resilience.circuitBreaker(testOptions(testClock));
+      const testFlaky = createFlakyTask(3);
+      const testResolve = sinon.spy();
+
+      before(() => {
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testBreaker(testFlaky.task).fork(sinon.spy(), testResolve);
+      });
+
+      it("should not run computations after the threshold", () => expect(testFlaky.forks).to.equal(2));
+      it("should fail with a CircuitOpenError", () => {
+        expect(testResolve.firstCall.args[0]).to.be.instanceof(Left);
+        expect(testResolve.firstCall.args[0].value).to.be.instanceof(CircuitOpenError);
+      });
+    });
+
+    describe("trial", () => {
+      const testClock = createManualClock();
+      const testBreaker = resilience.circuitBreaker(testOptions(testClock));
+      const testFlaky = createFlakyTask(3);
+
+      before(() => {
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testClock.tick(1000);
+      });
+
+      it("should open again when the trial fails", () => {
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+
+        expect(testFlaky.forks).to.equal(3);
+      });
+      it("should close when the trial succeeds", () => {
+        const testResolve = sinon.spy();
+
+        testClock.tick(1000);
+        testBreaker(testFlaky.task).fork(sinon.spy(), sinon.spy());
+        testBreaker(testFlaky.task).fork(sinon.spy(), testResolve);
+
+        expect(testResolve).to.be.calledWith(Right.from(5));
+      });
+    });
+
+    it("should let a single trial through at a time", () => {
+      const testClock = createManualClock();
+      const testBreaker = resilience.circuitBreaker(testOptions(testClock));
+      const testTrial = sinon.spy();
+
+      testBreaker(Task.reject(testError)).fork(sinon.spy(), sinon.spy());
+      testBreaker(Task.reject(testError)).fork(sinon.spy(), sinon.spy());
+      testClock.tick(1000);
+      testBreaker(new Task(testTrial)).fork(sinon.spy(), sinon.spy());
+      testBreaker(new Task(testTrial)).fork(sinon.spy(), sinon.spy());
+
+      expect(testTrial).to.be.calledOnce;
+    });
+
+    it("should wrap functions returning promises", () => {
+      const testFunction = resilience.circuitBreaker()(value => Promise.resolve(!value));
+
+      return expect(testFunction(testValue)).to.eventually.eql(Right.from(!testValue));
+    });
+  });
+
+  describe(".clock", () => {
+    it("should return the current time", () => expect(resilience.clock.now()).to.be.closeTo(Date.now(), 1000));
+    it("should schedule timers", done => resilience.clock.setTimeout(done, 0));
+    it("should clear timers", () => {
+      const testMethod = sinon.spy();
+
+      resilience.clock.clearTimeout(resilience.clock.setTimeout(testMethod, 0));
+
+      return new Promise(resolve => setTimeout(resolve, 0)).then(() => expect(testMethod).to.not.be.called);
+    });
+  });
+
+  describe(".retry", () => {
+    it("should resolve with a Right of the first success", () => {
+      const testFlaky = createFlakyTask(2);
+
+      return expect(resilience.retry({}, testFlaky.task).toPromise(Promise)).to.eventually.eql(Right.from(3));
+    });
+
+    it("should resolve with a Left of the last error", () => {
+      const testFlaky = createFlakyTask(5);
+
+      return resilience.retry({
+        times: 2
+      }, testFlaky.task).toPromise(Promise).then(result => {
+        expect(result).to.be.instanceof(Left);
+        expect(result.value.message).to.equal("Failure 3");
+        expect(testFlaky.forks).to.equal(3);
+      });
+    });
+
+    it("should not retry errors rejected by shouldRetry", () => {
+      const testFlaky = createFlakyTask(5);
+      const testShouldRetry = sinon.spy(() => false);
+
+      return resilience.retry({
+        shouldRetry: testShouldRetry
+      }, testFlaky.task).toPromise(Promise).then(() => {
+        expect(testShouldRetry).to.be.calledOnce;
+        expect(testFlaky.forks).to.equal(1);
+      });
+    });
+
+    it("should treat a Left as a failure", () => {
+      const testFlaky = createFlakyTask(1);
+      const testTask = testFlaky.task.map(Right.from).bimap(Left.from, value => value);
+      const testEitherTask = new Task((reject, resolve) => testTask.fork(resolve, resolve));
+
+      return expect(resilience.retry({}, testEitherTask).toPromise(Promise)).to.eventually.eql(Right.from(2));
+    });
+
+    it("should be curried", () =>
+      expect(resilience.retry({})(Task.of(testValue)).toPromise(Promise)).to.eventually.eql(Right.from(testValue))
+    );
+
+    describe("backoff", () => {
+      const testClock = createManualClock();
+      const testFlaky = createFlakyTask(3);
+      const testResolve = sinon.spy();
+
+      before(() => {
+        resilience.retry({
+          clock: testClock,
+          delay: 100,
+          factor: 2,
+          jitter: 0.5,
+          random: () => 0.5
+        }, testFlaky.task).fork(sinon.spy(), testResolve);
+        testClock.tick(75);
+        testClock.tick(150);
+      });
+
+      it("should wait longer before each retry", () => expect(testClock.delays).to.eql([75, 150, 300]));
+      it("should not retry before the delay", () => expect(testFlaky.forks).to.equal(3));
+      it("should resolve after the last delay", () => {
+        testClock.tick(300);
+
+        expect(testResolve).to.be.calledWith(Right.from(4));
+      });
+    });
+
+    describe("cancel", () => {
+      const testClock = createManualClock();
+      const testFlaky = createFlakyTask(3);
+
+      before(() => {
+        const cancel = resilience.retry({
+          clock: testClock,
+          delay: 100
+        }, testFlaky.task).fork(sinon.spy(), sinon.spy());
+
+        cancel();
+        testClock.tick(100);
+      });
+
+      it("should not retry after cancelling", () => expect(testFlaky.forks).to.equal(1));
+    });
+
+    describe("functions", () => {
+      it("should pass the arguments to the function", () => {
+        const testFunction = sinon.spy(value => Promise.resolve(!value));
+
+        return resilience.retry({}, testFunction)(testValue).then(result => {
+          expect(result).to.eql(Right.from(!testValue));
+          expect(testFunction).to.be.calledWith(testValue);
+        });
+      });
+
+      it("should call the function again on rejection", () => {
+        const testFunction = sinon.stub();
+
+        testFunction.onFirstCall().returns(Promise.reject(testError));
+        testFunction.onSecondCall().returns(Promise.resolve(testValue));
+
+        return expect(resilience.retry({}, testFunction)()).to.eventually.eql(Right.from(testValue));
+      });
+
+      it("should call the function again when it throws", () => {
+        const testFunction = sinon.stub();
+
+        testFunction.onFirstCall().throws(testError);
+        testFunction.onSecondCall().returns(Promise.resolve(testValue));
+
+        return expect(resilience.retry({}, testFunction)()).to.eventually.eql(Right.from(testValue));
+      });
+    });
+  });
+
+  describe(".timeout", () => {
+    it("should resolve with a Right of the value", () =>
+      expect(resilience.timeout(1000, Task.of(testValue)).toPromise(Promise)).to.eventually.eql(Right.from(testValue))
+    );
+
+    it("should resolve with a Left of the error", () =>
+      expect(resilience.timeout(1000, Task.reject(testError)).toPromise(Promise))
+        .to.eventually.eql(Left.from(testError))
+    );
+
+    it("should wrap functions returning promises", () =>
+      expect(resilience.timeout(1000, () => Promise.resolve(testValue))()).to.eventually.eql(Right.from(testValue))
+    );
+
+    describe("expired", () => {
+      const testClock = createManualClock();
+      const testCancel = sinon.spy();
+      const testResolve = sinon.spy();
+
+      before(() => {
+        resilience.timeout({
+          clock: testClock,
+          ms: 100
+        }, new Task(() => testCancel)).fork(sinon.spy(), testResolve);
+        testClock.tick(100);
+      });
+
+      it("should resolve with a Left of a TimeoutError", () => {
+        const result = testResolve.firstCall.args[0];
+
+        expect(result).to.be.instanceof(Left);
+        expect(result.value).to.be.instanceof(TimeoutError);
+        expect(result.value.message).to.equal("Timed out after 100ms");
+      });
+      it("should cancel the computation", () => expect(testCancel).to.be.calledOnce);
+    });
+
+    it("should clear the timer when the computation settles", () => {
+      const testClock = createManualClock();
+      let resolveTask = null;
+
+      resilience.timeout({
+        clock: testClock,
+        ms: 100
+      }, new Task((reject, resolve) => {
+        resolveTask = resolve;
+      })).fork(sinon.spy(), sinon.spy());
+      resolveTask(testValue);
+
+      expect(testClock.pending()).to.equal(0);
+    });
+  });
+});
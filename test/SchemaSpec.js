@@ -0,0 +1,229 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const schema = include("schema");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const array = schema.array;
+const Failure = Validation.Failure;
+const number = schema.number;
+const object = schema.object;
+const oneOf = schema.oneOf;
+const optional = schema.optional;
+const Schema = schema.Schema;
+const string = schema.string;
+const Success = Validation.Success;
+const Violation = Validation.Violation;
+
+describe("schema", () => {
+  const testMessage = "Test message";
+
+  describe("Schema", () => {
+    describe(".from", () => {
+      it("should return the same schema", () => {
+        const testSchema = string();
+
+        expect(Schema.from(testSchema)).to.equal(testSchema);
+      });
+
+      it("should wrap a validator", () => {
+        const testValidator = sinon.spy(Success.from);
+        const testSchema = Schema.from(testValidator);
+
+        expect(testSchema).to.be.instanceof(Schema);
+        expect(testSchema.validate(true)).to.eql(Success.from(true));
+        expect(testValidator).to.be.calledWith(true);
+      });
+    });
+
+    describe(".isSchema", () => {
+      it("should return false for other values", () => expect(Schema.isSchema(Success.from)).to.be.false);
+      it("should return true for schemas", () => expect(Schema.isSchema(string())).to.be.true);
+    });
+
+    describe(".type", () => {
+      const testSchema = Schema.type(value => value === true, "true");
+
+      it("should fail undefined values as required", () =>
+        expect(testSchema.validate()).to.eql(Failure.from(new Violation([], "required", "is required")))
+      );
+      it("should fail values of other types", () =>
+        expect(testSchema.validate(false)).to.eql(Failure.from(new Violation([], "type", "must be true")))
+      );
+      it("should pass values of the type", () => expect(testSchema.validate(true)).to.eql(Success.from(true)));
+    });
+
+    describe("#check", () => {
+      const testPredicate = sinon.spy(value => value.length > 1);
+      const testSchema = string().check(testPredicate, "length", testMessage);
+
+      afterEach(() => testPredicate.reset());
+
+      it("should return a new schema of the same type", () => {
+        expect(testSchema).to.be.instanceof(string().constructor);
+        expect(testSchema.min).to.be.a("function");
+      });
+      it("should fail values that do not satisfy the constraint", () =>
+        expect(testSchema.validate("a")).to.eql(Failure.from(new Violation([], "length", testMessage)))
+      );
+      it("should pass values that satisfy the constraint", () =>
+        expect(testSchema.validate("ab")).to.eql(Success.from("ab"))
+      );
+      it("should not check values that fail the schema", () => {
+        testSchema.validate(1);
+
+        expect(testPredicate).to.not.be.called;
+      });
+    });
+
+    describe("#compile", () => {
+      it("should return a validator", () => {
+        const validateName = string().compile();
+
+        expect(validateName("Jane")).to.eql(Success.from("Jane"));
+        expect(validateName(1)).to.be.instanceof(Failure);
+      });
+    });
+  });
+
+  describe("array", () => {
+    it("should fail other types", () => expect(array().validate("a").value[0].code).to.equal("type"));
+    it("should pass any array without a schema of the items", () =>
+      expect(array().validate([1, "a"])).to.eql(Success.from([1, "a"]))
+    );
+    it("should pass arrays of valid items", () =>
+      expect(array(number()).validate([1, 2])).to.eql(Success.from([1, 2]))
+    );
+    it("should gather the failures of every item by index", () =>
+      expect(array(number()).validate([1, "2", "3"]).value).to.eql([
+        new Violation(["1"], "type", "must be a number"),
+        new Violation(["2"], "type", "must be a number")
+      ])
+    );
+  });
+
+  describe("number", () => {
+    it("should fail other types", () => expect(number().validate("1").value[0].code).to.equal("type"));
+    it("should fail NaN", () => expect(number().validate(NaN).value[0].code).to.equal("type"));
+    it("should pass numbers", () => expect(number().validate(1)).to.eql(Success.from(1)));
+
+    describe("#integer", () => {
+      it("should fail fractions", () => expect(number().integer().validate(1.5).value[0].code).to.equal("integer"));
+      it("should pass integers", () => expect(number().integer().validate(1)).to.eql(Success.from(1)));
+    });
+
+    describe("#max", () => {
+      it("should fail greater numbers", () =>
+        expect(number().max(1).validate(2)).to.eql(Failure.from(new Violation([], "max", "must be at most 1")))
+      );
+      it("should pass the limit", () => expect(number().max(1).validate(1)).to.eql(Success.from(1)));
+    });
+
+    describe("#min", () => {
+      it("should fail lesser numbers", () =>
+        expect(number().min(1).validate(0)).to.eql(Failure.from(new Violation([], "min", "must be at least 1")))
+      );
+      it("should pass the limit", () => expect(number().min(1).validate(1)).to.eql(Success.from(1)));
+      it("should use the provided message", () =>
+        expect(number().min(1, testMessage).validate(0).value[0].message).to.equal(testMessage)
+      );
+    });
+  });
+
+  describe("object", () => {
+    const testSchema = object({
+      address: object({
+        zip: string().pattern(/^\d{5}$/)
+      }),
+      name: string(),
+      nickname: Schema.from(value => value ? Success.from(value) : Failure.from(testMessage))
+    });
+
+    it("should fail other types", () => expect(testSchema.validate([]).value[0].code).to.equal("type"));
+
+    it("should gather the failures of every field by path", () => {
+      const testValue = {
+        address: {
+          zip: "abc"
+        }
+      };
+
+      expect(testSchema.validate(testValue).value).to.eql([
+        new Violation(["address", "zip"], "pattern", "must match /^\\d{5}$/"),
+        new Violation(["name"], "required", "is required"),
+        new Violation(["nickname"], undefined, testMessage)
+      ]);
+    });
+
+    it("should pass only the fields of the shape", () => {
+      const testValue = {
+        address: {
+          zip: "12345"
+        },
+        name: "Jane",
+        nickname: "J",
+        unknown: true
+      };
+
+      expect(testSchema.validate(testValue)).to.eql(Success.from({
+        address: {
+          zip: "12345"
+        },
+        name: "Jane",
+        nickname: "J"
+      }));
+    });
+  });
+
+  describe("oneOf", () => {
+    const testSchema = oneOf(["admin", number()]);
+
+    it("should pass equal values", () => expect(testSchema.validate("admin")).to.eql(Success.from("admin")));
+    it("should pass values of any schema", () => expect(testSchema.validate(1)).to.eql(Success.from(1)));
+    it("should fail other values", () =>
+      expect(testSchema.validate("user")).to.eql(
+        Failure.from(new Violation([], "oneOf", "must match one of the allowed values"))
+      )
+    );
+  });
+
+  describe("optional", () => {
+    it("should pass undefined", () => expect(optional(string()).validate()).to.eql(Success.from()));
+    it("should validate other values with the schema", () =>
+      expect(optional(string()).validate(1).value[0].code).to.equal("type")
+    );
+  });
+
+  describe("string", () => {
+    it("should fail other types", () => expect(string().validate(1).value[0].code).to.equal("type"));
+    it("should pass strings", () => expect(string().validate("a")).to.eql(Success.from("a")));
+
+    describe("#max", () => {
+      it("should fail longer strings", () => expect(string().max(1).validate("ab").value[0].code).to.equal("max"));
+      it("should pass the limit", () => expect(string().max(1).validate("a")).to.eql(Success.from("a")));
+    });
+
+    describe("#min", () => {
+      it("should fail shorter strings", () => expect(string().min(1).validate("").value[0].code).to.equal("min"));
+      it("should pass the limit", () => expect(string().min(1).validate("a")).to.eql(Success.from("a")));
+    });
+
+    describe("#pattern", () => {
+      it("should fail mismatched strings", () =>
+        expect(string().pattern(/^a$/).validate("b").value[0].code).to.equal("pattern")
+      );
+      it("should pass matching strings", () => expect(string().pattern(/^a$/).validate("a")).to.eql(Success.from("a")));
+    });
+  });
+});
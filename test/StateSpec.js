@@ -0,0 +1,146 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const range = require("lodash/fp/range");
+const reduce = require("lodash/fp/reduce");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const State = include("data/State");
+
+describe("State", () => {
+  const testState = 1;
+  const testValue = true;
+  const increment = State.modify(count => count + 1);
+
+  describe(".evalState", () => {
+    it("should return the value", () => expect(State.evalState(testState, State.of(testValue))).to.equal(testValue));
+  });
+
+  describe(".execState", () => {
+    it("should return the final state", () => expect(State.execState(testState, increment)).to.equal(2));
+  });
+
+  describe(".from", () => {
+    it("should return the same instance", () => expect(State.from(increment)).to.equal(increment));
+    it("should wrap other values", () => expect(State.from(testValue).runState(testState)).to.eql([testValue, 1]));
+  });
+
+  describe(".get", () => {
+    it("should return the state", () => expect(State.get().runState(testState)).to.eql([testState, testState]));
+  });
+
+  describe(".gets", () => {
+    it("should return the mapped state", () =>
+      expect(State.gets(count => count + 1).runState(testState)).to.eql([2, testState])
+    );
+  });
+
+  describe(".isState", () => {
+    it("should return false for other values", () => expect(State.isState(testValue)).to.be.false);
+    it("should return true for instances", () => expect(State.isState(increment)).to.be.true);
+  });
+
+  describe(".modify", () => {
+    it("should modify the state", () => expect(increment.runState(testState)).to.eql([undefined, 2]));
+  });
+
+  describe(".of", () => {
+    it("should leave the state unchanged", () =>
+      expect(State.of(testValue).runState(testState)).to.eql([testValue, testState])
+    );
+  });
+
+  describe(".put", () => {
+    it("should replace the state", () => expect(State.put(5).runState(testState)).to.eql([undefined, 5]));
+  });
+
+  describe(".runState", () => {
+    it("should return the value and the final state", () =>
+      expect(State.runState(testState, State.get())).to.eql([testState, testState])
+    );
+  });
+
+  describe("#ap", () => {
+    it("should run the other with the state left by the function", () =>
+      expect(State.put(5).map(() => count => count * 2).ap(State.get()).runState(testState)).to.eql([10, 5])
+    );
+  });
+
+  describe("#chain", () => {
+    const nextId = State.get().chain(id => State.put(id + 1).map(() => `id-${id}`));
+
+    it("should thread the state through each step", () =>
+      expect(nextId.chain(first => nextId.map(second => [first, second])).runState(testState))
+        .to.eql([["id-1", "id-2"], 3])
+    );
+
+    it("should wrap other returned values", () =>
+      expect(increment.chain(() => testValue).runState(testState)).to.eql([testValue, 2])
+    );
+
+    it("should be stack-safe for long left-nested chains", () => {
+      const testComputation = reduce(computation => computation.chain(() => increment), increment, range(1, 100000));
+
+      expect(testComputation.execState(0)).to.equal(100000);
+    });
+
+    it("should be stack-safe for long recursive chains", () => {
+      const loop = count => count === 0 ? State.get() : increment.chain(() => loop(count - 1));
+
+      expect(loop(100000).evalState(0)).to.equal(100000);
+    });
+  });
+
+  describe("#evalState", () => {
+    it("should return the value", () => expect(State.gets(count => count * 2).evalState(2)).to.equal(4));
+  });
+
+  describe("#execState", () => {
+    it("should return the final state", () => expect(increment.execState(2)).to.equal(3));
+  });
+
+  describe("#map", () => {
+    it("should map the value and keep the state", () =>
+      expect(State.get().map(count => count + 1).runState(testState)).to.eql([2, testState])
+    );
+  });
+
+  describe("#runState", () => {
+    it("should not run the computation until run", () => {
+      const testComputation = sinon.spy(state => [state, state + 1]);
+      const testInstance = new State(testComputation).map(value => value * 2);
+
+      expect(testComputation).to.not.be.called;
+      expect(testInstance.runState(2)).to.eql([4, 3]);
+      expect(testComputation).to.be.calledWith(2);
+    });
+
+    it("should run again with every state", () => {
+      expect(increment.execState(1)).to.equal(2);
+      expect(increment.execState(5)).to.equal(6);
+    });
+  });
+
+  describe("Algebraic Laws", () => {
+    const equivalence = (left, right) => expect(left.runState(testState)).to.eql(right.runState(testState));
+
+    Applicative(State, equivalence);
+    Apply(State, equivalence);
+    Chain(State, equivalence);
+    Functor(State, equivalence);
+    Monad(State, equivalence);
+  });
+});
@@ -0,0 +1,609 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const identity = require("lodash/fp/identity");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Either = include("data/Either");
+const Task = include("data/Task");
+
+describe("Task", () => {
+  const testError = new Error("Test error");
+  const testValue = true;
+
+  // Task whose outcome and cancellation are controlled by the test.
+  const createControlledTask = () => {
+    const control = {
+      cancel: sinon.spy(),
+      forks: 0
+    };
+
+    control.task = new Task((reject, resolve) => {
+      control.forks += 1;
+      control.reject = reject;
+      control.resolve = resolve;
+
+      return control.cancel;
+    });
+
+    return control;
+  };
+
+  describe(".all", () => {
+    it("should resolve with all values in order", () =>
+      expect(Task.all([Task.of(1), Task.of(2)]).toPromise(Promise)).to.eventually.eql([1, 2])
+    );
+
+    it("should resolve with an empty array for no tasks", () =>
+      expect(Task.all([]).toPromise(Promise)).to.eventually.eql([])
+    );
+
+    it("should reject with the first rejection", () =>
+      expect(Task.all([Task.of(1), Task.reject(testError)]).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    describe("first rejection", () => {
+      const testFirst = createControlledTask();
+      const testSecond = createControlledTask();
+      const testReject = sinon.spy();
+
+      before(() => {
+        Task.all([testFirst.task, testSecond.task]).fork(testReject, sinon.spy());
+        testFirst.reject(testError);
+      });
+
+      it("should reject", () => expect(testReject).to.be.calledWith(testError));
+      it("should cancel the other tasks", () => expect(testSecond.cancel).to.be.calledOnce);
+      it("should not cancel the rejected task", () => expect(testFirst.cancel).to.not.be.called);
+    });
+
+    describe("cancel", () => {
+      const testFirst = createControlledTask();
+      const testSecond = createControlledTask();
+
+      before(() => Task.all([testFirst.task, testSecond.task]).fork(sinon.spy(), sinon.spy())());
+
+      it("should cancel every task", () => {
+        expect(testFirst.cancel).to.be.calledOnce;
+        expect(testSecond.cancel).to.be.calledOnce;
+      });
+    });
+  });
+
+  describe(".do", () => {
+    it("should resolve with the returned value", () =>
+      expect(Task.do(function* () {
+        const a = yield Task.of(1);
+        const b = yield Task.fromPromise(() => Promise.resolve(a + 1));
+
+        return a + b;
+      }).toPromise(Promise)).to.eventually.equal(3)
+    );
+
+    it("should resolve yielded values that are not tasks", () =>
+      expect(Task.do(function* () {
+        return yield testValue;
+      }).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+
+    describe("first rejection", () => {
+      const testStep = sinon.spy();
+      const testReject = sinon.spy();
+
+      before(() => Task.do(function* () {
+        yield Task.reject(testError);
+        testStep();
+      }).fork(testReject, sinon.spy()));
+
+      it("should reject", () => expect(testReject).to.be.calledWith(testError));
+      it("should not resume the generator", () => expect(testStep).to.not.be.called);
+    });
+
+    it("should reject with an error thrown by the generator", () =>
+      expect(Task.do(function* () {
+        yield Task.fromPromise(() => Promise.resolve(testValue));
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should reject with an error thrown after a synchronous step", () =>
+      expect(Task.do(function* () {
+        yield Task.of(testValue);
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should close the generator on a rejection", () => {
+      const testFinally = sinon.spy();
+
+      return expect(Task.do(function* () {
+        try {
+          yield Task.fromPromise(() => Promise.reject(testError));
+        } finally {
+          testFinally();
+        }
+      }).toPromise(Promise)).to.be.rejectedWith(testError).then(() => expect(testFinally).to.be.calledOnce);
+    });
+
+    it("should not grow the stack for synchronous steps", () =>
+      expect(Task.do(function* () {
+        let total = 0;
+
+        for (let index = 0; index < 20000; index += 1) {
+          total += yield Task.of(1);
+        }
+
+        return total;
+      }).toPromise(Promise)).to.eventually.equal(20000)
+    );
+
+    it("should make a new generator for every fork", () => {
+      const testGenerator = sinon.spy(function* () {
+        return yield Task.of(testValue);
+      });
+      const testTask = Task.do(testGenerator);
+
+      expect(testGenerator).to.not.be.called;
+
+      return Promise.all([testTask.toPromise(Promise), testTask.toPromise(Promise)]).then(results => {
+        expect(results).to.eql([testValue, testValue]);
+        expect(testGenerator).to.be.calledTwice;
+      });
+    });
+
+    describe("cancel", () => {
+      const testFirst = createControlledTask();
+      const testSecond = createControlledTask();
+      const testFinally = sinon.spy();
+
+      before(() => {
+        const cancel = Task.do(function* () {
+          try {
+            yield testFirst.task;
+            yield testSecond.task;
+          } finally {
+            testFinally();
+          }
+        }).fork(sinon.spy(), sinon.spy());
+
+        testFirst.resolve(testValue);
+        cancel();
+      });
+
+      it("should cancel the running step", () => expect(testSecond.cancel).to.be.calledOnce);
+      it("should not cancel the settled step", () => expect(testFirst.cancel).to.not.be.called);
+      it("should close the generator", () => expect(testFinally).to.be.calledOnce);
+    });
+  });
+
+  describe(".from", () => {
+    it("should return the same task", () => {
+      const testTask = Task.of(testValue);
+
+      expect(Task.from(testTask)).to.equal(testTask);
+    });
+
+    it("should resolve with other values", () =>
+      expect(Task.from(testValue).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
+  describe(".fromPromise", () => {
+    it("should not invoke the supplier until forked", () => {
+      const testSupplier = sinon.spy(() => Promise.resolve(testValue));
+      const testTask = Task.fromPromise(testSupplier);
+
+      expect(testSupplier).to.not.be.called;
+
+      return testTask.toPromise(Promise).then(() => expect(testSupplier).to.be.calledOnce);
+    });
+
+    it("should resolve with the resolved value", () =>
+      expect(Task.fromPromise(() => Promise.resolve(testValue)).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+
+    it("should reject with the rejected error", () =>
+      expect(Task.fromPromise(() => Promise.reject(testError)).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should reject with errors thrown by the supplier", () =>
+      expect(Task.fromPromise(() => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should accept a Promise", () =>
+      expect(Task.fromPromise(Promise.resolve(testValue)).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
+  describe(".isTask", () => {
+    it("should return false if there is no value", () => expect(Task.isTask()).to.be.false);
+    it("should return false for promises", () => expect(Task.isTask(Promise.resolve(testValue))).to.be.false);
+    it("should return true for tasks", () => expect(Task.isTask(Task.of(testValue))).to.be.true);
+  });
+
+  describe(".of", () => {
+    it("should resolve with the value", () =>
+      expect(Task.of(testValue).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
+  describe(".parallel", () => {
+    it("should resolve with all values in order", () =>
+      expect(Task.parallel(2, [Task.of(1), Task.of(2), Task.of(3)]).toPromise(Promise)).to.eventually.eql([1, 2, 3])
+    );
+
+    it("should resolve with an empty array for no tasks", () =>
+      expect(Task.parallel(2, []).toPromise(Promise)).to.eventually.eql([])
+    );
+
+    it("should be curried", () =>
+      expect(Task.parallel(1)([Task.of(1)]).toPromise(Promise)).to.eventually.eql([1])
+    );
+
+    it("should throw for a limit that is not an integer of at least 1 or Infinity", () => {
+      expect(() => Task.parallel(NaN, [Task.of(1)])).to.throw(TypeError, "limit of at least 1");
+      expect(() => Task.parallel("two", [Task.of(1)])).to.throw(TypeError, "limit of at least 1");
+      expect(() => Task.parallel(0, [Task.of(1)])).to.throw(TypeError, "limit of at least 1");
+      expect(() => Task.parallel(1.5, [Task.of(1)])).to.throw(TypeError, "limit of at least 1");
+    });
+
+    it("should run every task at once for an Infinity limit", () =>
+      expect(Task.parallel(Infinity, [Task.of(1), Task.of(2)]).toPromise(Promise)).to.eventually.eql([1, 2])
+    );
+
+    it("should not overflow the stack with synchronous tasks", () => {
+      const testTasks = Array.from({
+        length: 10000
+      }, (value, i) => Task.of(i));
+
+      return expect(Task.parallel(1, testTasks).toPromise(Promise)).to.eventually.have.length(10000);
+    });
+
+    describe("limit", () => {
+      const testControls = [createControlledTask(), createControlledTask(), createControlledTask()];
+      const testResolve = sinon.spy();
+
+      before(() => Task.parallel(2, testControls.map(control => control.task)).fork(sinon.spy(), testResolve));
+
+      it("should run at most limit tasks at a time", () => {
+        expect(testControls[0].forks).to.equal(1);
+        expect(testControls[1].forks).to.equal(1);
+        expect(testControls[2].forks).to.equal(0);
+      });
+      it("should start the next task when one resolves", () => {
+        testControls[1].resolve(2);
+
+        expect(testControls[2].forks).to.equal(1);
+      });
+      it("should resolve with all values in order", () => {
+        testControls[2].resolve(3);
+        testControls[0].resolve(1);
+
+        expect(testResolve).to.be.calledWith([1, 2, 3]);
+      });
+    });
+
+    describe("first rejection", () => {
+      const testControls = [createControlledTask(), createControlledTask(), createControlledTask()];
+      const testReject = sinon.spy();
+
+      before(() => {
+        Task.parallel(2, testControls.map(control => control.task)).fork(testReject, sinon.spy());
+        testControls[0].reject(testError);
+      });
+
+      it("should reject", () => expect(testReject).to.be.calledWith(testError));
+      it("should cancel the running tasks", () => expect(testControls[1].cancel).to.be.calledOnce);
+      it("should not cancel the rejected task", () => expect(testControls[0].cancel).to.not.be.called);
+      it("should not start the remaining tasks", () => expect(testControls[2].forks).to.equal(0));
+    });
+
+    describe("cancel", () => {
+      const testControls = [createControlledTask(), createControlledTask(), createControlledTask()];
+
+      before(() => Task.parallel(2, testControls.map(control => control.task)).fork(sinon.spy(), sinon.spy())());
+
+      it("should cancel the running tasks", () => {
+        expect(testControls[0].cancel).to.be.calledOnce;
+        expect(testControls[1].cancel).to.be.calledOnce;
+      });
+      it("should not start the remaining tasks", () => expect(testControls[2].forks).to.equal(0));
+    });
+  });
+
+  describe(".race", () => {
+    describe("first outcome", () => {
+      const testFirst = createControlledTask();
+      const testSecond = createControlledTask();
+      const testResolve = sinon.spy();
+
+      before(() => {
+        Task.race([testFirst.task, testSecond.task]).fork(sinon.spy(), testResolve);
+        testSecond.resolve(testValue);
+        testFirst.resolve(!testValue);
+      });
+
+      it("should settle with the first outcome", () => {
+        expect(testResolve).to.be.calledOnce;
+        expect(testResolve).to.be.calledWith(testValue);
+      });
+      it("should cancel the other tasks", () => expect(testFirst.cancel).to.be.calledOnce);
+    });
+
+    it("should reject with the first rejection", () =>
+      expect(Task.race([Task.reject(testError), Task.of(testValue)]).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should not fork the remaining tasks after a synchronous outcome", () => {
+      const testSecond = createControlledTask();
+
+      Task.race([Task.of(testValue), testSecond.task]).fork(sinon.spy(), sinon.spy());
+
+      expect(testSecond.forks).to.equal(0);
+    });
+  });
+
+  describe(".reject", () => {
+    it("should reject with the error", () =>
+      expect(Task.reject(testError).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe(".settle", () => {
+    it("should resolve with every outcome as an Either", () =>
+      expect(Task.settle([Task.of(testValue), Task.reject(testError)]).toPromise(Promise))
+        .to.eventually.eql([Either.Right.from(testValue), Either.Left.from(testError)])
+    );
+
+    it("should not cancel the other tasks on rejection", () => {
+      const testControl = createControlledTask();
+
+      Task.settle([Task.reject(testError), testControl.task]).fork(sinon.spy(), sinon.spy());
+
+      expect(testControl.cancel).to.not.be.called;
+    });
+  });
+
+  describe(".toPromise", () => {
+    it("should resolve with the value of the task", () =>
+      expect(Task.toPromise(Promise, Task.of(testValue))).to.eventually.equal(testValue)
+    );
+  });
+
+  describe(".traverseParallel", () => {
+    it("should map every item to a task and resolve with the values in order", () =>
+      expect(Task.traverseParallel(2, value => Task.of(value * 2), [1, 2, 3]).toPromise(Promise))
+        .to.eventually.eql([2, 4, 6])
+    );
+
+    it("should reject with the first rejection", () =>
+      expect(Task.traverseParallel(2, () => Task.reject(testError), [1, 2]).toPromise(Promise))
+        .to.be.rejectedWith(testError)
+    );
+  });
+
+  describe("constructor", () => {
+    it("should not run the computation", () => {
+      const testComputation = sinon.spy();
+
+      new Task(testComputation);
+
+      expect(testComputation).to.not.be.called;
+    });
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(Task.of(value => !value).ap(Task.of(testValue)).toPromise(Promise)).to.eventually.equal(!testValue)
+    );
+
+    it("should reject with the first rejection", () =>
+      expect(Task.of(value => !value).ap(Task.reject(testError)).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should reject when applying a function that throws", () =>
+      expect(Task.of(() => {
+        throw testError;
+      }).ap(Task.fromPromise(Promise.resolve(testValue))).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe("#bimap", () => {
+    it("should map the rejection", () =>
+      expect(Task.reject(testValue).bimap(value => !value, value => value).toPromise(Promise))
+        .to.be.rejectedWith(!testValue)
+    );
+
+    it("should map the resolution", () =>
+      expect(Task.of(testValue).bimap(value => value, value => !value).toPromise(Promise))
+        .to.eventually.equal(!testValue)
+    );
+
+    it("should reject with an error thrown by either function", () => Promise.all([
+      expect(Task.reject(testValue).bimap(() => {
+        throw testError;
+      }, identity).toPromise(Promise)).to.be.rejectedWith(testError),
+      expect(Task.of(testValue).bimap(identity, () => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    ]));
+
+    it("should reject with an error thrown for a promise-backed Task", () =>
+      expect(Task.fromPromise(Promise.resolve(testValue)).bimap(identity, () => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should chain into the returned task", () =>
+      expect(Task.of(testValue).chain(value => Task.of(!value)).toPromise(Promise)).to.eventually.equal(!testValue)
+    );
+
+    it("should resolve values that are not tasks", () =>
+      expect(Task.of(testValue).chain(value => !value).toPromise(Promise)).to.eventually.equal(!testValue)
+    );
+
+    it("should not invoke the method on rejection", () => {
+      const testMethod = sinon.spy();
+
+      return Task.reject(testError).chain(testMethod).toPromise(Promise)
+        .catch(() => expect(testMethod).to.not.be.called);
+    });
+
+    describe("cancel", () => {
+      const testFirst = createControlledTask();
+      const testSecond = createControlledTask();
+
+      before(() => {
+        const cancel = testFirst.task.chain(() => testSecond.task).fork(sinon.spy(), sinon.spy());
+
+        testFirst.resolve(testValue);
+        cancel();
+      });
+
+      it("should cancel the running task", () => expect(testSecond.cancel).to.be.calledOnce);
+      it("should not cancel the settled task", () => expect(testFirst.cancel).to.not.be.called);
+    });
+
+    it("should reject with an error thrown by the method", () =>
+      expect(Task.of(testValue).chain(() => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should reject with an error thrown for a promise-backed Task", () =>
+      expect(Task.fromPromise(Promise.resolve(testValue)).chain(() => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe("#fork", () => {
+    it("should run the computation every time", () => {
+      const testControl = createControlledTask();
+
+      testControl.task.fork(sinon.spy(), sinon.spy());
+      testControl.task.fork(sinon.spy(), sinon.spy());
+
+      expect(testControl.forks).to.equal(2);
+    });
+
+    describe("settle", () => {
+      const testControl = createControlledTask();
+      const testReject = sinon.spy();
+      const testResolve = sinon.spy();
+      let cancel = null;
+
+      before(() => {
+        cancel = testControl.task.fork(testReject, testResolve);
+        testControl.resolve(testValue);
+        testControl.resolve(!testValue);
+        testControl.reject(testError);
+        cancel();
+      });
+
+      it("should resolve only once", () => {
+        expect(testResolve).to.be.calledOnce;
+        expect(testResolve).to.be.calledWith(testValue);
+      });
+      it("should not reject after resolving", () => expect(testReject).to.not.be.called);
+      it("should not cancel after settling", () => expect(testControl.cancel).to.not.be.called);
+    });
+
+    describe("cancel", () => {
+      const testControl = createControlledTask();
+      const testReject = sinon.spy();
+      const testResolve = sinon.spy();
+
+      before(() => {
+        const cancel = testControl.task.fork(testReject, testResolve);
+
+        cancel();
+        cancel();
+        testControl.resolve(testValue);
+        testControl.reject(testError);
+      });
+
+      it("should cancel the computation once", () => expect(testControl.cancel).to.be.calledOnce);
+      it("should not settle after cancelling", () => {
+        expect(testResolve).to.not.be.called;
+        expect(testReject).to.not.be.called;
+      });
+    });
+
+    it("should allow computations without a canceller", () =>
+      expect(() => new Task(() => undefined).fork(sinon.spy(), sinon.spy())()).to.not.throw()
+    );
+  });
+
+  describe("#map", () => {
+    it("should map the resolved value", () =>
+      expect(Task.of(testValue).map(value => !value).toPromise(Promise)).to.eventually.equal(!testValue)
+    );
+
+    it("should not map rejections", () => {
+      const testMethod = sinon.spy();
+
+      return Task.reject(testError).map(testMethod).toPromise(Promise)
+        .catch(() => expect(testMethod).to.not.be.called);
+    });
+
+    it("should reject with an error thrown by the method", () =>
+      expect(Task.of(testValue).map(() => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+
+    it("should reject with an error thrown for a promise-backed Task", () =>
+      expect(Task.fromPromise(Promise.resolve(testValue)).map(() => {
+        throw testError;
+      }).toPromise(Promise)).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe("#toPromise", () => {
+    it("should return a Promise instance", () =>
+      expect(Task.of(testValue).toPromise(Promise)).to.be.instanceof(Promise)
+    );
+  });
+
+  describe("#toString", () => {
+    it("should return the type", () => expect(Task.of(testValue).toString()).to.equal("Task"));
+  });
+
+  describe("#fantasy-land/bimap", () => {
+    it("should map the resolution", () =>
+      expect(Task.of(testValue)["fantasy-land/bimap"](value => value, value => !value).toPromise(Promise))
+        .to.eventually.equal(!testValue)
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    const equivalence = (left, right) => Promise.all([left.toPromise(Promise), right.toPromise(Promise)])
+      .then(results => expect(results[0]).to.eql(results[1]));
+
+    Applicative(Task, equivalence);
+    Apply(Task, equivalence);
+    Chain(Task, equivalence);
+    Functor(Task, equivalence);
+    Monad(Task, equivalence);
+  });
+});
@@ -0,0 +1,231 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Setoid = require("./laws/Setoid")(expect);
+const These = include("data/These");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Both = These.Both;
+const Failure = Validation.Failure;
+const Left = Either.Left;
+const Right = Either.Right;
+const Success = Validation.Success;
+const That = These.That;
+const This = These.This;
+
+describe("These", () => {
+  const testValue = 1;
+  const testWarning = "Test warning";
+  const testCases = {
+    Both: (left, value) => ["Both", left, value],
+    That: value => ["That", value],
+    This: left => ["This", left]
+  };
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testThese = This.from([testWarning]);
+
+      expect(These.from(testThese)).to.equal(testThese);
+    });
+
+    it("should wrap other values in a That", () => expect(These.from(testValue)).to.eql(new That(testValue)));
+  });
+
+  describe(".fromEither", () => {
+    it("should convert a Left to a This", () =>
+      expect(These.fromEither(Left.from(testWarning))).to.eql(new This(testWarning))
+    );
+
+    it("should convert a Right to a That", () =>
+      expect(These.fromEither(Right.from(testValue))).to.eql(new That(testValue))
+    );
+  });
+
+  describe(".fromValidation", () => {
+    it("should convert a Failure to a This of the errors", () =>
+      expect(These.fromValidation(Failure.from(testWarning))).to.eql(new This([testWarning]))
+    );
+
+    it("should convert a Failure to a Left of the errors", () =>
+      expect(These.fromValidation(Failure.from(testWarning)).toEither()).to.eql(Left.from([testWarning]))
+    );
+
+    it("should accumulate the errors when chained", () =>
+      expect(Both.from(["a"], testValue).chain(() => These.fromValidation(Failure.from("b"))))
+        .to.eql(new This(["a", "b"]))
+    );
+
+    it("should convert a Success to a That", () =>
+      expect(These.fromValidation(Success.from(testValue))).to.eql(new That(testValue))
+    );
+  });
+
+  describe(".isBoth, .isThat, .isThese and .isThis", () => {
+    it("should identify each case", () => {
+      expect(These.isBoth(Both.from([testWarning], testValue))).to.be.true;
+      expect(These.isThat(That.from(testValue))).to.be.true;
+      expect(These.isThis(This.from([testWarning]))).to.be.true;
+      expect(These.isThese(That.from(testValue))).to.be.true;
+      expect(These.isThese(testValue)).to.be.false;
+      expect(These.isThis(That.from(testValue))).to.be.false;
+    });
+  });
+
+  describe(".match", () => {
+    it("should match the case", () =>
+      expect(These.match(testCases, Both.from([testWarning], testValue))).to.eql(["Both", [testWarning], testValue])
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a That", () => expect(These.of(testValue)).to.eql(new That(testValue)));
+  });
+
+  describe("#ap", () => {
+    it("should accumulate the left values", () =>
+      expect(Both.from(["a"], value => value + 1).ap(Both.from(["b"], testValue))).to.eql(Both.from(["a", "b"], 2))
+    );
+
+    it("should return a This", () =>
+      expect(That.from(value => value + 1).ap(This.from(["a"]))).to.eql(This.from(["a"]))
+    );
+  });
+
+  describe("#bimap", () => {
+    const testLeftMap = left => left.length;
+    const testRightMap = value => value + 1;
+
+    it("should map both values of a Both", () =>
+      expect(Both.from(["a"], testValue).bimap(testLeftMap, testRightMap)).to.eql(Both.from(1, 2))
+    );
+
+    it("should map the value of a That", () =>
+      expect(That.from(testValue).bimap(testLeftMap, testRightMap)).to.eql(That.from(2))
+    );
+
+    it("should map the left value of a This", () =>
+      expect(This.from(["a"]).bimap(testLeftMap, testRightMap)).to.eql(This.from(1))
+    );
+  });
+
+  describe("#chain", () => {
+    const warnIf = (condition, warning) => value => condition(value) ?
+      Both.from([warning], value) :
+      That.from(value);
+
+    it("should accumulate the warnings of every step", () =>
+      expect(That.from(testValue).chain(warnIf(value => value < 2, "a")).chain(warnIf(value => value < 3, "b")))
+        .to.eql(Both.from(["a", "b"], testValue))
+    );
+
+    it("should keep the warnings when the next step has none", () =>
+      expect(Both.from(["a"], testValue).chain(value => That.from(value + 1))).to.eql(Both.from(["a"], 2))
+    );
+
+    it("should keep the warnings when the next step fails", () =>
+      expect(Both.from(["a"], testValue).chain(() => This.from(["b"]))).to.eql(This.from(["a", "b"]))
+    );
+
+    it("should accumulate failures of a Validation", () =>
+      expect(Both.from(Failure.from("a"), testValue).chain(value => Both.from(Failure.from("b"), value)))
+        .to.eql(Both.from(Failure.from(["a", "b"]), testValue))
+    );
+
+    it("should not invoke the method for a This", () => {
+      const testMethod = sinon.spy();
+
+      expect(This.from(["a"]).chain(testMethod)).to.eql(This.from(["a"]));
+      expect(testMethod).to.not.be.called;
+    });
+
+    it("should wrap other returned values in a That", () =>
+      expect(That.from(testValue).chain(value => value + 1)).to.eql(That.from(2))
+    );
+  });
+
+  describe("#equals", () => {
+    it("should compare the values", () => {
+      expect(Both.from(["a"], testValue).equals(Both.from(["a"], testValue))).to.be.true;
+      expect(Both.from(["a"], testValue).equals(That.from(testValue))).to.be.false;
+    });
+  });
+
+  describe("#map", () => {
+    it("should map the value of a Both", () =>
+      expect(Both.from(["a"], testValue).map(value => value + 1)).to.eql(Both.from(["a"], 2))
+    );
+
+    it("should return a This unchanged", () => {
+      const testThese = This.from(["a"]);
+
+      expect(testThese.map(value => value + 1)).to.equal(testThese);
+    });
+  });
+
+  describe("#match", () => {
+    it("should match every case", () => {
+      expect(Both.from(["a"], testValue).match(testCases)).to.eql(["Both", ["a"], testValue]);
+      expect(That.from(testValue).match(testCases)).to.eql(["That", testValue]);
+      expect(This.from(["a"]).match(testCases)).to.eql(["This", ["a"]]);
+    });
+
+    it("should throw for missing cases", () =>
+      expect(() => That.from(testValue).match({
+        That: value => value
+      })).to.throw(TypeError, "Missing a function for the \"This\" and \"Both\" cases of These")
+    );
+  });
+
+  describe("#toEither", () => {
+    it("should convert a This to a Left", () => expect(This.from(["a"]).toEither()).to.eql(Left.from(["a"])));
+    it("should convert a That to a Right", () => expect(That.from(testValue).toEither()).to.eql(Right.from(testValue)));
+    it("should convert a Both to a Right", () =>
+      expect(Both.from(["a"], testValue).toEither()).to.eql(Right.from(testValue))
+    );
+  });
+
+  describe("#toString", () => {
+    it("should describe every case", () => {
+      expect(Both.from("a", testValue).toString()).to.equal("These.Both(a, 1)");
+      expect(That.from(testValue).toString()).to.equal("These.That(1)");
+      expect(This.from("a").toString()).to.equal("These.This(a)");
+    });
+  });
+
+  describe("#toValidation", () => {
+    it("should convert a This to a Failure", () => expect(This.from("a").toValidation()).to.eql(Failure.from("a")));
+    it("should keep a Failure of a This", () =>
+      expect(These.fromValidation(Failure.from("a")).toValidation()).to.eql(Failure.from("a"))
+    );
+    it("should convert a Both to a Success", () =>
+      expect(Both.from(["a"], testValue).toValidation()).to.eql(Success.from(testValue))
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    Applicative(These);
+    Apply(These);
+    Chain(These);
+    Functor(These);
+    Monad(These);
+    Setoid(These);
+  });
+});
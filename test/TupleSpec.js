@@ -0,0 +1,116 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+
+// Third Party Setup
+const expect = chai.expect;
+
+// Project
+const Comonad = require("./laws/Comonad")(expect);
+const Extend = require("./laws/Extend")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Setoid = require("./laws/Setoid")(expect);
+const Tuple = include("data/Tuple");
+const Validation = include("data/Validation");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Success = Validation.Success;
+
+describe("Tuple", () => {
+  const testTuple = new Tuple(1, "a");
+
+  describe(".equals", () => {
+    it("should return true for equal tuples", () => expect(Tuple.equals(testTuple, new Tuple(1, "a"))).to.be.true);
+    it("should return false for different tuples", () => expect(Tuple.equals(testTuple, testTuple.swap())).to.be.false);
+  });
+
+  describe(".from", () => {
+    it("should return the same instance", () => expect(Tuple.from(testTuple)).to.equal(testTuple));
+    it("should pair the values", () => expect(Tuple.from(1, "a")).to.eql(testTuple));
+  });
+
+  describe(".fromArray", () => {
+    it("should pair the first two elements", () => expect(Tuple.fromArray([1, "a", true])).to.eql(testTuple));
+  });
+
+  describe(".isTuple", () => {
+    it("should return false for other values", () => expect(Tuple.isTuple([1, "a"])).to.be.false);
+    it("should return true for instances", () => expect(Tuple.isTuple(testTuple)).to.be.true);
+  });
+
+  describe("#bimap", () => {
+    it("should map both values", () =>
+      expect(testTuple.bimap(value => value + 1, value => value.toUpperCase())).to.eql(new Tuple(2, "A"))
+    );
+  });
+
+  describe("#concat", () => {
+    it("should concatenate both values", () =>
+      expect(new Tuple(["a"], "b").concat(new Tuple(["c"], "d"))).to.eql(new Tuple(["a", "c"], "bd"))
+    );
+
+    it("should concatenate validations", () =>
+      expect(new Tuple(Success.from(1), Failure.from("a")).concat(new Tuple(Failure.from("b"), Failure.from("c"))))
+        .to.eql(new Tuple(Failure.from(["b"]), Failure.from(["a", "c"])))
+    );
+
+    it("should be associative", () => {
+      const testLeft = new Tuple(["a"], Failure.from("a"));
+      const testMiddle = new Tuple(["b"], Success.from(1));
+      const testRight = new Tuple(["c"], Failure.from("c"));
+
+      expect(testLeft.concat(testMiddle).concat(testRight)).to.eql(testLeft.concat(testMiddle.concat(testRight)));
+    });
+  });
+
+  describe("#equals", () => {
+    it("should return true for equal tuples", () => expect(testTuple.equals(new Tuple(1, "a"))).to.be.true);
+    it("should return false for different tuples", () => expect(testTuple.equals(new Tuple(1, "b"))).to.be.false);
+  });
+
+  describe("#extend", () => {
+    it("should pair the first value with the result", () =>
+      expect(testTuple.extend(tuple => tuple.fst() + tuple.snd())).to.eql(new Tuple(1, "1a"))
+    );
+  });
+
+  describe("#extract", () => {
+    it("should return the second value", () => expect(testTuple.extract()).to.equal("a"));
+  });
+
+  describe("#fst", () => {
+    it("should return the first value", () => expect(testTuple.fst()).to.equal(1));
+  });
+
+  describe("#map", () => {
+    it("should map the second value", () =>
+      expect(testTuple.map(value => value.toUpperCase())).to.eql(new Tuple(1, "A"))
+    );
+  });
+
+  describe("#snd", () => {
+    it("should return the second value", () => expect(testTuple.snd()).to.equal("a"));
+  });
+
+  describe("#swap", () => {
+    it("should swap the values", () => expect(testTuple.swap()).to.eql(new Tuple("a", 1)));
+  });
+
+  describe("#toArray", () => {
+    it("should return the values", () => expect(testTuple.toArray()).to.eql([1, "a"]));
+  });
+
+  describe("#toString", () => {
+    it("should describe the values", () => expect(testTuple.toString()).to.equal("Tuple(1, a)"));
+  });
+
+  describe("Algebraic Laws", () => {
+    Comonad(Tuple);
+    Extend(Tuple);
+    Functor(Tuple);
+    Setoid(Tuple);
+  });
+});
@@ -0,0 +1,226 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+
+// Third Party Setup
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const Maybe = include("data/Maybe");
+const Monad = require("./laws/Monad")(expect);
+const NonEmptyList = include("data/NonEmptyList");
+const Semigroup = require("./laws/Semigroup")(expect);
+const Setoid = require("./laws/Setoid")(expect);
+const Validation = include("data/Validation");
+const ValidationNel = include("data/ValidationNel");
+
+// Project Aliases
+const Failure = ValidationNel.Failure;
+const Success = ValidationNel.Success;
+
+describe("ValidationNel", () => {
+  const testErrors = new NonEmptyList("a", ["b"]);
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testFailure = Failure.from("a");
+
+      expect(ValidationNel.from(testFailure)).to.equal(testFailure);
+    });
+
+    it("should wrap other values in a Success", () => expect(ValidationNel.from(1)).to.eql(Success.from(1)));
+  });
+
+  describe(".fromValidation", () => {
+    it("should return a Just of a Failure of the errors", () =>
+      expect(ValidationNel.fromValidation(Validation.Failure.from(["a", "b"])))
+        .to.eql(Maybe.of(new Failure(testErrors)))
+    );
+
+    it("should return a Nothing for a Failure without errors", () =>
+      expect(ValidationNel.fromValidation(Validation.Failure.from([]))).to.eql(Maybe.Nothing.from())
+    );
+
+    it("should return a Just of a Success", () =>
+      expect(ValidationNel.fromValidation(Validation.Success.from(1))).to.eql(Maybe.of(Success.from(1)))
+    );
+  });
+
+  describe(".isFailure", () => {
+    it("should return false for a Success", () => expect(ValidationNel.isFailure(Success.from(1))).to.be.false);
+    it("should return true for a Failure", () => expect(ValidationNel.isFailure(Failure.from("a"))).to.be.true);
+  });
+
+  describe(".isSuccess", () => {
+    it("should return false for a Failure", () => expect(ValidationNel.isSuccess(Failure.from("a"))).to.be.false);
+    it("should return true for a Success", () => expect(ValidationNel.isSuccess(Success.from(1))).to.be.true);
+  });
+
+  describe(".isValidationNel", () => {
+    it("should return false for a Validation", () =>
+      expect(ValidationNel.isValidationNel(Validation.Success.from(1))).to.be.false
+    );
+
+    it("should return true for instances", () => expect(ValidationNel.isValidationNel(Success.from(1))).to.be.true);
+  });
+
+  describe(".match", () => {
+    const testCases = {
+      Failure: errors => errors.toArray(),
+      Success: () => []
+    };
+
+    it("should match the Failure case", () =>
+      expect(ValidationNel.match(testCases, new Failure(testErrors))).to.eql(["a", "b"])
+    );
+
+    it("should match the Success case", () => expect(ValidationNel.match(testCases, Success.from(1))).to.eql([]));
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a Success", () => expect(ValidationNel.of(1)).to.eql(Success.from(1)));
+  });
+
+  describe("#ap", () => {
+    const testAdd = Success.from(left => right => left + right);
+
+    it("should apply the function to the value", () =>
+      expect(testAdd.ap(Success.from(1)).ap(Success.from(2))).to.eql(Success.from(3))
+    );
+
+    it("should accumulate the errors of every Failure", () =>
+      expect(testAdd.ap(Failure.from("a")).ap(Failure.from("b"))).to.eql(new Failure(testErrors))
+    );
+
+    it("should keep the errors of a Failure applied to a Success", () =>
+      expect(testAdd.ap(Failure.from("a")).ap(Success.from(2))).to.eql(Failure.from("a"))
+    );
+  });
+
+  describe("#bimap", () => {
+    it("should map the errors of a Failure", () =>
+      expect(new Failure(testErrors).bimap(errors => errors.map(error => error.toUpperCase()), value => value + 1))
+        .to.eql(new Failure(new NonEmptyList("A", ["B"])))
+    );
+
+    it("should map the value of a Success", () =>
+      expect(Success.from(1).bimap(errors => errors, value => value + 1)).to.eql(Success.from(2))
+    );
+  });
+
+  describe("#chain", () => {
+    it("should not invoke the method for a Failure", () =>
+      expect(Failure.from("a").chain(() => Success.from(1))).to.eql(Failure.from("a"))
+    );
+
+    it("should return the result of the method for a Success", () =>
+      expect(Success.from(1).chain(() => Failure.from("a"))).to.eql(Failure.from("a"))
+    );
+  });
+
+  describe("#concat", () => {
+    it("should concatenate the errors of two Failure instances", () =>
+      expect(Failure.from("a").concat(Success.from(1)).concat(Failure.from("b"))).to.eql(new Failure(testErrors))
+    );
+
+    it("should keep the first of two Success instances", () =>
+      expect(Success.from(1).concat(Success.from(2))).to.eql(Success.from(1))
+    );
+  });
+
+  describe("#map", () => {
+    it("should not invoke the method for a Failure", () =>
+      expect(Failure.from("a").map(value => value + 1)).to.eql(Failure.from("a"))
+    );
+
+    it("should map the value of a Success", () =>
+      expect(Success.from(1).map(value => value + 1)).to.eql(Success.from(2))
+    );
+  });
+
+  describe("#match", () => {
+    it("should throw for a missing case", () =>
+      expect(() => Success.from(1).match({ Success: value => value })).to.throw(TypeError, "\"Failure\" case")
+    );
+  });
+
+  describe("#toEither", () => {
+    it("should convert a Failure to a Left of the errors", () =>
+      expect(new Failure(testErrors).toEither()).to.eql(Either.Left.from(testErrors))
+    );
+
+    it("should convert a Success to a Right", () => expect(Success.from(1).toEither()).to.eql(Either.Right.from(1)));
+  });
+
+  describe("#toString", () => {
+    it("should describe a Failure", () =>
+      expect(new Failure(testErrors).toString()).to.equal("ValidationNel.Failure(NonEmptyList(a, b))")
+    );
+
+    it("should describe a Success", () => expect(Success.from(1).toString()).to.equal("ValidationNel.Success(1)"));
+  });
+
+  describe("#toValidation", () => {
+    it("should convert the errors of a Failure to an array", () =>
+      expect(new Failure(testErrors).toValidation()).to.eql(Validation.Failure.from(["a", "b"]))
+    );
+
+    it("should convert a Success", () => expect(Success.from(1).toValidation()).to.eql(Validation.Success.from(1)));
+  });
+
+  describe("Failure", () => {
+    describe(".from", () => {
+      it("should wrap a single error in a NonEmptyList", () =>
+        expect(Failure.from("a").value).to.eql(NonEmptyList.of("a"))
+      );
+
+      it("should take an array as the errors", () => expect(Failure.from(["a", "b"]).value).to.eql(testErrors));
+      it("should keep a NonEmptyList of errors", () => expect(Failure.from(testErrors).value).to.equal(testErrors));
+    });
+
+    describe("#constructor", () => {
+      it("should throw for an empty array", () =>
+        expect(() => new Failure([])).to.throw(TypeError, "at least one error")
+      );
+
+      it("should throw for a missing error", () =>
+        expect(() => new Failure()).to.throw(TypeError, "at least one error")
+      );
+    });
+
+    describe("#toValidation", () => {
+      it("should round trip an array of errors", () =>
+        expect(Failure.from(["a", "b"]).toValidation()).to.eql(Validation.Failure.from(["a", "b"]))
+      );
+    });
+
+    describe("Algebraic Laws", () => {
+      Applicative(Failure);
+      Apply(Failure);
+      Chain(Failure);
+      Functor(Failure);
+      Monad(Failure);
+      Semigroup(Failure);
+      Setoid(Failure);
+    });
+  });
+
+  describe("Success", () => {
+    describe("Algebraic Laws", () => {
+      Applicative(Success);
+      Apply(Success);
+      Chain(Success);
+      Functor(Success);
+      Monad(Success);
+      Semigroup(Success);
+      Setoid(Success);
+    });
+  });
+});
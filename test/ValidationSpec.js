@@ -2,6 +2,8 @@
 
 // Third Party
 const chai = require("chai");
+const constant = require("lodash/fp/constant");
+const get = require("lodash/fp/get");
 const map = require("lodash/fp/map");
 const promiseChai = require("chai-as-promised");
 const include = require("include")(__dirname);
@@ -19,21 +21,29 @@ const Apply = require("./laws/Apply")(expect);
 const Chain = require("./laws/Chain")(expect);
 const Either = include("data/Either");
 const Extend = require("./laws/Extend")(expect);
+const Foldable = require("./laws/Foldable")(expect);
 const Functor = require("./laws/Functor")(expect);
 const Maybe = include("data/Maybe");
 const Monad = require("./laws/Monad")(expect);
 const Monoid = require("./laws/Monoid")(expect);
 const Semigroup = require("./laws/Semigroup")(expect);
 const Setoid = require("./laws/Setoid")(expect);
+const Task = include("data/Task");
+const Traversable = require("./laws/Traversable")(expect);
 const Validation = include("data/Validation");
 
 // Project Aliases
 const Failure = Validation.Failure;
 const Success = Validation.Success;
+const Violation = Validation.Violation;
 
 describe("Validation", () => {
   const testMessage = "Test error";
   const testValue = true;
+  const testCases = {
+    Failure: value => ["Failure", value],
+    Success: value => ["Success", value]
+  };
 
   describe(".all", () => {
     describe("failure(s)", () => {
@@ -59,6 +69,18 @@ describe("Validation", () => {
       it("should return an instance of Success", () => expect(actualResult).to.be.instanceof(Success));
       it("should return a singular validation of all values", () => expect(actualResult.value).to.eql(expectedValue));
     });
+
+    describe("violations", () => {
+      const testViolation1 = new Violation(["address", "zip"], "required", testMessage);
+      const testViolation2 = new Violation("name", "required", testMessage);
+      let actualResult = null;
+
+      before(() => actualResult = Validation.all([Failure.from(testViolation1), Failure.from(testViolation2)]));
+
+      it("should keep the path of each violation", () =>
+        expect(map("path", actualResult.value)).to.eql([["address", "zip"], ["name"]])
+      );
+    });
   });
 
   describe(".any", () => {
@@ -171,6 +193,70 @@ describe("Validation", () => {
     });
   });
 
+  describe(".do", () => {
+    it("should return the returned value wrapped in a Success", () => {
+      const actualResult = Validation.do(function* () {
+        const a = yield Success.from(1);
+        const b = yield Success.from(a + 1);
+
+        return a + b;
+      });
+
+      expect(actualResult).to.eql(Success.from(3));
+    });
+
+    it("should convert yielded values that are not Validation instances", () =>
+      expect(Validation.do(function* () {
+        return yield 1;
+      })).to.eql(Success.from(1))
+    );
+
+    describe("early terminate", () => {
+      const testFinally = sinon.spy();
+      const testStep = sinon.spy();
+      let actualResult = null;
+
+      before(() => actualResult = Validation.do(function* () {
+        try {
+          yield Failure.from(testMessage);
+          testStep();
+        } finally {
+          testFinally();
+        }
+      }));
+
+      it("should return the first Failure", () => expect(actualResult).to.eql(Failure.from(testMessage)));
+      it("should not resume the generator", () => expect(testStep).to.not.be.called);
+      it("should close the generator", () => expect(testFinally).to.be.calledOnce);
+    });
+
+    it("should run the generator once", () => {
+      const testGenerator = sinon.spy(function* () {
+        yield Success.from(1);
+        yield Success.from(2);
+
+        return yield Success.from(3);
+      });
+
+      expect(Validation.do(testGenerator)).to.eql(Success.from(3));
+      expect(testGenerator).to.be.calledOnce;
+    });
+
+    it("should not overflow the stack", () => {
+      const actualResult = Validation.do(function* () {
+        let total = 0;
+
+        for (let i = 0; i < 10000; i++) {
+          total += yield Success.from(1);
+        }
+
+        return total;
+      });
+
+      expect(actualResult).to.eql(Success.from(10000));
+    });
+  });
+
   describe(".each", () => {
     const testCollection = [
       Failure.from(testMessage),
@@ -214,6 +300,101 @@ describe("Validation", () => {
     );
   });
 
+  describe(".fantasy-land/empty", () => {
+    it("should return an empty Success", () => expect(Failure["fantasy-land/empty"]()).to.eql(Validation.empty()));
+  });
+
+  describe(".fantasy-land/of", () => {
+    it("should return an instance of Success", () =>
+      expect(Failure["fantasy-land/of"](testValue)).to.be.instanceof(Success)
+    );
+  });
+
+  describe(".field", () => {
+    const testViolation = new Violation([], "required", testMessage);
+    const validateZip = value => value ? Success.from(value) : Failure.from(testViolation);
+    const validateAddress = Validation.field("zip", validateZip);
+    const testUser = {
+      address: {
+        zip: testValue
+      }
+    };
+    const testInvalidUser = {
+      address: {}
+    };
+
+    it("should validate the value at the path", () =>
+      expect(Validation.field(["address", "zip"], validateZip, testUser)).to.eql(Success.from(testValue))
+    );
+    it("should prefix failures with the path", () =>
+      expect(Validation.field("address", validateAddress, testInvalidUser).value)
+        .to.eql([new Violation(["address", "zip"], "required", testMessage)])
+    );
+  });
+
+  describe(".fold", () => {
+    it("should apply the matching function", () =>
+      expect(Validation.fold(constant("Failure"), constant("Success"), Success.from(testValue))).to.equal("Success")
+    );
+    it("should be curried", () =>
+      expect(Validation.fold(constant("Failure"))(constant("Success"))(Failure.from(testMessage))).to.equal("Failure")
+    );
+  });
+
+  describe(".fromNodeback", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the value passed to the callback in a Success", () => {
+      const testMethod = sinon.spy((a, b, callback) => callback(null, a + b));
+
+      return Validation.fromNodeback(testMethod)(1, 2).then(result => {
+        expect(result).to.eql(Success.from(3));
+        expect(testMethod).to.be.calledWith(1, 2);
+      });
+    });
+
+    it("should wrap the error passed to the callback in a Failure", () =>
+      expect(Validation.fromNodeback(callback => callback(testError))()).to.eventually.eql(Failure.from(testError))
+    );
+
+    it("should wrap thrown errors in a Failure", () =>
+      expect(Validation.fromNodeback(() => {
+        throw testError;
+      })()).to.eventually.eql(Failure.from(testError))
+    );
+
+    it("should keep the receiver", () => {
+      const testObject = {
+        method: Validation.fromNodeback(function (callback) {
+          callback(null, this);
+        })
+      };
+
+      return expect(testObject.method()).to.eventually.eql(Success.from(testObject));
+    });
+  });
+
+  describe(".fromPromise", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Success", () =>
+      expect(Validation.fromPromise(Promise.resolve(testValue))).to.eventually.eql(Success.from(testValue))
+    );
+
+    it("should resolve rejections as a Failure", () =>
+      expect(Validation.fromPromise(Promise.reject(testError))).to.eventually.eql(Failure.from(testError))
+    );
+
+    it("should map the rejection error", () =>
+      expect(Validation.fromPromise(Promise.reject(testError), get("message")))
+        .to.eventually.eql(Failure.from(testError.message))
+    );
+
+    it("should accept values that are not promises", () =>
+      expect(Validation.fromPromise(testValue)).to.eventually.eql(Success.from(testValue))
+    );
+  });
+
   describe(".isFailure", () => {
     it("should return true for a Failure", () => expect(Validation.isFailure(Failure.from(testMessage))).to.be.true);
     it("should return false for a Success", () => expect(Validation.isFailure(Success.from(testValue))).to.be.false);
@@ -242,10 +423,79 @@ describe("Validation", () => {
     });
   });
 
+  describe(".match", () => {
+    it("should apply the matching function", () =>
+      expect(Validation.match({
+        Failure: constant("Failure"),
+        Success: constant("Success")
+      }, Failure.from(testMessage))).to.equal("Failure")
+    );
+  });
+
   describe(".of", () => {
     it("should return an instance of Success", () => expect(Validation.of(testValue)).to.be.instanceof(Success));
   });
 
+  describe(".prefix", () => {
+    it("should prefix failures", () =>
+      expect(Validation.prefix("address", Failure.from(testMessage)).value)
+        .to.eql([new Violation(["address"], undefined, testMessage)])
+    );
+    it("should return successes unchanged", () => {
+      const testSuccess = Success.from(testValue);
+
+      expect(Validation.prefix("address", testSuccess)).to.equal(testSuccess);
+    });
+  });
+
+  describe(".sequence", () => {
+    describe("failure(s)", () => {
+      const testMessage1 = `${testMessage} 1`;
+      const testMessage2 = `${testMessage} 2`;
+      const testValidations = {
+        a: Failure.from(testMessage1),
+        b: Success.from(testValue),
+        c: Failure.from(testMessage2)
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Validation.sequence(testValidations));
+
+      it("should return an instance of Failure", () => expect(actualResult).to.be.instanceof(Failure));
+      it("should return a singular failure of all values", () =>
+        expect(actualResult.value).to.eql([testMessage1, testMessage2])
+      );
+    });
+
+    describe("successs in an array", () => {
+      const testValidations = [Success.from(testValue), Success.from(testValue)];
+      let actualResult = null;
+
+      before(() => actualResult = Validation.sequence(testValidations));
+
+      it("should return an instance of Success", () => expect(actualResult).to.be.instanceof(Success));
+      it("should return an array of all values", () => expect(actualResult.value).to.eql([testValue, testValue]));
+    });
+
+    describe("successs in an object", () => {
+      const testValidations = {
+        a: Success.from(testValue),
+        b: Success.from(!testValue)
+      };
+      let actualResult = null;
+
+      before(() => actualResult = Validation.sequence(testValidations));
+
+      it("should return an instance of Success", () => expect(actualResult).to.be.instanceof(Success));
+      it("should return an object of all values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: testValue,
+          b: !testValue
+        })
+      );
+    });
+  });
+
   describe(".toEither", () => {
     const testFailure = Failure.from(testMessage);
     const testSuccess = Success.from(testValue);
@@ -296,6 +546,33 @@ describe("Validation", () => {
     });
   });
 
+  describe(".toNodeback", () => {
+    describe("Failure", () => {
+      const testCallback = sinon.spy(() => testValue);
+      let actualResult = null;
+
+      before(() => actualResult = Validation.toNodeback(Failure.from([testMessage, `${testMessage} 2`]), testCallback));
+
+      it("should return the result of the callback", () => expect(actualResult).to.equal(testValue));
+      it("should pass an AggregateError of the errors", () => {
+        const actualError = testCallback.firstCall.args[0];
+
+        expect(actualError).to.be.instanceof(Error);
+        expect(actualError.name).to.equal("AggregateError");
+        expect(actualError.message).to.equal(`${testMessage}; ${testMessage} 2`);
+        expect(actualError.errors).to.eql([testMessage, `${testMessage} 2`]);
+      });
+    });
+
+    describe("Success", () => {
+      const testCallback = sinon.spy();
+
+      before(() => Validation.toNodeback(Success.from(testValue), testCallback));
+
+      it("should pass null and the value", () => expect(testCallback).to.be.calledWithExactly(null, testValue));
+    });
+  });
+
   describe(".toPromise", () => {
     const testFailure = Failure.from(testMessage);
     const testSuccess = Success.from(testValue);
@@ -309,6 +586,55 @@ describe("Validation", () => {
     );
   });
 
+  describe(".toTask", () => {
+    const testFailure = Failure.from(testMessage);
+    const testSuccess = Success.from(testValue);
+
+    it("should reject with the value of a Failure", () =>
+      expect(Validation.toTask(Task, testFailure).toPromise(Promise)).to.be.rejectedWith(testFailure.value)
+    );
+
+    it("should resolve with the value of a Success", () =>
+      expect(Validation.toTask(Task, testSuccess).toPromise(Promise)).to.eventually.equal(testValue)
+    );
+  });
+
+  describe(".traverse", () => {
+    describe("failure(s)", () => {
+      const testIteratee = value => value ? Success.from(value) : Failure.from(testMessage);
+      let actualResult = null;
+
+      before(() => actualResult = Validation.traverse(testIteratee, [testValue, false, false]));
+
+      it("should return an instance of Failure", () => expect(actualResult).to.be.instanceof(Failure));
+      it("should return a singular failure of all values", () =>
+        expect(actualResult.value).to.eql([testMessage, testMessage])
+      );
+    });
+
+    describe("successs", () => {
+      const testIteratee = sinon.spy(value => Success.from(!value));
+      let actualResult = null;
+
+      before(() => actualResult = Validation.traverse(testIteratee, {
+        a: testValue,
+        b: !testValue
+      }));
+
+      it("should return an instance of Success", () => expect(actualResult).to.be.instanceof(Success));
+      it("should return an object of all mapped values by key", () =>
+        expect(actualResult.value).to.eql({
+          a: !testValue,
+          b: testValue
+        })
+      );
+      it("should call the iteratee with each value", () => {
+        expect(testIteratee).to.be.calledWith(testValue);
+        expect(testIteratee).to.be.calledWith(!testValue);
+      });
+    });
+  });
+
   describe(".try", () => {
     it("should return a Failure for a caught exception", () => {
       const testFn = () => {
@@ -324,6 +650,28 @@ describe("Validation", () => {
       expect(Validation.try(testFn)).to.be.instanceof(Success);
     });
   });
+  describe(".tryAsync", () => {
+    const testError = new Error("Test error");
+
+    it("should wrap the resolved value in a Success", () =>
+      expect(Validation.tryAsync(() => Promise.resolve(testValue))).to.eventually.eql(Success.from(testValue))
+    );
+
+    it("should resolve rejections as a Failure", () =>
+      expect(Validation.tryAsync(() => Promise.reject(testError))).to.eventually.eql(Failure.from(testError))
+    );
+
+    it("should resolve thrown errors as a Failure", () =>
+      expect(Validation.tryAsync(() => {
+        throw testError;
+      })).to.eventually.eql(Failure.from(testError))
+    );
+
+    it("should map the rejection error", () =>
+      expect(Validation.tryAsync(() => Promise.reject(testError), get("message")))
+        .to.eventually.eql(Failure.from(testError.message))
+    );
+  });
 
   describe("Failure", () => {
     describe(".from", () => {
@@ -379,6 +727,12 @@ describe("Validation", () => {
       it("should contain the mapped value", () => expect(actualResult.value).to.eql([`${testMessage} bimapped`]));
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(Failure.from(testMessage).cata(testCases)).to.eql(["Failure", [testMessage]])
+      );
+    });
+
     describe("#chain", () => {
       const testFailure = new Failure(testMessage);
       const testChain = sinon.spy(() => true);
@@ -452,6 +806,26 @@ describe("Validation", () => {
       );
     });
 
+    describe("#fantasy-land/bimap", () => {
+      const testFailure = new Failure(testMessage);
+
+      it("should map the value with the failure map", () =>
+        expect(testFailure["fantasy-land/bimap"](value => `${value} bimapped`, value => !value))
+          .to.eql(new Failure(`${testMessage} bimapped`))
+      );
+    });
+
+    describe("#fold", () => {
+      const testFailure = Failure.from(testMessage);
+
+      it("should apply the matching function", () =>
+        expect(testFailure.fold(testCases.Failure, testCases.Success)).to.eql(["Failure", [testMessage]])
+      );
+      it("should throw if a function is missing", () => expect(() => testFailure.fold(testCases.Failure))
+        .to.throw(TypeError, "Missing a function for the \"Success\" case of Validation")
+      );
+    });
+
     describe("#ifFailure", () => {
       const testFailure = new Failure(testMessage);
       const testIfFailure = sinon.spy(() => true);
@@ -493,6 +867,20 @@ describe("Validation", () => {
       it("should not call the provided map method", () => expect(testMap).to.not.be.called);
     });
 
+    describe("#match", () => {
+      const testFailure = Failure.from(testMessage);
+
+      it("should apply the matching function", () =>
+        expect(testFailure.match(testCases)).to.eql(["Failure", [testMessage]])
+      );
+      it("should throw if the other case is missing", () => expect(() => testFailure.match({
+        Failure: testCases.Failure
+      })).to.throw(TypeError, "Missing a function for the \"Success\" case of Validation"));
+      it("should list every missing case", () => expect(() => testFailure.match())
+        .to.throw(TypeError, "Missing a function for the \"Failure\" and \"Success\" cases of Validation")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Success", () => expect(new Failure().of(testMessage)).to.be.instanceof(Success));
     });
@@ -531,6 +919,42 @@ describe("Validation", () => {
         expect(testFn).to.throw(testMessage);
       });
     });
+    describe("#prefix", () => {
+      const testFailure = Failure.from([testMessage, new Violation("zip", "required", testMessage)]);
+      let actualResult = null;
+
+      before(() => actualResult = testFailure.prefix("address"));
+
+      it("should return a new instance of Failure", () => {
+        expect(actualResult).to.be.instanceof(Failure);
+        expect(actualResult).to.not.equal(testFailure);
+      });
+      it("should prefix each failure with the path", () =>
+        expect(actualResult.value).to.eql([
+          new Violation(["address"], undefined, testMessage),
+          new Violation(["address", "zip"], "required", testMessage)
+        ])
+      );
+    });
+
+    describe("#reduce", () => {
+      const testFailure = new Failure(testMessage);
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testFailure.reduce(testReduction, []));
+
+      it("should return the accumulator", () => expect(actualResult).to.eql([]));
+      it("should not call the provided reduction", () => expect(testReduction).to.not.be.called);
+    });
+
+    describe("#sequence", () => {
+      const testFailure = new Failure(testMessage);
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(testFailure.sequence(Promise)).to.eventually.equal(testFailure)
+      );
+    });
 
     describe("#toEither", () => {
       const testFailure = new Failure(testMessage);
@@ -538,6 +962,23 @@ describe("Validation", () => {
       it("should return a Either instance", () => expect(testFailure.toEither(Either)).to.be.instanceof(Either.Left));
     });
 
+    describe("#toErrorMap", () => {
+      const testFailure = Failure.from([
+        new Violation(["address", "zip"], "required", `${testMessage} 1`),
+        new Violation(["address", "zip"], "format", `${testMessage} 2`),
+        new Violation("name", "required", `${testMessage} 3`),
+        testMessage
+      ]);
+
+      it("should group the messages by dotted path", () =>
+        expect(testFailure.toErrorMap()).to.eql({
+          "": [testMessage],
+          "address.zip": [`${testMessage} 1`, `${testMessage} 2`],
+          name: [`${testMessage} 3`]
+        })
+      );
+    });
+
     describe("#toMaybe", () => {
       const testFailure = new Failure(testMessage);
 
@@ -559,6 +1000,15 @@ describe("Validation", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testFailure = new Failure(testMessage);
+
+      it("should return a Task instance", () => expect(testFailure.toTask(Task)).to.be.instanceof(Task));
+      it("should have rejected the value", () =>
+        expect(testFailure.toTask(Task).toPromise(Promise)).to.be.rejectedWith(testFailure.value)
+      );
+    });
+
     describe("#toString", () => {
       const testFailure = new Failure(["testMessage1", "testMessage2"]);
 
@@ -566,17 +1016,31 @@ describe("Validation", () => {
         expect(testFailure.toString()).to.equal("Validation.Failure(testMessage1; testMessage2)")
       );
     });
+    describe("#traverse", () => {
+      const testFailure = new Failure(testMessage);
+      const testTraversal = sinon.spy(value => Promise.resolve(value));
+      let actualResult = null;
+
+      before(() => actualResult = testFailure.traverse(Promise, testTraversal));
+
+      it("should wrap the instance in the provided applicative", () =>
+        expect(actualResult).to.eventually.equal(testFailure)
+      );
+      it("should not call the provided traversal", () => expect(testTraversal).to.not.be.called);
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Failure);
       Apply(Failure);
       Chain(Failure);
       Extend(Failure);
+      Foldable(Failure);
       Functor(Failure);
       Monad(Failure);
       Monoid(Failure);
       Semigroup(Failure);
       Setoid(Failure);
+      Traversable(Failure);
     });
   });
 
@@ -637,6 +1101,12 @@ describe("Validation", () => {
       it("should contain the mapped value", () => expect(actualResult.value).to.equal(!testValue));
     });
 
+    describe("#cata", () => {
+      it("should apply the matching function", () =>
+        expect(Success.from(testValue).cata(testCases)).to.eql(["Success", testValue])
+      );
+    });
+
     describe("#chain", () => {
       const testSuccess = new Success(testValue);
 
@@ -728,6 +1198,26 @@ describe("Validation", () => {
       );
     });
 
+    describe("#fantasy-land/bimap", () => {
+      const testSuccess = new Success(testValue);
+
+      it("should map the value with the success map", () =>
+        expect(testSuccess["fantasy-land/bimap"](value => `${value} bimapped`, value => !value))
+          .to.eql(new Success(!testValue))
+      );
+    });
+
+    describe("#fold", () => {
+      const testSuccess = Success.from(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testSuccess.fold(testCases.Failure, testCases.Success)).to.eql(["Success", testValue])
+      );
+      it("should throw if a function is missing", () => expect(() => testSuccess.fold(testCases.Failure))
+        .to.throw(TypeError, "Missing a function for the \"Success\" case of Validation")
+      );
+    });
+
     describe("#ifFailure", () => {
       const testSuccess = new Success(testValue);
       const testIfValue = sinon.spy(() => true);
@@ -771,6 +1261,20 @@ describe("Validation", () => {
       it("should call the provided map method", () => expect(testMap).to.be.calledWith(testSuccess.value));
     });
 
+    describe("#match", () => {
+      const testSuccess = Success.from(testValue);
+
+      it("should apply the matching function", () =>
+        expect(testSuccess.match(testCases)).to.eql(["Success", testValue])
+      );
+      it("should throw if the other case is missing", () => expect(() => testSuccess.match({
+        Success: testCases.Success
+      })).to.throw(TypeError, "Missing a function for the \"Failure\" case of Validation"));
+      it("should list every missing case", () => expect(() => testSuccess.match())
+        .to.throw(TypeError, "Missing a function for the \"Failure\" and \"Success\" cases of Validation")
+      );
+    });
+
     describe("#of", () => {
       it("should return an instance of Success", () => expect(new Success().of(testValue)).to.be.instanceof(Success));
     });
@@ -807,6 +1311,30 @@ describe("Validation", () => {
         expect(testFn).to.not.throw();
       });
     });
+    describe("#prefix", () => {
+      const testSuccess = new Success(testValue);
+
+      it("should return the instance", () => expect(testSuccess.prefix("address")).to.equal(testSuccess));
+    });
+
+    describe("#reduce", () => {
+      const testSuccess = new Success(testValue);
+      const testReduction = sinon.spy((accumulator, value) => accumulator.concat(value));
+      let actualResult = null;
+
+      before(() => actualResult = testSuccess.reduce(testReduction, []));
+
+      it("should return the reduced value", () => expect(actualResult).to.eql([testValue]));
+      it("should call the provided reduction", () => expect(testReduction).to.be.calledWith([], testValue));
+    });
+
+    describe("#sequence", () => {
+      const testSuccess = new Success(Promise.resolve(testValue));
+
+      it("should swap the instance with the contained applicative", () =>
+        expect(testSuccess.sequence(Promise)).to.eventually.eql(new Success(testValue))
+      );
+    });
 
     describe("#toEither", () => {
       const testSuccess = new Success(testValue);
@@ -814,6 +1342,10 @@ describe("Validation", () => {
       it("should return a Either instance", () => expect(testSuccess.toEither(Either)).to.be.instanceof(Either.Right));
     });
 
+    describe("#toErrorMap", () => {
+      it("should return an empty map", () => expect(new Success(testValue).toErrorMap()).to.eql({}));
+    });
+
     describe("#toMaybe", () => {
       const testSuccess = new Success(testValue);
 
@@ -835,6 +1367,15 @@ describe("Validation", () => {
       });
     });
 
+    describe("#toTask", () => {
+      const testSuccess = new Success(testValue);
+
+      it("should return a Task instance", () => expect(testSuccess.toTask(Task)).to.be.instanceof(Task));
+      it("should have resolved the value", () =>
+        expect(testSuccess.toTask(Task).toPromise(Promise)).to.eventually.equal(testSuccess.value)
+      );
+    });
+
     describe("#toString", () => {
       const testValues = [true, false];
       const testSuccess = new Success(testValues);
@@ -847,17 +1388,31 @@ describe("Validation", () => {
     describe(".empty", () => {
       it("should return a new instance of Success", () => expect(Success.empty()).to.be.instanceof(Success));
     });
+    describe("#traverse", () => {
+      const testSuccess = new Success(testValue);
+      const testTraversal = sinon.spy(value => Promise.resolve(!value));
+      let actualResult = null;
+
+      before(() => actualResult = testSuccess.traverse(Promise, testTraversal));
+
+      it("should map the result of the traversal into the type", () =>
+        expect(actualResult).to.eventually.eql(new Success(!testValue))
+      );
+      it("should call the provided traversal", () => expect(testTraversal).to.be.calledWith(testValue));
+    });
 
     describe("Algebraic Laws", () => {
       Applicative(Success);
       Apply(Success);
       Chain(Success);
       Extend(Success);
+      Foldable(Success);
       Functor(Success);
       Monad(Success);
       Monoid(Success);
       Semigroup(Success);
       Setoid(Success);
+      Traversable(Success);
     });
   });
 });
@@ -0,0 +1,155 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+const promiseChai = require("chai-as-promised");
+const sinon = require("sinon");
+const sinonChai = require("sinon-chai");
+
+// Third Party Setup
+chai.use(promiseChai);
+chai.use(sinonChai);
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Either = include("data/Either");
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Task = include("data/Task");
+const Validation = include("data/Validation");
+const ValidationT = include("data/ValidationT");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Success = Validation.Success;
+
+describe("ValidationT", () => {
+  const testError = new Error("Test error");
+  const testFailure = Failure.from(testError);
+  const testValue = true;
+  const TaskValidation = ValidationT(Task);
+  const PromiseValidation = ValidationT(Promise);
+  const runTask = transformer => transformer.run().toPromise(Promise);
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testTransformer = TaskValidation.of(testValue);
+
+      expect(TaskValidation.from(testTransformer)).to.equal(testTransformer);
+    });
+
+    it("should wrap a Validation", () =>
+      expect(runTask(TaskValidation.from(testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should wrap other values in a Success", () =>
+      expect(runTask(TaskValidation.from(testValue))).to.eventually.eql(Success.from(testValue))
+    );
+  });
+
+  describe(".fromEither", () => {
+    it("should convert the either", () =>
+      expect(runTask(TaskValidation.fromEither(Either.Left.from(testError)))).to.eventually.eql(testFailure)
+    );
+  });
+  describe(".fromValidation", () => {
+    it("should wrap the validation in the outer monad", () =>
+      expect(runTask(TaskValidation.fromValidation(testFailure))).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe(".lift", () => {
+    it("should wrap the value of the outer monad in a Success", () =>
+      expect(runTask(TaskValidation.lift(Task.of(testValue)))).to.eventually.eql(Success.from(testValue))
+    );
+
+    it("should keep rejections of the outer monad", () =>
+      expect(runTask(TaskValidation.lift(Task.reject(testError)))).to.be.rejectedWith(testError)
+    );
+  });
+
+  describe(".of", () => {
+    it("should wrap the value in a Success", () =>
+      expect(runTask(TaskValidation.of(testValue))).to.eventually.eql(Success.from(testValue))
+    );
+  });
+
+  describe("#ap", () => {
+    it("should apply the function to the value", () =>
+      expect(runTask(TaskValidation.of(value => !value).ap(TaskValidation.of(testValue))))
+        .to.eventually.eql(Success.from(!testValue))
+    );
+
+    it("should return a Failure", () =>
+      expect(runTask(TaskValidation.of(value => !value).ap(TaskValidation.fromValidation(testFailure))))
+        .to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("#chain", () => {
+    it("should chain across both layers", () =>
+      expect(runTask(TaskValidation.of(testValue).chain(value => TaskValidation.lift(Task.of(!value)))))
+        .to.eventually.eql(Success.from(!testValue))
+    );
+
+    it("should accept a Validation", () =>
+      expect(runTask(TaskValidation.of(testValue).chain(() => testFailure))).to.eventually.eql(testFailure)
+    );
+
+    it("should not invoke the method for a Failure", () => {
+      const testMethod = sinon.spy();
+
+      return runTask(TaskValidation.fromValidation(testFailure).chain(testMethod))
+        .then(() => expect(testMethod).to.not.be.called);
+    });
+  });
+
+  describe("#map", () => {
+    it("should map the value", () =>
+      expect(runTask(TaskValidation.of(testValue).map(value => !value))).to.eventually.eql(Success.from(!testValue))
+    );
+  });
+
+  describe("#run", () => {
+    it("should return the outer monad", () => expect(TaskValidation.of(testValue).run()).to.be.instanceof(Task));
+  });
+
+  describe("over Promise", () => {
+    it("should chain across both layers", () =>
+      expect(PromiseValidation.lift(Promise.resolve(testValue)).chain(value => PromiseValidation.of(!value)).run())
+        .to.eventually.eql(Success.from(!testValue))
+    );
+
+    it("should stop at a Failure", () =>
+      expect(PromiseValidation.fromValidation(testFailure).map(value => !value).run()).to.eventually.eql(testFailure)
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    describe("over Task", () => {
+      const equivalence = (left, right) => Promise.all([runTask(left), runTask(right)])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(TaskValidation, equivalence);
+      Apply(TaskValidation, equivalence);
+      Chain(TaskValidation, equivalence);
+      Functor(TaskValidation, equivalence);
+      Monad(TaskValidation, equivalence);
+    });
+
+    describe("over Promise", () => {
+      const equivalence = (left, right) => Promise.all([left.run(), right.run()])
+        .then(results => expect(results[0]).to.eql(results[1]));
+
+      Applicative(PromiseValidation, equivalence);
+      Apply(PromiseValidation, equivalence);
+      Chain(PromiseValidation, equivalence);
+      Functor(PromiseValidation, equivalence);
+      Monad(PromiseValidation, equivalence);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+
+// Third Party Setup
+const expect = chai.expect;
+
+// Project
+const Violation = include("data/Violation");
+
+describe("Violation", () => {
+  const testCode = "required";
+  const testMessage = "Zip code is required.";
+
+  describe(".from", () => {
+    it("should return the same violation", () => {
+      const testViolation = new Violation("zip", testCode, testMessage);
+
+      expect(Violation.from(testViolation)).to.equal(testViolation);
+    });
+
+    it("should create a violation at the root path with the value as the message", () =>
+      expect(Violation.from(testMessage)).to.eql(new Violation([], undefined, testMessage))
+    );
+  });
+
+  describe(".isViolation", () => {
+    it("should return false for other values", () => expect(Violation.isViolation(testMessage)).to.be.false);
+    it("should return true for violations", () =>
+      expect(Violation.isViolation(new Violation("zip", testCode, testMessage))).to.be.true
+    );
+  });
+
+  describe("constructor", () => {
+    it("should default the path to the root path", () =>
+      expect(new Violation(undefined, testCode, testMessage).path).to.eql([])
+    );
+    it("should convert a dotted path to an array", () =>
+      expect(new Violation("address.zip", testCode, testMessage).path).to.eql(["address", "zip"])
+    );
+    it("should keep the code", () => expect(new Violation("zip", testCode, testMessage).code).to.equal(testCode));
+    it("should keep the message", () =>
+      expect(new Violation("zip", testCode, testMessage).message).to.equal(testMessage)
+    );
+  });
+
+  describe("#equals", () => {
+    const testViolation = new Violation("zip", testCode, testMessage);
+
+    it("should return true for equal violations", () =>
+      expect(testViolation.equals(new Violation(["zip"], testCode, testMessage))).to.be.true
+    );
+    it("should return false for violations of other paths", () =>
+      expect(testViolation.equals(new Violation("city", testCode, testMessage))).to.be.false
+    );
+    it("should return false for other values", () => expect(testViolation.equals(testMessage)).to.be.false);
+  });
+
+  describe("#prefix", () => {
+    const testViolation = new Violation("zip", testCode, testMessage);
+
+    it("should prepend a single key", () =>
+      expect(testViolation.prefix("address").path).to.eql(["address", "zip"])
+    );
+    it("should prepend a path", () =>
+      expect(testViolation.prefix(["users", "0", "address"]).path).to.eql(["users", "0", "address", "zip"])
+    );
+    it("should not modify the instance", () => {
+      testViolation.prefix("address");
+
+      expect(testViolation.path).to.eql(["zip"]);
+    });
+  });
+
+  describe("#toString", () => {
+    it("should precede the message with the dotted path", () =>
+      expect(new Violation(["address", "zip"], testCode, testMessage).toString())
+        .to.equal(`address.zip: ${testMessage}`)
+    );
+    it("should return only the message at the root path", () =>
+      expect(new Violation([], testCode, testMessage).toString()).to.equal(testMessage)
+    );
+  });
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+// Third Party
+const chai = require("chai");
+const include = require("include")(__dirname);
+
+// Third Party Setup
+const expect = chai.expect;
+
+// Project
+const Applicative = require("./laws/Applicative")(expect);
+const Apply = require("./laws/Apply")(expect);
+const Chain = require("./laws/Chain")(expect);
+const Functor = require("./laws/Functor")(expect);
+const Monad = require("./laws/Monad")(expect);
+const Validation = include("data/Validation");
+const Writer = include("data/Writer");
+
+// Project Aliases
+const Failure = Validation.Failure;
+const Success = Validation.Success;
+
+describe("Writer", () => {
+  const ArrayWriter = Writer(Array);
+  const StringWriter = Writer(String);
+  const ValidationWriter = Writer(Validation);
+  const testValue = 100;
+
+  describe(".from", () => {
+    it("should return the same instance", () => {
+      const testWriter = ArrayWriter.of(testValue);
+
+      expect(ArrayWriter.from(testWriter)).to.equal(testWriter);
+    });
+
+    it("should wrap other values", () => expect(ArrayWriter.from(testValue).run()).to.eql([testValue, []]));
+  });
+
+  describe(".of", () => {
+    it("should start with an empty array", () => expect(ArrayWriter.of(testValue).run()).to.eql([testValue, []]));
+    it("should start with an empty string", () => expect(StringWriter.of(testValue).run()).to.eql([testValue, ""]));
+    it("should start with an empty Validation", () =>
+      expect(ValidationWriter.of(testValue).run()).to.eql([testValue, Validation.empty()])
+    );
+  });
+
+  describe(".tell", () => {
+    it("should write the log without a value", () => expect(ArrayWriter.tell(["a"]).run()).to.eql([undefined, ["a"]]));
+  });
+
+  describe("#ap", () => {
+    it("should apply the function and concatenate the logs", () =>
+      expect(new ArrayWriter(value => value + 1, ["a"]).ap(new ArrayWriter(1, ["b"])).run()).to.eql([2, ["a", "b"]])
+    );
+  });
+
+  describe("#censor", () => {
+    it("should modify the log", () =>
+      expect(ArrayWriter.tell(["a", "b"]).censor(log => log.slice(1)).run()).to.eql([undefined, ["b"]])
+    );
+  });
+
+  describe("#chain", () => {
+    const applyRule = (name, rate) => price => ArrayWriter.tell([name]).map(() => price * rate);
+
+    it("should accumulate the logs in order", () =>
+      expect(ArrayWriter.of(testValue).chain(applyRule("discount", 0.5)).chain(applyRule("tax", 2)).run())
+        .to.eql([testValue, ["discount", "tax"]])
+    );
+
+    it("should accumulate strings", () =>
+      expect(StringWriter.tell("a").chain(() => StringWriter.tell("b")).run()).to.eql([undefined, "ab"])
+    );
+
+    it("should accumulate failures of a Validation", () => {
+      const warn = message => value => ValidationWriter.tell(Failure.from(message)).map(() => value);
+
+      expect(ValidationWriter.of(testValue).chain(warn("a")).chain(warn("b")).run())
+        .to.eql([testValue, Failure.from(["a", "b"])]);
+    });
+
+    it("should keep a Success when nothing fails", () =>
+      expect(ValidationWriter.of(testValue).chain(value => new ValidationWriter(value, Success.from(true))).run())
+        .to.eql([testValue, Success.from(true)])
+    );
+
+    it("should wrap other returned values", () =>
+      expect(ArrayWriter.tell(["a"]).chain(() => testValue).run()).to.eql([testValue, ["a"]])
+    );
+  });
+
+  describe("#listen", () => {
+    it("should pair the value with the log", () =>
+      expect(new ArrayWriter(testValue, ["a"]).listen().run()).to.eql([[testValue, ["a"]], ["a"]])
+    );
+  });
+
+  describe("#map", () => {
+    it("should map the value and keep the log", () =>
+      expect(new ArrayWriter(testValue, ["a"]).map(value => value + 1).run()).to.eql([testValue + 1, ["a"]])
+    );
+  });
+
+  describe("Algebraic Laws", () => {
+    Applicative(ArrayWriter);
+    Apply(ArrayWriter);
+    Chain(ArrayWriter);
+    Functor(ArrayWriter);
+    Monad(ArrayWriter);
+  });
+});
@@ -2,10 +2,12 @@
 
 // Third Party
 const curry = require("lodash/fp/curry");
+const curryN = require("lodash/fp/curryN");
 const identity = require("lodash/fp/identity");
 
-module.exports = curry((expect, Type) =>
+module.exports = curryN(2, (expect, Type, equivalence) =>
   describe("Applicative", () => {
+    const assertEquivalent = equivalence || ((left, right) => expect(left).to.eql(right));
     const thrush = curry((value, method) => method(value));
 
     it("should express identity", () => {
@@ -13,7 +15,7 @@ module.exports = curry((expect, Type) =>
       const testLeft = Type.of(identity).ap(Type.of(testValue));
       const testRight = Type.of(testValue);
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
     });
 
     it("should express homomorphism", () => {
@@ -21,7 +23,7 @@ module.exports = curry((expect, Type) =>
       const testLeft = Type.of(identity).ap(Type.of(testValue));
       const testRight = Type.of(identity(testValue));
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
     });
 
     it("should express interchange", () => {
@@ -30,7 +32,38 @@ module.exports = curry((expect, Type) =>
       const testLeft = testApplicative.ap(Type.of(testValue));
       const testRight = Type.of(thrush(testValue)).ap(testApplicative);
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
+    });
+
+    describe("fantasy-land/ap", () => {
+      const of = Type["fantasy-land/of"];
+      const negate = value => !value;
+
+      it("should express identity", () => {
+        const testValue = true;
+        const testApplicative = Type.from(testValue);
+        const testLeft = testApplicative["fantasy-land/ap"](of(identity));
+        const testRight = testApplicative;
+
+        return assertEquivalent(testLeft, testRight);
+      });
+
+      it("should express homomorphism", () => {
+        const testValue = true;
+        const testLeft = of(testValue)["fantasy-land/ap"](of(negate));
+        const testRight = of(negate(testValue));
+
+        return assertEquivalent(testLeft, testRight);
+      });
+
+      it("should express interchange", () => {
+        const testValue = true;
+        const testApplicative = Type.from(negate);
+        const testLeft = of(testValue)["fantasy-land/ap"](testApplicative);
+        const testRight = testApplicative["fantasy-land/ap"](of(thrush(testValue)));
+
+        return assertEquivalent(testLeft, testRight);
+      });
     });
   })
 );
@@ -3,16 +3,34 @@
 // Third Party
 const compose = require("lodash/fp/flowRight");
 const curry = require("lodash/fp/curry");
+const curryN = require("lodash/fp/curryN");
 const identity = require("lodash/fp/identity");
 
-module.exports = curry((expect, Type) =>
+module.exports = curryN(2, (expect, Type, equivalence) =>
   describe("Apply", () => {
+    const assertEquivalent = equivalence || ((left, right) => expect(left).to.eql(right));
+
     it("should express composition", () => {
-      const testApply = new Type(identity);
+      const testApply = Type.from(identity);
       const testLeft = testApply.map(compose).ap(testApply).ap(testApply);
       const testRight = testApply.ap(testApply.ap(testApply));
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
+    });
+
+    describe("fantasy-land/ap", () => {
+      it("should express composition", () => {
+        const testValue = true;
+        const testApply = Type.from(testValue);
+        const testApplyU = Type.from(value => !value);
+        const testApplyA = Type.from(value => [value]);
+        const testLeft = testApply["fantasy-land/ap"](
+          testApplyU["fantasy-land/ap"](testApplyA["fantasy-land/map"](curry((f, g, x) => f(g(x)))))
+        );
+        const testRight = testApply["fantasy-land/ap"](testApplyU)["fantasy-land/ap"](testApplyA);
+
+        return assertEquivalent(testLeft, testRight);
+      });
     });
   })
 );
@@ -1,16 +1,30 @@
 "use strict";
 
 // Third Party
-const curry = require("lodash/fp/curry");
+const curryN = require("lodash/fp/curryN");
 
-module.exports = curry((expect, Type) =>
+module.exports = curryN(2, (expect, Type, equivalence) =>
   describe("Chain", () => {
+    const assertEquivalent = equivalence || ((left, right) => expect(left).to.eql(right));
+
     it("should express associativity", () => {
       const testValue = true;
       const testLeft = Type.of(testValue).chain(Type.of).chain(Type.of);
       const testRight = Type.of(testValue).chain(value => Type.of(value).chain(Type.of));
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
+    });
+
+    describe("fantasy-land/chain", () => {
+      const of = Type["fantasy-land/of"];
+
+      it("should express associativity", () => {
+        const testValue = true;
+        const testLeft = of(testValue)["fantasy-land/chain"](of)["fantasy-land/chain"](of);
+        const testRight = of(testValue)["fantasy-land/chain"](value => of(value)["fantasy-land/chain"](of));
+
+        return assertEquivalent(testLeft, testRight);
+      });
     });
   })
 );
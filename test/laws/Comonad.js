@@ -32,5 +32,27 @@ module.exports = curry((expect, Type) =>
 
       expect(testLeft).to.eql(testRight);
     });
+
+    describe("fantasy-land/extend", () => {
+      const extract = value => value["fantasy-land/extract"]();
+
+      it("should express left identity", () => {
+        const testValue = true;
+        const testExtend = new Type(testValue);
+        const testLeft = testExtend["fantasy-land/extend"](extract);
+        const testRight = testExtend;
+
+        expect(testLeft).to.eql(testRight);
+      });
+
+      it("should express right identity", () => {
+        const testValue = true;
+        const testExtend = new Type(testValue);
+        const testLeft = extract(testExtend["fantasy-land/extend"](extract));
+        const testRight = extract(testExtend);
+
+        expect(testLeft).to.eql(testRight);
+      });
+    });
   })
 );
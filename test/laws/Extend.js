@@ -14,5 +14,16 @@ module.exports = curry((expect, Type) =>
 
       expect(testLeft).to.eql(testRight);
     });
+
+    describe("fantasy-land/extend", () => {
+      it("should express associativity", () => {
+        const testValue = true;
+        const testExtend = new Type(testValue);
+        const testLeft = testExtend["fantasy-land/extend"](identity)["fantasy-land/extend"](identity);
+        const testRight = testExtend["fantasy-land/extend"](value => identity(value["fantasy-land/extend"](identity)));
+
+        expect(testLeft).to.eql(testRight);
+      });
+    });
   })
 );
@@ -0,0 +1,31 @@
+"use strict";
+
+// Third Party
+const curry = require("lodash/fp/curry");
+
+module.exports = curry((expect, Type) =>
+  describe("Foldable", () => {
+    const append = (accumulator, value) => accumulator.concat([value]);
+    const count = (accumulator, value) => accumulator + (value ? 1 : 0);
+
+    it("should express equivalence to reducing an array of its values", () => {
+      const testValue = true;
+      const testFoldable = new Type(testValue);
+      const testLeft = testFoldable.reduce(count, 0);
+      const testRight = testFoldable.reduce(append, []).reduce(count, 0);
+
+      expect(testLeft).to.eql(testRight);
+    });
+
+    describe("fantasy-land/reduce", () => {
+      it("should express equivalence to reducing an array of its values", () => {
+        const testValue = true;
+        const testFoldable = new Type(testValue);
+        const testLeft = testFoldable["fantasy-land/reduce"](count, 0);
+        const testRight = testFoldable["fantasy-land/reduce"](append, []).reduce(count, 0);
+
+        expect(testLeft).to.eql(testRight);
+      });
+    });
+  })
+);
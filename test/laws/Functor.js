@@ -2,25 +2,45 @@
 
 // Third Party
 const compose = require("lodash/fp/flowRight");
-const curry = require("lodash/fp/curry");
+const curryN = require("lodash/fp/curryN");
 const identity = require("lodash/fp/identity");
 
-module.exports = curry((expect, Type) =>
+module.exports = curryN(2, (expect, Type, equivalence) =>
   describe("Functor", () => {
+    const assertEquivalent = equivalence || ((left, right) => expect(left).to.eql(right));
+
     it("should express identity", () => {
       const testValue = true;
-      const testLeft = new Type(testValue).map(identity);
-      const testRight = new Type(testValue);
+      const testLeft = Type.from(testValue).map(identity);
+      const testRight = Type.from(testValue);
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
     });
 
     it("should express composition", () => {
       const testValue = true;
-      const testLeft = new Type(testValue).map(compose(identity, identity));
-      const testRight = new Type(testValue).map(identity).map(identity);
+      const testLeft = Type.from(testValue).map(compose(identity, identity));
+      const testRight = Type.from(testValue).map(identity).map(identity);
+
+      return assertEquivalent(testLeft, testRight);
+    });
+
+    describe("fantasy-land/map", () => {
+      it("should express identity", () => {
+        const testValue = true;
+        const testLeft = Type.from(testValue)["fantasy-land/map"](identity);
+        const testRight = Type.from(testValue);
+
+        return assertEquivalent(testLeft, testRight);
+      });
+
+      it("should express composition", () => {
+        const testValue = true;
+        const testLeft = Type.from(testValue)["fantasy-land/map"](compose(identity, identity));
+        const testRight = Type.from(testValue)["fantasy-land/map"](identity)["fantasy-land/map"](identity);
 
-      expect(testLeft).to.eql(testRight);
+        return assertEquivalent(testLeft, testRight);
+      });
     });
   })
 );
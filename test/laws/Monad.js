@@ -1,17 +1,19 @@
 "use strict";
 
 // Third Party
-const curry = require("lodash/fp/curry");
+const curryN = require("lodash/fp/curryN");
 const identity = require("lodash/fp/identity");
 
-module.exports = curry((expect, Type) =>
+module.exports = curryN(2, (expect, Type, equivalence) =>
   describe("Monad", () => {
+    const assertEquivalent = equivalence || ((left, right) => expect(left).to.eql(right));
+
     it("should express left identity", () => {
       const testValue = true;
       const testLeft = Type.of(testValue).chain(identity);
       const testRight = Type.of(testValue);
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
     });
 
     it("should express right identity", () => {
@@ -19,7 +21,27 @@ module.exports = curry((expect, Type) =>
       const testLeft = Type.of(testValue).chain(Type.of);
       const testRight = Type.of(testValue);
 
-      expect(testLeft).to.eql(testRight);
+      return assertEquivalent(testLeft, testRight);
+    });
+
+    describe("fantasy-land/chain", () => {
+      const of = Type["fantasy-land/of"];
+
+      it("should express left identity", () => {
+        const testValue = true;
+        const testLeft = of(testValue)["fantasy-land/chain"](identity);
+        const testRight = of(testValue);
+
+        return assertEquivalent(testLeft, testRight);
+      });
+
+      it("should express right identity", () => {
+        const testValue = true;
+        const testLeft = of(testValue)["fantasy-land/chain"](of);
+        const testRight = of(testValue);
+
+        return assertEquivalent(testLeft, testRight);
+      });
     });
   })
 );
@@ -20,5 +20,26 @@ module.exports = curry((expect, Type) =>
 
       expect(testLeft).to.eql(testRight);
     });
+
+    describe("fantasy-land/empty", () => {
+      const empty = Type["fantasy-land/empty"];
+      const of = Type["fantasy-land/of"];
+
+      it("should express left identity", () => {
+        const testValue = true;
+        const testLeft = empty()["fantasy-land/concat"](of(testValue));
+        const testRight = of(testValue);
+
+        expect(testLeft).to.eql(testRight);
+      });
+
+      it("should express right identity", () => {
+        const testValue = true;
+        const testLeft = of(testValue)["fantasy-land/concat"](empty());
+        const testRight = of(testValue);
+
+        expect(testLeft).to.eql(testRight);
+      });
+    });
   })
 );
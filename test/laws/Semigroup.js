@@ -14,5 +14,17 @@ module.exports = curry((expect, Type) =>
       expect(testLeft.concat(testMiddle).concat(testRight))
         .to.eql(testLeft.concat(testMiddle.concat(testRight)));
     });
+
+    describe("fantasy-land/concat", () => {
+      it("should express associativity", () => {
+        const testValue = true;
+        const testLeft = new Type(testValue);
+        const testMiddle = new Type(testValue);
+        const testRight = new Type(testValue);
+
+        expect(testLeft["fantasy-land/concat"](testMiddle)["fantasy-land/concat"](testRight))
+          .to.eql(testLeft["fantasy-land/concat"](testMiddle["fantasy-land/concat"](testRight)));
+      });
+    });
   })
 );
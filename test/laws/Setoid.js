@@ -35,5 +35,37 @@ module.exports = curry((expect, Type) =>
         testRight.equals(testLeft)
       ).to.be.true;
     });
+
+    describe("fantasy-land/equals", () => {
+      const equals = curry((left, right) => left["fantasy-land/equals"](right));
+
+      it("should express reflexivity", () => {
+        const testValue = true;
+        const testLeft = new Type(testValue);
+
+        expect(equals(testLeft, testLeft)).to.be.true;
+      });
+
+      it("should express symmetry", () => {
+        const testValue = true;
+        const testLeft = new Type(testValue);
+        const testRight = new Type(testValue);
+
+        expect(equals(testLeft, testRight) && equals(testRight, testLeft)).to.be.true;
+      });
+
+      it("should express transivity", () => {
+        const testValue = true;
+        const testLeft = new Type(testValue);
+        const testMiddle = new Type(testValue);
+        const testRight = new Type(testValue);
+
+        expect(
+          equals(testLeft, testMiddle) &&
+          equals(testMiddle, testRight) &&
+          equals(testRight, testLeft)
+        ).to.be.true;
+      });
+    });
   })
 );
@@ -0,0 +1,82 @@
+"use strict";
+
+// Third Party
+const curry = require("lodash/fp/curry");
+const identity = require("lodash/fp/identity");
+const include = require("include")(__dirname);
+
+// Project
+const Compose = include("data/Compose");
+const Identity = include("data/Identity");
+const Maybe = include("data/Maybe");
+
+module.exports = curry((expect, Type) =>
+  describe("Traversable", () => {
+    const toArray = foldable => foldable.reduce((accumulator, value) => accumulator.concat([value]), []);
+    const IdentityMaybe = Compose(Identity, Maybe);
+
+    it("should express naturality", () => {
+      const testValue = true;
+      const testTraversable = new Type(testValue);
+      const testLeft = toArray(testTraversable.traverse(Type, Type.of));
+      const testRight = testTraversable.traverse(Array, value => toArray(Type.of(value)));
+
+      expect(testLeft).to.eql(testRight);
+    });
+
+    it("should express identity", () => {
+      const testValue = true;
+      const testTraversable = new Type(testValue);
+      const testLeft = testTraversable.traverse(Type, Type.of);
+      const testRight = Type.of(testTraversable);
+
+      expect(testLeft).to.eql(testRight);
+    });
+
+    it("should express composition", () => {
+      const testValue = true;
+      const testTraversable = new Type(Identity.of(Maybe.of(testValue)));
+      const testLeft = testTraversable.traverse(IdentityMaybe, value => new IdentityMaybe(value));
+      const testRight = new IdentityMaybe(
+        testTraversable.traverse(Identity, identity).map(inner => inner.traverse(Maybe, identity))
+      );
+
+      expect(testLeft).to.eql(testRight);
+    });
+
+    describe("fantasy-land/traverse", () => {
+      const of = Type["fantasy-land/of"];
+
+      it("should express naturality", () => {
+        const testValue = true;
+        const testTraversable = new Type(testValue);
+        const testLeft = toArray(testTraversable["fantasy-land/traverse"](Type, of));
+        const testRight = testTraversable["fantasy-land/traverse"](Array, value => toArray(of(value)));
+
+        expect(testLeft).to.eql(testRight);
+      });
+
+      it("should express identity", () => {
+        const testValue = true;
+        const testTraversable = new Type(testValue);
+        const testLeft = testTraversable["fantasy-land/traverse"](Type, of);
+        const testRight = of(testTraversable);
+
+        expect(testLeft).to.eql(testRight);
+      });
+
+      it("should express composition", () => {
+        const testValue = true;
+        const testTraversable = new Type(Identity.of(Maybe.of(testValue)));
+        const testLeft = testTraversable["fantasy-land/traverse"](IdentityMaybe, value => new IdentityMaybe(value));
+        const testRight = new IdentityMaybe(
+          testTraversable["fantasy-land/traverse"](Identity, identity)["fantasy-land/map"](
+            inner => inner["fantasy-land/traverse"](Maybe, identity)
+          )
+        );
+
+        expect(testLeft).to.eql(testRight);
+      });
+    });
+  })
+);